@@ -3,6 +3,7 @@ import UIControls from './components/UIControls';
 import ThreeCanvas from './components/ThreeCanvas';
 import PropertiesPanel from './components/PropertiesPanel';
 import SketchControls from './components/SketchControls';
+import FeatureTree from './components/FeatureTree';
 import './App.css';
 
 export default function App() {
@@ -31,6 +32,7 @@ export default function App() {
         selectedType={selectedType}
       />
       <SketchControls />
+      <FeatureTree />
     </div>
   );
 }
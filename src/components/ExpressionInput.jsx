@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import './ExpressionInput.css';
+
+// Text field taking arithmetic such as `12.5/2` or `1in + 3mm`. parse(text)
+// turns the text into a value (null when invalid); the value is applied on
+// Enter or when the field loses focus, Escape or invalid text restores the
+// displayed one.
+export default function ExpressionInput({
+  display,
+  parse,
+  onCommit,
+  unit,
+  style,
+  title,
+}) {
+  const [text, setText] = useState(null); // null while not being edited
+  const invalid = text !== null && parse(text) === null;
+  const commit = () => {
+    if (text === null) return;
+    const next = parse(text);
+    setText(null);
+    if (next !== null) onCommit(next);
+  };
+  return (
+    <span className='expression-field'>
+      <input
+        type='text'
+        className={invalid ? 'invalid' : ''}
+        value={text ?? display}
+        title={title}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.target.blur();
+          else if (e.key === 'Escape') setText(null);
+        }}
+        style={style}
+      />
+      {unit && <span className='unit'>{unit}</span>}
+    </span>
+  );
+}
@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import './FeatureTree.css';
+import ExpressionInput from './ExpressionInput';
+import {
+  useDocumentUnits,
+  formatLength,
+  parseLength,
+} from '../utils/unitUtils';
+
+const STATUS_LABELS = {
+  suppressed: 'suppressed',
+  rolledBack: 'rolled back',
+  failed: 'failed',
+};
+
+function dispatch(name, detail) {
+  window.dispatchEvent(new CustomEvent(name, { detail }));
+}
+
+const EXTENT_LABELS = {
+  blind: 'Blind',
+  symmetric: 'Symmetric',
+  twoSided: 'Two-sided',
+  face: 'Up to face',
+  next: 'Up to next face',
+};
+
+function updateFeature(feature, changes) {
+  dispatch('updateFeature', { id: feature.id, changes });
+}
+
+// Length field in document units; min is in millimetres
+function lengthInput(value, min, units, onValue) {
+  return (
+    <ExpressionInput
+      display={formatLength(value, units, false)}
+      unit={units.unit}
+      parse={(text) => {
+        const length = parseLength(text, units);
+        return length !== null && length >= min ? length : null;
+      }}
+      onCommit={onValue}
+    />
+  );
+}
+
+function FeatureParameters({ feature, sketchNames }) {
+  const units = useDocumentUnits();
+  if (feature.type === 'extrude') {
+    const extent = feature.extent || 'blind';
+    // Up-to depths come from the faces they reach, not from a height
+    const editable = ['blind', 'symmetric', 'twoSided'].includes(extent);
+    return (
+      <>
+        <div className='property-row'>
+          <label>Operation</label>
+          <span>{feature.operation === 'cut' ? 'Cut' : 'Add'}</span>
+        </div>
+        <div className='property-row'>
+          <label>Extent</label>
+          {editable ? (
+            <select
+              value={extent}
+              onChange={(e) =>
+                updateFeature(feature, { extent: e.target.value })
+              }
+            >
+              <option value='blind'>Blind</option>
+              <option value='symmetric'>Symmetric</option>
+              <option value='twoSided'>Two-sided</option>
+            </select>
+          ) : (
+            <span>{EXTENT_LABELS[extent]}</span>
+          )}
+        </div>
+        {editable && (
+          <div className='property-row'>
+            <label>{extent === 'twoSided' ? 'Depth 1' : 'Height'}</label>
+            {lengthInput(feature.height ?? 2, 0.1, units, (height) =>
+              updateFeature(feature, { height })
+            )}
+          </div>
+        )}
+        {extent === 'twoSided' && (
+          <div className='property-row'>
+            <label>Depth 2</label>
+            {lengthInput(feature.depth2 ?? 0, 0, units, (depth2) =>
+              updateFeature(feature, { depth2 })
+            )}
+          </div>
+        )}
+        {extent !== 'face' && (
+          <div className='property-row'>
+            <label>Flip direction</label>
+            <input
+              type='checkbox'
+              checked={!!feature.reverse}
+              onChange={(e) =>
+                updateFeature(feature, { reverse: e.target.checked })
+              }
+            />
+          </div>
+        )}
+      </>
+    );
+  }
+  if (feature.type === 'revolve') {
+    const axis = feature.axis || {};
+    return (
+      <>
+        <div className='property-row'>
+          <label>Axis</label>
+          <span>
+            {axis.kind === 'world'
+              ? `World ${axis.name}`
+              : axis.kind === 'sketchLine'
+              ? `Sketch line ${axis.seg + 1}`
+              : 'Edge'}
+          </span>
+        </div>
+        <div className='property-row'>
+          <label>Angle (°)</label>
+          <input
+            type='number'
+            min='-360'
+            max='360'
+            step='15'
+            value={feature.angle ?? 360}
+            onChange={(e) => {
+              const angle = parseFloat(e.target.value);
+              if (Number.isFinite(angle) && angle !== 0) {
+                updateFeature(feature, {
+                  angle: Math.max(-360, Math.min(360, angle)),
+                });
+              }
+            }}
+          />
+        </div>
+      </>
+    );
+  }
+  if (feature.type === 'sweep' || feature.type === 'loft') {
+    const inputs =
+      feature.type === 'sweep'
+        ? [
+            ['Profile', feature.profileId],
+            ['Path', feature.pathId],
+          ]
+        : (feature.sketchIds || []).map((id, i) => [`Section ${i + 1}`, id]);
+    return (
+      <>
+        {inputs.map(([label, id]) => (
+          <div className='property-row' key={label}>
+            <label>{label}</label>
+            <span>{sketchNames[id] || id}</span>
+          </div>
+        ))}
+        <div className='property-row'>
+          Edit these sketches to reshape the {feature.type}
+        </div>
+      </>
+    );
+  }
+  if (feature.type === 'sketch') {
+    return (
+      <div className='property-row'>
+        Edit dimensions and constraints in the Sketches panel
+      </div>
+    );
+  }
+  return null;
+}
+
+export default function FeatureTree() {
+  const [features, setFeatures] = useState([]);
+  const [rollbackIndex, setRollbackIndex] = useState(null);
+  const [status, setStatus] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const featuresUpdatedHandler = (e) => {
+      setFeatures(e.detail.features || []);
+      setRollbackIndex(e.detail.rollbackIndex ?? null);
+      setStatus(e.detail.status || {});
+    };
+    window.addEventListener('featuresUpdated', featuresUpdatedHandler);
+
+    return () => {
+      window.removeEventListener('featuresUpdated', featuresUpdatedHandler);
+    };
+  }, []);
+
+  const sketchNames = Object.fromEntries(
+    features.filter((f) => f.type === 'sketch').map((f) => [f.id, f.name])
+  );
+  const markerIndex = rollbackIndex == null ? features.length : rollbackIndex;
+
+  const renderMarker = () => (
+    <div className='rollback-marker' key='rollback-marker'>
+      <span>Rolled back</span>
+      <button
+        onClick={() => dispatch('rollbackFeatures', { index: null })}
+        title='Roll forward to the end of the history'
+      >
+        Roll to end
+      </button>
+    </div>
+  );
+
+  return (
+    <div className='feature-tree'>
+      <h3>Feature Tree</h3>
+      {features.length === 0 && (
+        <p className='no-features'>Sketch and extrude to build history</p>
+      )}
+      {features.map((feature, index) => {
+        const state = status[feature.id] || 'ok';
+        const expanded = expandedId === feature.id;
+        return (
+          <React.Fragment key={feature.id}>
+            {index === markerIndex && renderMarker()}
+            <div
+              className={`feature-row ${state}${
+                state === 'ok' ? '' : ' inactive'
+              }`}
+            >
+              <div className='feature-header'>
+                <span
+                  className='feature-name'
+                  onClick={() => setExpandedId(expanded ? null : feature.id)}
+                  title={STATUS_LABELS[state] || feature.name}
+                >
+                  {feature.name}
+                  {STATUS_LABELS[state] ? ` (${STATUS_LABELS[state]})` : ''}
+                </span>
+                <button
+                  onClick={() =>
+                    dispatch('moveFeature', { id: feature.id, offset: -1 })
+                  }
+                  disabled={index === 0}
+                  title='Move up'
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() =>
+                    dispatch('moveFeature', { id: feature.id, offset: 1 })
+                  }
+                  disabled={index === features.length - 1}
+                  title='Move down'
+                >
+                  ▼
+                </button>
+                <button
+                  onClick={() =>
+                    dispatch('suppressFeature', {
+                      id: feature.id,
+                      suppressed: !feature.suppressed,
+                    })
+                  }
+                  title={feature.suppressed ? 'Unsuppress' : 'Suppress'}
+                >
+                  {feature.suppressed ? 'On' : 'Off'}
+                </button>
+                <button
+                  onClick={() =>
+                    dispatch('rollbackFeatures', { index: index + 1 })
+                  }
+                  title='Roll back to after this feature'
+                >
+                  ⤒
+                </button>
+                <button
+                  onClick={() => dispatch('deleteFeature', { id: feature.id })}
+                  title='Delete feature and its dependents'
+                >
+                  ×
+                </button>
+              </div>
+              {expanded && (
+                <FeatureParameters
+                  feature={feature}
+                  sketchNames={sketchNames}
+                />
+              )}
+            </div>
+          </React.Fragment>
+        );
+      })}
+      {rollbackIndex != null &&
+        markerIndex >= features.length &&
+        features.length > 0 &&
+        renderMarker()}
+    </div>
+  );
+}
@@ -1,13 +1,108 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './PropertiesPanel.css';
+import ExpressionInput from './ExpressionInput';
+import { evaluateExpression } from '../utils/expressionUtils';
+import {
+  useDocumentUnits,
+  formatLength,
+  formatArea,
+  formatVolume,
+  formatNumber,
+  parseLength,
+  parseAngle,
+} from '../utils/unitUtils';
 import {
   rebuildBoxGeometry,
   rebuildSphereGeometry,
   rebuildCylinderGeometry,
+  rebuildConeGeometry,
+  rebuildTorusGeometry,
+  rebuildWedgeGeometry,
+  rebuildPyramidGeometry,
+  rebuildTubeGeometry,
 } from '../utils/shapeUtils';
+import { DISPLAY_MODES } from '../utils/displayUtils';
+import { edgeLength } from '../utils/topologyUtils';
+import {
+  MATERIALS,
+  DEFAULT_DENSITY,
+  massProperties,
+  formatMass,
+  formatInertia,
+  formatBoxSize,
+} from '../utils/massUtils';
 
 export default function PropertiesPanel({ selectedEntity, selectedType }) {
   const [tick, setTick] = useState(0); // force local re-render after in-place geometry updates
+  const units = useDocumentUnits();
+
+  const [filletRadius, setFilletRadius] = useState(0.1);
+  const [chamferDistance, setChamferDistance] = useState(0.1);
+  const [chamferAngle, setChamferAngle] = useState(null); // null = equal distances
+
+  const dispatch = (name, detail) => {
+    window.dispatchEvent(new CustomEvent(name, { detail }));
+    setTick((t) => t + 1);
+  };
+
+  // Gizmo drags and keyboard moves change the shape in place
+  useEffect(() => {
+    const handleTransformed = () => setTick((t) => t + 1);
+    window.addEventListener('objectTransformed', handleTransformed);
+    return () =>
+      window.removeEventListener('objectTransformed', handleTransformed);
+  }, []);
+
+  // With nothing selected the panel shows the whole scene's mass properties
+  const [sceneMass, setSceneMass] = useState(null);
+  useEffect(() => {
+    const handleSceneMass = (e) => setSceneMass(e.detail);
+    window.addEventListener('sceneMassProperties', handleSceneMass);
+    return () =>
+      window.removeEventListener('sceneMassProperties', handleSceneMass);
+  }, []);
+  useEffect(() => {
+    if (!selectedEntity) {
+      window.dispatchEvent(new CustomEvent('requestSceneMassProperties'));
+    }
+  }, [selectedEntity]);
+
+  // One row per axis of position, rotation (degrees) or scale
+  const renderTransformRows = (property, vector) =>
+    ['x', 'y', 'z'].map((axis) => (
+      <div className='property-row' key={axis}>
+        <label>{axis.toUpperCase()}:</label>
+        {property === 'rotation' && (
+          <ExpressionInput
+            display={formatNumber((vector[axis] * 180) / Math.PI, units)}
+            unit='°'
+            parse={parseAngle}
+            onCommit={(value) =>
+              dispatch('setTransform', { property, axis, value })
+            }
+          />
+        )}
+        {property === 'position' && (
+          <ExpressionInput
+            display={formatLength(vector[axis], units, false)}
+            unit={units.unit}
+            parse={(text) => parseLength(text, units)}
+            onCommit={(value) =>
+              dispatch('setTransform', { property, axis, value })
+            }
+          />
+        )}
+        {property === 'scale' && (
+          <ExpressionInput
+            display={formatNumber(vector[axis], units)}
+            parse={(text) => evaluateExpression(text)}
+            onCommit={(value) =>
+              dispatch('setTransform', { property, axis, value })
+            }
+          />
+        )}
+      </div>
+    ));
 
   const parsePositive = (value, fallback) => {
     const v = parseFloat(value);
@@ -39,11 +134,147 @@ export default function PropertiesPanel({ selectedEntity, selectedType }) {
     setTick((t) => t + 1);
   };
 
+  const applyConeDims = (entity, next) => {
+    rebuildConeGeometry(
+      entity,
+      next.radiusBottom ?? entity.userData.radiusBottom ?? 0.5,
+      next.radiusTop ?? entity.userData.radiusTop ?? 0,
+      next.height ?? entity.userData.height ?? 1
+    );
+    setTick((t) => t + 1);
+  };
+
+  const applyTorusDims = (entity, next) => {
+    rebuildTorusGeometry(
+      entity,
+      next.radius ?? entity.userData.radius ?? 0.6,
+      next.tube ?? entity.userData.tube ?? 0.2
+    );
+    setTick((t) => t + 1);
+  };
+
+  // Wedges and pyramids are sized like boxes
+  const applyBlockDims = (entity, next) => {
+    const dims = entity.userData.dimensions || {
+      width: 1,
+      height: 1,
+      depth: 1,
+    };
+    const rebuild =
+      entity.userData.type === 'wedge'
+        ? rebuildWedgeGeometry
+        : rebuildPyramidGeometry;
+    rebuild(
+      entity,
+      next.width ?? dims.width,
+      next.height ?? dims.height,
+      next.depth ?? dims.depth
+    );
+    setTick((t) => t + 1);
+  };
+
+  const applyTubeDims = (entity, next) => {
+    rebuildTubeGeometry(
+      entity,
+      next.outerRadius ?? entity.userData.outerRadius ?? 0.5,
+      next.innerRadius ?? entity.userData.innerRadius ?? 0.3,
+      next.height ?? entity.userData.height ?? 1
+    );
+    setTick((t) => t + 1);
+  };
+
+  // Typed length no smaller than min, or null
+  const parseMinLength = (text, min) => {
+    const value = parseLength(text, units);
+    return value !== null && value >= min ? value : null;
+  };
+
+  // Length field in document units; min is in millimetres
+  const renderLengthInput = (value, min, onValue) => (
+    <ExpressionInput
+      display={formatLength(value, units, false)}
+      unit={units.unit}
+      parse={(text) => parseMinLength(text, min)}
+      onCommit={onValue}
+    />
+  );
+
+  // Field for one dimension of a primitive
+  const renderDimension = (label, value, min, onValue) => (
+    <div className='property-row' key={label}>
+      <label>{label}</label>
+      {renderLengthInput(value, min, onValue)}
+    </div>
+  );
+
+  // Volume, area, mass, centre of mass, bounding box and inertia tensor
+  // (about the centre of mass, world axes) from massProperties
+  const renderMassProperties = (mass) => {
+    if (!mass) {
+      return (
+        <div className='property-group'>
+          <h4>Mass Properties</h4>
+          <p className='no-selection'>No closed solids</p>
+        </div>
+      );
+    }
+    const { centroid, inertia } = mass;
+    return (
+      <div className='property-group'>
+        <h4>Mass Properties</h4>
+        {mass.open && (
+          <p className='mass-warning'>
+            Some surfaces are open; volume and mass are approximate
+          </p>
+        )}
+        <p>Volume: {formatVolume(mass.volume, units)}</p>
+        <p>Surface area: {formatArea(mass.area, units)}</p>
+        <p>Mass: {formatMass(mass.mass, units)}</p>
+        <p>Density: {formatNumber(mass.density, units)} g/cm³</p>
+        <p>Bounding box: {formatBoxSize(mass.box, units)}</p>
+        <p>Center of mass:</p>
+        {['x', 'y', 'z'].map((axis) => (
+          <div className='property-row' key={axis}>
+            <label>{axis.toUpperCase()}:</label>
+            <span>{formatLength(centroid[axis], units)}</span>
+          </div>
+        ))}
+        <p>Inertia at center of mass:</p>
+        {[
+          ['Ixx', inertia.xx],
+          ['Iyy', inertia.yy],
+          ['Izz', inertia.zz],
+          ['Ixy', inertia.xy],
+          ['Iyz', inertia.yz],
+          ['Izx', inertia.zx],
+        ].map(([label, value]) => (
+          <div className='property-row' key={label}>
+            <label>{label}:</label>
+            <span>{formatInertia(value, units)}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   if (!selectedEntity) {
     return (
       <div className='properties-panel'>
         <h3>Properties</h3>
         <p className='no-selection'>No selection</p>
+        <div className='properties-content scene-mass'>
+          {renderMassProperties(sceneMass)}
+          <button
+            className='btn-secondary'
+            onClick={() =>
+              window.dispatchEvent(
+                new CustomEvent('requestSceneMassProperties')
+              )
+            }
+          >
+            Recalculate Scene
+          </button>
+        </div>
       </div>
     );
   }
@@ -56,22 +287,74 @@ export default function PropertiesPanel({ selectedEntity, selectedType }) {
     const rotation = entity.rotation;
     const scale = entity.scale;
 
+    const len = (value) => formatLength(value ?? 0, units);
+    const box = (dims = {}) =>
+      `${formatLength(dims.width ?? 1, units, false)} × ${formatLength(
+        dims.height ?? 1,
+        units,
+        false
+      )} × ${len(dims.depth ?? 1)}`;
+
     let typeInfo = '';
     if (entity.userData.type === 'box') {
-      const dims = entity.userData.dimensions || {};
-      typeInfo = `Box (${dims.width?.toFixed(2) || 1} × ${
-        dims.height?.toFixed(2) || 1
-      } × ${dims.depth?.toFixed(2) || 1})`;
+      typeInfo = `Box (${box(entity.userData.dimensions)})`;
     } else if (entity.userData.type === 'sphere') {
-      typeInfo = `Sphere (r: ${entity.userData.radius?.toFixed(2) || 0.7})`;
+      typeInfo = `Sphere (r: ${len(entity.userData.radius ?? 0.7)})`;
     } else if (entity.userData.type === 'cylinder') {
-      typeInfo = `Cylinder (r: ${
-        entity.userData.radius?.toFixed(2) || 0.5
-      }, h: ${entity.userData.height?.toFixed(2) || 1})`;
+      typeInfo = `Cylinder (r: ${len(entity.userData.radius ?? 0.5)}, h: ${len(
+        entity.userData.height ?? 1
+      )})`;
+    } else if (entity.userData.type === 'cone') {
+      typeInfo = `Cone (r: ${len(entity.userData.radiusBottom)} → ${len(
+        entity.userData.radiusTop
+      )}, h: ${len(entity.userData.height)})`;
+    } else if (entity.userData.type === 'torus') {
+      typeInfo = `Torus (R: ${len(entity.userData.radius)}, r: ${len(
+        entity.userData.tube
+      )})`;
+    } else if (
+      entity.userData.type === 'wedge' ||
+      entity.userData.type === 'pyramid'
+    ) {
+      typeInfo = `${
+        entity.userData.type === 'wedge' ? 'Wedge' : 'Pyramid'
+      } (${box(entity.userData.dimensions)})`;
+    } else if (entity.userData.type === 'tube') {
+      typeInfo = `Tube (r: ${len(entity.userData.innerRadius)} – ${len(
+        entity.userData.outerRadius
+      )}, h: ${len(entity.userData.height)})`;
     } else if (entity.userData.type === 'extruded') {
-      typeInfo = `Extruded Shape (h: ${
-        entity.userData.extrusionHeight?.toFixed(2) || 2
-      })`;
+      typeInfo = `Extruded Shape (h: ${len(
+        entity.userData.extrusionHeight ?? 2
+      )})`;
+    } else if (entity.userData.type === 'revolved') {
+      typeInfo = `Revolved Shape (${entity.userData.revolveAngle ?? 360}°)`;
+    } else if (entity.userData.type === 'swept') {
+      typeInfo = 'Swept Shape';
+    } else if (entity.userData.type === 'lofted') {
+      typeInfo = `Lofted Shape (${
+        entity.userData.loftSections?.length || 0
+      } profiles)`;
+    } else if (entity.userData.type === 'boolean') {
+      typeInfo = `Boolean ${entity.userData.operation} (${
+        entity.userData.operands?.length || 0
+      } operands)`;
+    } else if (entity.userData.type === 'shell') {
+      typeInfo = `Shell (t: ${len(entity.userData.thickness)}, ${
+        entity.userData.openings?.length || 0
+      } openings)`;
+    } else if (entity.userData.type === 'mesh') {
+      typeInfo = `Mesh (${
+        entity.geometry.attributes.position.count / 3
+      } triangles)`;
+    } else if (entity.userData.type === 'pattern') {
+      const { kind, count } = entity.userData.pattern || {};
+      typeInfo =
+        kind === 'mirror'
+          ? 'Mirror'
+          : `${
+              kind === 'circular' ? 'Circular' : 'Linear'
+            } Pattern (${count}×)`;
     } else {
       typeInfo = 'Shape';
     }
@@ -86,148 +369,285 @@ export default function PropertiesPanel({ selectedEntity, selectedType }) {
         {entity.userData.type === 'box' && (
           <div className='property-group'>
             <h4>Dimensions</h4>
-            <div className='property-row'>
-              <label>Width</label>
-              <input
-                type='number'
-                min='0.01'
-                step='0.01'
-                value={entity.userData.dimensions?.width ?? 1}
-                onChange={(e) =>
-                  applyBoxDims(entity, {
-                    width: parsePositive(e.target.value, 1),
-                  })
-                }
-              />
-            </div>
-            <div className='property-row'>
-              <label>Height</label>
-              <input
-                type='number'
-                min='0.01'
-                step='0.01'
-                value={entity.userData.dimensions?.height ?? 1}
-                onChange={(e) =>
-                  applyBoxDims(entity, {
-                    height: parsePositive(e.target.value, 1),
-                  })
-                }
-              />
-            </div>
-            <div className='property-row'>
-              <label>Depth</label>
-              <input
-                type='number'
-                min='0.01'
-                step='0.01'
-                value={entity.userData.dimensions?.depth ?? 1}
-                onChange={(e) =>
-                  applyBoxDims(entity, {
-                    depth: parsePositive(e.target.value, 1),
-                  })
-                }
-              />
-            </div>
+            {['width', 'height', 'depth'].map((key) =>
+              renderDimension(
+                key[0].toUpperCase() + key.slice(1),
+                entity.userData.dimensions?.[key] ?? 1,
+                0.01,
+                (v) => applyBoxDims(entity, { [key]: v })
+              )
+            )}
           </div>
         )}
 
         {entity.userData.type === 'sphere' && (
           <div className='property-group'>
             <h4>Radius</h4>
-            <div className='property-row'>
-              <label>Radius</label>
-              <input
-                type='number'
-                min='0.01'
-                step='0.01'
-                value={entity.userData.radius ?? 0.7}
-                onChange={(e) =>
-                  applySphereRadius(entity, parsePositive(e.target.value, 0.7))
-                }
-              />
-            </div>
+            {renderDimension(
+              'Radius',
+              entity.userData.radius ?? 0.7,
+              0.01,
+              (v) => applySphereRadius(entity, v)
+            )}
           </div>
         )}
 
         {entity.userData.type === 'cylinder' && (
           <div className='property-group'>
             <h4>Dimensions</h4>
-            <div className='property-row'>
-              <label>Radius</label>
-              <input
-                type='number'
-                min='0.01'
-                step='0.01'
-                value={entity.userData.radius ?? 0.5}
-                onChange={(e) =>
-                  applyCylinderDims(entity, {
-                    radius: parsePositive(e.target.value, 0.5),
-                  })
-                }
-              />
-            </div>
-            <div className='property-row'>
-              <label>Height</label>
-              <input
-                type='number'
-                min='0.01'
-                step='0.01'
-                value={entity.userData.height ?? 1}
-                onChange={(e) =>
-                  applyCylinderDims(entity, {
-                    height: parsePositive(e.target.value, 1),
-                  })
-                }
-              />
-            </div>
+            {renderDimension(
+              'Radius',
+              entity.userData.radius ?? 0.5,
+              0.01,
+              (v) => applyCylinderDims(entity, { radius: v })
+            )}
+            {renderDimension('Height', entity.userData.height ?? 1, 0.01, (v) =>
+              applyCylinderDims(entity, { height: v })
+            )}
           </div>
         )}
 
-        <div className='property-group'>
-          <h4>Position</h4>
-          <div className='property-row'>
-            <label>X:</label>
-            <span>{position.x.toFixed(3)}</span>
+        {entity.userData.type === 'cone' && (
+          <div className='property-group'>
+            <h4>Dimensions</h4>
+            {renderDimension(
+              'Bottom radius',
+              entity.userData.radiusBottom ?? 0.5,
+              0,
+              (v) => applyConeDims(entity, { radiusBottom: v })
+            )}
+            {renderDimension(
+              'Top radius',
+              entity.userData.radiusTop ?? 0,
+              0,
+              (v) => applyConeDims(entity, { radiusTop: v })
+            )}
+            {renderDimension('Height', entity.userData.height ?? 1, 0.01, (v) =>
+              applyConeDims(entity, { height: v })
+            )}
           </div>
-          <div className='property-row'>
-            <label>Y:</label>
-            <span>{position.y.toFixed(3)}</span>
+        )}
+
+        {entity.userData.type === 'torus' && (
+          <div className='property-group'>
+            <h4>Dimensions</h4>
+            {renderDimension(
+              'Ring radius',
+              entity.userData.radius ?? 0.6,
+              0.01,
+              (v) => applyTorusDims(entity, { radius: v })
+            )}
+            {renderDimension(
+              'Tube radius',
+              entity.userData.tube ?? 0.2,
+              0.01,
+              (v) => applyTorusDims(entity, { tube: v })
+            )}
           </div>
-          <div className='property-row'>
-            <label>Z:</label>
-            <span>{position.z.toFixed(3)}</span>
+        )}
+
+        {(entity.userData.type === 'wedge' ||
+          entity.userData.type === 'pyramid') && (
+          <div className='property-group'>
+            <h4>Dimensions</h4>
+            {['width', 'height', 'depth'].map((key) =>
+              renderDimension(
+                key[0].toUpperCase() + key.slice(1),
+                entity.userData.dimensions?.[key] ?? 1,
+                0.01,
+                (v) => applyBlockDims(entity, { [key]: v })
+              )
+            )}
           </div>
+        )}
+
+        {entity.userData.type === 'tube' && (
+          <div className='property-group'>
+            <h4>Dimensions</h4>
+            {renderDimension(
+              'Outer radius',
+              entity.userData.outerRadius ?? 0.5,
+              0.01,
+              (v) => applyTubeDims(entity, { outerRadius: v })
+            )}
+            {renderDimension(
+              'Inner radius',
+              entity.userData.innerRadius ?? 0.3,
+              0.01,
+              (v) => applyTubeDims(entity, { innerRadius: v })
+            )}
+            {renderDimension('Height', entity.userData.height ?? 1, 0.01, (v) =>
+              applyTubeDims(entity, { height: v })
+            )}
+          </div>
+        )}
+
+        {entity.userData.type === 'pattern' &&
+          entity.userData.pattern.kind !== 'mirror' && (
+            <div className='property-group'>
+              <h4>Pattern</h4>
+              <div className='property-row'>
+                <label>Count</label>
+                <input
+                  type='number'
+                  min='1'
+                  step='1'
+                  value={entity.userData.pattern.count}
+                  onChange={(e) =>
+                    dispatch('updatePattern', {
+                      changes: { count: parseInt(e.target.value, 10) },
+                    })
+                  }
+                />
+              </div>
+              {entity.userData.pattern.kind === 'linear' ? (
+                <div className='property-row'>
+                  <label>Spacing</label>
+                  {renderLengthInput(
+                    entity.userData.pattern.spacing,
+                    -Infinity,
+                    (spacing) =>
+                      dispatch('updatePattern', { changes: { spacing } })
+                  )}
+                </div>
+              ) : (
+                <div className='property-row'>
+                  <label>Angle</label>
+                  <input
+                    type='number'
+                    min='1'
+                    max='360'
+                    step='15'
+                    value={entity.userData.pattern.angle}
+                    onChange={(e) =>
+                      dispatch('updatePattern', {
+                        changes: { angle: parseFloat(e.target.value) },
+                      })
+                    }
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+        <div className='property-group'>
+          <h4>Position</h4>
+          {renderTransformRows('position', position)}
         </div>
         <div className='property-group'>
           <h4>Rotation</h4>
-          <div className='property-row'>
-            <label>X:</label>
-            <span>{((rotation.x * 180) / Math.PI).toFixed(1)}°</span>
-          </div>
-          <div className='property-row'>
-            <label>Y:</label>
-            <span>{((rotation.y * 180) / Math.PI).toFixed(1)}°</span>
-          </div>
-          <div className='property-row'>
-            <label>Z:</label>
-            <span>{((rotation.z * 180) / Math.PI).toFixed(1)}°</span>
-          </div>
+          {renderTransformRows('rotation', rotation)}
         </div>
         <div className='property-group'>
           <h4>Scale</h4>
-          <div className='property-row'>
-            <label>X:</label>
-            <span>{scale.x.toFixed(3)}</span>
+          {renderTransformRows('scale', scale)}
+        </div>
+        {entity.userData.edgeTreatments?.length > 0 && (
+          <div className='property-group edge-treatments'>
+            <h4>Fillets &amp; Chamfers</h4>
+            {entity.userData.edgeTreatments.map((treatment, index) => {
+              const failed =
+                entity.userData.failedEdgeTreatments?.includes(index);
+              const key = treatment.kind === 'fillet' ? 'radius' : 'distance';
+              return (
+                <div className='property-row' key={index}>
+                  <label title={failed ? 'Could not be applied' : ''}>
+                    {treatment.kind === 'fillet' ? 'Fillet R' : 'Chamfer'} ×
+                    {treatment.edges.length}
+                    {failed ? ' (failed)' : ''}
+                  </label>
+                  {renderLengthInput(treatment[key], 0.001, (value) =>
+                    dispatch('updateEdgeTreatment', {
+                      index,
+                      changes: { [key]: value },
+                    })
+                  )}
+                  {treatment.kind === 'chamfer' && treatment.angle != null && (
+                    <span>{treatment.angle}°</span>
+                  )}
+                  <button
+                    onClick={() => dispatch('removeEdgeTreatment', { index })}
+                    title='Remove'
+                  >
+                    ×
+                  </button>
+                </div>
+              );
+            })}
           </div>
+        )}
+        <div className='property-group'>
+          <h4>Display</h4>
           <div className='property-row'>
-            <label>Y:</label>
-            <span>{scale.y.toFixed(3)}</span>
+            <label>Mode:</label>
+            <select
+              value={entity.userData.displayMode || ''}
+              onChange={(e) =>
+                dispatch('setObjectDisplayMode', {
+                  mode: e.target.value || null,
+                })
+              }
+            >
+              <option value=''>Scene default</option>
+              {Object.entries(DISPLAY_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
           </div>
+        </div>
+        <div className='property-group'>
+          <h4>Material</h4>
           <div className='property-row'>
-            <label>Z:</label>
-            <span>{scale.z.toFixed(3)}</span>
+            <label>Material:</label>
+            <select
+              value={entity.userData.material || ''}
+              onChange={(e) => {
+                const name = e.target.value;
+                dispatch(
+                  'setObjectMaterial',
+                  name
+                    ? {
+                        name,
+                        density:
+                          MATERIALS[name]?.density ??
+                          entity.userData.density ??
+                          DEFAULT_DENSITY,
+                      }
+                    : null
+                );
+              }}
+            >
+              <option value=''>
+                {entity.parent?.isGroup ? 'From group' : 'Default'}
+              </option>
+              {Object.entries(MATERIALS).map(([name, { label }]) => (
+                <option key={name} value={name}>
+                  {label}
+                </option>
+              ))}
+              <option value='custom'>Custom</option>
+            </select>
           </div>
+          {entity.userData.material === 'custom' && (
+            <div className='property-row'>
+              <label>Density:</label>
+              <ExpressionInput
+                display={formatNumber(entity.userData.density, units)}
+                unit='g/cm³'
+                parse={(text) => {
+                  const value = evaluateExpression(text);
+                  return value > 0 ? value : null;
+                }}
+                onCommit={(density) =>
+                  dispatch('setObjectMaterial', { name: 'custom', density })
+                }
+              />
+            </div>
+          )}
         </div>
+        {renderMassProperties(massProperties([entity]))}
         {entity.userData.faces && (
           <div className='property-group'>
             <h4>Geometry</h4>
@@ -249,36 +669,51 @@ export default function PropertiesPanel({ selectedEntity, selectedType }) {
       <div className='properties-content'>
         <div className='property-group'>
           <h4>Face</h4>
-          <p>Area: {face.area?.toFixed(4) || 'N/A'}</p>
+          {face.type && <p>Type: {face.type}</p>}
+          <p>
+            Area: {face.area != null ? formatArea(face.area, units) : 'N/A'}
+          </p>
+          {face.radius != null && (
+            <p>Radius: {formatLength(face.radius, units)}</p>
+          )}
+          {face.halfAngle != null && (
+            <p>
+              Half angle:{' '}
+              {formatNumber((face.halfAngle * 180) / Math.PI, units)}°
+            </p>
+          )}
+          {face.loops && <p>Boundary loops: {face.loops.length}</p>}
         </div>
-        <div className='property-group'>
-          <h4>Normal</h4>
-          <div className='property-row'>
-            <label>X:</label>
-            <span>{normal.x.toFixed(3)}</span>
-          </div>
-          <div className='property-row'>
-            <label>Y:</label>
-            <span>{normal.y.toFixed(3)}</span>
-          </div>
-          <div className='property-row'>
-            <label>Z:</label>
-            <span>{normal.z.toFixed(3)}</span>
+        {(!face.type || face.type === 'planar') && (
+          <div className='property-group'>
+            <h4>Normal</h4>
+            <div className='property-row'>
+              <label>X:</label>
+              <span>{formatNumber(normal.x, units)}</span>
+            </div>
+            <div className='property-row'>
+              <label>Y:</label>
+              <span>{formatNumber(normal.y, units)}</span>
+            </div>
+            <div className='property-row'>
+              <label>Z:</label>
+              <span>{formatNumber(normal.z, units)}</span>
+            </div>
           </div>
-        </div>
+        )}
         <div className='property-group'>
           <h4>Center</h4>
           <div className='property-row'>
             <label>X:</label>
-            <span>{face.center.x.toFixed(3)}</span>
+            <span>{formatLength(face.center.x, units)}</span>
           </div>
           <div className='property-row'>
             <label>Y:</label>
-            <span>{face.center.y.toFixed(3)}</span>
+            <span>{formatLength(face.center.y, units)}</span>
           </div>
           <div className='property-row'>
             <label>Z:</label>
-            <span>{face.center.z.toFixed(3)}</span>
+            <span>{formatLength(face.center.z, units)}</span>
           </div>
         </div>
       </div>
@@ -289,44 +724,106 @@ export default function PropertiesPanel({ selectedEntity, selectedType }) {
     if (selectedType !== 'edge') return null;
 
     const edge = selectedEntity;
-    const length = edge.start.distanceTo(edge.end);
+    const length = edgeLength(edge);
+    const point = (title, p) => (
+      <div className='property-group'>
+        <h4>{title}</h4>
+        <div className='property-row'>
+          <label>X:</label>
+          <span>{formatLength(p.x, units)}</span>
+        </div>
+        <div className='property-row'>
+          <label>Y:</label>
+          <span>{formatLength(p.y, units)}</span>
+        </div>
+        <div className='property-row'>
+          <label>Z:</label>
+          <span>{formatLength(p.z, units)}</span>
+        </div>
+      </div>
+    );
 
     return (
       <div className='properties-content'>
         <div className='property-group'>
           <h4>Edge</h4>
-          <p>Length: {length.toFixed(4)}</p>
-        </div>
-        <div className='property-group'>
-          <h4>Start</h4>
-          <div className='property-row'>
-            <label>X:</label>
-            <span>{edge.start.x.toFixed(3)}</span>
-          </div>
-          <div className='property-row'>
-            <label>Y:</label>
-            <span>{edge.start.y.toFixed(3)}</span>
-          </div>
-          <div className='property-row'>
-            <label>Z:</label>
-            <span>{edge.start.z.toFixed(3)}</span>
-          </div>
+          {edge.type && <p>Type: {edge.type}</p>}
+          <p>Length: {formatLength(length, units)}</p>
+          {edge.radius != null && (
+            <>
+              <p>Radius: {formatLength(edge.radius, units)}</p>
+              <p>Diameter: {formatLength(edge.radius * 2, units)}</p>
+            </>
+          )}
+          {edge.type === 'arc' && (
+            <p>Angle: {formatNumber((edge.angle * 180) / Math.PI, units)}°</p>
+          )}
         </div>
-        <div className='property-group'>
-          <h4>End</h4>
-          <div className='property-row'>
-            <label>X:</label>
-            <span>{edge.end.x.toFixed(3)}</span>
-          </div>
-          <div className='property-row'>
-            <label>Y:</label>
-            <span>{edge.end.y.toFixed(3)}</span>
-          </div>
-          <div className='property-row'>
-            <label>Z:</label>
-            <span>{edge.end.z.toFixed(3)}</span>
+        {['box', 'extruded'].includes(edge.parentObject?.userData.type) && (
+          <div className='property-group edge-treatments'>
+            <h4>Fillet / Chamfer</h4>
+            <p className='hint'>
+              Shift+click more edges of this body to include them
+            </p>
+            <div className='property-row'>
+              <label>Radius</label>
+              {renderLengthInput(filletRadius, 0.001, setFilletRadius)}
+              <button
+                onClick={() =>
+                  dispatch('edgeTreatment', {
+                    kind: 'fillet',
+                    radius: filletRadius,
+                  })
+                }
+              >
+                Fillet
+              </button>
+            </div>
+            <div className='property-row'>
+              <label>Distance</label>
+              {renderLengthInput(chamferDistance, 0.001, setChamferDistance)}
+              <button
+                onClick={() =>
+                  dispatch('edgeTreatment', {
+                    kind: 'chamfer',
+                    distance: chamferDistance,
+                    angle: chamferAngle,
+                  })
+                }
+              >
+                Chamfer
+              </button>
+            </div>
+            <div className='property-row'>
+              <label>
+                <input
+                  type='checkbox'
+                  checked={chamferAngle != null}
+                  onChange={(e) =>
+                    setChamferAngle(e.target.checked ? 45 : null)
+                  }
+                />{' '}
+                Angle
+              </label>
+              <input
+                type='number'
+                min='1'
+                max='179'
+                step='1'
+                disabled={chamferAngle == null}
+                value={chamferAngle ?? 45}
+                onChange={(e) =>
+                  setChamferAngle(parsePositive(e.target.value, chamferAngle))
+                }
+              />
+            </div>
           </div>
-        </div>
+        )}
+        {edge.type === 'circle'
+          ? point('Center', edge.center)
+          : point('Start', edge.start)}
+        {edge.type === 'arc' && point('Center', edge.center)}
+        {edge.type !== 'circle' && point('End', edge.end)}
       </div>
     );
   };
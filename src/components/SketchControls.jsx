@@ -1,8 +1,397 @@
 import React, { useState, useEffect } from 'react';
+import { isSketchClosed, segmentsFromSketch } from '../utils/sketchUtils';
+import { CONSTRAINT_TYPES } from '../utils/constraintSolver';
+import ExpressionInput from './ExpressionInput';
+import {
+  useDocumentUnits,
+  formatLength,
+  formatNumber,
+  parseLength,
+  parseAngle,
+} from '../utils/unitUtils';
+
+const SOLVE_STATUS_STYLES = {
+  fully: { color: '#4caf50', label: 'Fully constrained' },
+  under: { color: '#e0b341', label: 'Under-constrained' },
+  over: { color: '#e05555', label: 'Over-constrained' },
+};
+
+const inputStyle = {
+  padding: '4px',
+  background: '#2f2f2f',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  color: '#fff',
+  fontSize: 11,
+};
+
+const EXTENT_OPTIONS = [
+  { value: 'blind', label: 'Blind' },
+  { value: 'symmetric', label: 'Symmetric' },
+  { value: 'twoSided', label: 'Two-sided' },
+  { value: 'face', label: 'Up to selected face' },
+  { value: 'next', label: 'Up to next face' },
+];
+
+// Parser for typed lengths of at least min (millimetres)
+function lengthAtLeast(min, units) {
+  return (text) => {
+    const value = parseLength(text, units);
+    return value !== null && value >= min ? value : null;
+  };
+}
+
+// Dimension values are lengths except for angles, which are in degrees
+function parseDimension(type, text, units) {
+  return type === 'angle' ? parseAngle(text) : parseLength(text, units);
+}
+
+function segmentLabel(segment, index) {
+  const prefix =
+    segment.type === 'arc' ? 'A' : segment.type === 'circle' ? 'C' : 'L';
+  return `${prefix}${index + 1}`;
+}
+
+function refLabel(segments, ref) {
+  const segment = segments[ref.seg];
+  if (!segment) return '?';
+  const base = segmentLabel(segment, ref.seg);
+  return ref.point ? `${base}.${ref.point}` : base;
+}
+
+// Entities that can fill a constraint slot of the given kind
+function refOptions(segments, kind) {
+  const options = [];
+  segments.forEach((segment, seg) => {
+    if (kind === 'point') {
+      const points =
+        segment.type === 'circle'
+          ? ['center']
+          : segment.type === 'arc'
+          ? ['start', 'end', 'center']
+          : ['start', 'end'];
+      points.forEach((point) => options.push({ seg, point }));
+    } else if (
+      kind === 'segment' ||
+      (kind === 'line' && segment.type === 'line') ||
+      (kind === 'round' && segment.type !== 'line')
+    ) {
+      options.push({ seg });
+    }
+  });
+  return options;
+}
+
+function describeConstraint(segments, constraint) {
+  const def = CONSTRAINT_TYPES[constraint.type];
+  const refs = (constraint.refs || [])
+    .map((ref) => refLabel(segments, ref))
+    .join(', ');
+  return `${def ? def.label : constraint.type} (${refs})`;
+}
+
+function ConstraintEditor({ index, sketch }) {
+  const [type, setType] = useState('coincident');
+  const [picks, setPicks] = useState([]);
+  const [value, setValue] = useState('');
+  const units = useDocumentUnits();
+  const segments = segmentsFromSketch(sketch);
+  const constraints = sketch.constraints || [];
+  const def = CONSTRAINT_TYPES[type];
+  const status = SOLVE_STATUS_STYLES[sketch.solveStatus?.status];
+
+  const slotOptions = def.refs.map((kind) => refOptions(segments, kind));
+  const selectedRefs = slotOptions.map(
+    (options, slot) => options[picks[slot] ?? slot] || options[0]
+  );
+  const canAdd = selectedRefs.every(Boolean);
+
+  const addConstraint = () => {
+    if (!canAdd) return;
+    const parsed = value.trim() ? parseDimension(type, value, units) : null;
+    window.dispatchEvent(
+      new CustomEvent('addSketchConstraint', {
+        detail: {
+          index,
+          constraint: {
+            type,
+            refs: selectedRefs,
+            value: def.dimension && parsed !== null ? parsed : undefined,
+          },
+        },
+      })
+    );
+    setValue('');
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+      {status && (
+        <span style={{ fontSize: 11, color: status.color }}>
+          {status.label}
+          {sketch.solveStatus.status === 'under'
+            ? ` (${sketch.solveStatus.dof} DOF)`
+            : ''}
+        </span>
+      )}
+
+      {constraints.map((constraint, constraintIndex) => (
+        <div
+          key={constraintIndex}
+          style={{ display: 'flex', alignItems: 'center', gap: 6 }}
+        >
+          <span style={{ flex: 1, fontSize: 11, color: '#ccc' }}>
+            {describeConstraint(segments, constraint)}
+          </span>
+          {CONSTRAINT_TYPES[constraint.type]?.dimension && (
+            <ExpressionInput
+              display={
+                constraint.type === 'angle'
+                  ? formatNumber(constraint.value ?? 0, units)
+                  : formatLength(constraint.value ?? 0, units, false)
+              }
+              unit={constraint.type === 'angle' ? '°' : units.unit}
+              parse={(text) => parseDimension(constraint.type, text, units)}
+              onCommit={(next) =>
+                window.dispatchEvent(
+                  new CustomEvent('updateSketchConstraint', {
+                    detail: { index, constraintIndex, value: next },
+                  })
+                )
+              }
+              style={{ ...inputStyle, width: 56 }}
+            />
+          )}
+          <button
+            onClick={() =>
+              window.dispatchEvent(
+                new CustomEvent('removeSketchConstraint', {
+                  detail: { index, constraintIndex },
+                })
+              )
+            }
+            title='Remove constraint'
+            style={{
+              padding: '2px 6px',
+              background: '#555',
+              border: 'none',
+              borderRadius: '4px',
+              color: '#fff',
+              cursor: 'pointer',
+              fontSize: 11,
+            }}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+        <select
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setPicks([]);
+          }}
+          style={inputStyle}
+        >
+          {Object.entries(CONSTRAINT_TYPES).map(([key, entry]) => (
+            <option key={key} value={key}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+        {slotOptions.map((options, slot) => (
+          <select
+            key={slot}
+            value={options.indexOf(selectedRefs[slot])}
+            onChange={(e) => {
+              const next = [...picks];
+              next[slot] = parseInt(e.target.value, 10);
+              setPicks(next);
+            }}
+            style={inputStyle}
+          >
+            {options.map((ref, i) => (
+              <option key={i} value={i}>
+                {refLabel(segments, ref)}
+              </option>
+            ))}
+          </select>
+        ))}
+        {def.dimension && (
+          <input
+            type='text'
+            placeholder={
+              type === 'angle' ? 'current °' : `current ${units.unit}`
+            }
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            style={{ ...inputStyle, width: 56 }}
+          />
+        )}
+        <button
+          onClick={addConstraint}
+          disabled={!canAdd}
+          style={{
+            padding: '4px 8px',
+            background: canAdd ? '#2194ce' : '#555',
+            border: 'none',
+            borderRadius: '4px',
+            color: '#fff',
+            cursor: canAdd ? 'pointer' : 'default',
+            fontSize: 11,
+          }}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function describeSketch(sketch) {
+  if (sketch.type === 'rectangle') {
+    return `Rectangle (${formatLength(
+      sketch.width ?? 0,
+      undefined,
+      false
+    )} × ${formatLength(sketch.height ?? 0)})`;
+  }
+  if (sketch.type === 'circle') {
+    return `Circle (r: ${formatLength(sketch.radius ?? 0)})`;
+  }
+  const count = sketch.segments?.length || 0;
+  const arcs = sketch.segments?.filter((s) => s.type === 'arc').length || 0;
+  return `Profile (${count} segment${count === 1 ? '' : 's'}${
+    arcs ? `, ${arcs} arc${arcs === 1 ? '' : 's'}` : ''
+  })`;
+}
+
+// Axis picker and Revolve button of a closed sketch. Axis values are
+// 'world:X', 'line:<segment index>' or 'edge' (the selected edge).
+function RevolveControls({ index, sketch, angle }) {
+  const [axis, setAxis] = useState('world:X');
+  const lines = segmentsFromSketch(sketch)
+    .map((segment, seg) => ({ segment, seg }))
+    .filter(({ segment }) => segment.type === 'line');
+
+  const revolve = () => {
+    const [kind, value] = axis.split(':');
+    const detail =
+      kind === 'line'
+        ? { kind: 'sketchLine', seg: parseInt(value, 10) }
+        : kind === 'world'
+        ? { kind: 'world', name: value }
+        : { kind: 'edge' };
+    window.dispatchEvent(
+      new CustomEvent('revolve', { detail: { index, angle, axis: detail } })
+    );
+  };
+
+  return (
+    <div
+      style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 8 }}
+    >
+      <span style={{ fontSize: 11, color: '#bbb' }}>Axis</span>
+      <select
+        value={axis}
+        onChange={(e) => setAxis(e.target.value)}
+        style={{ ...inputStyle, flex: 1 }}
+      >
+        <option value='world:X'>World X</option>
+        <option value='world:Y'>World Y</option>
+        <option value='world:Z'>World Z</option>
+        <option value='edge'>Selected edge</option>
+        {lines.map(({ segment, seg }) => (
+          <option key={seg} value={`line:${seg}`}>
+            Line {segmentLabel(segment, seg)}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={revolve}
+        style={{
+          padding: '4px 8px',
+          background: '#2194ce',
+          border: 'none',
+          borderRadius: '4px',
+          color: '#fff',
+          cursor: 'pointer',
+          fontSize: '11px',
+        }}
+      >
+        Revolve
+      </button>
+    </div>
+  );
+}
+
+// Path picker and Sweep button of a closed sketch; any other sketch (open
+// ones included) can be the path
+function SweepControls({ index, sketches }) {
+  const [pathIndex, setPathIndex] = useState(null);
+  const paths = sketches
+    .map((sketch, i) => ({ sketch, i }))
+    .filter(({ i }) => i !== index);
+  if (paths.length === 0) return null;
+  const selected = paths.some(({ i }) => i === pathIndex)
+    ? pathIndex
+    : paths[0].i;
+
+  return (
+    <div
+      style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 8 }}
+    >
+      <span style={{ fontSize: 11, color: '#bbb' }}>Path</span>
+      <select
+        value={selected}
+        onChange={(e) => setPathIndex(parseInt(e.target.value, 10))}
+        style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+      >
+        {paths.map(({ sketch, i }) => (
+          <option key={i} value={i}>
+            #{i + 1} {describeSketch(sketch)}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={() =>
+          window.dispatchEvent(
+            new CustomEvent('sweep', {
+              detail: { index, pathIndex: selected },
+            })
+          )
+        }
+        style={{
+          padding: '4px 8px',
+          background: '#2194ce',
+          border: 'none',
+          borderRadius: '4px',
+          color: '#fff',
+          cursor: 'pointer',
+          fontSize: '11px',
+        }}
+      >
+        Sweep
+      </button>
+    </div>
+  );
+}
 
 export default function SketchControls() {
   const [sketches, setSketches] = useState([]);
   const [extrusionHeight, setExtrusionHeight] = useState(2);
+  const [extrusionOptions, setExtrusionOptions] = useState({
+    operation: 'add',
+    extent: 'blind',
+    reverse: false,
+    depth2: 1,
+  });
+  const [revolveAngle, setRevolveAngle] = useState(360);
+  // Sketch indices picked for a loft, in pick order
+  const [loftPicks, setLoftPicks] = useState([]);
+  const units = useDocumentUnits();
 
   useEffect(() => {
     const sketchesUpdatedHandler = (e) => {
@@ -18,11 +407,32 @@ export default function SketchControls() {
   const handleExtrude = (index) => {
     window.dispatchEvent(
       new CustomEvent('extrude', {
-        detail: { index, height: extrusionHeight },
+        detail: { index, height: extrusionHeight, options: extrusionOptions },
       })
     );
   };
 
+  const loftSections = loftPicks.filter(
+    (i) => sketches[i] && isSketchClosed(sketches[i])
+  );
+
+  const toggleLoftPick = (index) =>
+    setLoftPicks((picks) =>
+      picks.includes(index)
+        ? picks.filter((i) => i !== index)
+        : [...picks, index]
+    );
+
+  const handleLoft = () => {
+    window.dispatchEvent(
+      new CustomEvent('loft', { detail: { indices: loftSections } })
+    );
+    setLoftPicks([]);
+  };
+
+  const setExtrusionOption = (partial) =>
+    setExtrusionOptions((options) => ({ ...options, ...partial }));
+
   const updateSketch = (index, partial) => {
     window.dispatchEvent(
       new CustomEvent('updateSketch', {
@@ -56,12 +466,11 @@ export default function SketchControls() {
         >
           Extrusion Height:
         </label>
-        <input
-          type='number'
-          value={extrusionHeight}
-          onChange={(e) => setExtrusionHeight(parseFloat(e.target.value) || 2)}
-          min='0.1'
-          step='0.1'
+        <ExpressionInput
+          display={formatLength(extrusionHeight, units, false)}
+          unit={units.unit}
+          parse={lengthAtLeast(0.1, units)}
+          onCommit={setExtrusionHeight}
           style={{
             width: '100%',
             padding: '6px',
@@ -71,6 +480,103 @@ export default function SketchControls() {
             color: '#fff',
           }}
         />
+        <div
+          style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            gap: 6,
+            marginTop: 6,
+            fontSize: 11,
+            alignItems: 'center',
+          }}
+        >
+          <select
+            value={extrusionOptions.operation}
+            onChange={(e) => setExtrusionOption({ operation: e.target.value })}
+            style={inputStyle}
+            title='Add material or cut it from the bodies the extrusion hits'
+          >
+            <option value='add'>Add</option>
+            <option value='cut'>Cut</option>
+          </select>
+          <select
+            value={extrusionOptions.extent}
+            onChange={(e) => setExtrusionOption({ extent: e.target.value })}
+            style={inputStyle}
+          >
+            {EXTENT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <label>
+            <input
+              type='checkbox'
+              checked={extrusionOptions.reverse}
+              onChange={(e) =>
+                setExtrusionOption({ reverse: e.target.checked })
+              }
+            />{' '}
+            Flip
+          </label>
+          {extrusionOptions.extent === 'twoSided' && (
+            <label>
+              Depth 2:{' '}
+              <ExpressionInput
+                display={formatLength(extrusionOptions.depth2, units, false)}
+                unit={units.unit}
+                parse={lengthAtLeast(0, units)}
+                onCommit={(depth2) => setExtrusionOption({ depth2 })}
+                style={{ ...inputStyle, width: 50 }}
+              />
+            </label>
+          )}
+        </div>
+        <label
+          style={{
+            display: 'block',
+            margin: '8px 0 4px 0',
+            fontSize: '12px',
+          }}
+        >
+          Revolve Angle (°):
+        </label>
+        <input
+          type='number'
+          value={revolveAngle}
+          onChange={(e) => {
+            const angle = parseFloat(e.target.value);
+            setRevolveAngle(
+              Number.isFinite(angle) && angle !== 0
+                ? Math.max(-360, Math.min(360, angle))
+                : 360
+            );
+          }}
+          min='-360'
+          max='360'
+          step='15'
+          style={{ ...inputStyle, width: '100%', padding: '6px' }}
+        />
+        <button
+          onClick={handleLoft}
+          disabled={loftSections.length < 2}
+          title='Tick "Loft" on two or more profiles on parallel planes, in order'
+          style={{
+            width: '100%',
+            marginTop: 8,
+            padding: '6px',
+            background: loftSections.length < 2 ? '#555' : '#2194ce',
+            border: 'none',
+            borderRadius: '4px',
+            color: '#fff',
+            cursor: loftSections.length < 2 ? 'default' : 'pointer',
+            fontSize: '11px',
+          }}
+        >
+          Loft {loftSections.length} profile
+          {loftSections.length === 1 ? '' : 's'}
+        </button>
       </div>
       <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
         {sketches.map((sketch, index) => (
@@ -92,31 +598,53 @@ export default function SketchControls() {
                 marginBottom: 8,
               }}
             >
-              <span style={{ fontSize: '12px' }}>
-                {sketch.type === 'rectangle'
-                  ? `Rectangle (${sketch.width?.toFixed(2) || 0} × ${
-                      sketch.height?.toFixed(2) || 0
-                    })`
-                  : `Circle (r: ${sketch.radius?.toFixed(2) || 0})`}
-              </span>
-              <button
-                onClick={() => handleExtrude(index)}
-                style={{
-                  padding: '4px 8px',
-                  background: '#2194ce',
-                  border: 'none',
-                  borderRadius: '4px',
-                  color: '#fff',
-                  cursor: 'pointer',
-                  fontSize: '11px',
-                }}
-              >
-                Extrude
-              </button>
+              <span style={{ fontSize: '12px' }}>{describeSketch(sketch)}</span>
+              {isSketchClosed(sketch) ? (
+                <button
+                  onClick={() => handleExtrude(index)}
+                  style={{
+                    padding: '4px 8px',
+                    background: '#2194ce',
+                    border: 'none',
+                    borderRadius: '4px',
+                    color: '#fff',
+                    cursor: 'pointer',
+                    fontSize: '11px',
+                  }}
+                >
+                  Extrude
+                </button>
+              ) : (
+                <span style={{ fontSize: '11px', color: '#999' }}>
+                  Construction
+                </span>
+              )}
             </div>
 
+            {isSketchClosed(sketch) && (
+              <>
+                <RevolveControls
+                  index={index}
+                  sketch={sketch}
+                  angle={revolveAngle}
+                />
+                <SweepControls index={index} sketches={sketches} />
+                <label style={{ fontSize: 11, marginBottom: 8 }}>
+                  <input
+                    type='checkbox'
+                    checked={loftSections.includes(index)}
+                    onChange={() => toggleLoftPick(index)}
+                  />{' '}
+                  Loft
+                  {loftSections.includes(index)
+                    ? ` (section ${loftSections.indexOf(index) + 1})`
+                    : ''}
+                </label>
+              </>
+            )}
+
             {sketch.type === 'rectangle' ? (
-              <div style={{ display: 'flex', gap: 8 }}>
+              <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
                 <div style={{ flex: 1 }}>
                   <label
                     style={{
@@ -128,16 +656,11 @@ export default function SketchControls() {
                   >
                     Width
                   </label>
-                  <input
-                    type='number'
-                    min='0.1'
-                    step='0.1'
-                    value={sketch.width ?? 0}
-                    onChange={(e) =>
-                      updateSketch(index, {
-                        width: Math.max(0.1, parseFloat(e.target.value) || 0),
-                      })
-                    }
+                  <ExpressionInput
+                    display={formatLength(sketch.width ?? 0, units, false)}
+                    unit={units.unit}
+                    parse={lengthAtLeast(0.1, units)}
+                    onCommit={(width) => updateSketch(index, { width })}
                     style={{
                       width: '100%',
                       padding: '6px',
@@ -159,16 +682,11 @@ export default function SketchControls() {
                   >
                     Height
                   </label>
-                  <input
-                    type='number'
-                    min='0.1'
-                    step='0.1'
-                    value={sketch.height ?? 0}
-                    onChange={(e) =>
-                      updateSketch(index, {
-                        height: Math.max(0.1, parseFloat(e.target.value) || 0),
-                      })
-                    }
+                  <ExpressionInput
+                    display={formatLength(sketch.height ?? 0, units, false)}
+                    unit={units.unit}
+                    parse={lengthAtLeast(0.1, units)}
+                    onCommit={(height) => updateSketch(index, { height })}
                     style={{
                       width: '100%',
                       padding: '6px',
@@ -180,8 +698,8 @@ export default function SketchControls() {
                   />
                 </div>
               </div>
-            ) : (
-              <div>
+            ) : sketch.type === 'circle' ? (
+              <div style={{ marginBottom: 8 }}>
                 <label
                   style={{
                     display: 'block',
@@ -192,16 +710,11 @@ export default function SketchControls() {
                 >
                   Radius
                 </label>
-                <input
-                  type='number'
-                  min='0.1'
-                  step='0.1'
-                  value={sketch.radius ?? 0}
-                  onChange={(e) =>
-                    updateSketch(index, {
-                      radius: Math.max(0.1, parseFloat(e.target.value) || 0),
-                    })
-                  }
+                <ExpressionInput
+                  display={formatLength(sketch.radius ?? 0, units, false)}
+                  unit={units.unit}
+                  parse={lengthAtLeast(0.1, units)}
+                  onCommit={(radius) => updateSketch(index, { radius })}
                   style={{
                     width: '100%',
                     padding: '6px',
@@ -212,7 +725,9 @@ export default function SketchControls() {
                   }}
                 />
               </div>
-            )}
+            ) : null}
+
+            <ConstraintEditor index={index} sketch={sketch} />
           </div>
         ))}
       </div>
@@ -1,15 +1,159 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
 import {
   createBox,
   createSphere,
   createCylinder,
-  updateShapeGeometry,
+  createCone,
+  createTorus,
+  createWedge,
+  createPyramid,
+  createTube,
   rebuildBoxGeometry,
   rebuildSphereGeometry,
   rebuildCylinderGeometry,
+  rebuildConeGeometry,
+  rebuildTorusGeometry,
+  rebuildWedgeGeometry,
+  rebuildPyramidGeometry,
+  rebuildTubeGeometry,
+  refreshEdgeTreatments,
+  shapeBaseGeometry,
 } from '../utils/shapeUtils';
-import { saveSceneToJSON, loadSceneFromJSON } from '../utils/ioUtils';
+import { normalizeEdge } from '../utils/edgeTreatmentUtils';
+import { faceAtTriangle, edgePoints } from '../utils/topologyUtils';
+import {
+  saveSceneToJSON,
+  loadSceneFromJSON,
+  createObjectFromData,
+  serializeObject,
+} from '../utils/ioUtils';
+import { getDocumentUnits, setDocumentUnits } from '../utils/unitUtils';
+import {
+  SNAP_TYPES,
+  DEFAULT_SNAPS,
+  collectSnapGeometry,
+  findSnap,
+  findMoveSnap,
+} from '../utils/snapUtils';
+import {
+  STANDARD_VIEWS,
+  PROJECTIONS,
+  createCamera,
+  cameraProjection,
+  updateCameraFrustum,
+  switchProjection,
+  captureView,
+  normalizeNamedViews,
+  orbitCamera,
+  panCamera,
+  zoomCamera,
+  fitView,
+  directionView,
+  startCameraTransition,
+  stepCameraTransition,
+  createViewCube,
+  updateViewCube,
+  renderViewCube,
+  viewCubeDirection,
+  isOverViewCube,
+} from '../utils/cameraUtils';
+import {
+  DEFAULT_DISPLAY_MODE,
+  isDisplayMode,
+  updateDisplay,
+} from '../utils/displayUtils';
+import {
+  createSection,
+  createAxisSection,
+  sectionLabel,
+  flipSection,
+  sectionPlanes,
+  isSectionedAway,
+  serializeSections,
+  deserializeSections,
+  normalizeSectionViews,
+  clipObject,
+  createSectionCaps,
+} from '../utils/sectionUtils';
+import {
+  measureEntity,
+  measure,
+  createAnnotation,
+  annotationText,
+  normalizeAnnotations,
+  annotationSourceKey,
+  remeasureAnnotation,
+} from '../utils/measureUtils';
+import { massProperties, normalizeMaterial } from '../utils/massUtils';
+import { checkInterference, bodyLabel } from '../utils/interferenceUtils';
+import { exportSTL, createShapeFromSTL } from '../utils/stlUtils';
+import {
+  createBooleanFromObjects,
+  booleanOperandsInWorld,
+  booleanFeatureIds,
+  shapesWithout,
+  refreshBooleanShapes,
+  createShellFromObject,
+  createPatternFromObjects,
+} from '../utils/booleanUtils';
+import { isShown } from '../utils/meshUtils';
+import {
+  worldToSketch,
+  sketchToWorld,
+  pointsEqual,
+  arcFromThreePoints,
+  tangentArc,
+  segmentEndTangent,
+  sketchOutlinePoints,
+  createProfileSketch,
+  createSketchPlane,
+  standardSketchPlane,
+  getSketchPlane,
+  planeQuaternion,
+  createSketchMesh,
+  isSketchClosed,
+  profileHandles,
+  segmentsFromSketch,
+} from '../utils/sketchUtils';
+import {
+  CONSTRAINT_TYPES,
+  solveSketch,
+  measureConstraint,
+  fixedAnchor,
+  refMatchesKind,
+} from '../utils/constraintSolver';
+import {
+  createFeatureTree,
+  addFeature,
+  findFeature,
+  removeFeature,
+  moveFeature,
+  adoptSketches,
+  regenerateFeatureTree,
+} from '../utils/featureUtils';
+
+// Sketch tools that build a chain of segments click by click
+const PROFILE_TOOLS = ['polyline', 'arc', 'tangentArc'];
+// Clicking within this distance of the first vertex closes the profile
+const PROFILE_CLOSE_TOLERANCE = 0.2;
+// Screen distance for grabbing a sketch point to drag it
+const SKETCH_HANDLE_PIXEL_THRESHOLD = 8;
+// Snaps a measure pick lands on before falling back to edges and faces
+const MEASURE_SNAPS = { endpoint: true, midpoint: true, center: true };
+// Interactive creation of each primitive: the base is dragged on the ground,
+// every later phase follows vertical mouse movement until the next click
+const CREATION_PHASES = {
+  box: ['base', 'height'],
+  sphere: ['base'],
+  cylinder: ['base', 'height'],
+  cone: ['base', 'height', 'radiusTop'],
+  torus: ['base', 'tube'],
+  wedge: ['base', 'height'],
+  pyramid: ['base', 'height'],
+  tube: ['base', 'height', 'innerRadius'],
+};
 
 export default function ThreeCanvas() {
   const mountRef = useRef(null);
@@ -22,17 +166,23 @@ export default function ThreeCanvas() {
   const [selectedType, setSelectedType] = useState(null); // 'shape', 'face', 'edge'
   const [transformMode, setTransformMode] = useState(null); // 'translate', 'rotate', 'scale'
   const [sketchMode, setSketchMode] = useState(false);
-  const [sketchTool, setSketchTool] = useState(null); // 'rectangle', 'circle'
+  const [sketchTool, setSketchTool] = useState(null); // 'rectangle', 'circle', 'polyline', 'arc', 'tangentArc'
   const [snapToGrid, setSnapToGrid] = useState(true);
   const [gridSize, setGridSize] = useState(0.5);
 
   const objectsRef = useRef([]);
   const sketchesRef = useRef([]);
+  const featureTreeRef = useRef(createFeatureTree());
+  const featureStatusRef = useRef({ status: {}, consumedSketches: new Set() }); // result of the last regeneration
   const highlightedRef = useRef(null);
   const previewRef = useRef(null);
   const isDraggingRef = useRef(false);
   const dragStartRef = useRef(null);
   const currentSketchRef = useRef(null);
+  const profileChainRef = useRef(null); // { segments, start, last, arcEnd } while drawing a profile
+  const sketchPlaneRef = useRef(standardSketchPlane('XZ')); // active sketch plane frame
+  const sketchPlaneHelperRef = useRef(null);
+  const sketchDragRef = useRef(null); // { sketch, ref, plane, origin } while dragging a sketch point
   const planeRef = useRef(null);
   const pendingShapeTypeRef = useRef(null); // Track which shape to create (use ref for immediate access)
 
@@ -41,21 +191,17 @@ export default function ThreeCanvas() {
   const sketchToolRef = useRef(null);
   const snapToGridRef = useRef(true);
   const gridSizeRef = useRef(0.5);
+  const objectSnapsRef = useRef(DEFAULT_SNAPS); // enabled object snap types
+  const displayModeRef = useRef(DEFAULT_DISPLAY_MODE); // scene-wide display mode
   const selectedEntityRef = useRef(null);
   const selectedTypeRef = useRef(null);
   const transformModeRef = useRef(null);
-  const isTransformDraggingRef = useRef(false);
-  const transformStartRef = useRef({
-    pointer: null, // THREE.Vector3 for translate, {x,y} for rotate/scale
-    entityPosition: null,
-    entityRotationY: 0,
-    entityScale: null,
-  });
-  const transformEntityRef = useRef(null);
+  const transformSpaceRef = useRef('world'); // gizmo orientation: 'world' | 'local'
   const undoStackRef = useRef([]);
   const redoStackRef = useRef([]);
   const multiSelectedRef = useRef(new Set());
   const multiHighlightsRef = useRef(new Map());
+  const extraPicksRef = useRef([]); // edges/faces Shift+clicked on the selected edge's/face's body
   const creationStateRef = useRef(null); // { type, start: THREE.Vector3, shape: THREE.Mesh }
 
   useEffect(() => {
@@ -67,32 +213,131 @@ export default function ThreeCanvas() {
     scene.background = new THREE.Color(0xf0f0f0);
     sceneRef.current = scene;
 
-    // Camera setup
-    const camera = new THREE.PerspectiveCamera(
-      75,
-      window.innerWidth / window.innerHeight,
-      0.1,
-      1000
+    // Camera setup (replaced by setProjection when the projection changes)
+    let camera = createCamera(
+      'perspective',
+      window.innerWidth / window.innerHeight
     );
     camera.position.set(15, 15, 15);
     camera.lookAt(0, 0, 0);
     cameraRef.current = camera;
 
     // Renderer setup
-    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    // The stencil buffer fills the cuts of section planes
+    const renderer = new THREE.WebGLRenderer({
+      antialias: true,
+      stencil: true,
+    });
+    renderer.localClippingEnabled = true;
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
     mountEl.appendChild(renderer.domElement);
     rendererRef.current = renderer;
 
-    // OrbitControls (simple implementation)
+    // Snap glyph: marks the object snap the pointer is locked onto
+    const snapGlyph = document.createElement('div');
+    Object.assign(snapGlyph.style, {
+      position: 'fixed',
+      display: 'none',
+      pointerEvents: 'none',
+      transform: 'translate(-50%, -50%)',
+      color: '#ff7a00',
+      font: 'bold 16px monospace',
+      whiteSpace: 'nowrap',
+      zIndex: 50,
+    });
+    mountEl.appendChild(snapGlyph);
+
+    // Transform gizmo: X/Y/Z arrows and plane handles (move), rings (rotate)
+    // and per-axis handles (scale) on the shape being transformed. Created
+    // before the canvas listeners below so it sees pointer presses first.
+    const gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.setSpace(transformSpaceRef.current);
+    scene.add(gizmo.getHelper());
+    // A handle press becomes an undo step only once the drag moves the
+    // object; the state from before the press is held until then
+    let pressSnapshot = null;
+    gizmo.addEventListener('mouseDown', () => {
+      pressSnapshot = snapshotScene();
+    });
+    gizmo.addEventListener('mouseUp', () => {
+      pressSnapshot = null;
+      showSnapGlyph(null);
+    });
+    gizmo.addEventListener('objectChange', () => {
+      if (pressSnapshot) {
+        pushHistory(pressSnapshot);
+        pressSnapshot = null;
+      }
+      if (gizmo.dragging && gizmo.mode === 'translate') {
+        snapMovedShape(gizmo.object);
+      }
+      // Outline is a child of the shape; BoxHelper needs update
+      if (highlightedRef.current && highlightedRef.current.isBoxHelper) {
+        highlightedRef.current.update();
+      }
+      window.dispatchEvent(new CustomEvent('objectTransformed'));
+    });
+
+    // Camera navigation: left drag orbits (around the selection when there
+    // is one), middle/right drag pans, the wheel zooms toward the pointer.
+    // cameraTarget is the point the camera looks at.
+    const cameraTarget = new THREE.Vector3(0, 0, 0);
+    let cameraTransition = null; // animated move to a standard/fitted view
+    const viewCube = createViewCube();
     let isDragging = false;
     let isMouseDown = false; // Track if mouse button is actually pressed
+    let navigation = 'orbit'; // what the pressed button does: 'orbit' | 'pan'
+    let orbitPivot = cameraTarget;
+    let namedViews = []; // saved with the scene, see captureView
+
+    // Section planes cutting all shapes, and named sets of them saved with
+    // the scene ({ name, sections } in file form)
+    let sections = [];
+    let sectionViews = [];
+    const clipPlanes = []; // shared by the shape materials, updated in place
+    const sectionCaps = createSectionCaps();
+    scene.add(sectionCaps.group);
+
+    // Measure mode: clicks pick snap points, edges and faces; two picks make
+    // a measurement that stays on the canvas as an annotation (saved with the
+    // scene, see measureUtils)
+    let measureMode = false;
+    let measurePicks = [];
+    let measureResult = null;
+    let measureDown = null; // where the press was, to tell clicks from drags
+    let annotations = [];
+    let annotationSources = ''; // see refreshAnnotations
+    const measureGroup = new THREE.Group(); // pick markers, annotation lines
+    scene.add(measureGroup);
+    const annotationLabels = document.createElement('div');
+    mountEl.appendChild(annotationLabels);
+
+    // Overlap regions and clearance lines of the last interference check
+    const interferenceGroup = new THREE.Group();
+    scene.add(interferenceGroup);
     let previousMousePosition = { x: 0, y: 0 };
     let mouseDownPosition = { x: 0, y: 0 };
     const DRAG_THRESHOLD = 5; // pixels
 
     const onMouseDown = (e) => {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      // Clicks on the view cube are handled on pointerdown
+      if (isOverViewCube(viewCube, x, y, rect.width)) return;
+
+      if (e.button === 1 || e.button === 2) {
+        // Middle or right button pans
+        e.preventDefault();
+        cameraTransition = null;
+        navigation = 'pan';
+        isMouseDown = true;
+        isDragging = false;
+        mouseDownPosition = { x: e.clientX, y: e.clientY };
+        previousMousePosition = { x: e.clientX, y: e.clientY };
+        return;
+      }
       if (e.button === 0) {
         // Left mouse button
         // If there's a pending shape, handle shape creation
@@ -103,7 +348,8 @@ export default function ThreeCanvas() {
         // Don't start camera rotation if actively sketching or transforming
         if (
           (sketchModeRef.current && sketchToolRef.current) ||
-          (transformModeRef.current && selectedEntityRef.current)
+          gizmo.dragging ||
+          sketchDragRef.current
         ) {
           return;
         }
@@ -112,6 +358,7 @@ export default function ThreeCanvas() {
         // This will select if it's a click, and camera rotation will start if mouse moves
         handleSelection(e);
 
+        navigation = 'orbit';
         isMouseDown = true;
         isDragging = false; // Will be set to true only after movement
         mouseDownPosition = { x: e.clientX, y: e.clientY };
@@ -120,14 +367,14 @@ export default function ThreeCanvas() {
     };
 
     const onMouseMove = (e) => {
-      // Only process camera rotation if mouse button is actually down
+      // Only process camera movement if mouse button is actually down
       if (!isMouseDown) return;
 
       if (!isDraggingRef.current && !pendingShapeTypeRef.current) {
         // Allow camera rotation if not actively sketching
         if (
-          (sketchModeRef.current && sketchToolRef.current) ||
-          (transformModeRef.current && selectedEntityRef.current)
+          navigation === 'orbit' &&
+          ((sketchModeRef.current && sketchToolRef.current) || gizmo.dragging)
         )
           return;
         const deltaX = Math.abs(e.clientX - mouseDownPosition.x);
@@ -139,20 +386,33 @@ export default function ThreeCanvas() {
           (deltaX > DRAG_THRESHOLD || deltaY > DRAG_THRESHOLD)
         ) {
           isDragging = true;
+          cameraTransition = null;
+          // Orbit around the selection (as it is after the click)
+          const box = selectionBox();
+          orbitPivot = box ? box.getCenter(new THREE.Vector3()) : cameraTarget;
         }
 
         if (isDragging) {
           const moveDeltaX = e.clientX - previousMousePosition.x;
           const moveDeltaY = e.clientY - previousMousePosition.y;
 
-          const spherical = new THREE.Spherical();
-          spherical.setFromVector3(camera.position);
-          spherical.theta -= moveDeltaX * 0.01;
-          spherical.phi += moveDeltaY * 0.01;
-          spherical.phi = Math.max(0.1, Math.min(Math.PI - 0.1, spherical.phi));
-
-          camera.position.setFromSpherical(spherical);
-          camera.lookAt(0, 0, 0);
+          if (navigation === 'pan') {
+            panCamera(
+              camera,
+              cameraTarget,
+              moveDeltaX,
+              moveDeltaY,
+              renderer.domElement.clientHeight
+            );
+          } else {
+            orbitCamera(
+              camera,
+              cameraTarget,
+              orbitPivot,
+              moveDeltaX,
+              moveDeltaY
+            );
+          }
 
           previousMousePosition = { x: e.clientX, y: e.clientY };
         }
@@ -169,15 +429,42 @@ export default function ThreeCanvas() {
       mouseDownPosition = { x: 0, y: 0 };
     };
 
+    // Zoom toward the point under the pointer: the body surface when there
+    // is one, otherwise the depth of the camera target
+    const onWheel = (e) => {
+      e.preventDefault();
+      cameraTransition = null;
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, camera);
+      const hit = raycaster
+        .intersectObjects(objectsRef.current, true)
+        .find((h) => isShown(h.object) && !isSectionedAway(h.point, sections));
+      let point = hit ? hit.point : null;
+      if (!point) {
+        const facing = new THREE.Plane().setFromNormalAndCoplanarPoint(
+          camera.getWorldDirection(new THREE.Vector3()),
+          cameraTarget
+        );
+        point = raycaster.ray.intersectPlane(facing, new THREE.Vector3());
+      }
+      zoomCamera(
+        camera,
+        cameraTarget,
+        e.deltaY > 0 ? 1.1 : 0.9,
+        point || undefined
+      );
+    };
+    const onContextMenu = (e) => e.preventDefault();
+
     renderer.domElement.addEventListener('mousedown', onMouseDown);
     renderer.domElement.addEventListener('mousemove', onMouseMove);
     renderer.domElement.addEventListener('mouseup', onMouseUp);
-    renderer.domElement.addEventListener('wheel', (e) => {
-      e.preventDefault();
-      const scale = e.deltaY > 0 ? 1.1 : 0.9;
-      camera.position.multiplyScalar(scale);
-      camera.lookAt(0, 0, 0);
-    });
+    renderer.domElement.addEventListener('wheel', onWheel);
+    renderer.domElement.addEventListener('contextmenu', onContextMenu);
 
     // Grid helper
     const grid = new THREE.GridHelper(50, 50, 0x888888, 0xcccccc);
@@ -214,13 +501,20 @@ export default function ThreeCanvas() {
     dirLight.castShadow = true;
     scene.add(dirLight);
 
-    // History helpers (within effect to access scene and helpers)
+    // History helpers (within effect to access scene and helpers). Undo
+    // covers the annotations and section planes along with the model.
     function snapshotScene() {
       try {
         const sceneData = saveSceneToJSON(
           objectsRef.current,
-          sketchesRef.current
+          sketchesRef.current,
+          featureTreeRef.current,
+          getDocumentUnits(),
+          namedViews,
+          sectionViews,
+          annotations
         );
+        sceneData.sections = serializeSections(sections);
         return JSON.stringify(sceneData);
       } catch (e) {
         console.error('Snapshot failed', e);
@@ -231,12 +525,17 @@ export default function ThreeCanvas() {
     function restoreSceneFromSnapshot(snapshot) {
       try {
         const data = JSON.parse(snapshot);
-        loadSceneFromJSON(data, scene, objectsRef, sketchesRef);
+        loadSceneFromJSON(data, scene, objectsRef, sketchesRef, featureTreeRef);
         clearHighlight();
         setSelectedEntity(null);
         setSelectedType(null);
         selectedEntityRef.current = null;
         selectedTypeRef.current = null;
+        regenerateFeatures();
+        annotations = normalizeAnnotations(data.annotations);
+        publishMeasure();
+        sections = deserializeSections(data.sections);
+        publishSections();
         window.dispatchEvent(
           new CustomEvent('selectionChanged', {
             detail: { entity: null, type: null },
@@ -252,8 +551,88 @@ export default function ThreeCanvas() {
       }
     }
 
-    function pushHistory() {
-      const snap = snapshotScene();
+    // Helper: Drop the current selection
+    function clearSelection() {
+      clearHighlight();
+      setSelectedEntity(null);
+      setSelectedType(null);
+      selectedEntityRef.current = null;
+      selectedTypeRef.current = null;
+      window.dispatchEvent(
+        new CustomEvent('selectionChanged', {
+          detail: { entity: null, type: null },
+        })
+      );
+    }
+
+    // Rebuild all feature bodies after the feature tree or a sketch changed
+    function regenerateFeatures() {
+      const tree = featureTreeRef.current;
+      adoptSketches(tree, sketchesRef.current);
+      const consumedBodies = booleanFeatureIds(objectsRef.current);
+      const result = regenerateFeatureTree(tree, {
+        scene,
+        objects: objectsRef.current,
+        sketches: sketchesRef.current,
+        consumedBodies,
+        shapesWithout,
+      });
+      objectsRef.current = result.objects;
+      // Feature bodies used by booleans (and cuts) update the boolean instead
+      const inactive = new Set(
+        [...consumedBodies].filter((id) => !result.bodies.has(id))
+      );
+      refreshBooleanShapes(objectsRef.current, result.bodies, inactive);
+      result.bodies.forEach((body) => {
+        body.geometry.dispose();
+        body.material.dispose();
+      });
+      featureStatusRef.current = result;
+      updateSketchVisibility();
+
+      // Regenerated bodies keep their identity, but their faces/edges are new
+      const selected = selectedEntityRef.current;
+      if (selected && selectedTypeRef.current === 'shape') {
+        if (selected.parent && selected.visible) {
+          highlightEntity(selected, 'shape');
+        } else {
+          clearSelection();
+        }
+      } else if (selected && selected.parentObject?.userData.featureId) {
+        clearSelection();
+      }
+
+      window.dispatchEvent(
+        new CustomEvent('featuresUpdated', {
+          detail: {
+            features: [...tree.features],
+            rollbackIndex: tree.rollbackIndex,
+            status: result.status,
+          },
+        })
+      );
+    }
+
+    // Whether a sketch's feature is currently built (not suppressed/rolled back)
+    function isSketchActive(sketch) {
+      const state = featureStatusRef.current.status[sketch.featureId];
+      return state === undefined || state === 'ok';
+    }
+
+    // Sketches used by a feature are only shown in sketch mode; sketches of
+    // suppressed or rolled-back features are hidden
+    function updateSketchVisibility() {
+      const { consumedSketches } = featureStatusRef.current;
+      scene.children.forEach((child) => {
+        const sketch = child.userData && child.userData.sketch;
+        if (!sketch || child === previewRef.current) return;
+        child.visible =
+          isSketchActive(sketch) &&
+          (sketchModeRef.current || !consumedSketches.has(sketch.featureId));
+      });
+    }
+
+    function pushHistory(snap = snapshotScene()) {
       if (snap) {
         undoStackRef.current.push(snap);
         // Clear redo on new action
@@ -261,14 +640,508 @@ export default function ThreeCanvas() {
       }
     }
 
-    // Helper: Get mouse position on plane
-    function getMouseOnPlane(event) {
+    // Helper: World bounding box of the selection (shapes, or the face/edge
+    // picked on a body), or null when nothing is selected
+    function selectionBox() {
+      const entity = selectedEntityRef.current;
+      if (!entity) return null;
+      const box = new THREE.Box3();
+      if (multiSelectedRef.current.size > 0) {
+        multiSelectedRef.current.forEach((obj) => box.expandByObject(obj));
+      } else if (selectedTypeRef.current === 'shape') {
+        box.setFromObject(entity);
+      } else if (selectedTypeRef.current === 'face') {
+        const matrix = entity.parentObject.matrixWorld;
+        entity.triangles.forEach((triangle) =>
+          triangle.forEach((v) =>
+            box.expandByPoint(v.clone().applyMatrix4(matrix))
+          )
+        );
+      } else if (selectedTypeRef.current === 'edge') {
+        const matrix = entity.parentObject.matrixWorld;
+        edgePoints(entity).forEach((p) =>
+          box.expandByPoint(p.clone().applyMatrix4(matrix))
+        );
+      }
+      return box.isEmpty() ? null : box;
+    }
+
+    // Helper: Animate the camera to a view ({ position, target })
+    function moveCameraTo(view) {
+      if (!view) return;
+      cameraTransition = startCameraTransition(camera, cameraTarget, view);
+    }
+
+    // Helper: Switch between perspective and orthographic projection; the
+    // new camera takes over the view, picking and the gizmo
+    function setProjection(projection) {
+      if (
+        !PROJECTIONS.includes(projection) ||
+        cameraProjection(camera) === projection
+      ) {
+        return;
+      }
+      camera = switchProjection(camera, projection, cameraTarget);
+      cameraRef.current = camera;
+      gizmo.camera = camera;
+      window.dispatchEvent(
+        new CustomEvent('projectionChanged', { detail: projection })
+      );
+    }
+
+    // Helper: World bounds of all shapes, or null when there are none
+    function sceneBox() {
+      const box = new THREE.Box3();
+      objectsRef.current.forEach((obj) => box.expandByObject(obj));
+      return box.isEmpty() ? null : box;
+    }
+
+    // Helper: Apply the section planes and tell the UI about them, with the
+    // offsets between which each plane cuts through the shapes
+    function publishSections() {
+      clipPlanes.length = 0;
+      clipPlanes.push(...sectionPlanes(sections));
+      const box = sceneBox();
+      const corners = box
+        ? [0, 1, 2, 3, 4, 5, 6, 7].map(
+            (i) =>
+              new THREE.Vector3(
+                i & 1 ? box.max.x : box.min.x,
+                i & 2 ? box.max.y : box.min.y,
+                i & 4 ? box.max.z : box.min.z
+              )
+          )
+        : [new THREE.Vector3()];
+      window.dispatchEvent(
+        new CustomEvent('sectionsChanged', {
+          detail: {
+            sections: sections.map((section) => {
+              const along = corners.map((p) => section.normal.dot(p));
+              return {
+                id: section.id,
+                label: sectionLabel(section),
+                offset: section.offset,
+                enabled: section.enabled,
+                min: Math.min(...along, section.offset),
+                max: Math.max(...along, section.offset),
+              };
+            }),
+            views: sectionViews.map((view) => view.name),
+          },
+        })
+      );
+    }
+
+    // Helper: Redraw the measure picks and the annotations, and tell the UI
+    function publishMeasure() {
+      measureGroup.children.forEach((child) => {
+        child.geometry.dispose();
+        child.material.dispose();
+      });
+      measureGroup.clear();
+      const onTop = (object) => {
+        object.renderOrder = 997;
+        object.raycast = () => {};
+        measureGroup.add(object);
+      };
+      measurePicks.forEach((pick) => {
+        const points =
+          pick.kind === 'point'
+            ? [pick.point]
+            : pick.kind === 'edge'
+            ? pick.points || [pick.start, pick.end]
+            : pick.triangles.flat();
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = { color: 0xff7a00, depthTest: false };
+        if (pick.kind === 'face') {
+          onTop(
+            new THREE.Mesh(
+              geometry,
+              new THREE.MeshBasicMaterial({
+                ...material,
+                transparent: true,
+                opacity: 0.35,
+                side: THREE.DoubleSide,
+              })
+            )
+          );
+        } else if (pick.kind === 'edge') {
+          onTop(
+            new THREE.Line(geometry, new THREE.LineBasicMaterial(material))
+          );
+        } else {
+          onTop(
+            new THREE.Points(
+              geometry,
+              new THREE.PointsMaterial({
+                ...material,
+                size: 8,
+                sizeAttenuation: false,
+              })
+            )
+          );
+        }
+      });
+      annotationLabels.replaceChildren();
+      annotations.forEach((annotation) => {
+        const ends = [annotation.from, annotation.to].map((p) =>
+          new THREE.Vector3().fromArray(p)
+        );
+        // Stale annotations (their edge or face is gone) are greyed out
+        const color = annotation.stale ? '#888888' : '#0055cc';
+        const material = { color, depthTest: false };
+        const geometry = new THREE.BufferGeometry().setFromPoints(ends);
+        onTop(new THREE.Line(geometry, new THREE.LineBasicMaterial(material)));
+        onTop(
+          new THREE.Points(
+            geometry.clone(),
+            new THREE.PointsMaterial({
+              ...material,
+              size: 6,
+              sizeAttenuation: false,
+            })
+          )
+        );
+        const label = document.createElement('div');
+        Object.assign(label.style, {
+          position: 'fixed',
+          pointerEvents: 'none',
+          transform: 'translate(-50%, -50%)',
+          padding: '1px 4px',
+          background: 'rgba(255, 255, 255, 0.85)',
+          border: `1px solid ${color}`,
+          borderRadius: '3px',
+          color,
+          font: '12px sans-serif',
+          whiteSpace: 'nowrap',
+          zIndex: 40,
+        });
+        annotationLabels.appendChild(label);
+      });
+      window.dispatchEvent(
+        new CustomEvent('measureChanged', {
+          detail: {
+            active: measureMode,
+            picks: measurePicks.length,
+            result: measureResult,
+          },
+        })
+      );
+      window.dispatchEvent(
+        new CustomEvent('annotationsChanged', { detail: [...annotations] })
+      );
+    }
+
+    // Helper: Measure the annotations again when a shape they were taken on
+    // changed (moved, rebuilt, hidden or removed)
+    function refreshAnnotations() {
+      const key = annotationSourceKey(annotations, objectsRef.current);
+      if (key === annotationSources) return;
+      annotationSources = key;
+      annotations = annotations.map((annotation) =>
+        remeasureAnnotation(annotation, objectsRef.current)
+      );
+      publishMeasure();
+    }
+
+    // Helper: Keep the annotation labels at the middle of their lines, in the
+    // current document units
+    function updateAnnotationLabels() {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const units = getDocumentUnits();
+      annotations.forEach((annotation, i) => {
+        const label = annotationLabels.children[i];
+        if (!label) return;
+        const middle = new THREE.Vector3()
+          .fromArray(annotation.from)
+          .lerp(new THREE.Vector3().fromArray(annotation.to), 0.5);
+        const ndc = middle.project(camera);
+        const text = annotationText(annotation, units);
+        if (label.textContent !== text) label.textContent = text;
+        label.style.display = Math.abs(ndc.z) > 1 ? 'none' : 'block';
+        label.style.left = `${rect.left + ((ndc.x + 1) / 2) * rect.width}px`;
+        label.style.top = `${rect.top + ((1 - ndc.y) / 2) * rect.height}px`;
+      });
+    }
+
+    // Helper: Vertex, midpoint or center snap under the pointer for measuring
+    function findMeasureSnap(event) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      raycaster.setFromCamera(
+        new THREE.Vector2(
+          ((event.clientX - rect.left) / rect.width) * 2 - 1,
+          -((event.clientY - rect.top) / rect.height) * 2 + 1
+        ),
+        camera
+      );
+      const snap = findSnap(
+        collectSnapGeometry(
+          objectsRef.current,
+          sketchesRef.current.filter(isSketchActive)
+        ),
+        snapView(event),
+        { enabled: MEASURE_SNAPS }
+      );
+      return snap && !isSectionedAway(snap.point, sections) ? snap : null;
+    }
+
+    // Helper: Point, edge or face to measure under the pointer: a snap
+    // first, then what a click would select (faces without needing Ctrl/Cmd)
+    function pickMeasureEntity(event) {
+      const snap = findMeasureSnap(event);
+      if (snap) return { kind: 'point', point: snap.point.clone() };
+      let pick = pickEntity(event, false);
+      if (pick.selectedType === 'shape') pick = pickEntity(event, true);
+      if (pick.selectedType !== 'edge' && pick.selectedType !== 'face') {
+        return null;
+      }
+      return measureEntity(pick.selected, pick.selectedType);
+    }
+
+    // Helper: Take a measure pick; the second one completes a measurement
+    // and annotates it. Clicking empty space starts over.
+    function handleMeasureClick(event) {
+      const entity = pickMeasureEntity(event);
+      showSnapGlyph(null);
+      if (!entity) {
+        measurePicks = [];
+        measureResult = null;
+      } else if (measurePicks.length === 1) {
+        measureResult = measure(measurePicks[0], entity);
+        const annotation = createAnnotation(measureResult, [
+          measurePicks[0],
+          entity,
+        ]);
+        if (annotation) {
+          pushHistory();
+          annotations = [...annotations, annotation];
+        }
+        measurePicks = [];
+      } else {
+        measurePicks = [entity];
+        measureResult = measure(entity);
+      }
+      publishMeasure();
+    }
+
+    // Helper: Remove the interference highlights
+    function clearInterferenceHighlights() {
+      interferenceGroup.children.forEach((child) => {
+        child.geometry.dispose();
+        child.material.dispose();
+      });
+      interferenceGroup.clear();
+    }
+
+    // Helper: Check the selected shapes (two or more, or a group) or else
+    // every shape for overlaps and, with clearance > 0, pairs closer than it.
+    // Overlaps are drawn in red and clearances as orange lines, both visible
+    // through the shapes.
+    function runInterferenceCheck(clearance) {
+      const selection =
+        multiSelectedRef.current.size > 0
+          ? [...multiSelectedRef.current]
+          : selectedTypeRef.current === 'shape'
+          ? [selectedEntityRef.current]
+          : [];
+      const scope =
+        selection.length > 1 || selection[0]?.isGroup
+          ? selection
+          : objectsRef.current;
+      const result = checkInterference(scope, clearance);
+      clearInterferenceHighlights();
+      const onTop = (object) => {
+        object.renderOrder = 996;
+        object.raycast = () => {};
+        interferenceGroup.add(object);
+      };
+      result.interferences.forEach(({ geometry }) =>
+        onTop(
+          new THREE.Mesh(
+            geometry,
+            new THREE.MeshBasicMaterial({
+              color: 0xff2020,
+              transparent: true,
+              opacity: 0.6,
+              depthTest: false,
+              side: THREE.DoubleSide,
+            })
+          )
+        )
+      );
+      result.clearances.forEach(({ from, to }) => {
+        const geometry = new THREE.BufferGeometry().setFromPoints([from, to]);
+        const material = { color: 0xff9900, depthTest: false };
+        onTop(new THREE.Line(geometry, new THREE.LineBasicMaterial(material)));
+        onTop(
+          new THREE.Points(
+            geometry.clone(),
+            new THREE.PointsMaterial({
+              ...material,
+              size: 6,
+              sizeAttenuation: false,
+            })
+          )
+        );
+      });
+      const label = (obj) => bodyLabel(obj, objectsRef.current);
+      window.dispatchEvent(
+        new CustomEvent('interferenceChanged', {
+          detail: {
+            bodies: result.bodies,
+            selection: scope !== objectsRef.current,
+            clearance,
+            interferences: result.interferences.map(({ a, b, volume }) => ({
+              a: label(a),
+              b: label(b),
+              volume,
+            })),
+            clearances: result.clearances.map(({ a, b, distance }) => ({
+              a: label(a),
+              b: label(b),
+              distance,
+            })),
+          },
+        })
+      );
+    }
+
+    // Helper: Let the browser save a file
+    function downloadBlob(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }
+
+    // Helper: Tell the UI which named views the scene has
+    function publishNamedViews() {
+      window.dispatchEvent(
+        new CustomEvent('namedViewsChanged', { detail: [...namedViews] })
+      );
+    }
+
+    // Helper: Frame the selection (or everything when selection is false or
+    // nothing is selected)
+    function zoomToFit(selection) {
+      let box = selection ? selectionBox() : null;
+      if (!box) {
+        box = new THREE.Box3();
+        objectsRef.current.forEach((obj) => box.expandByObject(obj));
+      }
+      moveCameraTo(fitView(camera, cameraTarget, box));
+    }
+
+    // Helper: Show the glyph of an object snap, or hide it (snap = null)
+    function showSnapGlyph(snap) {
+      if (!snap) {
+        snapGlyph.style.display = 'none';
+        return;
+      }
+      const rect = renderer.domElement.getBoundingClientRect();
+      const ndc = snap.point.clone().project(camera);
+      const { glyph, label } = SNAP_TYPES[snap.type];
+      snapGlyph.textContent = glyph;
+      const caption = document.createElement('span');
+      caption.textContent = ` ${label}`;
+      caption.style.font = '11px sans-serif';
+      snapGlyph.appendChild(caption);
+      snapGlyph.style.left = `${rect.left + ((ndc.x + 1) / 2) * rect.width}px`;
+      snapGlyph.style.top = `${rect.top + ((1 - ndc.y) / 2) * rect.height}px`;
+      snapGlyph.style.display = 'block';
+    }
+
+    // Helper: Camera, pointer and canvas size for snapping (the raycaster
+    // must already be set from the pointer)
+    function snapView(event) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      return {
+        camera,
+        ray: raycaster.ray,
+        width: rect.width,
+        height: rect.height,
+        pointer: new THREE.Vector2(
+          event.clientX - rect.left,
+          event.clientY - rect.top
+        ),
+      };
+    }
+
+    // Helper: Object snap under the pointer on the given plane, shown with
+    // its glyph. from is the previous point of what is being drawn (for
+    // perpendicular and tangent snaps); exclude lists shapes/sketches that
+    // must not snap to themselves.
+    function findPointerSnap(event, snapPlane, from = null, exclude = []) {
+      const geometry = collectSnapGeometry(
+        objectsRef.current,
+        sketchesRef.current.filter(isSketchActive),
+        exclude
+      );
+      const snap = findSnap(geometry, snapView(event), {
+        enabled: objectSnapsRef.current,
+        from,
+        plane: snapPlane,
+      });
+      showSnapGlyph(snap);
+      return snap;
+    }
+
+    // Helper: While the gizmo moves a shape, pull it onto the nearest snap of
+    // another shape or sketch, keeping to the axes of the dragged handle
+    function snapMovedShape(object) {
+      const view = {
+        camera,
+        width: renderer.domElement.clientWidth,
+        height: renderer.domElement.clientHeight,
+      };
+      const snap = findMoveSnap(
+        collectSnapGeometry([object]),
+        collectSnapGeometry(
+          objectsRef.current,
+          sketchesRef.current.filter(isSketchActive),
+          [object]
+        ),
+        view,
+        objectSnapsRef.current
+      );
+      showSnapGlyph(snap && { point: snap.to, type: snap.type });
+      if (!snap) return;
+
+      const offset = snap.to.clone().sub(snap.from);
+      const axes = gizmo.axis || 'XYZ';
+      if (axes !== 'XYZ') {
+        const frame =
+          gizmo.space === 'local' ? object.quaternion : new THREE.Quaternion();
+        const along = new THREE.Vector3();
+        ['X', 'Y', 'Z'].forEach((name, i) => {
+          if (!axes.includes(name)) return;
+          const direction = new THREE.Vector3()
+            .setComponent(i, 1)
+            .applyQuaternion(frame);
+          along.addScaledVector(direction, offset.dot(direction));
+        });
+        offset.copy(along);
+      }
+      object.position.add(offset);
+      object.updateMatrixWorld(true);
+    }
+
+    // Helper: Get mouse position on plane, locked onto an object snap when
+    // one is in reach and otherwise rounded to the grid
+    function getMouseOnPlane(event, from = null, exclude = []) {
       const rect = renderer.domElement.getBoundingClientRect();
       const pointer = new THREE.Vector2();
       pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
       pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
       raycaster.setFromCamera(pointer, camera);
 
+      const snap = findPointerSnap(event, mathPlane, from, exclude);
+      if (snap) return snap.point;
+
       // Try intersecting with the mesh first
       const intersects = raycaster.intersectObject(plane);
 
@@ -301,6 +1174,44 @@ export default function ThreeCanvas() {
       return null;
     }
 
+    // Helper: Get mouse position on the active sketch plane, locked onto an
+    // object snap or snapped to the grid in the plane's own 2D coordinates
+    function getMouseOnSketchPlane(
+      event,
+      sketchPlane = sketchPlaneRef.current,
+      exclude = []
+    ) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = new THREE.Vector2();
+      pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      raycaster.setFromCamera(pointer, camera);
+
+      const target = new THREE.Plane().setFromNormalAndCoplanarPoint(
+        sketchPlane.normal,
+        sketchPlane.origin
+      );
+      const intersection = new THREE.Vector3();
+      if (raycaster.ray.intersectPlane(target, intersection) === null) {
+        return null;
+      }
+      // Perpendicular and tangent snaps start from the previous point
+      const chain = profileChainRef.current;
+      const from = chain
+        ? sketchToWorld(chain.last, sketchPlane)
+        : dragStartRef.current;
+      const snap = findPointerSnap(event, target, from, exclude);
+      if (snap) return snap.point;
+      if (!snapToGridRef.current) return intersection;
+
+      const p = worldToSketch(intersection, sketchPlane);
+      const g = gridSizeRef.current;
+      return sketchToWorld(
+        { x: Math.round(p.x / g) * g, y: Math.round(p.y / g) * g },
+        sketchPlane
+      );
+    }
+
     // Helper: Clear highlight
     function clearHighlight() {
       // Clear single highlight
@@ -327,6 +1238,7 @@ export default function ThreeCanvas() {
         });
         multiHighlightsRef.current.clear();
       }
+      extraPicksRef.current = [];
     }
 
     // Helper: Highlight entity
@@ -351,104 +1263,121 @@ export default function ThreeCanvas() {
         highlightedRef.current = outline;
       } else if (type === 'face') {
         // Highlight face with a semi-transparent overlay
-        const parentObj = entity.parentObject;
-        let faceCenter = entity.center
-          ? entity.center.clone()
-          : new THREE.Vector3();
-        let faceNormal = entity.normal
-          ? entity.normal.clone()
-          : new THREE.Vector3(0, 1, 0);
-        let faceSize = entity.size || 1;
-
-        // Apply world transform if parent exists
-        if (parentObj) {
-          parentObj.updateMatrixWorld();
-          faceCenter.applyMatrix4(parentObj.matrixWorld);
-          faceNormal.transformDirection(parentObj.matrixWorld);
-        }
+        const faceMesh = createFaceOverlay(entity);
+        scene.add(faceMesh);
+        highlightedRef.current = faceMesh;
+      } else if (type === 'edge') {
+        const edgeLine = createEdgeOverlay(entity);
+        scene.add(edgeLine);
+        highlightedRef.current = edgeLine;
+      }
+    }
 
-        // Use the face vertices to create a proper overlay
-        if (entity.vertices && entity.vertices.length >= 3) {
-          const positions = [];
-          entity.vertices.forEach((v) => {
+    // Helper: Overlay mesh over a face in world space
+    function createFaceOverlay(entity) {
+      const parentObj = entity.parentObject;
+      let faceCenter = entity.center
+        ? entity.center.clone()
+        : new THREE.Vector3();
+      let faceNormal = entity.normal
+        ? entity.normal.clone()
+        : new THREE.Vector3(0, 1, 0);
+      let faceSize = entity.size || 1;
+
+      // Apply world transform if parent exists
+      if (parentObj) {
+        parentObj.updateMatrixWorld();
+        faceCenter.applyMatrix4(parentObj.matrixWorld);
+        faceNormal.transformDirection(parentObj.matrixWorld);
+      }
+
+      // Use the face triangles to create a proper overlay
+      if (entity.triangles && entity.triangles.length > 0) {
+        const positions = [];
+        entity.triangles.forEach((corners) =>
+          corners.forEach((v) => {
             const vertex = v.clone();
             if (parentObj) {
               vertex.applyMatrix4(parentObj.matrixWorld);
             }
             positions.push(vertex.x, vertex.y, vertex.z);
-          });
-
-          const indices = [];
-          for (let i = 1; i < entity.vertices.length - 1; i++) {
-            indices.push(0, i, i + 1);
-          }
+          })
+        );
 
-          const faceGeometry = new THREE.BufferGeometry();
-          faceGeometry.setAttribute(
-            'position',
-            new THREE.Float32BufferAttribute(positions, 3)
-          );
-          faceGeometry.setIndex(indices);
-          faceGeometry.computeVertexNormals();
-
-          const faceMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffff00, // Yellow for face selection
-            opacity: 0.6,
-            transparent: true,
-            side: THREE.DoubleSide,
-            depthWrite: false,
-            depthTest: true,
-          });
-          const faceMesh = new THREE.Mesh(faceGeometry, faceMaterial);
-          scene.add(faceMesh);
-          highlightedRef.current = faceMesh;
-        } else {
-          // Fallback: simple plane
-          const faceGeometry = new THREE.PlaneGeometry(faceSize, faceSize);
-          const faceMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffff00, // Yellow for face selection
-            opacity: 0.6,
-            transparent: true,
-            side: THREE.DoubleSide,
-            depthWrite: false,
-            depthTest: true,
-          });
-          const faceMesh = new THREE.Mesh(faceGeometry, faceMaterial);
-
-          faceMesh.position.copy(faceCenter);
-          const lookAtPoint = faceCenter.clone().add(faceNormal);
-          faceMesh.lookAt(lookAtPoint);
-
-          scene.add(faceMesh);
-          highlightedRef.current = faceMesh;
-        }
-      } else if (type === 'edge') {
-        // Highlight edge with a thick line
-        // Get parent object to apply world transform
-        const parentObj = entity.parentObject;
-        let edgeStart = entity.start.clone();
-        let edgeEnd = entity.end.clone();
-
-        // Apply world transform if parent exists
-        if (parentObj) {
-          parentObj.updateMatrixWorld();
-          edgeStart.applyMatrix4(parentObj.matrixWorld);
-          edgeEnd.applyMatrix4(parentObj.matrixWorld);
-        }
+        const faceGeometry = new THREE.BufferGeometry();
+        faceGeometry.setAttribute(
+          'position',
+          new THREE.Float32BufferAttribute(positions, 3)
+        );
+        faceGeometry.computeVertexNormals();
 
-        const edgeGeometry = new THREE.BufferGeometry().setFromPoints([
-          edgeStart,
-          edgeEnd,
-        ]);
-        const edgeMaterial = new THREE.LineBasicMaterial({
-          color: 0xff00ff, // Magenta/pink for edge selection - more distinct
-          linewidth: 10, // Thicker line for edge
+        const faceMaterial = new THREE.MeshBasicMaterial({
+          color: 0xffff00, // Yellow for face selection
+          opacity: 0.6,
+          transparent: true,
+          side: THREE.DoubleSide,
+          depthWrite: false,
           depthTest: true,
+        });
+        return new THREE.Mesh(faceGeometry, faceMaterial);
+      } else {
+        // Fallback: simple plane
+        const faceGeometry = new THREE.PlaneGeometry(faceSize, faceSize);
+        const faceMaterial = new THREE.MeshBasicMaterial({
+          color: 0xffff00, // Yellow for face selection
+          opacity: 0.6,
+          transparent: true,
+          side: THREE.DoubleSide,
           depthWrite: false,
+          depthTest: true,
         });
-        const edgeLine = new THREE.Line(edgeGeometry, edgeMaterial);
-        scene.add(edgeLine);
-        highlightedRef.current = edgeLine;
+        const faceMesh = new THREE.Mesh(faceGeometry, faceMaterial);
+
+        faceMesh.position.copy(faceCenter);
+        const lookAtPoint = faceCenter.clone().add(faceNormal);
+        faceMesh.lookAt(lookAtPoint);
+
+        return faceMesh;
+      }
+    }
+
+    // Helper: Thick line over an edge in world space
+    function createEdgeOverlay(entity) {
+      // Get parent object to apply world transform
+      const parentObj = entity.parentObject;
+      const points = edgePoints(entity).map((p) => p.clone());
+
+      // Apply world transform if parent exists
+      if (parentObj) {
+        parentObj.updateMatrixWorld();
+        points.forEach((p) => p.applyMatrix4(parentObj.matrixWorld));
+      }
+
+      const edgeGeometry = new THREE.BufferGeometry().setFromPoints(points);
+      const edgeMaterial = new THREE.LineBasicMaterial({
+        color: 0xff00ff, // Magenta/pink for edge selection - more distinct
+        linewidth: 10, // Thicker line for edge
+        depthTest: true,
+        depthWrite: false,
+      });
+      return new THREE.Line(edgeGeometry, edgeMaterial);
+    }
+
+    // Helper: Add or remove an extra edge (fillets, chamfers) or face (shell
+    // openings) picked on the body of the selected one
+    function toggleExtraPick(entity, type) {
+      const picks = extraPicksRef.current;
+      if (picks.includes(entity)) {
+        extraPicksRef.current = picks.filter((e) => e !== entity);
+        removeMultiHighlightForShape(entity);
+      } else {
+        extraPicksRef.current = [...picks, entity];
+        const overlay =
+          type === 'face'
+            ? createFaceOverlay(entity)
+            : createEdgeOverlay(entity);
+        scene.add(overlay);
+        multiHighlightsRef.current.set(entity, overlay);
       }
     }
 
@@ -487,76 +1416,27 @@ export default function ThreeCanvas() {
     }
 
     // Selection handler
-    function handleSelection(event) {
-      if (isDraggingRef.current) return;
-      // Only block selection while actively sketching
-      if (sketchModeRef.current && sketchToolRef.current) return;
+    // Helper: Shape, edge or face under the pointer: an edge within a few
+    // pixels, else the face hit when preferFaces (Ctrl/Cmd+click), else the
+    // shape. Returns { selected, selectedType, candidateObject }.
+    function pickEntity(event, preferFaces) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = new THREE.Vector2();
+      pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-      const isFaceSelectionMode = event.ctrlKey || event.metaKey;
-      const isMultiMode = event.shiftKey === true;
-
-      // If there's a pending shape to create, place it at click position
-      if (pendingShapeTypeRef.current) {
-        const pos = getMouseOnPlane(event);
-        if (pos) {
-          const shapeType = pendingShapeTypeRef.current;
-          pendingShapeTypeRef.current = null; // Clear immediately
-
-          // Begin interactive creation: create minimal shape and drag to size
-          let shape = null;
-          if (shapeType === 'box') {
-            shape = createBox(0.01, 1, 0.01);
-            shape.position.set(pos.x, 0.5, pos.z);
-          } else if (shapeType === 'sphere') {
-            shape = createSphere(0.01);
-            shape.position.set(pos.x, 0.01, pos.z);
-          } else if (shapeType === 'cylinder') {
-            shape = createCylinder(0.01, 1);
-            shape.position.set(pos.x, 0.5, pos.z);
-          } else {
-            return;
-          }
-          scene.add(shape);
-          objectsRef.current.push(shape);
-
-          // Set selection to the new shape
-          setSelectedEntity(shape);
-          setSelectedType('shape');
-          selectedEntityRef.current = shape;
-          selectedTypeRef.current = 'shape';
-
-          // Enter creation drag state
-          creationStateRef.current = {
-            type: shapeType,
-            start: pos.clone(),
-            shape,
-            phase: 'base',
-            startClientY: null,
-            initialHeight: null,
-          };
-          isDraggingRef.current = true;
-
-          return; // Don't do normal selection when starting creation
-        }
-        // If cannot find a plane position, clear pending
-        pendingShapeTypeRef.current = null;
-      }
-
-      const rect = renderer.domElement.getBoundingClientRect();
-      const pointer = new THREE.Vector2();
-      pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-      pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-
-      raycaster.setFromCamera(pointer, camera);
+      raycaster.setFromCamera(pointer, camera);
 
       let selected = null;
       let selectedType = null;
 
       // Precompute nearest hit and its parent object in our list
-      const recursiveIntersects = raycaster.intersectObjects(
-        objectsRef.current,
-        true
-      );
+      // Hidden bodies and cut away parts of sectioned shapes cannot be picked
+      const recursiveIntersects = raycaster
+        .intersectObjects(objectsRef.current, true)
+        .filter(
+          (hit) => isShown(hit.object) && !isSectionedAway(hit.point, sections)
+        );
       let candidateObject = null;
       if (recursiveIntersects.length > 0) {
         let current = recursiveIntersects[0].object;
@@ -569,24 +1449,24 @@ export default function ThreeCanvas() {
         }
       }
 
-      // 1) If Ctrl/Cmd held: prefer face selection on the nearest hit
-      if (!selected && isFaceSelectionMode && candidateObject) {
+      // 1) When preferring faces: the face of the nearest hit
+      if (!selected && preferFaces && candidateObject) {
         const intersect = recursiveIntersects[0];
         const faceIndex = intersect?.faceIndex;
-        if (
-          candidateObject.userData.faces &&
-          faceIndex != null &&
-          faceIndex >= 0 &&
-          faceIndex < candidateObject.userData.faces.length
-        ) {
-          selected = candidateObject.userData.faces[faceIndex];
+        // The hit triangle belongs to one logical face of the body
+        const face =
+          intersect?.object === candidateObject && faceIndex != null
+            ? faceAtTriangle(candidateObject.userData.faces, faceIndex)
+            : null;
+        if (face) {
+          selected = face;
           selectedType = 'face';
           selected.parentObject = candidateObject;
         }
       }
 
-      // 2) On normal click: try precise edge on candidate object first
-      if (!selected && !isFaceSelectionMode && candidateObject) {
+      // 2) Otherwise: try precise edge on candidate object first
+      if (!selected && !preferFaces && candidateObject) {
         let closestEdgeDistance = Infinity;
         const EDGE_SELECTION_PIXEL_THRESHOLD = 3; // precise edge picking
 
@@ -596,48 +1476,57 @@ export default function ThreeCanvas() {
           const worldMatrix = obj.matrixWorld.clone();
 
           for (const edge of obj.userData.edges) {
-            const edgeStart = edge.start.clone().applyMatrix4(worldMatrix);
-            const edgeEnd = edge.end.clone().applyMatrix4(worldMatrix);
-            const edgeVec = new THREE.Vector3().subVectors(edgeEnd, edgeStart);
-            const edgeLength = edgeVec.length();
-            if (edgeLength < 0.001) continue;
-
-            const startNDC = edgeStart.clone().project(camera);
-            const endNDC = edgeEnd.clone().project(camera);
-
-            const startPx = new THREE.Vector2(
-              (startNDC.x + 1) * 0.5 * rect.width,
-              (-startNDC.y + 1) * 0.5 * rect.height
+            // Arcs and circles are picked along their tessellation
+            const points = edgePoints(edge).map((p) =>
+              p.clone().applyMatrix4(worldMatrix)
             );
-            const endPx = new THREE.Vector2(
-              (endNDC.x + 1) * 0.5 * rect.width,
-              (-endNDC.y + 1) * 0.5 * rect.height
-            );
-
-            const mousePx = new THREE.Vector2(
-              event.clientX - rect.left,
-              event.clientY - rect.top
-            );
-
-            const ab = new THREE.Vector2().subVectors(endPx, startPx);
-            const ap = new THREE.Vector2().subVectors(mousePx, startPx);
-            const abLenSq = ab.lengthSq();
-            let t = abLenSq > 0 ? ap.dot(ab) / abLenSq : 0;
-            t = Math.max(0, Math.min(1, t));
-            const closestPx = new THREE.Vector2(
-              startPx.x + ab.x * t,
-              startPx.y + ab.y * t
-            );
-            const distancePx = closestPx.distanceTo(mousePx);
-
-            if (
-              distancePx <= EDGE_SELECTION_PIXEL_THRESHOLD &&
-              distancePx < closestEdgeDistance
-            ) {
-              closestEdgeDistance = distancePx;
-              selected = edge;
-              selectedType = 'edge';
-              selected.parentObject = obj;
+            for (let k = 1; k < points.length; k++) {
+              const edgeStart = points[k - 1];
+              const edgeEnd = points[k];
+              const edgeVec = new THREE.Vector3().subVectors(
+                edgeEnd,
+                edgeStart
+              );
+              const edgeLength = edgeVec.length();
+              if (edgeLength < 0.001) continue;
+
+              const startNDC = edgeStart.clone().project(camera);
+              const endNDC = edgeEnd.clone().project(camera);
+
+              const startPx = new THREE.Vector2(
+                (startNDC.x + 1) * 0.5 * rect.width,
+                (-startNDC.y + 1) * 0.5 * rect.height
+              );
+              const endPx = new THREE.Vector2(
+                (endNDC.x + 1) * 0.5 * rect.width,
+                (-endNDC.y + 1) * 0.5 * rect.height
+              );
+
+              const mousePx = new THREE.Vector2(
+                event.clientX - rect.left,
+                event.clientY - rect.top
+              );
+
+              const ab = new THREE.Vector2().subVectors(endPx, startPx);
+              const ap = new THREE.Vector2().subVectors(mousePx, startPx);
+              const abLenSq = ab.lengthSq();
+              let t = abLenSq > 0 ? ap.dot(ab) / abLenSq : 0;
+              t = Math.max(0, Math.min(1, t));
+              const closestPx = new THREE.Vector2(
+                startPx.x + ab.x * t,
+                startPx.y + ab.y * t
+              );
+              const distancePx = closestPx.distanceTo(mousePx);
+
+              if (
+                distancePx <= EDGE_SELECTION_PIXEL_THRESHOLD &&
+                distancePx < closestEdgeDistance
+              ) {
+                closestEdgeDistance = distancePx;
+                selected = edge;
+                selectedType = 'edge';
+                selected.parentObject = obj;
+              }
             }
           }
         }
@@ -649,8 +1538,101 @@ export default function ThreeCanvas() {
         selectedType = 'shape';
       }
 
+      return { selected, selectedType, candidateObject };
+    }
+
+    function handleSelection(event) {
+      if (isDraggingRef.current) return;
+      // Only block selection while actively sketching
+      if (sketchModeRef.current && sketchToolRef.current) return;
+      // Measure picks are taken on release, so dragging still orbits
+      if (measureMode) return;
+
+      const isFaceSelectionMode = event.ctrlKey || event.metaKey;
+      const isMultiMode = event.shiftKey === true;
+
+      // If there's a pending shape to create, place it at click position
+      if (pendingShapeTypeRef.current) {
+        const pos = getMouseOnPlane(event);
+        if (pos) {
+          const shapeType = pendingShapeTypeRef.current;
+          pendingShapeTypeRef.current = null; // Clear immediately
+
+          // Begin interactive creation: create minimal shape and drag to size
+          let shape = null;
+          if (shapeType === 'box') {
+            shape = createBox(0.01, 1, 0.01);
+            shape.position.set(pos.x, 0.5, pos.z);
+          } else if (shapeType === 'sphere') {
+            shape = createSphere(0.01);
+            shape.position.set(pos.x, 0.01, pos.z);
+          } else if (shapeType === 'cylinder') {
+            shape = createCylinder(0.01, 1);
+            shape.position.set(pos.x, 0.5, pos.z);
+          } else if (shapeType === 'cone') {
+            shape = createCone(0.01, 0, 1);
+            shape.position.set(pos.x, 0.5, pos.z);
+          } else if (shapeType === 'torus') {
+            shape = createTorus(0.01, 0.0025);
+            shape.position.set(pos.x, 0.0025, pos.z);
+          } else if (shapeType === 'wedge') {
+            shape = createWedge(0.01, 1, 0.01);
+            shape.position.set(pos.x, 0.5, pos.z);
+          } else if (shapeType === 'pyramid') {
+            shape = createPyramid(0.01, 1, 0.01);
+            shape.position.set(pos.x, 0.5, pos.z);
+          } else if (shapeType === 'tube') {
+            shape = createTube(0.01, 0.006, 1);
+            shape.position.set(pos.x, 0.5, pos.z);
+          } else {
+            return;
+          }
+          scene.add(shape);
+          objectsRef.current.push(shape);
+
+          // Set selection to the new shape
+          setSelectedEntity(shape);
+          setSelectedType('shape');
+          selectedEntityRef.current = shape;
+          selectedTypeRef.current = 'shape';
+
+          // Enter creation drag state
+          creationStateRef.current = {
+            type: shapeType,
+            start: pos.clone(),
+            shape,
+            phase: 'base',
+            startClientY: null,
+            initialValue: null,
+          };
+          isDraggingRef.current = true;
+
+          return; // Don't do normal selection when starting creation
+        }
+        // If cannot find a plane position, clear pending
+        pendingShapeTypeRef.current = null;
+      }
+
+      const { selected, selectedType, candidateObject } = pickEntity(
+        event,
+        isFaceSelectionMode
+      );
+
       // Apply selection
-      if (selected) {
+      const previous = selectedEntityRef.current;
+      if (
+        selected &&
+        isMultiMode &&
+        (selectedType === 'edge' || selectedType === 'face') &&
+        selectedTypeRef.current === selectedType &&
+        previous &&
+        selected !== previous &&
+        selected.parentObject === previous.parentObject
+      ) {
+        // Shift+click more edges (fillets, chamfers) or Ctrl+Shift+click more
+        // faces (shell openings) of the same body
+        toggleExtraPick(selected, selectedType);
+      } else if (selected) {
         if (isMultiMode) {
           // For multi-select, always toggle the shape (promote face/edge to parent shape)
           let shapeToToggle = selected;
@@ -729,8 +1711,12 @@ export default function ThreeCanvas() {
     // Sketch handlers
     function handleSketchStart(event) {
       if (!sketchModeRef.current || !sketchToolRef.current) return;
+      if (PROFILE_TOOLS.includes(sketchToolRef.current)) {
+        handleProfileClick(event);
+        return;
+      }
 
-      const pos = getMouseOnPlane(event);
+      const pos = getMouseOnSketchPlane(event);
       if (!pos) return;
 
       isDraggingRef.current = true;
@@ -751,249 +1737,691 @@ export default function ThreeCanvas() {
       }
     }
 
+    // Helper: Rectangle/circle sketch spanned by the drag from its start point
+    // to pos, in the active sketch plane
+    function draggedSketch(pos) {
+      const plane = sketchPlaneRef.current;
+      const start2D = worldToSketch(dragStartRef.current, plane);
+      const end2D = worldToSketch(pos, plane);
+
+      if (currentSketchRef.current.type === 'rectangle') {
+        return {
+          ...currentSketchRef.current,
+          end: pos,
+          width: Math.abs(end2D.x - start2D.x),
+          height: Math.abs(end2D.y - start2D.y),
+          center: sketchToWorld(
+            {
+              x: (start2D.x + end2D.x) / 2,
+              y: (start2D.y + end2D.y) / 2,
+            },
+            plane
+          ),
+          plane,
+        };
+      }
+      return {
+        ...currentSketchRef.current,
+        radius: Math.hypot(end2D.x - start2D.x, end2D.y - start2D.y),
+        center: sketchToWorld(start2D, plane),
+        plane,
+      };
+    }
+
+    function isDraggedSketchValid(sketch) {
+      if (sketch.type === 'rectangle') {
+        return sketch.width > 0.01 && sketch.height > 0.01;
+      }
+      return sketch.radius > 0.01;
+    }
+
     function handleSketchMove(event) {
       if (!isDraggingRef.current || !currentSketchRef.current) return;
 
-      const pos = getMouseOnPlane(event);
+      const pos = getMouseOnSketchPlane(event);
       if (!pos) return;
 
       // Update preview
-      if (previewRef.current) {
-        scene.remove(previewRef.current);
-        if (previewRef.current.geometry) previewRef.current.geometry.dispose();
-        if (previewRef.current.material) previewRef.current.material.dispose();
-      }
+      clearSketchPreview();
 
-      if (currentSketchRef.current.type === 'rectangle') {
-        currentSketchRef.current.end = pos;
-        const width = Math.abs(pos.x - dragStartRef.current.x);
-        const height = Math.abs(pos.z - dragStartRef.current.z);
-
-        if (width > 0.01 && height > 0.01) {
-          const geometry = new THREE.PlaneGeometry(width, height);
-          const material = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            opacity: 0.5,
-            transparent: true,
-            side: THREE.DoubleSide,
-          });
-          const preview = new THREE.Mesh(geometry, material);
-          preview.rotateX(-Math.PI / 2);
-          preview.position.set(
-            (dragStartRef.current.x + pos.x) / 2,
-            0.01,
-            (dragStartRef.current.z + pos.z) / 2
-          );
-          scene.add(preview);
-          previewRef.current = preview;
-        }
-      } else if (currentSketchRef.current.type === 'circle') {
-        const radius = dragStartRef.current.distanceTo(pos);
-        currentSketchRef.current.radius = radius;
-
-        if (radius > 0.01) {
-          const geometry = new THREE.CircleGeometry(radius, 32);
-          const material = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            opacity: 0.5,
-            transparent: true,
-            side: THREE.DoubleSide,
-          });
-          const preview = new THREE.Mesh(geometry, material);
-          preview.rotateX(-Math.PI / 2);
-          preview.position.set(
-            dragStartRef.current.x,
-            0.01,
-            dragStartRef.current.z
-          );
-          scene.add(preview);
-          previewRef.current = preview;
-        }
+      const sketch = draggedSketch(pos);
+      currentSketchRef.current.end = sketch.end;
+      currentSketchRef.current.radius = sketch.radius;
+      if (isDraggedSketchValid(sketch)) {
+        const preview = createSketchMesh(sketch, {
+          color: 0x00ff00,
+          opacity: 0.5,
+          lift: 0.01,
+        });
+        scene.add(preview);
+        previewRef.current = preview;
       }
     }
 
     function handleSketchEnd(event) {
       if (!isDraggingRef.current || !currentSketchRef.current) return;
 
-      const pos = getMouseOnPlane(event);
+      const pos = getMouseOnSketchPlane(event);
       if (!pos) return;
       pushHistory();
 
       // Remove preview
+      clearSketchPreview();
+
+      // Create sketch
+      const sketch = draggedSketch(pos);
+      delete sketch.start;
+      delete sketch.end;
+      if (isDraggedSketchValid(sketch)) {
+        sketch.constraints = [];
+        solveSketch(sketch);
+        addSketch(sketch);
+      }
+
+      isDraggingRef.current = false;
+      dragStartRef.current = null;
+      currentSketchRef.current = null;
+    }
+
+    // Helper: Remove the transient sketch preview
+    function clearSketchPreview() {
       if (previewRef.current) {
         scene.remove(previewRef.current);
         if (previewRef.current.geometry) previewRef.current.geometry.dispose();
         if (previewRef.current.material) previewRef.current.material.dispose();
         previewRef.current = null;
       }
+    }
 
-      // Create sketch
-      if (currentSketchRef.current.type === 'rectangle') {
-        const width = Math.abs(pos.x - dragStartRef.current.x);
-        const height = Math.abs(pos.z - dragStartRef.current.z);
-
-        if (width > 0.01 && height > 0.01) {
-          const sketch = {
-            ...currentSketchRef.current,
-            width,
-            height,
-            center: new THREE.Vector3(
-              (dragStartRef.current.x + pos.x) / 2,
-              0,
-              (dragStartRef.current.z + pos.z) / 2
-            ),
-          };
-          sketchesRef.current.push(sketch);
-
-          // Visualize sketch
-          const geometry = new THREE.PlaneGeometry(width, height);
-          const material = new THREE.MeshBasicMaterial({
-            color: 0x00aa00,
-            opacity: 0.3,
-            transparent: true,
-            side: THREE.DoubleSide,
-          });
-          const mesh = new THREE.Mesh(geometry, material);
-          mesh.rotateX(-Math.PI / 2);
-          mesh.position.copy(sketch.center);
-          mesh.userData.sketch = sketch;
-          scene.add(mesh);
-
-          // Update sketches list
-          window.dispatchEvent(
-            new CustomEvent('sketchesUpdated', {
-              detail: [...sketchesRef.current],
-            })
-          );
+    // Helper: Next profile segment from the chain's last vertex to a point
+    function profileSegmentTo(chain, point, tool) {
+      const from = chain.last;
+      if (tool === 'tangentArc') {
+        const previous = chain.segments[chain.segments.length - 1];
+        const tangent = segmentEndTangent(previous);
+        // Without a previous segment to follow, a tangent arc degrades to a line
+        const arc = tangent ? tangentArc(from, tangent, point) : null;
+        if (arc) return arc;
+      }
+      if (pointsEqual(from, point)) return null;
+      return {
+        type: 'line',
+        start: { x: from.x, y: from.y },
+        end: { x: point.x, y: point.y },
+      };
+    }
+
+    // Profile sketching: each click adds a vertex; clicking the first vertex
+    // closes the loop. The three-point arc tool takes the arc end point first,
+    // then a point the arc passes through.
+    function handleProfileClick(event) {
+      const pos = getMouseOnSketchPlane(event);
+      if (!pos) return;
+      let point = worldToSketch(pos, sketchPlaneRef.current);
+      const tool = sketchToolRef.current;
+
+      if (!profileChainRef.current) {
+        profileChainRef.current = {
+          segments: [],
+          constraints: [],
+          start: point,
+          last: point,
+          arcEnd: null,
+        };
+        return;
+      }
+
+      const chain = profileChainRef.current;
+      let segment = null;
+      let closing = false;
+
+      if (tool === 'arc' && chain.arcEnd) {
+        // Second click of a three-point arc: the point the arc passes through.
+        // A point in line with both ends gives a line, as previewed.
+        segment = arcFromThreePoints(chain.last, point, chain.arcEnd.point) || {
+          type: 'line',
+          start: { ...chain.last },
+          end: { ...chain.arcEnd.point },
+        };
+        closing = chain.arcEnd.closing;
+        chain.arcEnd = null;
+      } else {
+        const nearStart =
+          chain.segments.length > 0 &&
+          Math.hypot(point.x - chain.start.x, point.y - chain.start.y) <=
+            PROFILE_CLOSE_TOLERANCE;
+        // A single line folded back onto itself encloses nothing
+        const degenerate =
+          tool === 'polyline' &&
+          chain.segments.length === 1 &&
+          chain.segments[0].type === 'line';
+        if (nearStart && !degenerate) {
+          point = { ...chain.start };
+          closing = true;
         }
-      } else if (currentSketchRef.current.type === 'circle') {
-        const radius = dragStartRef.current.distanceTo(pos);
-
-        if (radius > 0.01) {
-          const sketch = {
-            ...currentSketchRef.current,
-            radius,
-            center: dragStartRef.current.clone(),
-          };
-          sketchesRef.current.push(sketch);
-
-          // Visualize sketch
-          const geometry = new THREE.CircleGeometry(radius, 32);
-          const material = new THREE.MeshBasicMaterial({
-            color: 0x00aa00,
-            opacity: 0.3,
-            transparent: true,
-            side: THREE.DoubleSide,
-          });
-          const mesh = new THREE.Mesh(geometry, material);
-          mesh.rotateX(-Math.PI / 2);
-          mesh.position.set(dragStartRef.current.x, 0, dragStartRef.current.z);
-          mesh.userData.sketch = sketch;
-          scene.add(mesh);
-
-          // Update sketches list
-          window.dispatchEvent(
-            new CustomEvent('sketchesUpdated', {
-              detail: [...sketchesRef.current],
-            })
-          );
+
+        if (tool === 'arc') {
+          if (pointsEqual(point, chain.last)) return;
+          chain.arcEnd = { point, closing };
+          return;
         }
+        segment = profileSegmentTo(chain, point, tool);
       }
 
-      isDraggingRef.current = false;
-      dragStartRef.current = null;
-      currentSketchRef.current = null;
+      if (!segment) return;
+      chain.segments.push(segment);
+      chain.last = segment.end;
+      if (tool === 'tangentArc' && segment.type === 'arc') {
+        const n = chain.segments.length - 1;
+        chain.constraints.push({
+          type: 'tangent',
+          refs: [{ seg: n - 1 }, { seg: n }],
+        });
+      }
+
+      if (closing) {
+        finishProfileSketch();
+      } else {
+        updateProfilePreview(event);
+      }
     }
 
-    // Extrusion handler
-    function handleExtrude(sketchIndex, height = 2) {
-      if (sketchIndex < 0 || sketchIndex >= sketchesRef.current.length) return;
+    // Rubber-band preview of the profile being drawn
+    function updateProfilePreview(event) {
+      const chain = profileChainRef.current;
+      if (!chain) return;
+      const pos = getMouseOnSketchPlane(event);
+      if (!pos) return;
+      const point = worldToSketch(pos, sketchPlaneRef.current);
+      const tool = sketchToolRef.current;
+
+      const segments = [...chain.segments];
+      if (tool === 'arc' && chain.arcEnd) {
+        const arc = arcFromThreePoints(chain.last, point, chain.arcEnd.point);
+        segments.push(
+          arc || { type: 'line', start: chain.last, end: chain.arcEnd.point }
+        );
+      } else {
+        const next = profileSegmentTo(chain, point, tool);
+        if (next) segments.push(next);
+      }
+
+      clearSketchPreview();
+      if (segments.length === 0) return;
+      const points = sketchOutlinePoints({ type: 'profile', segments }).map(
+        (p) => sketchToWorld(p, sketchPlaneRef.current, 0.01)
+      );
+      const geometry = new THREE.BufferGeometry().setFromPoints(points);
+      const material = new THREE.LineBasicMaterial({ color: 0x00aa00 });
+      const preview = new THREE.Line(geometry, material);
+      scene.add(preview);
+      previewRef.current = preview;
+    }
+
+    // Store the drawn chain as a sketch. Open chains are kept as construction
+    // geometry; only closed loops can be extruded.
+    function finishProfileSketch() {
+      const chain = profileChainRef.current;
+      profileChainRef.current = null;
+      clearSketchPreview();
+      if (!chain || chain.segments.length === 0) return;
       pushHistory();
 
-      const sketch = sketchesRef.current[sketchIndex];
-      let shape;
+      const sketch = createProfileSketch(
+        chain.segments,
+        sketchPlaneRef.current,
+        chain.constraints
+      );
+      solveSketch(sketch);
+      addSketch(sketch);
+    }
 
-      if (sketch.type === 'rectangle') {
-        const shape2D = new THREE.Shape();
-        shape2D.moveTo(-sketch.width / 2, -sketch.height / 2);
-        shape2D.lineTo(sketch.width / 2, -sketch.height / 2);
-        shape2D.lineTo(sketch.width / 2, sketch.height / 2);
-        shape2D.lineTo(-sketch.width / 2, sketch.height / 2);
-        shape2D.lineTo(-sketch.width / 2, -sketch.height / 2);
-
-        const extrudeSettings = {
-          depth: height,
-          bevelEnabled: false,
-        };
-        const geometry = new THREE.ExtrudeGeometry(shape2D, extrudeSettings);
-        const material = new THREE.MeshStandardMaterial({ color: 0x00aa00 });
-        shape = new THREE.Mesh(geometry, material);
-        shape.position.copy(sketch.center);
-        shape.position.y = height / 2;
-      } else if (sketch.type === 'circle') {
-        const shape2D = new THREE.Shape();
-        shape2D.absarc(0, 0, sketch.radius, 0, Math.PI * 2, false);
+    function cancelProfileSketch() {
+      profileChainRef.current = null;
+      clearSketchPreview();
+    }
 
-        const extrudeSettings = {
-          depth: height,
-          bevelEnabled: false,
-        };
-        const geometry = new THREE.ExtrudeGeometry(shape2D, extrudeSettings);
-        const material = new THREE.MeshStandardMaterial({ color: 0x00aa00 });
-        shape = new THREE.Mesh(geometry, material);
-        shape.position.set(sketch.center.x, height / 2, sketch.center.z);
+    // Helper: Register a new sketch together with its sketch feature
+    function addSketch(sketch) {
+      sketch.featureId = addFeature(featureTreeRef.current, 'sketch').id;
+      sketchesRef.current.push(sketch);
+      scene.add(createSketchMesh(sketch));
+      regenerateFeatures();
+
+      window.dispatchEvent(
+        new CustomEvent('sketchesUpdated', {
+          detail: [...sketchesRef.current],
+        })
+      );
+    }
+
+    // Helper: Remove a sketch's visualization from the scene
+    function removeSketchMesh(sketch) {
+      const oldMeshes = scene.children.filter(
+        (child) => child.userData && child.userData.sketch === sketch
+      );
+      oldMeshes.forEach((m) => {
+        scene.remove(m);
+        m.traverse((child) => {
+          if (child.geometry) child.geometry.dispose();
+          if (child.material) child.material.dispose();
+        });
+      });
+    }
+
+    // Helper: Replace a sketch's visualization after its geometry changed
+    function refreshSketchMesh(sketch) {
+      removeSketchMesh(sketch);
+      scene.add(createSketchMesh(sketch));
+    }
+
+    // Helper: Delete a feature with everything built on it, including the
+    // sketches owned by removed sketch features
+    function deleteFeature(id) {
+      const removed = removeFeature(featureTreeRef.current, id);
+      if (removed.length === 0) return;
+      const removedIds = new Set(removed.map((f) => f.id));
+      sketchesRef.current = sketchesRef.current.filter((sketch) => {
+        if (!removedIds.has(sketch.featureId)) return true;
+        removeSketchMesh(sketch);
+        return false;
+      });
+      regenerateFeatures();
+      window.dispatchEvent(
+        new CustomEvent('sketchesUpdated', {
+          detail: [...sketchesRef.current],
+        })
+      );
+    }
+
+    // Sketch point dragging (sketch mode, no tool): the grabbed point follows
+    // the mouse while the constraint solver keeps the rest of the profile valid
+    function startSketchHandleDrag(event) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const mouse = new THREE.Vector2(
+        event.clientX - rect.left,
+        event.clientY - rect.top
+      );
+      let best = null;
+      let bestDistance = SKETCH_HANDLE_PIXEL_THRESHOLD;
+
+      sketchesRef.current.forEach((sketch) => {
+        if (!isSketchActive(sketch)) return;
+        const handles = profileHandles(sketch);
+        if (handles.length === 0) return;
+        const plane = getSketchPlane(sketch);
+        const origin = worldToSketch(sketch.center, plane);
+        handles.forEach((handle) => {
+          const world = sketchToWorld(
+            {
+              x: origin.x + handle.position.x,
+              y: origin.y + handle.position.y,
+            },
+            plane
+          );
+          const ndc = world.project(camera);
+          const px = new THREE.Vector2(
+            (ndc.x + 1) * 0.5 * rect.width,
+            (-ndc.y + 1) * 0.5 * rect.height
+          );
+          const distance = px.distanceTo(mouse);
+          if (distance <= bestDistance) {
+            bestDistance = distance;
+            best = { sketch, ref: handle.ref, plane, origin };
+          }
+        });
+      });
+
+      if (!best) return false;
+      pushHistory();
+      sketchDragRef.current = best;
+      return true;
+    }
+
+    function updateSketchHandleDrag(event) {
+      const drag = sketchDragRef.current;
+      const pos = getMouseOnSketchPlane(event, drag.plane, [drag.sketch]);
+      if (!pos) return;
+      const p = worldToSketch(pos, drag.plane);
+      solveSketch(drag.sketch, {
+        drag: {
+          ref: drag.ref,
+          target: { x: p.x - drag.origin.x, y: p.y - drag.origin.y },
+        },
+      });
+      refreshSketchMesh(drag.sketch);
+      window.dispatchEvent(
+        new CustomEvent('sketchesUpdated', {
+          detail: [...sketchesRef.current],
+        })
+      );
+    }
+
+    // Helper: Show a local grid on the active sketch plane while sketching
+    // (the ground plane already has the scene grid)
+    function updateSketchPlaneHelper() {
+      const old = sketchPlaneHelperRef.current;
+      if (old) {
+        scene.remove(old);
+        old.traverse((child) => {
+          if (child.geometry) child.geometry.dispose();
+          if (child.material) child.material.dispose();
+        });
+        sketchPlaneHelperRef.current = null;
       }
 
-      if (shape) {
-        shape.userData.type = 'extruded';
-        shape.userData.extrusionHeight = height;
-        shape.userData.sketchData = sketch;
+      const sketchPlane = sketchPlaneRef.current;
+      if (!sketchModeRef.current) return;
+      if (sketchPlane.name === 'XZ' && !sketchPlane.offset) return;
 
-        // Update geometry
-        updateShapeGeometry(shape);
+      const helper = new THREE.Group();
+      const fill = new THREE.Mesh(
+        new THREE.PlaneGeometry(10, 10),
+        new THREE.MeshBasicMaterial({
+          color: 0x2194ce,
+          opacity: 0.08,
+          transparent: true,
+          side: THREE.DoubleSide,
+          depthWrite: false,
+        })
+      );
+      helper.add(fill);
+      const planeGrid = new THREE.GridHelper(10, 20, 0x2194ce, 0x9cc9e6);
+      // GridHelper lies in its local XZ plane; turn it to face local +Z
+      planeGrid.rotateX(Math.PI / 2);
+      helper.add(planeGrid);
+
+      helper.quaternion.copy(planeQuaternion(sketchPlane));
+      helper.position.copy(sketchPlane.origin);
+      scene.add(helper);
+      sketchPlaneHelperRef.current = helper;
+    }
 
-        // Improve selection reliability on all faces
-        if (shape.material && shape.material.side !== undefined) {
-          shape.material.side = THREE.DoubleSide;
+    // Helper: Current value of the dimension set by a creation phase
+    function createdShapeValue(shape, phase) {
+      const data = shape.userData;
+      if (phase === 'height') return data.dimensions?.height ?? data.height;
+      return data[phase];
+    }
+
+    // Helper: Set the dimension of a creation phase, keeping the shape on
+    // the ground
+    function resizeCreatedShape(shape, phase, value) {
+      const data = shape.userData;
+      const dims = data.dimensions;
+      if (phase === 'height') {
+        const height = Math.max(0.01, value);
+        if (data.type === 'box') {
+          rebuildBoxGeometry(shape, dims.width, height, dims.depth);
+        } else if (data.type === 'wedge') {
+          rebuildWedgeGeometry(shape, dims.width, height, dims.depth);
+        } else if (data.type === 'pyramid') {
+          rebuildPyramidGeometry(shape, dims.width, height, dims.depth);
+        } else if (data.type === 'cylinder') {
+          rebuildCylinderGeometry(shape, data.radius, height);
+        } else if (data.type === 'cone') {
+          rebuildConeGeometry(shape, data.radiusBottom, data.radiusTop, height);
+        } else if (data.type === 'tube') {
+          rebuildTubeGeometry(
+            shape,
+            data.outerRadius,
+            data.innerRadius,
+            height
+          );
         }
+        shape.position.y = height / 2;
+      } else if (phase === 'radiusTop') {
+        rebuildConeGeometry(shape, data.radiusBottom, value, data.height);
+      } else if (phase === 'innerRadius') {
+        rebuildTubeGeometry(shape, data.outerRadius, value, data.height);
+      } else if (phase === 'tube') {
+        rebuildTorusGeometry(shape, data.radius, value);
+        shape.position.y = data.tube;
+      }
+    }
 
-        scene.add(shape);
-        objectsRef.current.push(shape);
+    // Helper: World-space center and normal of the selected face (planar
+    // faces only)
+    function selectedFaceInWorld() {
+      if (selectedTypeRef.current !== 'face') return null;
+      const face = selectedEntityRef.current;
+      if (!face || !face.center || !face.normal) return null;
+      if (face.type && face.type !== 'planar') return null;
+
+      const origin = face.center.clone();
+      const normal = face.normal.clone();
+      if (face.parentObject) {
+        face.parentObject.updateMatrixWorld();
+        origin.applyMatrix4(face.parentObject.matrixWorld);
+        normal.transformDirection(face.parentObject.matrixWorld);
+      }
+      return { origin, normal };
+    }
 
-        // Remove sketch visualization
-        scene.children.forEach((child) => {
-          if (child.userData.sketch === sketch) {
-            scene.remove(child);
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-          }
+    // Helper: World-space end points of the selected edge; an arc or circle
+    // gives its axis (from its center along its normal)
+    function selectedEdgeInWorld() {
+      if (selectedTypeRef.current !== 'edge') return null;
+      const edge = selectedEntityRef.current;
+      if (!edge || !edge.start || !edge.end) return null;
+
+      const [start, end] = (
+        edge.center
+          ? [edge.center, edge.center.clone().add(edge.normal)]
+          : [edge.start, edge.end]
+      ).map((p) => p.clone());
+      if (edge.parentObject) {
+        edge.parentObject.updateMatrixWorld();
+        start.applyMatrix4(edge.parentObject.matrixWorld);
+        end.applyMatrix4(edge.parentObject.matrixWorld);
+      }
+      return { start, end };
+    }
+
+    // Helper: Sketch plane through the selected face, in world space
+    function sketchPlaneFromSelectedFace() {
+      const face = selectedFaceInWorld();
+      if (!face) return null;
+      const sketchPlane = createSketchPlane(face.origin, face.normal);
+      sketchPlane.name = 'face';
+      return sketchPlane;
+    }
+
+    // Helper: Subtract a cut tool body from every body it intersects. The
+    // tool only lives on inside the resulting booleans, which follow the cut
+    // feature when it regenerates. Returns the number of bodies cut.
+    function cutBodiesWith(tool) {
+      let cutCount = 0;
+      objectsRef.current
+        .filter((obj) => obj !== tool && obj.isMesh && obj.visible)
+        .forEach((target) => {
+          const overlap = createBooleanFromObjects('intersect', [target, tool]);
+          if (!overlap) return;
+          overlap.geometry.dispose();
+          overlap.material.dispose();
+
+          const result = createBooleanFromObjects('subtract', [target, tool]);
+          if (!result) return;
+          if (target.parent) target.parent.remove(target);
+          target.geometry.dispose();
+          target.material.dispose();
+          objectsRef.current = objectsRef.current.filter((o) => o !== target);
+          scene.add(result);
+          objectsRef.current.push(result);
+          cutCount++;
         });
 
-        sketchesRef.current.splice(sketchIndex, 1);
+      scene.remove(tool);
+      tool.geometry.dispose();
+      tool.material.dispose();
+      objectsRef.current = objectsRef.current.filter((o) => o !== tool);
+      return cutCount;
+    }
 
-        // Update sketches list
-        window.dispatchEvent(
-          new CustomEvent('sketchesUpdated', {
-            detail: [...sketchesRef.current],
-          })
-        );
+    // Extrusion handler: adds an extrude feature; the body is built by the
+    // feature tree so the sketch and height stay editable.
+    // Options: { extent, reverse, depth2, operation: 'add' | 'cut' }
+    function handleExtrude(sketchIndex, height = 2, options = {}) {
+      if (sketchIndex < 0 || sketchIndex >= sketchesRef.current.length) return;
+      const sketch = sketchesRef.current[sketchIndex];
+      // Open profiles are construction geometry and cannot be extruded
+      if (!isSketchClosed(sketch)) return;
+      // Rolled-back or suppressed sketches can't feed a new feature
+      if (!isSketchActive(sketch)) return;
+
+      const params = {
+        height,
+        extent: options.extent || 'blind',
+        reverse: !!options.reverse,
+        depth2: options.depth2 || 0,
+        operation: options.operation === 'cut' ? 'cut' : 'add',
+      };
+      if (params.extent === 'face') {
+        const face = selectedFaceInWorld();
+        if (!face) {
+          alert('Select the planar face to extrude up to (Ctrl/Cmd + click).');
+          return;
+        }
+        params.upToPlane = {
+          point: { x: face.origin.x, y: face.origin.y, z: face.origin.z },
+          normal: { x: face.normal.x, y: face.normal.y, z: face.normal.z },
+        };
+      }
+      pushHistory();
 
-        // Clear active sketch tool so user can select/rotate newly created mesh
-        setSketchTool(null);
-        sketchToolRef.current = null;
+      adoptSketches(featureTreeRef.current, sketchesRef.current);
+      const feature = addFeature(featureTreeRef.current, 'extrude', {
+        sketchId: sketch.featureId,
+        ...params,
+      });
+      regenerateFeatures();
+      const shape = objectsRef.current.find(
+        (obj) => obj.userData.featureId === feature.id
+      );
+      // Up to next fails when nothing lies in the extrusion direction
+      if (
+        params.extent === 'next' &&
+        featureStatusRef.current.status[feature.id] !== 'ok'
+      ) {
+        undoStackRef.current.pop();
+        removeFeature(featureTreeRef.current, feature.id);
+        regenerateFeatures();
+        alert('No face found in the extrusion direction.');
+        return;
+      }
 
-        // Auto-select the extruded mesh
-        setSelectedEntity(shape);
-        setSelectedType('shape');
-        selectedEntityRef.current = shape;
-        selectedTypeRef.current = 'shape';
-        highlightEntity(shape, 'shape');
-        window.dispatchEvent(
-          new CustomEvent('selectionChanged', {
-            detail: { entity: shape, type: 'shape' },
-          })
-        );
+      if (shape && params.operation === 'cut') {
+        if (cutBodiesWith(shape) === 0) {
+          alert('The cut does not intersect any body.');
+          undoStackRef.current.pop();
+          removeFeature(featureTreeRef.current, feature.id);
+        }
+        regenerateFeatures();
+        return;
+      }
+
+      if (shape) selectNewBody(shape);
+    }
+
+    // Revolve handler: adds a revolve feature spinning the sketch profile
+    // about axis ({ kind: 'world', name } | { kind: 'sketchLine', seg } |
+    // { kind: 'edge' } for the selected edge) by angle degrees
+    function handleRevolve(sketchIndex, angle = 360, axis = {}) {
+      if (sketchIndex < 0 || sketchIndex >= sketchesRef.current.length) return;
+      const sketch = sketchesRef.current[sketchIndex];
+      if (!isSketchClosed(sketch)) return;
+      if (!isSketchActive(sketch)) return;
+
+      let featureAxis = axis;
+      if (axis.kind === 'edge') {
+        const edge = selectedEdgeInWorld();
+        if (!edge) {
+          alert('Select the axis edge first (click near the edge).');
+          return;
+        }
+        const [start, end] = [edge.start, edge.end].map((p) => ({
+          x: p.x,
+          y: p.y,
+          z: p.z,
+        }));
+        featureAxis = { kind: 'line', start, end };
+      }
+      addBodyFeature(
+        'revolve',
+        () => ({
+          sketchId: sketch.featureId,
+          axis: featureAxis,
+          angle,
+        }),
+        'Cannot revolve: the axis must lie in the sketch plane without crossing the profile.'
+      );
+    }
+
+    // Sweep handler: sweeps a closed sketch along another sketch (the path)
+    function handleSweep(profileIndex, pathIndex) {
+      const profile = sketchesRef.current[profileIndex];
+      const path = sketchesRef.current[pathIndex];
+      if (!profile || !path || profile === path) return;
+      if (!isSketchClosed(profile)) return;
+      if (!isSketchActive(profile) || !isSketchActive(path)) return;
+      addBodyFeature(
+        'sweep',
+        () => ({ profileId: profile.featureId, pathId: path.featureId }),
+        'Cannot sweep: the path must leave the profile plane and must not turn back on itself.'
+      );
+    }
+
+    // Loft handler: blends closed sketches in the given order
+    function handleLoft(indices = []) {
+      const sections = indices.map((i) => sketchesRef.current[i]);
+      if (sections.length < 2 || sections.some((s) => !s)) return;
+      if (sections.some((s) => !isSketchClosed(s) || !isSketchActive(s))) {
+        return;
+      }
+      addBodyFeature(
+        'loft',
+        () => ({ sketchIds: sections.map((s) => s.featureId) }),
+        'Cannot loft: the profiles must lie on distinct parallel planes.'
+      );
+    }
+
+    // Helper: Add a feature that builds a body and select the body; the
+    // feature is taken back (with its undo entry) when it fails to build.
+    // params is called once the sketches have feature ids.
+    function addBodyFeature(type, params, failureMessage) {
+      pushHistory();
+      adoptSketches(featureTreeRef.current, sketchesRef.current);
+      const feature = addFeature(featureTreeRef.current, type, params());
+      regenerateFeatures();
+      if (featureStatusRef.current.status[feature.id] !== 'ok') {
+        undoStackRef.current.pop();
+        removeFeature(featureTreeRef.current, feature.id);
+        regenerateFeatures();
+        alert(failureMessage);
+        return;
       }
+      const shape = objectsRef.current.find(
+        (obj) => obj.userData.featureId === feature.id
+      );
+      if (shape) selectNewBody(shape);
+    }
+
+    // Helper: Select a body a feature just created
+    function selectNewBody(shape) {
+      // Clear active sketch tool so user can select/rotate newly created mesh
+      setSketchTool(null);
+      sketchToolRef.current = null;
+
+      setSelectedEntity(shape);
+      setSelectedType('shape');
+      selectedEntityRef.current = shape;
+      selectedTypeRef.current = 'shape';
+      highlightEntity(shape, 'shape');
+      window.dispatchEvent(
+        new CustomEvent('selectionChanged', {
+          detail: { entity: shape, type: 'shape' },
+        })
+      );
     }
 
     // Transformation handlers
@@ -1029,86 +2457,56 @@ export default function ThreeCanvas() {
           entity.scale.multiplyScalar(1 + delta.x * 0.1);
         }
       }
+      window.dispatchEvent(new CustomEvent('objectTransformed'));
     }
 
     // Event listeners
     const handlePointerDown = (event) => {
+      // The view cube turns the camera to the picked face, edge or corner
+      const rect = renderer.domElement.getBoundingClientRect();
+      const cubeX = event.clientX - rect.left;
+      const cubeY = event.clientY - rect.top;
+      if (isOverViewCube(viewCube, cubeX, cubeY, rect.width)) {
+        const direction = viewCubeDirection(viewCube, cubeX, cubeY, rect.width);
+        if (direction) {
+          moveCameraTo(directionView(camera, cameraTarget, direction));
+        }
+        return;
+      }
+      // Middle and right buttons only pan the camera
+      if (event.button !== 0) return;
+
       // If there's a pending shape, prevent camera rotation
       if (pendingShapeTypeRef.current) {
         event.stopPropagation();
       }
 
-      // If in a transform mode and an entity is selected, start transform dragging
-      if (transformModeRef.current && selectedEntityRef.current) {
-        event.preventDefault();
-        event.stopPropagation();
-        // push snapshot at transform start
-        pushHistory();
-        // Determine which entity to transform (shape or parent of face/edge)
-        let target = selectedEntityRef.current;
-        if (
-          selectedTypeRef.current === 'face' ||
-          selectedTypeRef.current === 'edge'
-        ) {
-          const parentShape = objectsRef.current.find(
-            (obj) =>
-              (obj.userData.faces &&
-                obj.userData.faces.includes(selectedEntityRef.current)) ||
-              (obj.userData.edges &&
-                obj.userData.edges.includes(selectedEntityRef.current))
-          );
-          if (parentShape) target = parentShape;
-        }
-        transformEntityRef.current = target;
-        // If a face/edge is selected, switch selection to its parent shape for transforms
-        if (selectedTypeRef.current !== 'shape') {
-          const parentShape = objectsRef.current.find(
-            (obj) =>
-              (obj.userData.faces &&
-                obj.userData.faces.includes(selectedEntityRef.current)) ||
-              (obj.userData.edges &&
-                obj.userData.edges.includes(selectedEntityRef.current))
-          );
-          if (parentShape) {
-            setSelectedEntity(parentShape);
-            setSelectedType('shape');
-            selectedEntityRef.current = parentShape;
-            selectedTypeRef.current = 'shape';
-            highlightEntity(parentShape, 'shape');
-          }
-        }
-        if (transformModeRef.current === 'translate') {
-          const start = getMouseOnPlane(event);
-          if (!start) return;
-          isTransformDraggingRef.current = true;
-          transformStartRef.current.pointer = start.clone();
-          transformStartRef.current.entityPosition = target.position.clone();
-        } else if (transformModeRef.current === 'rotate') {
-          isTransformDraggingRef.current = true;
-          transformStartRef.current.pointer = {
-            x: event.clientX,
-            y: event.clientY,
-          };
-          transformStartRef.current.entityRotationY = target.rotation.y;
-        } else if (transformModeRef.current === 'scale') {
-          isTransformDraggingRef.current = true;
-          transformStartRef.current.pointer = {
-            x: event.clientX,
-            y: event.clientY,
-          };
-          transformStartRef.current.entityScale = target.scale.clone();
-        }
+      // Presses on the gizmo handles belong to the gizmo
+      if (gizmo.dragging) return;
+
+      if (measureMode) {
+        measureDown = { x: event.clientX, y: event.clientY };
         return;
       }
-
       if (sketchModeRef.current && sketchToolRef.current) {
         handleSketchStart(event);
+      } else if (sketchModeRef.current && startSketchHandleDrag(event)) {
+        event.stopPropagation();
       } else {
         handleSelection(event);
       }
     };
 
     const handlePointerMove = (event) => {
+      if (sketchDragRef.current) {
+        updateSketchHandleDrag(event);
+        return;
+      }
+      if (measureMode) {
+        showSnapGlyph(measureDown ? null : findMeasureSnap(event));
+        return;
+      }
+
       // Interactive creation drag: update dimensions as mouse moves
       if (creationStateRef.current) {
         const state = creationStateRef.current;
@@ -1116,16 +2514,24 @@ export default function ThreeCanvas() {
         if (!shape) return;
 
         if (state.phase === 'base') {
-          const pos = getMouseOnPlane(event);
+          const pos = getMouseOnPlane(event, state.start, [shape]);
           if (!pos) return;
           const start = state.start;
 
-          if (state.type === 'box') {
-            const width = Math.max(0.01, Math.abs(pos.x - start.x));
-            const depth = Math.max(0.01, Math.abs(pos.z - start.z));
+          const dx = pos.x - start.x;
+          const dz = pos.z - start.z;
+          const radius = Math.max(0.01, Math.hypot(dx, dz));
+          if (['box', 'wedge', 'pyramid'].includes(state.type)) {
+            const width = Math.max(0.01, Math.abs(dx));
+            const depth = Math.max(0.01, Math.abs(dz));
             const height = shape.userData?.dimensions?.height ?? 1;
             // Rebuild geometry
-            rebuildBoxGeometry(shape, width, height, depth);
+            const rebuild = {
+              box: rebuildBoxGeometry,
+              wedge: rebuildWedgeGeometry,
+              pyramid: rebuildPyramidGeometry,
+            }[state.type];
+            rebuild(shape, width, height, depth);
             // Center between start and current on XZ; Y = height/2
             shape.position.set(
               (pos.x + start.x) / 2,
@@ -1133,97 +2539,68 @@ export default function ThreeCanvas() {
               (pos.z + start.z) / 2
             );
           } else if (state.type === 'sphere') {
-            const dx = pos.x - start.x;
-            const dz = pos.z - start.z;
-            const radius = Math.max(0.01, Math.hypot(dx, dz));
             rebuildSphereGeometry(shape, radius);
             // Keep center on ground plane XZ at start point; Y = radius
             shape.position.set(start.x, radius, start.z);
-          } else if (state.type === 'cylinder') {
-            const dx = pos.x - start.x;
-            const dz = pos.z - start.z;
-            const radius = Math.max(0.01, Math.hypot(dx, dz));
-            const height = shape.userData?.height ?? 1;
-            rebuildCylinderGeometry(shape, radius, height);
+          } else if (state.type === 'torus') {
+            // Ring radius follows the mouse; the tube stays in proportion
+            const tube = radius / 4;
+            rebuildTorusGeometry(shape, radius, tube);
+            shape.position.set(start.x, tube, start.z);
+          } else {
+            const data = shape.userData || {};
+            const height = data.height ?? 1;
+            if (state.type === 'cylinder') {
+              rebuildCylinderGeometry(shape, radius, height);
+            } else if (state.type === 'cone') {
+              rebuildConeGeometry(shape, radius, data.radiusTop ?? 0, height);
+            } else if (state.type === 'tube') {
+              rebuildTubeGeometry(shape, radius, radius * 0.6, height);
+            }
             // Keep center XZ at start; Y = height/2
             shape.position.set(start.x, height / 2, start.z);
           }
-        } else if (state.phase === 'height') {
-          // Mouse vertical movement controls height for box/cylinder
-          const dy = state.startClientY - event.clientY; // up increases height
+        } else {
+          showSnapGlyph(null);
+          // Mouse vertical movement controls the parameter of this phase
+          const dy = state.startClientY - event.clientY; // up increases it
           const delta = dy * 0.02; // sensitivity
-          if (state.type === 'box') {
-            const dims = shape.userData?.dimensions || {
-              width: 1,
-              height: 1,
-              depth: 1,
-            };
-            const width = dims.width;
-            const depth = dims.depth;
-            const height = Math.max(
-              0.01,
-              (state.initialHeight ?? dims.height ?? 1) + delta
-            );
-            rebuildBoxGeometry(shape, width, height, depth);
-            shape.position.set(shape.position.x, height / 2, shape.position.z);
-          } else if (state.type === 'cylinder') {
-            const radius = shape.userData?.radius ?? 0.5;
-            const baseHeight =
-              state.initialHeight ?? shape.userData?.height ?? 1;
-            const height = Math.max(0.01, baseHeight + delta);
-            rebuildCylinderGeometry(shape, radius, height);
-            shape.position.set(shape.position.x, height / 2, shape.position.z);
-          }
-        }
-        return;
-      }
-
-      // Perform transform drag if active
-      if (isTransformDraggingRef.current && selectedEntityRef.current) {
-        const target = transformEntityRef.current || selectedEntityRef.current;
-        if (!target) return;
-        if (transformModeRef.current === 'translate') {
-          const current = getMouseOnPlane(event);
-          const start = transformStartRef.current.pointer;
-          if (!current || !start) return;
-          const delta = new THREE.Vector3().copy(current).sub(start);
-          // Move only in XZ plane
-          const newPos = transformStartRef.current.entityPosition
-            .clone()
-            .add(new THREE.Vector3(delta.x, 0, delta.z));
-          target.position.copy(newPos);
-          // Outline is a child of target, so it follows automatically
-        } else if (transformModeRef.current === 'rotate') {
-          const dx = event.clientX - transformStartRef.current.pointer.x;
-          const angle = dx * 0.02; // more sensitive rotation for small objects
-          target.rotation.y = transformStartRef.current.entityRotationY + angle;
-          // Outline is a child of target, so it follows automatically; BoxHelper needs update
-          if (highlightedRef.current && highlightedRef.current.isBoxHelper) {
-            highlightedRef.current.update();
-          }
-        } else if (transformModeRef.current === 'scale') {
-          const dy = event.clientY - transformStartRef.current.pointer.y;
-          const factor = Math.max(0.01, 1 + dy * -0.01); // more responsive scaling
-          const baseScale = transformStartRef.current.entityScale;
-          target.scale.set(
-            baseScale.x * factor,
-            baseScale.y * factor,
-            baseScale.z * factor
-          );
-          // Outline is a child of target, so it follows automatically; BoxHelper needs update
-          if (highlightedRef.current && highlightedRef.current.isBoxHelper) {
-            highlightedRef.current.update();
-          }
+          const value = Math.max(0, (state.initialValue ?? 1) + delta);
+          resizeCreatedShape(shape, state.phase, value);
         }
         return;
       }
 
       if (sketchModeRef.current && isDraggingRef.current) {
         handleSketchMove(event);
+      } else if (sketchModeRef.current && profileChainRef.current) {
+        updateProfilePreview(event);
+      } else if (sketchModeRef.current && sketchToolRef.current) {
+        // Show the snap the next click would take
+        getMouseOnSketchPlane(event);
+      } else if (pendingShapeTypeRef.current) {
+        getMouseOnPlane(event);
+      } else if (!gizmo.dragging) {
+        showSnapGlyph(null);
       }
     };
 
     const handlePointerUp = (event) => {
+      if (measureDown) {
+        const moved = Math.hypot(
+          event.clientX - measureDown.x,
+          event.clientY - measureDown.y
+        );
+        measureDown = null;
+        if (measureMode && moved < DRAG_THRESHOLD) handleMeasureClick(event);
+        return;
+      }
+      if (sketchDragRef.current) {
+        sketchDragRef.current = null;
+        regenerateFeatures();
+        return;
+      }
+
       // Finalize/advance creation if in creation mode
       if (creationStateRef.current) {
         const state = creationStateRef.current;
@@ -1233,31 +2610,21 @@ export default function ThreeCanvas() {
           isDraggingRef.current = false;
           return;
         }
-        if (state.type === 'sphere') {
-          // Spheres are single-phase
-          creationStateRef.current = null;
-          isDraggingRef.current = false;
-          if (selectedEntityRef.current) {
-            highlightEntity(selectedEntityRef.current, 'shape');
-          }
-          pushHistory();
-          return;
-        }
-        if (state.phase === 'base') {
-          // Move to height phase for box/cylinder
+        const phases = CREATION_PHASES[state.type] || ['base'];
+        const next = phases[phases.indexOf(state.phase) + 1];
+        if (next) {
+          // Move on to the next dimension
           creationStateRef.current = {
             ...state,
-            phase: 'height',
+            phase: next,
             startClientY: event.clientY,
-            initialHeight:
-              state.type === 'box'
-                ? shape.userData?.dimensions?.height ?? 1
-                : shape.userData?.height ?? 1,
+            initialValue: createdShapeValue(shape, next),
           };
           isDraggingRef.current = true;
           return;
         } else {
-          // Finish height phase
+          // Last phase done
+          showSnapGlyph(null);
           creationStateRef.current = null;
           isDraggingRef.current = false;
           if (selectedEntityRef.current) {
@@ -1267,11 +2634,6 @@ export default function ThreeCanvas() {
           return;
         }
       }
-      if (isTransformDraggingRef.current) {
-        isTransformDraggingRef.current = false;
-        transformEntityRef.current = null;
-        return;
-      }
       if (sketchModeRef.current && isDraggingRef.current) {
         handleSketchEnd(event);
       }
@@ -1314,6 +2676,26 @@ export default function ThreeCanvas() {
         return;
       }
 
+      // Profile sketching: Enter keeps the chain as open geometry, Escape discards it
+      if (profileChainRef.current && (key === 'enter' || key === 'escape')) {
+        event.preventDefault();
+        if (key === 'enter') {
+          finishProfileSketch();
+        } else {
+          cancelProfileSketch();
+        }
+        return;
+      }
+
+      // Escape drops a half-made measurement
+      if (measureMode && key === 'escape' && measurePicks.length > 0) {
+        event.preventDefault();
+        measurePicks = [];
+        measureResult = null;
+        publishMeasure();
+        return;
+      }
+
       // Transform mode shortcuts
       if (key === 'g') {
         event.preventDefault();
@@ -1341,7 +2723,19 @@ export default function ThreeCanvas() {
           new CustomEvent('setTransformMode', { detail: newMode })
         );
       } else if (key === 'delete' || key === 'backspace') {
-        if (selectedEntityRef.current && selectedTypeRef.current === 'shape') {
+        const featureId =
+          selectedTypeRef.current === 'shape' &&
+          selectedEntityRef.current?.userData.featureId;
+        if (featureId) {
+          // Deleting a feature body deletes its feature (and dependents)
+          event.preventDefault();
+          pushHistory();
+          clearSelection();
+          deleteFeature(featureId);
+        } else if (
+          selectedEntityRef.current &&
+          selectedTypeRef.current === 'shape'
+        ) {
           event.preventDefault();
           pushHistory();
           scene.remove(selectedEntityRef.current);
@@ -1358,7 +2752,13 @@ export default function ThreeCanvas() {
               detail: { entity: null, type: null },
             })
           );
+          // Feature bodies used by a deleted boolean come back as bodies
+          regenerateFeatures();
         }
+      } else if (key === 'f') {
+        // Frame the selection, or everything when nothing is selected
+        event.preventDefault();
+        zoomToFit(true);
       } else if (transformModeRef.current && selectedEntityRef.current) {
         // Transformation controls
         const delta = 0.1;
@@ -1449,16 +2849,81 @@ export default function ThreeCanvas() {
       setTransformMode(e.detail);
       transformModeRef.current = e.detail;
     };
+    // Typed transform value for the selected shape or group.
+    // detail: { property: 'position' | 'rotation' | 'scale', axis, value }
+    // with rotations in degrees
+    const setTransformHandler = (e) => {
+      const { property, axis, value } = e.detail || {};
+      const entity = selectedEntityRef.current;
+      if (!entity || selectedTypeRef.current !== 'shape') return;
+      if (!['position', 'rotation', 'scale'].includes(property)) return;
+      if (!['x', 'y', 'z'].includes(axis) || !Number.isFinite(value)) return;
+      if (property === 'scale' && Math.abs(value) < 1e-6) return;
+      pushHistory();
+      entity[property][axis] =
+        property === 'rotation' ? THREE.MathUtils.degToRad(value) : value;
+      if (highlightedRef.current && highlightedRef.current.isBoxHelper) {
+        highlightedRef.current.update();
+      } else {
+        highlightEntity(entity, 'shape');
+      }
+      window.dispatchEvent(new CustomEvent('objectTransformed'));
+    };
+    // Orient the gizmo along the world axes or the shape's own axes.
+    // detail: 'world' | 'local'
+    const setTransformSpaceHandler = (e) => {
+      transformSpaceRef.current = e.detail === 'local' ? 'local' : 'world';
+      gizmo.setSpace(transformSpaceRef.current);
+    };
     const setSketchModeHandler = (e) => {
+      if (!e.detail) finishProfileSketch();
       setSketchMode(e.detail);
       sketchModeRef.current = e.detail;
+      updateSketchPlaneHelper();
+      updateSketchVisibility();
+    };
+    // Choose the sketch plane: 'XZ' / 'XY' / 'YZ' with an optional offset, or
+    // 'face' for the currently selected (Ctrl+click) face
+    const setSketchPlaneHandler = (e) => {
+      const { plane: name = 'XZ', offset = 0 } = e.detail || {};
+      let nextPlane;
+      if (name === 'face') {
+        nextPlane = sketchPlaneFromSelectedFace();
+        if (!nextPlane) {
+          alert('Select a planar face (Ctrl/Cmd + click) to sketch on it.');
+          return;
+        }
+      } else {
+        nextPlane = standardSketchPlane(name, offset);
+      }
+
+      finishProfileSketch();
+      sketchPlaneRef.current = nextPlane;
+      updateSketchPlaneHelper();
+      window.dispatchEvent(
+        new CustomEvent('sketchPlaneChanged', {
+          detail: { plane: nextPlane.name, offset: nextPlane.offset || 0 },
+        })
+      );
     };
     const setSketchToolHandler = (e) => {
+      if (profileChainRef.current) {
+        if (PROFILE_TOOLS.includes(e.detail)) {
+          // Keep chaining segments with the new tool
+          profileChainRef.current.arcEnd = null;
+        } else {
+          finishProfileSketch();
+        }
+      }
       setSketchTool(e.detail);
       sketchToolRef.current = e.detail;
     };
     const extrudeHandler = (e) =>
-      handleExtrude(e.detail.index, e.detail.height);
+      handleExtrude(e.detail.index, e.detail.height, e.detail.options);
+    const revolveHandler = (e) =>
+      handleRevolve(e.detail.index, e.detail.angle, e.detail.axis);
+    const sweepHandler = (e) => handleSweep(e.detail.index, e.detail.pathIndex);
+    const loftHandler = (e) => handleLoft(e.detail.indices);
     const undoHandler = () => {
       if (undoStackRef.current.length > 0) {
         const snap = undoStackRef.current.pop();
@@ -1521,6 +2986,322 @@ export default function ThreeCanvas() {
         })
       );
     };
+    // Fillet / chamfer the selected edge and any Shift+clicked edges of the
+    // same body. detail: { kind: 'fillet', radius } or
+    // { kind: 'chamfer', distance, angle } (angle null for equal distances)
+    const edgeTreatmentHandler = (e) => {
+      const { kind, radius, distance, angle = null } = e.detail || {};
+      const edge = selectedEntityRef.current;
+      if (selectedTypeRef.current !== 'edge' || !edge) return;
+      const shape = edge.parentObject;
+      if (!shape || !['box', 'extruded'].includes(shape.userData.type)) {
+        alert(
+          'Fillets and chamfers work on edges of boxes and extruded solids.'
+        );
+        return;
+      }
+
+      if ([edge, ...extraPicksRef.current].some((e) => e.center)) {
+        alert(`Cannot ${kind} arcs and circles: pick straight edges.`);
+        return;
+      }
+
+      const base = shapeBaseGeometry(shape);
+      const edges = [edge, ...extraPicksRef.current].map((e) =>
+        normalizeEdge(base, e)
+      );
+      base.dispose();
+      const treatment =
+        kind === 'fillet'
+          ? { kind, radius, edges }
+          : { kind: 'chamfer', distance, angle, edges };
+      const previous = shape.userData.edgeTreatments || [];
+      pushHistory();
+      shape.userData.edgeTreatments = [...previous, treatment];
+      if (refreshEdgeTreatments(shape).includes(previous.length)) {
+        undoStackRef.current.pop();
+        shape.userData.edgeTreatments = previous;
+        refreshEdgeTreatments(shape);
+        alert(
+          `Cannot ${kind} these edges: pick sharp edges between two flat faces and a size that fits.`
+        );
+        return;
+      }
+      selectNewBody(shape);
+    };
+
+    // Edit or remove a fillet / chamfer of the selected shape by index
+    const updateEdgeTreatmentHandler = (e) => {
+      const { index, changes = {} } = e.detail || {};
+      const shape = selectedEntityRef.current;
+      const treatment = shape?.userData?.edgeTreatments?.[index];
+      if (selectedTypeRef.current !== 'shape' || !treatment) return;
+      pushHistory();
+      ['radius', 'distance'].forEach((key) => {
+        if (Number.isFinite(changes[key]) && changes[key] > 0) {
+          treatment[key] = changes[key];
+        }
+      });
+      if (changes.angle === null || Number.isFinite(changes.angle)) {
+        treatment.angle = changes.angle;
+      }
+      refreshEdgeTreatments(shape);
+      highlightEntity(shape, 'shape');
+    };
+    const removeEdgeTreatmentHandler = (e) => {
+      const { index } = e.detail || {};
+      const shape = selectedEntityRef.current;
+      const treatments = shape?.userData?.edgeTreatments;
+      if (selectedTypeRef.current !== 'shape' || !treatments?.[index]) return;
+      pushHistory();
+      shape.userData.edgeTreatments = treatments.filter((_, i) => i !== index);
+      refreshEdgeTreatments(shape);
+      highlightEntity(shape, 'shape');
+    };
+
+    // Boolean operations on the multi-selection; the first selected shape is
+    // the one subtracted from
+    const booleanSelectedHandler = (e) => {
+      const operation = e.detail;
+      const set = multiSelectedRef.current;
+      const primary = selectedEntityRef.current;
+      if (
+        primary &&
+        objectsRef.current.includes(primary) &&
+        !set.has(primary)
+      ) {
+        set.add(primary);
+      }
+      const operands = [...set].filter((obj) => obj.isMesh);
+      if (operands.length < 2) {
+        alert('Shift+click at least two shapes to combine them.');
+        return;
+      }
+
+      const shape = createBooleanFromObjects(operation, operands);
+      if (!shape) {
+        alert('The boolean result is empty.');
+        return;
+      }
+      pushHistory();
+      operands.forEach((obj) => {
+        removeMultiHighlightForShape(obj);
+        if (obj.parent) obj.parent.remove(obj);
+        obj.geometry.dispose();
+        obj.material.dispose();
+      });
+      set.clear();
+      objectsRef.current = objectsRef.current.filter(
+        (obj) => !operands.includes(obj)
+      );
+      scene.add(shape);
+      objectsRef.current.push(shape);
+      regenerateFeatures();
+
+      setSelectedEntity(shape);
+      setSelectedType('shape');
+      selectedEntityRef.current = shape;
+      selectedTypeRef.current = 'shape';
+      highlightEntity(shape, 'shape');
+      window.dispatchEvent(
+        new CustomEvent('selectionChanged', {
+          detail: { entity: shape, type: 'shape' },
+        })
+      );
+    };
+    // Hollow the selected shape, or the body of the selected face with that
+    // face and any Ctrl+Shift+clicked faces removed. detail: { thickness }
+    const shellSelectedHandler = (e) => {
+      const { thickness } = e.detail || {};
+      const entity = selectedEntityRef.current;
+      const type = selectedTypeRef.current;
+      const target = type === 'face' ? entity?.parentObject : entity;
+      if (!target || !target.isMesh || !objectsRef.current.includes(target)) {
+        alert('Select a solid, or Ctrl+click the faces to remove.');
+        return;
+      }
+      if (!(thickness > 0)) return;
+      const removed = type === 'face' ? [entity, ...extraPicksRef.current] : [];
+      if (removed.some((face) => face.type && face.type !== 'planar')) {
+        alert('Only planar faces can be removed by a shell.');
+        return;
+      }
+      const openings = removed.map((face) => ({
+        point: { x: face.center.x, y: face.center.y, z: face.center.z },
+        normal: { x: face.normal.x, y: face.normal.y, z: face.normal.z },
+      }));
+
+      const shape = createShellFromObject(target, thickness, openings);
+      if (!shape) {
+        alert('Cannot shell this solid: the wall is too thick for its shape.');
+        return;
+      }
+      pushHistory();
+      removeMultiHighlightForShape(target);
+      multiSelectedRef.current.delete(target);
+      if (target.parent) target.parent.remove(target);
+      target.geometry.dispose();
+      target.material.dispose();
+      objectsRef.current = objectsRef.current.filter((o) => o !== target);
+      scene.add(shape);
+      objectsRef.current.push(shape);
+      regenerateFeatures();
+      selectNewBody(shape);
+    };
+    // Pattern the selected shapes, or the body of the selected edge / face
+    // with the edge as direction or axis and the face as mirror plane.
+    // detail: { kind: 'linear', direction, count, spacing },
+    // { kind: 'circular', axis, count, angle } or { kind: 'mirror', plane }
+    // where direction / axis is 'X', 'Y', 'Z' or 'edge' and plane is 'XY',
+    // 'YZ', 'XZ' (through the origin) or 'face'
+    const patternSelectedHandler = (e) => {
+      const { kind, count, spacing, angle, direction, axis, plane } =
+        e.detail || {};
+      const entity = selectedEntityRef.current;
+      const type = selectedTypeRef.current;
+      let seeds;
+      if (type === 'edge' || type === 'face') {
+        seeds = [entity.parentObject];
+      } else {
+        seeds = [...multiSelectedRef.current];
+        if (entity && type === 'shape' && !seeds.includes(entity)) {
+          seeds.unshift(entity);
+        }
+      }
+      seeds = seeds.filter(
+        (obj) => obj && obj.isMesh && objectsRef.current.includes(obj)
+      );
+      if (seeds.length === 0) {
+        alert('Select the shapes to pattern first.');
+        return;
+      }
+
+      const plain = (v) => ({ x: v.x, y: v.y, z: v.z });
+      const worldAxes = { X: [1, 0, 0], Y: [0, 1, 0], Z: [0, 0, 1] };
+      const lineFor = (name) => {
+        if (name === 'edge') return selectedEdgeInWorld();
+        if (!worldAxes[name]) return null;
+        return {
+          start: new THREE.Vector3(),
+          end: new THREE.Vector3(...worldAxes[name]),
+        };
+      };
+      let pattern;
+      if (kind === 'mirror') {
+        const planeNormals = { YZ: 'X', XZ: 'Y', XY: 'Z' };
+        const face =
+          plane === 'face'
+            ? selectedFaceInWorld()
+            : planeNormals[plane] && {
+                origin: new THREE.Vector3(),
+                normal: new THREE.Vector3(...worldAxes[planeNormals[plane]]),
+              };
+        if (!face) {
+          alert('Select the planar mirror face first (Ctrl/Cmd + click).');
+          return;
+        }
+        pattern = {
+          kind,
+          plane: { point: plain(face.origin), normal: plain(face.normal) },
+        };
+      } else {
+        const line = lineFor(kind === 'circular' ? axis : direction);
+        if (!line) {
+          alert('Select the edge to pattern along first.');
+          return;
+        }
+        const along = plain(line.end.clone().sub(line.start).normalize());
+        pattern =
+          kind === 'circular'
+            ? {
+                kind,
+                axis: { origin: plain(line.start), direction: along },
+                count,
+                angle,
+              }
+            : { kind: 'linear', direction: along, count, spacing };
+      }
+
+      const shape = createPatternFromObjects(seeds, pattern);
+      if (!shape) {
+        alert('The pattern result is empty.');
+        return;
+      }
+      pushHistory();
+      seeds.forEach((obj) => {
+        removeMultiHighlightForShape(obj);
+        multiSelectedRef.current.delete(obj);
+        if (obj.parent) obj.parent.remove(obj);
+        obj.geometry.dispose();
+        obj.material.dispose();
+      });
+      objectsRef.current = objectsRef.current.filter(
+        (obj) => !seeds.includes(obj)
+      );
+      scene.add(shape);
+      objectsRef.current.push(shape);
+      regenerateFeatures();
+      selectNewBody(shape);
+    };
+
+    // Change the count, spacing or angle of the selected pattern shape
+    const updatePatternHandler = (e) => {
+      const { changes = {} } = e.detail || {};
+      const shape = selectedEntityRef.current;
+      if (shape?.userData?.type !== 'pattern') return;
+      const previous = shape.userData.pattern;
+      const pattern = { ...previous };
+      if (Number.isInteger(changes.count) && changes.count >= 1) {
+        pattern.count = changes.count;
+      }
+      ['spacing', 'angle'].forEach((key) => {
+        if (Number.isFinite(changes[key]) && changes[key] !== 0) {
+          pattern[key] = changes[key];
+        }
+      });
+      pushHistory();
+      shape.userData.pattern = pattern;
+      const fresh = createObjectFromData(serializeObject(shape));
+      if (!fresh) {
+        undoStackRef.current.pop();
+        shape.userData.pattern = previous;
+        alert('The pattern result is empty.');
+        return;
+      }
+      shape.geometry.dispose();
+      shape.geometry = fresh.geometry;
+      fresh.material.dispose();
+      shape.userData.faces = fresh.userData.faces;
+      shape.userData.edges = fresh.userData.edges;
+      highlightEntity(shape, 'shape');
+    };
+
+    // Replace a boolean, shell or pattern shape by its operands at their
+    // original placement
+    const splitBooleanHandler = () => {
+      const entity = selectedEntityRef.current;
+      if (
+        !entity ||
+        !['boolean', 'shell', 'pattern'].includes(entity.userData.type)
+      ) {
+        return;
+      }
+      pushHistory();
+      const operands = booleanOperandsInWorld(entity)
+        .map(createObjectFromData)
+        .filter(Boolean);
+      if (entity.parent) entity.parent.remove(entity);
+      entity.geometry.dispose();
+      entity.material.dispose();
+      objectsRef.current = objectsRef.current.filter((o) => o !== entity);
+      operands.forEach((obj) => {
+        scene.add(obj);
+        objectsRef.current.push(obj);
+      });
+      clearSelection();
+      // Feature operands become regular feature bodies again
+      regenerateFeatures();
+    };
     const ungroupSelectedHandler = () => {
       const entity = selectedEntityRef.current;
       if (!entity || !(entity instanceof THREE.Group)) return;
@@ -1547,18 +3328,19 @@ export default function ThreeCanvas() {
     };
     const exportHandler = () => {
       try {
-        const data = saveSceneToJSON(objectsRef.current, sketchesRef.current);
+        const data = saveSceneToJSON(
+          objectsRef.current,
+          sketchesRef.current,
+          featureTreeRef.current,
+          getDocumentUnits(),
+          namedViews,
+          sectionViews,
+          annotations
+        );
         const blob = new Blob([JSON.stringify(data, null, 2)], {
           type: 'application/json',
         });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `cad-scene-${Date.now()}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(blob, `cad-scene-${Date.now()}.json`);
       } catch (error) {
         console.error('Export failed:', error);
         alert('Failed to export scene. Please check the console for details.');
@@ -1570,10 +3352,30 @@ export default function ThreeCanvas() {
       reader.onload = (event) => {
         try {
           const data = JSON.parse(event.target.result);
-          loadSceneFromJSON(data, scene, objectsRef, sketchesRef);
+          // Stored lengths are millimetres whatever unit the file was saved
+          // in, so only the display settings change (files without them are mm)
+          setDocumentUnits(data.units);
+          namedViews = normalizeNamedViews(data.views);
+          publishNamedViews();
+          sections = [];
+          sectionViews = normalizeSectionViews(data.sectionViews);
+          publishSections();
+          annotations = normalizeAnnotations(data.annotations);
+          measurePicks = [];
+          measureResult = null;
+          publishMeasure();
+          clearInterferenceHandler();
+          loadSceneFromJSON(
+            data,
+            scene,
+            objectsRef,
+            sketchesRef,
+            featureTreeRef
+          );
           clearHighlight();
           setSelectedEntity(null);
           setSelectedType(null);
+          regenerateFeatures();
           window.dispatchEvent(
             new CustomEvent('selectionChanged', {
               detail: { entity: null, type: null },
@@ -1591,18 +3393,74 @@ export default function ThreeCanvas() {
       };
       reader.readAsText(file);
     };
+    // STL of the selected shapes (or group), else of every shape.
+    // detail: { binary }
+    const exportSTLHandler = (e) => {
+      const selection =
+        multiSelectedRef.current.size > 0
+          ? [...multiSelectedRef.current]
+          : selectedTypeRef.current === 'shape'
+          ? [selectedEntityRef.current]
+          : [];
+      const binary = e.detail?.binary !== false;
+      const stl = exportSTL(
+        selection.length > 0 ? selection : objectsRef.current,
+        { binary }
+      );
+      if (!stl) {
+        alert('There are no shapes to export.');
+        return;
+      }
+      const blob = new Blob([stl], {
+        type: binary ? 'application/octet-stream' : 'text/plain',
+      });
+      downloadBlob(blob, `cad-scene-${Date.now()}.stl`);
+    };
+    // Add the triangles of an STL file as a new mesh shape
+    const importSTLHandler = (e) => {
+      const file = e.detail.file;
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        const shape = createShapeFromSTL(event.target.result);
+        if (!shape) {
+          alert('Failed to import STL. Please check the file format.');
+          return;
+        }
+        pushHistory();
+        scene.add(shape);
+        objectsRef.current.push(shape);
+        selectNewBody(shape);
+      };
+      reader.readAsArrayBuffer(file);
+    };
 
     window.addEventListener('createShape', createShapeHandler);
     window.addEventListener('setTransformMode', setTransformModeHandler);
+    window.addEventListener('setTransformSpace', setTransformSpaceHandler);
+    window.addEventListener('setTransform', setTransformHandler);
     window.addEventListener('setSketchMode', setSketchModeHandler);
+    window.addEventListener('setSketchPlane', setSketchPlaneHandler);
     window.addEventListener('setSketchTool', setSketchToolHandler);
     window.addEventListener('extrude', extrudeHandler);
+    window.addEventListener('revolve', revolveHandler);
+    window.addEventListener('sweep', sweepHandler);
+    window.addEventListener('loft', loftHandler);
     window.addEventListener('exportScene', exportHandler);
     window.addEventListener('importScene', importHandler);
+    window.addEventListener('exportSTL', exportSTLHandler);
+    window.addEventListener('importSTL', importSTLHandler);
     window.addEventListener('undo', undoHandler);
     window.addEventListener('redo', redoHandler);
     window.addEventListener('groupSelected', groupSelectedHandler);
     window.addEventListener('ungroupSelected', ungroupSelectedHandler);
+    window.addEventListener('booleanSelected', booleanSelectedHandler);
+    window.addEventListener('shellSelected', shellSelectedHandler);
+    window.addEventListener('patternSelected', patternSelectedHandler);
+    window.addEventListener('updatePattern', updatePatternHandler);
+    window.addEventListener('edgeTreatment', edgeTreatmentHandler);
+    window.addEventListener('updateEdgeTreatment', updateEdgeTreatmentHandler);
+    window.addEventListener('removeEdgeTreatment', removeEdgeTreatmentHandler);
+    window.addEventListener('splitBoolean', splitBooleanHandler);
 
     // Snap/grid controls
     const setSnapToGridHandler = (e) => setSnapToGrid(!!e.detail);
@@ -1612,8 +3470,225 @@ export default function ThreeCanvas() {
         setGridSize(value);
       }
     };
+    const setObjectSnapsHandler = (e) => {
+      objectSnapsRef.current = { ...DEFAULT_SNAPS, ...e.detail };
+    };
     window.addEventListener('setSnapToGrid', setSnapToGridHandler);
     window.addEventListener('setGridSize', setGridSizeHandler);
+    window.addEventListener('setObjectSnaps', setObjectSnapsHandler);
+
+    // Standard views and framing
+    const setViewHandler = (e) => {
+      const direction = STANDARD_VIEWS[e.detail];
+      if (direction) {
+        moveCameraTo(directionView(camera, cameraTarget, direction));
+      }
+    };
+    const zoomToFitHandler = (e) => zoomToFit(!!e.detail?.selection);
+    const setProjectionHandler = (e) => setProjection(e.detail);
+
+    // Display modes: scene-wide, or per shape (mode null follows the scene)
+    const setDisplayModeHandler = (e) => {
+      if (isDisplayMode(e.detail)) displayModeRef.current = e.detail;
+    };
+    const setObjectDisplayModeHandler = (e) => {
+      const mode = e.detail?.mode;
+      if (mode != null && !isDisplayMode(mode)) return;
+      const targets =
+        multiSelectedRef.current.size > 0
+          ? [...multiSelectedRef.current]
+          : selectedTypeRef.current === 'shape'
+          ? [selectedEntityRef.current]
+          : [];
+      if (targets.length === 0) return;
+      pushHistory();
+      targets.forEach((obj) => {
+        if (mode) obj.userData.displayMode = mode;
+        else delete obj.userData.displayMode;
+      });
+    };
+    window.addEventListener('setView', setViewHandler);
+    window.addEventListener('zoomToFit', zoomToFitHandler);
+    window.addEventListener('setProjection', setProjectionHandler);
+    window.addEventListener('setDisplayMode', setDisplayModeHandler);
+    window.addEventListener(
+      'setObjectDisplayMode',
+      setObjectDisplayModeHandler
+    );
+
+    // Material of the selected shapes or groups for their mass ({ name,
+    // density }, null for the default density)
+    const setObjectMaterialHandler = (e) => {
+      const material = normalizeMaterial(e.detail);
+      const targets =
+        multiSelectedRef.current.size > 0
+          ? [...multiSelectedRef.current]
+          : selectedTypeRef.current === 'shape'
+          ? [selectedEntityRef.current]
+          : [];
+      if (targets.length === 0) return;
+      pushHistory();
+      targets.forEach((obj) => {
+        if (material) {
+          obj.userData.material = material.name;
+          obj.userData.density = material.density;
+        } else {
+          delete obj.userData.material;
+          delete obj.userData.density;
+        }
+      });
+    };
+    // Mass properties of every shape, for the panel when nothing is selected
+    const requestSceneMassPropertiesHandler = () => {
+      window.dispatchEvent(
+        new CustomEvent('sceneMassProperties', {
+          detail: massProperties(objectsRef.current),
+        })
+      );
+    };
+    window.addEventListener('setObjectMaterial', setObjectMaterialHandler);
+    window.addEventListener(
+      'requestSceneMassProperties',
+      requestSceneMassPropertiesHandler
+    );
+
+    // Interference check between bodies (detail: { clearance }), and
+    // clearing its highlights
+    const checkInterferenceHandler = (e) =>
+      runInterferenceCheck(Math.max(0, e.detail?.clearance || 0));
+    const clearInterferenceHandler = () => {
+      clearInterferenceHighlights();
+      window.dispatchEvent(
+        new CustomEvent('interferenceChanged', { detail: null })
+      );
+    };
+    window.addEventListener('checkInterference', checkInterferenceHandler);
+    window.addEventListener('clearInterference', clearInterferenceHandler);
+
+    // Named views: the camera position, target and projection under a name.
+    // Saving under an existing name replaces that view.
+    const saveNamedViewHandler = (e) => {
+      const name = String(e.detail || '').trim();
+      if (!name) return;
+      namedViews = [
+        ...namedViews.filter((view) => view.name !== name),
+        captureView(name, camera, cameraTarget),
+      ];
+      publishNamedViews();
+    };
+    const restoreNamedViewHandler = (e) => {
+      const view = namedViews.find((v) => v.name === e.detail);
+      if (!view) return;
+      setProjection(view.projection);
+      moveCameraTo({
+        position: new THREE.Vector3().fromArray(view.position),
+        target: new THREE.Vector3().fromArray(view.target),
+      });
+    };
+    const deleteNamedViewHandler = (e) => {
+      namedViews = namedViews.filter((view) => view.name !== e.detail);
+      publishNamedViews();
+    };
+    window.addEventListener('saveNamedView', saveNamedViewHandler);
+    window.addEventListener('restoreNamedView', restoreNamedViewHandler);
+    window.addEventListener('deleteNamedView', deleteNamedViewHandler);
+
+    // Section planes: across a world axis through the middle of the
+    // selection (or of all shapes), or on the selected face removing what
+    // lies in front of it
+    const addSectionHandler = (e) => {
+      const { axis, face } = e.detail || {};
+      let section = null;
+      if (face) {
+        const entity = selectedEntityRef.current;
+        if (selectedTypeRef.current !== 'face' || !entity?.normal) {
+          alert('Select a face to place the section plane on.');
+          return;
+        }
+        const matrix = entity.parentObject.matrixWorld;
+        section = createSection(
+          entity.normal.clone().transformDirection(matrix),
+          entity.center.clone().applyMatrix4(matrix)
+        );
+      } else {
+        const box = selectionBox() || sceneBox();
+        section = createAxisSection(
+          axis,
+          box ? box.getCenter(new THREE.Vector3()) : new THREE.Vector3()
+        );
+      }
+      if (!section) return;
+      pushHistory();
+      sections = [...sections, section];
+      publishSections();
+    };
+    const updateSectionHandler = (e) => {
+      const { id, offset, enabled, flip } = e.detail || {};
+      const section = sections.find((s) => s.id === id);
+      if (!section) return;
+      // Offsets follow the slider continuously, so only switching a section
+      // on or off and flipping it are undo steps
+      if (typeof enabled === 'boolean' || flip) pushHistory();
+      if (Number.isFinite(offset)) section.offset = offset;
+      if (typeof enabled === 'boolean') section.enabled = enabled;
+      if (flip) flipSection(section);
+      publishSections();
+    };
+    const removeSectionHandler = (e) => {
+      pushHistory();
+      sections = sections.filter((s) => s.id !== e.detail?.id);
+      publishSections();
+    };
+    const saveSectionViewHandler = (e) => {
+      const name = String(e.detail || '').trim();
+      if (!name) return;
+      sectionViews = [
+        ...sectionViews.filter((view) => view.name !== name),
+        { name, sections: serializeSections(sections) },
+      ];
+      publishSections();
+    };
+    const restoreSectionViewHandler = (e) => {
+      const view = sectionViews.find((v) => v.name === e.detail);
+      if (!view) return;
+      pushHistory();
+      sections = deserializeSections(view.sections);
+      publishSections();
+    };
+    const deleteSectionViewHandler = (e) => {
+      sectionViews = sectionViews.filter((view) => view.name !== e.detail);
+      publishSections();
+    };
+    window.addEventListener('addSection', addSectionHandler);
+    window.addEventListener('updateSection', updateSectionHandler);
+    window.addEventListener('removeSection', removeSectionHandler);
+    window.addEventListener('saveSectionView', saveSectionViewHandler);
+    window.addEventListener('restoreSectionView', restoreSectionViewHandler);
+    window.addEventListener('deleteSectionView', deleteSectionViewHandler);
+
+    // Measure mode and the annotations it leaves
+    const setMeasureModeHandler = (e) => {
+      measureMode = Boolean(e.detail);
+      measurePicks = [];
+      measureResult = null;
+      measureDown = null;
+      showSnapGlyph(null);
+      if (measureMode) clearSelection();
+      publishMeasure();
+    };
+    const removeAnnotationHandler = (e) => {
+      pushHistory();
+      annotations = annotations.filter((_, i) => i !== e.detail?.index);
+      publishMeasure();
+    };
+    const clearAnnotationsHandler = () => {
+      pushHistory();
+      annotations = [];
+      publishMeasure();
+    };
+    window.addEventListener('setMeasureMode', setMeasureModeHandler);
+    window.addEventListener('removeAnnotation', removeAnnotationHandler);
+    window.addEventListener('clearAnnotations', clearAnnotationsHandler);
 
     // Update sketch handler
     const updateSketchHandler = (e) => {
@@ -1631,50 +3706,12 @@ export default function ThreeCanvas() {
       } else if (sketch.type === 'circle') {
         if (Number.isFinite(radius) && radius > 0) sketch.radius = radius;
       }
+      // Dimension constraints win over the typed size
+      solveSketch(sketch);
 
-      // Rebuild visualization mesh
-      // Remove old mesh
-      const oldMeshes = [];
-      scene.children.forEach((child) => {
-        if (child.userData && child.userData.sketch === sketch) {
-          oldMeshes.push(child);
-        }
-      });
-      oldMeshes.forEach((m) => {
-        scene.remove(m);
-        if (m.geometry) m.geometry.dispose();
-        if (m.material) m.material.dispose();
-      });
-
-      // Create new mesh
-      let geometry, material, mesh;
-      if (sketch.type === 'rectangle') {
-        geometry = new THREE.PlaneGeometry(sketch.width, sketch.height);
-        material = new THREE.MeshBasicMaterial({
-          color: 0x00aa00,
-          opacity: 0.3,
-          transparent: true,
-          side: THREE.DoubleSide,
-        });
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.rotateX(-Math.PI / 2);
-        mesh.position.copy(sketch.center);
-      } else if (sketch.type === 'circle') {
-        geometry = new THREE.CircleGeometry(sketch.radius, 32);
-        material = new THREE.MeshBasicMaterial({
-          color: 0x00aa00,
-          opacity: 0.3,
-          transparent: true,
-          side: THREE.DoubleSide,
-        });
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.rotateX(-Math.PI / 2);
-        mesh.position.copy(sketch.center);
-      }
-      if (mesh) {
-        mesh.userData.sketch = sketch;
-        scene.add(mesh);
-      }
+      // Rebuild visualization mesh and everything built from the sketch
+      refreshSketchMesh(sketch);
+      regenerateFeatures();
 
       // Notify UI
       window.dispatchEvent(
@@ -1685,24 +3722,213 @@ export default function ThreeCanvas() {
     };
     window.addEventListener('updateSketch', updateSketchHandler);
 
+    // Sketch constraints: add/remove/edit, then re-solve the sketch
+    function applySketchConstraintChange(index, change) {
+      const sketch = sketchesRef.current[index];
+      if (!sketch) return;
+      pushHistory();
+      sketch.constraints = sketch.constraints || [];
+      change(sketch);
+      solveSketch(sketch);
+      refreshSketchMesh(sketch);
+      regenerateFeatures();
+      window.dispatchEvent(
+        new CustomEvent('sketchesUpdated', {
+          detail: [...sketchesRef.current],
+        })
+      );
+    }
+    const addSketchConstraintHandler = (e) => {
+      const { index, constraint } = e.detail || {};
+      const sketch = sketchesRef.current[index];
+      const def = constraint && CONSTRAINT_TYPES[constraint.type];
+      if (!sketch || !def) return;
+      const refs = constraint.refs || [];
+      const segments = segmentsFromSketch(sketch);
+      const valid =
+        refs.length === def.refs.length &&
+        def.refs.every((kind, i) => refMatchesKind(segments, refs[i], kind));
+      if (!valid) {
+        console.warn('Invalid references for constraint', constraint);
+        return;
+      }
+
+      const next = { type: constraint.type, refs };
+      if (constraint.type === 'fixed') {
+        next.at = fixedAnchor(sketch, refs[0]);
+      }
+      if (def.dimension) {
+        next.value = Number.isFinite(constraint.value)
+          ? constraint.value
+          : measureConstraint(sketch, next);
+      }
+      applySketchConstraintChange(index, (s) => s.constraints.push(next));
+    };
+    const removeSketchConstraintHandler = (e) => {
+      const { index, constraintIndex } = e.detail || {};
+      applySketchConstraintChange(index, (s) =>
+        s.constraints.splice(constraintIndex, 1)
+      );
+    };
+    const updateSketchConstraintHandler = (e) => {
+      const { index, constraintIndex, value } = e.detail || {};
+      if (!Number.isFinite(value)) return;
+      applySketchConstraintChange(index, (s) => {
+        const c = s.constraints[constraintIndex];
+        if (c && CONSTRAINT_TYPES[c.type]?.dimension) c.value = value;
+      });
+    };
+    window.addEventListener('addSketchConstraint', addSketchConstraintHandler);
+    window.addEventListener(
+      'removeSketchConstraint',
+      removeSketchConstraintHandler
+    );
+    window.addEventListener(
+      'updateSketchConstraint',
+      updateSketchConstraintHandler
+    );
+
+    // Feature tree edits
+    const updateFeatureHandler = (e) => {
+      const { id, changes = {} } = e.detail || {};
+      const feature = findFeature(featureTreeRef.current, id);
+      if (!feature) return;
+      pushHistory();
+      if (typeof changes.name === 'string' && changes.name.trim()) {
+        feature.name = changes.name.trim();
+      }
+      if (Number.isFinite(changes.height) && changes.height > 0) {
+        feature.height = changes.height;
+      }
+      if (Number.isFinite(changes.depth2) && changes.depth2 >= 0) {
+        feature.depth2 = changes.depth2;
+      }
+      if (typeof changes.reverse === 'boolean') {
+        feature.reverse = changes.reverse;
+      }
+      // Up-to extents need a pick in the viewport, so only these can be edited
+      if (['blind', 'symmetric', 'twoSided'].includes(changes.extent)) {
+        feature.extent = changes.extent;
+      }
+      if (
+        Number.isFinite(changes.angle) &&
+        changes.angle !== 0 &&
+        Math.abs(changes.angle) <= 360
+      ) {
+        feature.angle = changes.angle;
+      }
+      regenerateFeatures();
+    };
+    const suppressFeatureHandler = (e) => {
+      const { id, suppressed } = e.detail || {};
+      const feature = findFeature(featureTreeRef.current, id);
+      if (!feature) return;
+      pushHistory();
+      feature.suppressed = !!suppressed;
+      regenerateFeatures();
+    };
+    const moveFeatureHandler = (e) => {
+      const { id, offset } = e.detail || {};
+      const snap = snapshotScene();
+      if (!moveFeature(featureTreeRef.current, id, offset)) return;
+      if (snap) {
+        undoStackRef.current.push(snap);
+        redoStackRef.current = [];
+      }
+      regenerateFeatures();
+    };
+    // Roll back to just after the feature at index (null rolls forward to the end)
+    const rollbackFeaturesHandler = (e) => {
+      const { index = null } = e.detail || {};
+      const tree = featureTreeRef.current;
+      pushHistory();
+      tree.rollbackIndex =
+        index == null || index >= tree.features.length
+          ? null
+          : Math.max(0, index);
+      regenerateFeatures();
+    };
+    const deleteFeatureHandler = (e) => {
+      const { id } = e.detail || {};
+      if (!findFeature(featureTreeRef.current, id)) return;
+      pushHistory();
+      deleteFeature(id);
+    };
+    window.addEventListener('updateFeature', updateFeatureHandler);
+    window.addEventListener('suppressFeature', suppressFeatureHandler);
+    window.addEventListener('moveFeature', moveFeatureHandler);
+    window.addEventListener('rollbackFeatures', rollbackFeaturesHandler);
+    window.addEventListener('deleteFeature', deleteFeatureHandler);
+
     // Initial sketches update
     window.dispatchEvent(
       new CustomEvent('sketchesUpdated', {
         detail: [...sketchesRef.current],
       })
     );
+    regenerateFeatures();
+
+    // Keep the gizmo on the shape of the current selection (faces and edges
+    // move their body) while a transform mode is on
+    function updateGizmo() {
+      if (gizmo.dragging) return;
+      const mode = transformModeRef.current;
+      const entity = selectedEntityRef.current;
+      let target = null;
+      if (mode && entity && !(sketchModeRef.current && sketchToolRef.current)) {
+        target =
+          selectedTypeRef.current === 'shape' ? entity : entity.parentObject;
+      }
+      // Deleted or replaced shapes are no longer in the scene
+      if (target && !objectsRef.current.includes(target)) target = null;
+      if (target !== gizmo.object) {
+        if (target) gizmo.attach(target);
+        else gizmo.detach();
+      }
+      if (mode && gizmo.mode !== mode) gizmo.setMode(mode);
+    }
 
     // Animation loop
     function animate() {
       requestAnimationFrame(animate);
+      if (
+        cameraTransition &&
+        !stepCameraTransition(
+          cameraTransition,
+          camera,
+          cameraTarget,
+          performance.now()
+        )
+      ) {
+        cameraTransition = null;
+      }
+      // Orthographic views scale with the distance to the target
+      updateCameraFrustum(
+        camera,
+        cameraTarget,
+        window.innerWidth / window.innerHeight
+      );
+      updateGizmo();
+      objectsRef.current.forEach((obj) => {
+        updateDisplay(obj, displayModeRef.current);
+        clipObject(obj, clipPlanes);
+      });
+      sectionCaps.update(objectsRef.current, sections);
+      refreshAnnotations();
       renderer.render(scene, camera);
+      updateAnnotationLabels();
+      updateViewCube(viewCube, camera, cameraTarget);
+      renderViewCube(renderer, viewCube);
     }
     animate();
 
     // Resize handler
     const handleResize = () => {
-      camera.aspect = window.innerWidth / window.innerHeight;
-      camera.updateProjectionMatrix();
+      updateCameraFrustum(
+        camera,
+        cameraTarget,
+        window.innerWidth / window.innerHeight
+      );
       renderer.setSize(window.innerWidth, window.innerHeight);
     };
     window.addEventListener('resize', handleResize);
@@ -1712,26 +3938,108 @@ export default function ThreeCanvas() {
       renderer.domElement.removeEventListener('pointerdown', handlePointerDown);
       renderer.domElement.removeEventListener('pointermove', handlePointerMove);
       renderer.domElement.removeEventListener('pointerup', handlePointerUp);
+      renderer.domElement.removeEventListener('mousedown', onMouseDown);
+      renderer.domElement.removeEventListener('mousemove', onMouseMove);
+      renderer.domElement.removeEventListener('mouseup', onMouseUp);
+      renderer.domElement.removeEventListener('wheel', onWheel);
+      renderer.domElement.removeEventListener('contextmenu', onContextMenu);
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('resize', handleResize);
       window.removeEventListener('createShape', createShapeHandler);
       window.removeEventListener('setTransformMode', setTransformModeHandler);
+      window.removeEventListener('setTransformSpace', setTransformSpaceHandler);
+      window.removeEventListener('setTransform', setTransformHandler);
       window.removeEventListener('setSketchMode', setSketchModeHandler);
+      window.removeEventListener('setSketchPlane', setSketchPlaneHandler);
       window.removeEventListener('setSketchTool', setSketchToolHandler);
       window.removeEventListener('extrude', extrudeHandler);
+      window.removeEventListener('revolve', revolveHandler);
+      window.removeEventListener('sweep', sweepHandler);
+      window.removeEventListener('loft', loftHandler);
       window.removeEventListener('exportScene', exportHandler);
       window.removeEventListener('importScene', importHandler);
+      window.removeEventListener('exportSTL', exportSTLHandler);
+      window.removeEventListener('importSTL', importSTLHandler);
       window.removeEventListener('undo', undoHandler);
       window.removeEventListener('redo', redoHandler);
       window.removeEventListener('groupSelected', groupSelectedHandler);
       window.removeEventListener('ungroupSelected', ungroupSelectedHandler);
+      window.removeEventListener('booleanSelected', booleanSelectedHandler);
+      window.removeEventListener('shellSelected', shellSelectedHandler);
+      window.removeEventListener('patternSelected', patternSelectedHandler);
+      window.removeEventListener('updatePattern', updatePatternHandler);
+      window.removeEventListener('edgeTreatment', edgeTreatmentHandler);
+      window.removeEventListener(
+        'updateEdgeTreatment',
+        updateEdgeTreatmentHandler
+      );
+      window.removeEventListener(
+        'removeEdgeTreatment',
+        removeEdgeTreatmentHandler
+      );
+      window.removeEventListener('splitBoolean', splitBooleanHandler);
       window.removeEventListener('setSnapToGrid', setSnapToGridHandler);
       window.removeEventListener('setGridSize', setGridSizeHandler);
+      window.removeEventListener('setObjectSnaps', setObjectSnapsHandler);
+      window.removeEventListener('setView', setViewHandler);
+      window.removeEventListener('zoomToFit', zoomToFitHandler);
+      window.removeEventListener('setProjection', setProjectionHandler);
+      window.removeEventListener('setDisplayMode', setDisplayModeHandler);
+      window.removeEventListener(
+        'setObjectDisplayMode',
+        setObjectDisplayModeHandler
+      );
+      window.removeEventListener('setObjectMaterial', setObjectMaterialHandler);
+      window.removeEventListener(
+        'requestSceneMassProperties',
+        requestSceneMassPropertiesHandler
+      );
+      window.removeEventListener('checkInterference', checkInterferenceHandler);
+      window.removeEventListener('clearInterference', clearInterferenceHandler);
+      clearInterferenceHighlights();
+      window.removeEventListener('saveNamedView', saveNamedViewHandler);
+      window.removeEventListener('restoreNamedView', restoreNamedViewHandler);
+      window.removeEventListener('deleteNamedView', deleteNamedViewHandler);
+      window.removeEventListener('addSection', addSectionHandler);
+      window.removeEventListener('updateSection', updateSectionHandler);
+      window.removeEventListener('removeSection', removeSectionHandler);
+      window.removeEventListener('saveSectionView', saveSectionViewHandler);
+      window.removeEventListener(
+        'restoreSectionView',
+        restoreSectionViewHandler
+      );
+      window.removeEventListener('deleteSectionView', deleteSectionViewHandler);
+      sectionCaps.dispose();
+      window.removeEventListener('setMeasureMode', setMeasureModeHandler);
+      window.removeEventListener('removeAnnotation', removeAnnotationHandler);
+      window.removeEventListener('clearAnnotations', clearAnnotationsHandler);
       window.removeEventListener('updateSketch', updateSketchHandler);
+      window.removeEventListener(
+        'addSketchConstraint',
+        addSketchConstraintHandler
+      );
+      window.removeEventListener(
+        'removeSketchConstraint',
+        removeSketchConstraintHandler
+      );
+      window.removeEventListener(
+        'updateSketchConstraint',
+        updateSketchConstraintHandler
+      );
+      window.removeEventListener('updateFeature', updateFeatureHandler);
+      window.removeEventListener('suppressFeature', suppressFeatureHandler);
+      window.removeEventListener('moveFeature', moveFeatureHandler);
+      window.removeEventListener('rollbackFeatures', rollbackFeaturesHandler);
+      window.removeEventListener('deleteFeature', deleteFeatureHandler);
 
       if (mountEl && renderer.domElement.parentElement === mountEl) {
         mountEl.removeChild(renderer.domElement);
       }
+      if (snapGlyph.parentElement === mountEl) mountEl.removeChild(snapGlyph);
+      if (annotationLabels.parentElement === mountEl) {
+        mountEl.removeChild(annotationLabels);
+      }
+      gizmo.dispose();
       renderer.dispose();
     };
   }, []);
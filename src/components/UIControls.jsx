@@ -1,11 +1,105 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './UIControls.css';
+import ExpressionInput from './ExpressionInput';
+import {
+  LENGTH_UNITS,
+  useDocumentUnits,
+  setDocumentUnits,
+  formatLength,
+  formatVolume,
+  parseLength,
+} from '../utils/unitUtils';
+import { SNAP_TYPES, DEFAULT_SNAPS } from '../utils/snapUtils';
+import { DISPLAY_MODES, DEFAULT_DISPLAY_MODE } from '../utils/displayUtils';
+import { describeMeasurement, annotationText } from '../utils/measureUtils';
+
+const fieldStyle = {
+  width: 72,
+  padding: '6px',
+  background: '#3a3a3a',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  color: '#fff',
+};
+const labelStyle = { fontSize: 12, color: '#bbb' };
 
 export default function UIControls() {
   const [sketchMode, setSketchMode] = useState(false);
   const [transformMode, setTransformMode] = useState(null);
+  const [transformSpace, setTransformSpace] = useState('world');
   const [snapToGrid, setSnapToGrid] = useState(true);
   const [gridSize, setGridSize] = useState(0.5);
+  const [objectSnaps, setObjectSnaps] = useState(DEFAULT_SNAPS);
+  const [projection, setProjection] = useState('perspective');
+  const [displayMode, setDisplayMode] = useState(DEFAULT_DISPLAY_MODE);
+  const [namedViews, setNamedViews] = useState([]);
+  const [viewName, setViewName] = useState('');
+  const [sections, setSections] = useState([]);
+  const [sectionViews, setSectionViews] = useState([]);
+  const [sectionViewName, setSectionViewName] = useState('');
+  const [measurement, setMeasurement] = useState({
+    active: false,
+    picks: 0,
+    result: null,
+  });
+  const [annotations, setAnnotations] = useState([]);
+  const [clearance, setClearance] = useState(0);
+  const [interference, setInterference] = useState(null);
+  const [sketchPlane, setSketchPlane] = useState('XZ');
+  const [planeOffset, setPlaneOffset] = useState(0);
+  const [shellThickness, setShellThickness] = useState(0.1);
+  const units = useDocumentUnits();
+  const [pattern, setPattern] = useState({
+    kind: 'linear',
+    direction: 'X',
+    axis: 'Y',
+    plane: 'YZ',
+    count: 4,
+    spacing: 2,
+    angle: 360,
+  });
+
+  useEffect(() => {
+    const sketchPlaneChangedHandler = (e) => {
+      setSketchPlane(e.detail.plane);
+      setPlaneOffset(e.detail.offset || 0);
+    };
+    const projectionChangedHandler = (e) => setProjection(e.detail);
+    const namedViewsChangedHandler = (e) => setNamedViews(e.detail);
+    const sectionsChangedHandler = (e) => {
+      setSections(e.detail.sections);
+      setSectionViews(e.detail.views);
+    };
+    window.addEventListener('sketchPlaneChanged', sketchPlaneChangedHandler);
+    window.addEventListener('projectionChanged', projectionChangedHandler);
+    window.addEventListener('namedViewsChanged', namedViewsChangedHandler);
+    window.addEventListener('sectionsChanged', sectionsChangedHandler);
+    const measureChangedHandler = (e) => setMeasurement(e.detail);
+    const annotationsChangedHandler = (e) => setAnnotations(e.detail);
+    window.addEventListener('measureChanged', measureChangedHandler);
+    window.addEventListener('annotationsChanged', annotationsChangedHandler);
+    const interferenceChangedHandler = (e) => setInterference(e.detail);
+    window.addEventListener('interferenceChanged', interferenceChangedHandler);
+
+    return () => {
+      window.removeEventListener(
+        'sketchPlaneChanged',
+        sketchPlaneChangedHandler
+      );
+      window.removeEventListener('projectionChanged', projectionChangedHandler);
+      window.removeEventListener('namedViewsChanged', namedViewsChangedHandler);
+      window.removeEventListener('sectionsChanged', sectionsChangedHandler);
+      window.removeEventListener('measureChanged', measureChangedHandler);
+      window.removeEventListener(
+        'annotationsChanged',
+        annotationsChangedHandler
+      );
+      window.removeEventListener(
+        'interferenceChanged',
+        interferenceChangedHandler
+      );
+    };
+  }, []);
 
   const fireShape = (type) => {
     window.dispatchEvent(new CustomEvent('createShape', { detail: type }));
@@ -19,16 +113,135 @@ export default function UIControls() {
     );
   };
 
+  const toggleTransformSpace = () => {
+    const next = transformSpace === 'world' ? 'local' : 'world';
+    setTransformSpace(next);
+    window.dispatchEvent(
+      new CustomEvent('setTransformSpace', { detail: next })
+    );
+  };
+
   const toggleSketchMode = () => {
     const newMode = !sketchMode;
     setSketchMode(newMode);
     window.dispatchEvent(new CustomEvent('setSketchMode', { detail: newMode }));
   };
 
+  const changeSketchPlane = (plane, offset = planeOffset) => {
+    window.dispatchEvent(
+      new CustomEvent('setSketchPlane', { detail: { plane, offset } })
+    );
+  };
+
+  const changePlaneOffset = (next) => {
+    setPlaneOffset(next);
+    if (sketchPlane !== 'face') changeSketchPlane(sketchPlane, next);
+  };
+
+  // Typed length in millimetres, or null when invalid or below min
+  const parseLengthAtLeast = (text, min) => {
+    const value = parseLength(text, units);
+    return value !== null && value >= min ? value : null;
+  };
+
+  // Length field in document units
+  const lengthField = (value, min, onValue, style = fieldStyle) => (
+    <ExpressionInput
+      display={formatLength(value, units, false)}
+      unit={units.unit}
+      parse={(text) => parseLengthAtLeast(text, min)}
+      onCommit={onValue}
+      style={style}
+    />
+  );
+
   const handleSketchTool = (tool) => {
     window.dispatchEvent(new CustomEvent('setSketchTool', { detail: tool }));
   };
 
+  const handleView = (view) => {
+    window.dispatchEvent(new CustomEvent('setView', { detail: view }));
+  };
+
+  const toggleProjection = () => {
+    const next = projection === 'perspective' ? 'orthographic' : 'perspective';
+    window.dispatchEvent(new CustomEvent('setProjection', { detail: next }));
+  };
+
+  const changeDisplayMode = (mode) => {
+    setDisplayMode(mode);
+    window.dispatchEvent(new CustomEvent('setDisplayMode', { detail: mode }));
+  };
+
+  // Name field with a save button, then a restore and a delete button per
+  // saved item ({ name, title }); the events carry the item name
+  const renderNamedList = ({ name, setName, items, events, label, title }) => {
+    const save = () => {
+      const trimmed = name.trim();
+      if (!trimmed) return;
+      window.dispatchEvent(new CustomEvent(events.save, { detail: trimmed }));
+      setName('');
+    };
+    const send = (event, detail) =>
+      window.dispatchEvent(new CustomEvent(event, { detail }));
+    return (
+      <>
+        <div style={{ display: 'flex', gap: 4, marginTop: '4px' }}>
+          <input
+            type='text'
+            placeholder={`${label} name`}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+            style={{ ...fieldStyle, flex: 1 }}
+          />
+          <button
+            onClick={save}
+            className='btn-secondary'
+            disabled={!name.trim()}
+            title={title}
+          >
+            Save {label}
+          </button>
+        </div>
+        {items.map((item) => (
+          <div
+            key={item.name}
+            style={{ display: 'flex', gap: 4, marginTop: '4px' }}
+          >
+            <button
+              onClick={() => send(events.restore, item.name)}
+              className='btn-secondary'
+              style={{ flex: 1 }}
+              title={item.title}
+            >
+              {item.name}
+            </button>
+            <button
+              onClick={() => send(events.delete, item.name)}
+              className='btn-secondary'
+              title={`Delete ${label.toLowerCase()}`}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </>
+    );
+  };
+
+  const updateSection = (id, changes) => {
+    window.dispatchEvent(
+      new CustomEvent('updateSection', { detail: { id, ...changes } })
+    );
+  };
+
+  const handleZoomToFit = (selection) => {
+    window.dispatchEvent(
+      new CustomEvent('zoomToFit', { detail: { selection } })
+    );
+  };
+
   const handleExport = () => {
     window.dispatchEvent(new CustomEvent('exportScene'));
   };
@@ -48,6 +261,25 @@ export default function UIControls() {
     input.click();
   };
 
+  const handleExportSTL = (binary) => {
+    window.dispatchEvent(new CustomEvent('exportSTL', { detail: { binary } }));
+  };
+
+  const handleImportSTL = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.stl';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        window.dispatchEvent(
+          new CustomEvent('importSTL', { detail: { file } })
+        );
+      }
+    };
+    input.click();
+  };
+
   const handleUndo = () => {
     window.dispatchEvent(new CustomEvent('undo'));
   };
@@ -64,15 +296,60 @@ export default function UIControls() {
     window.dispatchEvent(new CustomEvent('ungroupSelected'));
   };
 
+  const handleBoolean = (operation) => {
+    window.dispatchEvent(
+      new CustomEvent('booleanSelected', { detail: operation })
+    );
+  };
+
+  const handleSplitBoolean = () => {
+    window.dispatchEvent(new CustomEvent('splitBoolean'));
+  };
+
+  const changePattern = (key, value) =>
+    setPattern((prev) => ({ ...prev, [key]: value }));
+
+  const numberField = (key, min, step, parse = parseFloat) => (
+    <input
+      type='number'
+      min={min}
+      step={step}
+      value={pattern[key]}
+      onChange={(e) => {
+        const value = parse(e.target.value);
+        if (Number.isFinite(value)) changePattern(key, value);
+      }}
+      style={fieldStyle}
+    />
+  );
+
+  const handlePattern = () => {
+    window.dispatchEvent(
+      new CustomEvent('patternSelected', { detail: pattern })
+    );
+  };
+
+  const handleShell = () => {
+    window.dispatchEvent(
+      new CustomEvent('shellSelected', {
+        detail: { thickness: shellThickness },
+      })
+    );
+  };
+
   const toggleSnapToGrid = () => {
     const next = !snapToGrid;
     setSnapToGrid(next);
     window.dispatchEvent(new CustomEvent('setSnapToGrid', { detail: next }));
   };
 
-  const changeGridSize = (e) => {
-    const value = parseFloat(e.target.value);
-    const next = Number.isFinite(value) && value > 0 ? value : 0.5;
+  const toggleObjectSnap = (type) => {
+    const next = { ...objectSnaps, [type]: !objectSnaps[type] };
+    setObjectSnaps(next);
+    window.dispatchEvent(new CustomEvent('setObjectSnaps', { detail: next }));
+  };
+
+  const changeGridSize = (next) => {
     setGridSize(next);
     window.dispatchEvent(new CustomEvent('setGridSize', { detail: next }));
   };
@@ -91,6 +368,21 @@ export default function UIControls() {
           <button onClick={() => fireShape('cylinder')} className='btn-primary'>
             Cylinder
           </button>
+          <button onClick={() => fireShape('cone')} className='btn-primary'>
+            Cone
+          </button>
+          <button onClick={() => fireShape('torus')} className='btn-primary'>
+            Torus
+          </button>
+          <button onClick={() => fireShape('wedge')} className='btn-primary'>
+            Wedge
+          </button>
+          <button onClick={() => fireShape('pyramid')} className='btn-primary'>
+            Pyramid
+          </button>
+          <button onClick={() => fireShape('tube')} className='btn-primary'>
+            Tube
+          </button>
         </div>
         <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
           Click a button, then click on the canvas to place
@@ -128,6 +420,330 @@ export default function UIControls() {
             Scale
           </button>
         </div>
+        <button
+          onClick={toggleTransformSpace}
+          className='btn-secondary'
+          title='Orient the gizmo along the world axes or the shape axes'
+          style={{ marginTop: '4px' }}
+        >
+          Axes: {transformSpace === 'world' ? 'World' : 'Local'}
+        </button>
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Drag the gizmo handles: arrows and squares move, rings rotate, cubes
+          scale
+        </p>
+      </div>
+
+      <div className='control-section'>
+        <h3>View</h3>
+        <div className='button-group'>
+          {['front', 'top', 'right', 'iso'].map((view) => (
+            <button
+              key={view}
+              onClick={() => handleView(view)}
+              className='btn-secondary'
+            >
+              {view === 'iso' ? 'Iso' : view[0].toUpperCase() + view.slice(1)}
+            </button>
+          ))}
+        </div>
+        <div className='button-group' style={{ marginTop: '4px' }}>
+          <button
+            onClick={() => handleZoomToFit(false)}
+            className='btn-secondary'
+          >
+            Zoom to Fit
+          </button>
+          <button
+            onClick={() => handleZoomToFit(true)}
+            className='btn-secondary'
+            title='Zoom to Selection (F)'
+          >
+            Zoom to Selection
+          </button>
+        </div>
+        <button
+          onClick={toggleProjection}
+          className='btn-secondary'
+          style={{ marginTop: '4px' }}
+          title='Orthographic keeps parallel edges parallel'
+        >
+          Projection:{' '}
+          {projection === 'perspective' ? 'Perspective' : 'Orthographic'}
+        </button>
+        <div
+          className='button-group'
+          style={{ alignItems: 'center', gap: 8, marginTop: '4px' }}
+        >
+          <span style={labelStyle}>Display</span>
+          <select
+            value={displayMode}
+            onChange={(e) => changeDisplayMode(e.target.value)}
+            style={{ ...fieldStyle, width: 'auto' }}
+            title='How shapes are drawn; a shape can override it in its properties'
+          >
+            {Object.entries(DISPLAY_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Click a face, edge or corner of the view cube to look from there
+        </p>
+        {renderNamedList({
+          name: viewName,
+          setName: setViewName,
+          items: namedViews.map((view) => ({
+            name: view.name,
+            title: `Restore (${view.projection})`,
+          })),
+          events: {
+            save: 'saveNamedView',
+            restore: 'restoreNamedView',
+            delete: 'deleteNamedView',
+          },
+          label: 'View',
+          title: 'Save the current view with the scene',
+        })}
+      </div>
+
+      <div className='control-section'>
+        <h3>Section</h3>
+        <div className='button-group'>
+          {['x', 'y', 'z'].map((axis) => (
+            <button
+              key={axis}
+              onClick={() =>
+                window.dispatchEvent(
+                  new CustomEvent('addSection', { detail: { axis } })
+                )
+              }
+              className='btn-secondary'
+              title={`Add a section plane across ${axis.toUpperCase()}`}
+            >
+              {axis.toUpperCase()}
+            </button>
+          ))}
+          <button
+            onClick={() =>
+              window.dispatchEvent(
+                new CustomEvent('addSection', { detail: { face: true } })
+              )
+            }
+            className='btn-secondary'
+            title='Add a section plane on the selected face'
+          >
+            Face
+          </button>
+        </div>
+        {sections.map((section) => (
+          <div key={section.id} style={{ marginTop: '6px' }}>
+            <div
+              className='button-group'
+              style={{ alignItems: 'center', gap: 4 }}
+            >
+              <label style={{ ...labelStyle, display: 'flex', gap: 4 }}>
+                <input
+                  type='checkbox'
+                  checked={section.enabled}
+                  onChange={(e) =>
+                    updateSection(section.id, { enabled: e.target.checked })
+                  }
+                />
+                {section.label}
+              </label>
+              {lengthField(
+                section.offset,
+                -Infinity,
+                (offset) => updateSection(section.id, { offset }),
+                { ...fieldStyle, width: 64 }
+              )}
+              <button
+                onClick={() => updateSection(section.id, { flip: true })}
+                className='btn-secondary'
+                title='Remove the other side'
+              >
+                ⇄
+              </button>
+              <button
+                onClick={() =>
+                  window.dispatchEvent(
+                    new CustomEvent('removeSection', {
+                      detail: { id: section.id },
+                    })
+                  )
+                }
+                className='btn-secondary'
+                title='Delete section plane'
+              >
+                ×
+              </button>
+            </div>
+            <input
+              type='range'
+              min={section.min}
+              max={section.max}
+              step={(section.max - section.min) / 200 || 0.01}
+              value={section.offset}
+              onChange={(e) =>
+                updateSection(section.id, {
+                  offset: parseFloat(e.target.value),
+                })
+              }
+              style={{ width: '100%' }}
+            />
+          </div>
+        ))}
+        {renderNamedList({
+          name: sectionViewName,
+          setName: setSectionViewName,
+          items: sectionViews.map((name) => ({
+            name,
+            title: 'Restore these section planes',
+          })),
+          events: {
+            save: 'saveSectionView',
+            restore: 'restoreSectionView',
+            delete: 'deleteSectionView',
+          },
+          label: 'Section',
+          title: 'Save the section planes with the scene',
+        })}
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Section planes cut every shape; the cut is hatched. Face places the
+          plane on the selected face (Ctrl+click a face first).
+        </p>
+      </div>
+
+      <div className='control-section'>
+        <h3>Measure</h3>
+        <button
+          onClick={() =>
+            window.dispatchEvent(
+              new CustomEvent('setMeasureMode', {
+                detail: !measurement.active,
+              })
+            )
+          }
+          className={measurement.active ? 'btn-active' : 'btn-secondary'}
+        >
+          {measurement.active ? 'Exit Measure' : 'Measure'}
+        </button>
+        {measurement.result &&
+          describeMeasurement(measurement.result, units).map((line) => (
+            <div
+              key={line.label}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: 8,
+                fontSize: 12,
+                marginTop: '4px',
+              }}
+            >
+              <span style={labelStyle}>{line.label}</span>
+              <span>{line.text}</span>
+            </div>
+          ))}
+        {annotations.map((annotation, index) => (
+          <div
+            key={index}
+            style={{ display: 'flex', gap: 4, marginTop: '4px' }}
+          >
+            <span style={{ ...labelStyle, flex: 1, alignSelf: 'center' }}>
+              {annotationText(annotation, units)}
+            </span>
+            <button
+              onClick={() =>
+                window.dispatchEvent(
+                  new CustomEvent('removeAnnotation', { detail: { index } })
+                )
+              }
+              className='btn-secondary'
+              title='Delete annotation'
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {annotations.length > 0 && (
+          <button
+            onClick={() =>
+              window.dispatchEvent(new CustomEvent('clearAnnotations'))
+            }
+            className='btn-secondary'
+            style={{ marginTop: '4px' }}
+          >
+            Clear Annotations
+          </button>
+        )}
+        {measurement.active && (
+          <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+            {measurement.picks === 1
+              ? 'Click a second point, edge or face. Esc starts over.'
+              : 'Click a point, edge or face; a second pick measures between them and is kept as an annotation.'}
+          </p>
+        )}
+      </div>
+
+      <div className='control-section'>
+        <h3>Interference</h3>
+        <div className='button-group' style={{ alignItems: 'center' }}>
+          <button
+            onClick={() =>
+              window.dispatchEvent(
+                new CustomEvent('checkInterference', { detail: { clearance } })
+              )
+            }
+            className='btn-secondary'
+            title='Check the selected shapes (two or more, or a group), or else all shapes'
+          >
+            Check Interference
+          </button>
+          {interference && (
+            <button
+              onClick={() =>
+                window.dispatchEvent(new CustomEvent('clearInterference'))
+              }
+              className='btn-secondary'
+            >
+              Clear
+            </button>
+          )}
+        </div>
+        <label style={{ ...labelStyle, display: 'block', marginTop: '4px' }}>
+          Min clearance{' '}
+          {lengthField(clearance, 0, setClearance, {
+            ...fieldStyle,
+            width: 64,
+          })}
+        </label>
+        {interference && (
+          <div style={{ fontSize: 12, marginTop: '4px' }}>
+            <div style={labelStyle}>
+              {interference.bodies} bodies
+              {interference.selection ? ' in the selection' : ''}:{' '}
+              {interference.interferences.length} overlapping pairs
+              {interference.clearance > 0 &&
+                `, ${interference.clearances.length} closer than ${formatLength(
+                  interference.clearance,
+                  units
+                )}`}
+            </div>
+            {interference.interferences.map((pair, i) => (
+              <div key={`i${i}`} style={{ color: '#ff6b6b' }}>
+                {pair.a} ∩ {pair.b}: {formatVolume(pair.volume, units)}
+              </div>
+            ))}
+            {interference.clearances.map((pair, i) => (
+              <div key={`c${i}`} style={{ color: '#ffb347' }}>
+                {pair.a} ↔ {pair.b}: {formatLength(pair.distance, units)}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       <div className='control-section'>
@@ -152,6 +768,67 @@ export default function UIControls() {
             >
               Circle
             </button>
+            <button
+              onClick={() => handleSketchTool('polyline')}
+              className='btn-primary'
+              title='Click to add vertices; click the first point to close, Enter to finish open'
+            >
+              Polyline
+            </button>
+            <button
+              onClick={() => handleSketchTool('arc')}
+              className='btn-primary'
+              title='Click the arc end point, then a point on the arc'
+            >
+              3-Point Arc
+            </button>
+            <button
+              onClick={() => handleSketchTool('tangentArc')}
+              className='btn-primary'
+              title='Arc tangent to the previous segment; click its end point'
+            >
+              Tangent Arc
+            </button>
+          </div>
+        )}
+        {sketchMode && (
+          <div
+            className='button-group'
+            style={{ marginTop: '8px', alignItems: 'center' }}
+          >
+            <span style={{ fontSize: 12, color: '#bbb' }}>Plane</span>
+            <select
+              value={sketchPlane}
+              onChange={(e) => changeSketchPlane(e.target.value)}
+              style={{
+                padding: '6px',
+                background: '#3a3a3a',
+                border: '1px solid #555',
+                borderRadius: '4px',
+                color: '#fff',
+              }}
+            >
+              <option value='XZ'>XZ (Top)</option>
+              <option value='XY'>XY (Front)</option>
+              <option value='YZ'>YZ (Right)</option>
+              {sketchPlane === 'face' && <option value='face'>Face</option>}
+            </select>
+            <span style={{ fontSize: 12, color: '#bbb' }}>Offset</span>
+            {sketchPlane === 'face' ? (
+              <span style={{ fontSize: 12, color: '#888' }}>—</span>
+            ) : (
+              lengthField(planeOffset, -Infinity, changePlaneOffset, {
+                ...fieldStyle,
+                width: 64,
+              })
+            )}
+            <button
+              onClick={() => changeSketchPlane('face')}
+              className='btn-secondary'
+              title='Sketch on the face selected with Ctrl/Cmd + click'
+            >
+              On Selected Face
+            </button>
           </div>
         )}
       </div>
@@ -168,6 +845,129 @@ export default function UIControls() {
         </div>
       </div>
 
+      <div className='control-section'>
+        <h3>Boolean</h3>
+        <div className='button-group'>
+          <button
+            onClick={() => handleBoolean('union')}
+            className='btn-secondary'
+          >
+            Union
+          </button>
+          <button
+            onClick={() => handleBoolean('subtract')}
+            className='btn-secondary'
+          >
+            Subtract
+          </button>
+          <button
+            onClick={() => handleBoolean('intersect')}
+            className='btn-secondary'
+          >
+            Intersect
+          </button>
+          <button onClick={handleSplitBoolean} className='btn-secondary'>
+            Split
+          </button>
+        </div>
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Shift+click shapes; Subtract removes the others from the first
+        </p>
+      </div>
+
+      <div className='control-section'>
+        <h3>Pattern</h3>
+        <div className='button-group' style={{ alignItems: 'center', gap: 8 }}>
+          <select
+            value={pattern.kind}
+            onChange={(e) => changePattern('kind', e.target.value)}
+            style={{ ...fieldStyle, width: 'auto' }}
+          >
+            <option value='linear'>Linear</option>
+            <option value='circular'>Circular</option>
+            <option value='mirror'>Mirror</option>
+          </select>
+          {pattern.kind === 'mirror' ? (
+            <select
+              value={pattern.plane}
+              onChange={(e) => changePattern('plane', e.target.value)}
+              style={{ ...fieldStyle, width: 'auto' }}
+            >
+              <option value='YZ'>YZ plane</option>
+              <option value='XZ'>XZ plane</option>
+              <option value='XY'>XY plane</option>
+              <option value='face'>Selected face</option>
+            </select>
+          ) : (
+            <select
+              value={
+                pattern.kind === 'circular' ? pattern.axis : pattern.direction
+              }
+              onChange={(e) =>
+                changePattern(
+                  pattern.kind === 'circular' ? 'axis' : 'direction',
+                  e.target.value
+                )
+              }
+              style={{ ...fieldStyle, width: 'auto' }}
+            >
+              <option value='X'>X axis</option>
+              <option value='Y'>Y axis</option>
+              <option value='Z'>Z axis</option>
+              <option value='edge'>Selected edge</option>
+            </select>
+          )}
+        </div>
+        {pattern.kind !== 'mirror' && (
+          <div
+            className='button-group'
+            style={{ alignItems: 'center', gap: 8, marginTop: 6 }}
+          >
+            <span style={labelStyle}>Count</span>
+            {numberField('count', 1, 1, (v) => parseInt(v, 10))}
+            {pattern.kind === 'linear' ? (
+              <>
+                <span style={labelStyle}>Spacing</span>
+                {lengthField(pattern.spacing, -Infinity, (v) =>
+                  changePattern('spacing', v)
+                )}
+              </>
+            ) : (
+              <>
+                <span style={labelStyle}>Angle</span>
+                {numberField('angle', 1, 15)}
+              </>
+            )}
+          </div>
+        )}
+        <div className='button-group' style={{ marginTop: 6 }}>
+          <button onClick={handlePattern} className='btn-secondary'>
+            {pattern.kind === 'mirror' ? 'Mirror' : 'Pattern'}
+          </button>
+        </div>
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Patterns the selected shapes, or the body of the selected edge / face;
+          Split restores the originals
+        </p>
+      </div>
+
+      <div className='control-section'>
+        <h3>Shell</h3>
+        <div className='button-group' style={{ alignItems: 'center', gap: 8 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={labelStyle}>Thickness</span>
+            {lengthField(shellThickness, 0.001, setShellThickness)}
+          </div>
+          <button onClick={handleShell} className='btn-secondary'>
+            Shell
+          </button>
+        </div>
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Select a solid, or Ctrl+click a face (Ctrl+Shift+click for more) to
+          leave it open; Split restores the solid
+        </p>
+      </div>
+
       <div className='control-section'>
         <h3>Snap</h3>
         <div className='button-group' style={{ alignItems: 'center', gap: 8 }}>
@@ -181,23 +981,77 @@ export default function UIControls() {
           </label>
           <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
             <span style={{ fontSize: 12, color: '#bbb' }}>Size</span>
-            <input
-              type='number'
-              min='0.1'
-              step='0.1'
-              value={gridSize}
-              onChange={changeGridSize}
+            {lengthField(gridSize, 0.01, changeGridSize)}
+          </div>
+        </div>
+        <div
+          className='button-group'
+          style={{ flexWrap: 'wrap', gap: '4px 10px', marginTop: 6 }}
+        >
+          {Object.entries(SNAP_TYPES).map(([type, { label, glyph }]) => (
+            <label
+              key={type}
               style={{
-                width: 72,
-                padding: '6px',
-                background: '#3a3a3a',
-                border: '1px solid #555',
-                borderRadius: '4px',
-                color: '#fff',
+                display: 'flex',
+                alignItems: 'center',
+                gap: 4,
+                ...labelStyle,
               }}
-            />
-          </div>
+            >
+              <input
+                type='checkbox'
+                checked={objectSnaps[type]}
+                onChange={() => toggleObjectSnap(type)}
+              />
+              {glyph} {label}
+            </label>
+          ))}
         </div>
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Object snaps apply while sketching, placing primitives and moving
+          shapes with the gizmo; they take precedence over the grid
+        </p>
+      </div>
+
+      <div className='control-section'>
+        <h3>Document</h3>
+        <div className='button-group' style={{ alignItems: 'center', gap: 8 }}>
+          <span style={labelStyle}>Units</span>
+          <select
+            value={units.unit}
+            onChange={(e) =>
+              setDocumentUnits({ ...units, unit: e.target.value })
+            }
+            style={{ ...fieldStyle, width: 'auto' }}
+          >
+            {Object.keys(LENGTH_UNITS).map((unit) => (
+              <option key={unit} value={unit}>
+                {unit}
+              </option>
+            ))}
+          </select>
+          <span style={labelStyle}>Decimals</span>
+          <select
+            value={units.precision}
+            onChange={(e) =>
+              setDocumentUnits({
+                ...units,
+                precision: parseInt(e.target.value, 10),
+              })
+            }
+            style={{ ...fieldStyle, width: 'auto' }}
+          >
+            {[0, 1, 2, 3, 4, 5, 6].map((digits) => (
+              <option key={digits} value={digits}>
+                {digits}
+              </option>
+            ))}
+          </select>
+        </div>
+        <p style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+          Lengths are shown in the document unit; any field also takes other
+          units, e.g. 1in or 2.5cm
+        </p>
       </div>
 
       <div className='control-section'>
@@ -209,6 +1063,23 @@ export default function UIControls() {
           <button onClick={handleImport} className='btn-secondary'>
             Import JSON
           </button>
+          <button
+            onClick={() => handleExportSTL(true)}
+            className='btn-secondary'
+            title='Binary STL of the selection, or of all shapes'
+          >
+            Export STL
+          </button>
+          <button
+            onClick={() => handleExportSTL(false)}
+            className='btn-secondary'
+            title='ASCII STL of the selection, or of all shapes'
+          >
+            Export ASCII STL
+          </button>
+          <button onClick={handleImportSTL} className='btn-secondary'>
+            Import STL
+          </button>
           <button onClick={handleUndo} className='btn-secondary'>
             Undo
           </button>
@@ -224,8 +1095,10 @@ export default function UIControls() {
           <p>
             <strong>Camera:</strong>
           </p>
-          <p>• Left Click + Drag: Rotate</p>
-          <p>• Mouse Wheel: Zoom</p>
+          <p>• Left Click + Drag: Rotate (around the selection)</p>
+          <p>• Middle/Right Click + Drag: Pan</p>
+          <p>• Mouse Wheel: Zoom toward the cursor</p>
+          <p>• F: Zoom to selection (or fit all)</p>
           <p>
             <strong>Selection:</strong>
           </p>
@@ -234,6 +1107,11 @@ export default function UIControls() {
           <p>• R: Rotate mode</p>
           <p>• S: Scale mode</p>
           <p>• Delete: Remove selected</p>
+          <p>
+            <strong>Sketch:</strong>
+          </p>
+          <p>• Enter: Finish open profile</p>
+          <p>• Esc: Cancel profile</p>
         </div>
       </div>
     </div>
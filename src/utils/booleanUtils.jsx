@@ -0,0 +1,280 @@
+import * as THREE from 'three';
+import { serializeObject, createObjectFromData } from './ioUtils';
+import { patternInFrame } from './patternUtils';
+import { shapeMeshes } from './meshUtils';
+
+// Boolean, shell and pattern shapes keep their operands as serialized object data
+// (userData.operands) with transforms relative to the result, which sits at
+// the first operand's placement. Operands that are feature bodies keep their
+// featureId and are refreshed when the feature tree regenerates.
+
+function matrixOf(objData) {
+  const p = objData.position || { x: 0, y: 0, z: 0 };
+  const r = objData.rotation || { x: 0, y: 0, z: 0 };
+  const s = objData.scale || { x: 1, y: 1, z: 1 };
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(p.x, p.y, p.z),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(r.x, r.y, r.z)),
+    new THREE.Vector3(s.x, s.y, s.z)
+  );
+}
+
+function writeTransform(objData, matrix) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  matrix.decompose(position, quaternion, scale);
+  const rotation = new THREE.Euler().setFromQuaternion(quaternion);
+  objData.position = { x: position.x, y: position.y, z: position.z };
+  objData.rotation = { x: rotation.x, y: rotation.y, z: rotation.z };
+  objData.scale = { x: scale.x, y: scale.y, z: scale.z };
+}
+
+// Serialized objects with transforms relative to frame
+function operandData(objects, frame) {
+  const inverse = frame.clone().invert();
+  return objects.map((obj) => {
+    obj.updateMatrixWorld();
+    const data = serializeObject(obj);
+    writeTransform(data, inverse.clone().multiply(obj.matrixWorld));
+    return data;
+  });
+}
+
+// Combine shapes into a new boolean shape (null when the result is empty).
+// The shapes themselves are left untouched.
+export function createBooleanFromObjects(operation, objects) {
+  const [base] = objects;
+  base.updateMatrixWorld();
+  const frame = base.matrixWorld.clone();
+  const operands = operandData(objects, frame);
+
+  const shape = createObjectFromData({ type: 'boolean', operation, operands });
+  if (!shape) return null;
+  frame.decompose(shape.position, shape.quaternion, shape.scale);
+  return shape;
+}
+
+// Hollow a shape into a new shell shape (null when the wall is too thick).
+// The shell sits at the shape's position and rotation without its scale, so
+// the wall thickness is in world units; openings are { point, normal } face
+// planes in the shape's local coordinates. The shape itself is left untouched.
+export function createShellFromObject(object, thickness, openings = []) {
+  object.updateMatrixWorld();
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  object.matrixWorld.decompose(position, quaternion, scale);
+  const frame = new THREE.Matrix4().compose(
+    position,
+    quaternion,
+    new THREE.Vector3(1, 1, 1)
+  );
+
+  const [data] = operandData([object], frame);
+  const planes = openings.map(({ point, normal }) => {
+    const p = new THREE.Vector3(point.x, point.y, point.z).multiply(scale);
+    const n = new THREE.Vector3(normal.x, normal.y, normal.z)
+      .divide(scale)
+      .normalize();
+    return {
+      point: { x: p.x, y: p.y, z: p.z },
+      normal: { x: n.x, y: n.y, z: n.z },
+    };
+  });
+
+  const shape = createObjectFromData({
+    type: 'shell',
+    thickness,
+    openings: planes,
+    operands: [data],
+  });
+  if (!shape) return null;
+  frame.decompose(shape.position, shape.quaternion, shape.scale);
+  return shape;
+}
+
+// Repeat shapes in a new pattern shape (null when the result is empty). The
+// pattern is given in world space and stored relative to the result, which
+// sits at the first shape's position, so moving the result moves the whole
+// pattern. The shapes themselves are left untouched.
+export function createPatternFromObjects(objects, pattern) {
+  const [base] = objects;
+  base.updateMatrixWorld();
+  const position = new THREE.Vector3().setFromMatrixPosition(base.matrixWorld);
+  const frame = new THREE.Matrix4().makeTranslation(
+    position.x,
+    position.y,
+    position.z
+  );
+  const shape = createObjectFromData({
+    type: 'pattern',
+    pattern: patternInFrame(pattern, frame.clone().invert()),
+    operands: operandData(objects, frame),
+  });
+  if (!shape) return null;
+  shape.position.copy(position);
+  return shape;
+}
+
+// Operand data of a boolean, shell or pattern shape with world transforms, used to
+// split it
+export function booleanOperandsInWorld(shape) {
+  shape.updateMatrixWorld();
+  return (shape.userData.operands || []).map((data) => {
+    const copy = JSON.parse(JSON.stringify(data));
+    writeTransform(copy, shape.matrixWorld.clone().multiply(matrixOf(data)));
+    return copy;
+  });
+}
+
+function visitOperands(objects, visit) {
+  objects.forEach((obj) =>
+    obj.traverse((child) => {
+      if (child.userData.operands) visit(child);
+    })
+  );
+}
+
+// Feature ids of feature bodies used (at any depth) as operands
+export function booleanFeatureIds(objects) {
+  const ids = new Set();
+  const collect = (data) => {
+    if (data.featureId) ids.add(data.featureId);
+    (data.operands || []).forEach(collect);
+  };
+  visitOperands(objects, (shape) =>
+    (shape.userData.operands || []).forEach(collect)
+  );
+  return ids;
+}
+
+// Replace operand data taken from a feature body with the regenerated body,
+// keeping any manual offset the body had when it was combined
+function refreshOperand(data, bodies) {
+  let changed = false;
+  const body = data.featureId && bodies.get(data.featureId);
+  if (body) {
+    const fresh = serializeObject(body);
+    const generated = new THREE.Matrix4().fromArray(
+      body.userData.generatedMatrix
+    );
+    const previousBase = data.generatedMatrix
+      ? new THREE.Matrix4().fromArray(data.generatedMatrix)
+      : generated;
+    if (previousBase.equals(generated)) {
+      fresh.position = data.position;
+      fresh.rotation = data.rotation;
+      fresh.scale = data.scale;
+    } else {
+      writeTransform(
+        fresh,
+        matrixOf(data).multiply(previousBase.invert()).multiply(generated)
+      );
+    }
+    fresh.material = data.material;
+    if (data.edgeTreatments) fresh.edgeTreatments = data.edgeTreatments;
+    if (JSON.stringify(fresh) !== JSON.stringify(data)) {
+      Object.keys(data).forEach((key) => delete data[key]);
+      Object.assign(data, fresh);
+      changed = true;
+    }
+  }
+  (data.operands || []).forEach((operand) => {
+    if (refreshOperand(operand, bodies)) changed = true;
+  });
+  return changed;
+}
+
+// Shapes among objects as they stand without the given feature bodies, to
+// find the faces in the way of a feature: those bodies are left out, and a
+// boolean using one is replaced by what remains of it (the target of a cut,
+// the other parts of a union). Remaining operands from regenerated features
+// take the new bodies (feature id → detached body). Returns { shapes,
+// dispose } where dispose frees the shapes made for the occasion.
+export function shapesWithout(objects, featureIds, bodies = new Map()) {
+  const uses = (data) =>
+    featureIds.has(data.featureId) || (data.operands || []).some(uses);
+  const shapes = [];
+  const created = [];
+  shapeMeshes(objects).forEach((mesh) => {
+    if (featureIds.has(mesh.userData.featureId)) return;
+    const operands = mesh.userData.operands || [];
+    if (!operands.some(uses)) {
+      shapes.push(mesh);
+      return;
+    }
+    const { type, operation } = mesh.userData;
+    const keep = (data, i) =>
+      type === 'boolean' &&
+      !uses(data) &&
+      (operation === 'union' || (operation === 'subtract' && i === 0));
+    booleanOperandsInWorld(mesh).forEach((data, i) => {
+      if (!keep(data, i)) return;
+      refreshOperand(data, bodies);
+      const shape = createObjectFromData(data);
+      if (!shape) return;
+      shape.updateMatrixWorld();
+      shapes.push(shape);
+      created.push(shape);
+    });
+  });
+  const dispose = () =>
+    created.forEach((shape) =>
+      shape.traverse((child) => {
+        child.geometry?.dispose();
+        child.material?.dispose();
+      })
+    );
+  return { shapes, dispose };
+}
+
+// Operand data without the operands of inactive (suppressed, rolled-back or
+// failed) features
+function activeOperandData(operands, inactive) {
+  return operands
+    .filter((data) => !(data.featureId && inactive.has(data.featureId)))
+    .map((data) =>
+      data.operands
+        ? { ...data, operands: activeOperandData(data.operands, inactive) }
+        : data
+    );
+}
+
+// Rebuild boolean, shell and pattern shapes whose operands come from
+// regenerated feature bodies (bodies maps feature id → detached body). Operands of
+// inactive features are left out, so suppressing a cut restores the uncut
+// body; a shape whose result becomes empty is hidden.
+export function refreshBooleanShapes(objects, bodies, inactive = new Set()) {
+  visitOperands(objects, (shape) => {
+    const operands = shape.userData.operands || [];
+    const changed = operands
+      .map((operand) => refreshOperand(operand, bodies))
+      .some(Boolean);
+    const inactiveKey = [...booleanFeatureIds([shape])]
+      .filter((id) => inactive.has(id))
+      .sort()
+      .join(',');
+    if (!changed && inactiveKey === (shape.userData.inactiveOperands || '')) {
+      return;
+    }
+    shape.userData.inactiveOperands = inactiveKey;
+
+    const active = activeOperandData(operands, inactive);
+    const target = operands[0];
+    // Without the body to cut from, a subtraction has no result
+    const fresh =
+      shape.userData.operation === 'subtract' &&
+      target?.featureId &&
+      inactive.has(target.featureId)
+        ? null
+        : createObjectFromData({ ...serializeObject(shape), operands: active });
+    shape.visible = !!fresh;
+    if (!fresh) return;
+    shape.geometry.dispose();
+    shape.geometry = fresh.geometry;
+    fresh.material.dispose();
+    shape.userData.faces = fresh.userData.faces;
+    shape.userData.edges = fresh.userData.edges;
+  });
+}
@@ -0,0 +1,345 @@
+import * as THREE from 'three';
+
+// Camera navigation around a target point (the center of the view): orbit,
+// pan, zoom toward a point, framing a bounding box, standard views with
+// animated transitions, and the orientation cube drawn in a canvas corner.
+// The camera always keeps world Y as its up direction.
+//
+// The camera is either perspective or orthographic. An orthographic camera
+// shows the height a perspective one would see at the target, so its scale
+// follows the distance to the target like the perspective view does, and
+// switching projection keeps the framing.
+
+// Vertical field of view of the perspective camera, in degrees
+export const FIELD_OF_VIEW = 75;
+export const PROJECTIONS = ['perspective', 'orthographic'];
+
+// Direction from the target to the camera for each standard view. Top and
+// bottom lean a hair towards +Z so "up" on screen stays well defined.
+export const STANDARD_VIEWS = {
+  front: new THREE.Vector3(0, 0, 1),
+  back: new THREE.Vector3(0, 0, -1),
+  right: new THREE.Vector3(1, 0, 0),
+  left: new THREE.Vector3(-1, 0, 0),
+  top: new THREE.Vector3(0, 1, 1e-4).normalize(),
+  bottom: new THREE.Vector3(0, -1, 1e-4).normalize(),
+  iso: new THREE.Vector3(1, 1, 1).normalize(),
+};
+
+const ORBIT_SPEED = 0.01; // radians per pixel
+const MAX_ELEVATION = 0.9999; // |sin| of the steepest view angle
+const MIN_DISTANCE = 0.01;
+const MAX_DISTANCE = 900;
+
+// Visible height at distance in front of the camera
+function viewHeight(distance) {
+  return 2 * distance * Math.tan(THREE.MathUtils.degToRad(FIELD_OF_VIEW) / 2);
+}
+
+// Width over height of the camera's view
+function viewAspect(camera) {
+  return camera.isOrthographicCamera
+    ? (camera.right - camera.left) / (camera.top - camera.bottom)
+    : camera.aspect;
+}
+
+// New camera with the given projection ('perspective' | 'orthographic')
+export function createCamera(projection, aspect) {
+  if (projection === 'orthographic') {
+    // The near plane sits behind the eye so zooming in close never clips
+    return new THREE.OrthographicCamera(-aspect, aspect, 1, -1, -1000, 2000);
+  }
+  return new THREE.PerspectiveCamera(FIELD_OF_VIEW, aspect, 0.1, 1000);
+}
+
+export function cameraProjection(camera) {
+  return camera.isOrthographicCamera ? 'orthographic' : 'perspective';
+}
+
+// Fit the camera's view to the canvas aspect. An orthographic view is also
+// resized to its distance from the target, so call this after every move.
+export function updateCameraFrustum(camera, target, aspect) {
+  if (camera.isOrthographicCamera) {
+    const half = viewHeight(camera.position.distanceTo(target)) / 2;
+    camera.top = half;
+    camera.bottom = -half;
+    camera.left = -half * aspect;
+    camera.right = half * aspect;
+  } else {
+    camera.aspect = aspect;
+  }
+  camera.updateProjectionMatrix();
+}
+
+// Camera with the other projection looking at target from the same place
+export function switchProjection(camera, projection, target) {
+  const aspect = viewAspect(camera);
+  const next = createCamera(projection, aspect);
+  next.position.copy(camera.position);
+  next.quaternion.copy(camera.quaternion);
+  updateCameraFrustum(next, target, aspect);
+  return next;
+}
+
+// Turn the camera (and its target) around pivot: dx about world Y, dy about
+// the camera's horizontal axis. Stops short of looking straight up or down.
+export function orbitCamera(camera, target, pivot, dx, dy) {
+  const yaw = new THREE.Quaternion().setFromAxisAngle(
+    new THREE.Vector3(0, 1, 0),
+    -dx * ORBIT_SPEED
+  );
+  const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+  const pitch = new THREE.Quaternion().setFromAxisAngle(
+    right.applyQuaternion(yaw).normalize(),
+    dy * ORBIT_SPEED
+  );
+  const turn = pitch.multiply(yaw);
+
+  const offset = camera.position.clone().sub(target);
+  const yawed = offset.clone().applyQuaternion(yaw);
+  const turned = offset.clone().applyQuaternion(turn);
+  // Keep only the yaw when the pitch would reach or tip over the pole
+  const overPole =
+    Math.abs(turned.y) / turned.length() > MAX_ELEVATION ||
+    turned.x * yawed.x + turned.z * yawed.z <= 0;
+  const rotation = overPole ? yaw : turn;
+
+  camera.position.sub(pivot).applyQuaternion(rotation).add(pivot);
+  target.sub(pivot).applyQuaternion(rotation).add(pivot);
+  camera.lookAt(target);
+}
+
+// Move the camera and target sideways so the scene follows the pointer;
+// dx, dy in pixels, height of the canvas in pixels
+export function panCamera(camera, target, dx, dy, height) {
+  camera.updateMatrixWorld();
+  const distance = camera.position.distanceTo(target);
+  const perPixel = viewHeight(distance) / height;
+  const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+  const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+  const shift = right
+    .multiplyScalar(-dx * perPixel)
+    .addScaledVector(up, dy * perPixel);
+  camera.position.add(shift);
+  target.add(shift);
+}
+
+// Scale the camera's distance by factor (< 1 zooms in) about point: the
+// point stays under the pointer while the view closes in on it
+export function zoomCamera(camera, target, factor, point = target) {
+  const distance = camera.position.distanceTo(target);
+  const scaled = THREE.MathUtils.clamp(
+    distance * factor,
+    MIN_DISTANCE,
+    MAX_DISTANCE
+  );
+  const applied = scaled / distance;
+  camera.position.sub(point).multiplyScalar(applied).add(point);
+  target.sub(point).multiplyScalar(applied).add(point);
+  camera.lookAt(target);
+}
+
+// Camera position and target that frame box from the given direction (by
+// default the camera's current one), or null for an empty box
+export function fitView(camera, target, box, direction = null) {
+  if (!box || box.isEmpty()) return null;
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const radius = Math.max(sphere.radius, 0.1);
+  const fov = THREE.MathUtils.degToRad(FIELD_OF_VIEW);
+  const aspect = viewAspect(camera);
+  const distance = camera.isOrthographicCamera
+    ? (radius * 1.15) / (Math.tan(fov / 2) * Math.min(1, aspect))
+    : (radius * 1.15) /
+      Math.sin(Math.min(fov, 2 * Math.atan(Math.tan(fov / 2) * aspect)) / 2);
+  const toCamera = (
+    direction || camera.position.clone().sub(target)
+  ).normalize();
+  return {
+    target: sphere.center.clone(),
+    position: sphere.center.clone().addScaledVector(toCamera, distance),
+  };
+}
+
+// Camera position for looking at target from a direction, keeping the
+// current distance
+export function directionView(camera, target, direction) {
+  const distance = camera.position.distanceTo(target);
+  return {
+    target: target.clone(),
+    position: target
+      .clone()
+      .addScaledVector(direction.clone().normalize(), distance),
+  };
+}
+
+// Named view as stored in scene files
+export function captureView(name, camera, target) {
+  return {
+    name,
+    projection: cameraProjection(camera),
+    position: camera.position.toArray(),
+    target: target.toArray(),
+  };
+}
+
+// Named views from saved data, dropping malformed entries
+export function normalizeNamedViews(views) {
+  const isPoint = (p) =>
+    Array.isArray(p) && p.length === 3 && p.every(Number.isFinite);
+  return (Array.isArray(views) ? views : [])
+    .filter((v) => v && v.name && isPoint(v.position) && isPoint(v.target))
+    .map((v) => ({
+      name: String(v.name),
+      projection: PROJECTIONS.includes(v.projection)
+        ? v.projection
+        : 'perspective',
+      position: [...v.position],
+      target: [...v.target],
+    }));
+}
+
+// Transition from the current view to `to` ({ position, target }) over
+// duration ms; step it with stepCameraTransition every frame
+export function startCameraTransition(camera, target, to, duration = 400) {
+  return {
+    start: performance.now(),
+    duration,
+    fromTarget: target.clone(),
+    toTarget: to.target.clone(),
+    fromOffset: camera.position.clone().sub(target),
+    toOffset: to.position.clone().sub(to.target),
+  };
+}
+
+// Advance a transition; returns false once it has finished. The direction
+// swings around the target while distance and target move linearly.
+export function stepCameraTransition(transition, camera, target, now) {
+  const t = Math.min(1, (now - transition.start) / transition.duration);
+  const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+  const { fromOffset, toOffset } = transition;
+  const swing = new THREE.Quaternion().setFromUnitVectors(
+    fromOffset.clone().normalize(),
+    toOffset.clone().normalize()
+  );
+  const partial = new THREE.Quaternion().slerp(swing, eased);
+  const distance = THREE.MathUtils.lerp(
+    fromOffset.length(),
+    toOffset.length(),
+    eased
+  );
+  target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+  camera.position.copy(
+    fromOffset
+      .clone()
+      .normalize()
+      .applyQuaternion(partial)
+      .multiplyScalar(distance)
+      .add(target)
+  );
+  camera.lookAt(target);
+  return t < 1;
+}
+
+// Face labels in BoxGeometry material order (+X, -X, +Y, -Y, +Z, -Z)
+const CUBE_LABELS = ['RIGHT', 'LEFT', 'TOP', 'BOTTOM', 'FRONT', 'BACK'];
+
+function labelTexture(text) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 128;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#e8eef3';
+  context.fillRect(0, 0, 128, 128);
+  context.strokeStyle = '#7d8b96';
+  context.lineWidth = 6;
+  context.strokeRect(0, 0, 128, 128);
+  context.fillStyle = '#33404a';
+  context.font = 'bold 24px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, 64, 64);
+  return new THREE.CanvasTexture(canvas);
+}
+
+// Orientation cube with its own scene and camera; size is in pixels
+export function createViewCube(size = 110) {
+  const scene = new THREE.Scene();
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 10);
+  const cube = new THREE.Mesh(
+    new THREE.BoxGeometry(1, 1, 1),
+    CUBE_LABELS.map(
+      (label) => new THREE.MeshBasicMaterial({ map: labelTexture(label) })
+    )
+  );
+  scene.add(cube);
+  return { scene, camera, cube, size, margin: 10 };
+}
+
+// Turn the cube's camera to match the main camera
+export function updateViewCube(viewCube, camera, target) {
+  const direction = camera.position.clone().sub(target).normalize();
+  viewCube.camera.position.copy(direction.multiplyScalar(3));
+  viewCube.camera.lookAt(0, 0, 0);
+}
+
+// Canvas-relative pixel rectangle of the cube (top right corner)
+function viewCubeRect(viewCube, width) {
+  return {
+    left: width - viewCube.size - viewCube.margin,
+    top: viewCube.margin,
+  };
+}
+
+// Draw the cube over the rendered scene
+export function renderViewCube(renderer, viewCube) {
+  const width = renderer.domElement.clientWidth;
+  const height = renderer.domElement.clientHeight;
+  const { left, top } = viewCubeRect(viewCube, width);
+  const bottom = height - top - viewCube.size;
+  renderer.autoClear = false;
+  renderer.clearDepth();
+  renderer.setScissorTest(true);
+  renderer.setScissor(left, bottom, viewCube.size, viewCube.size);
+  renderer.setViewport(left, bottom, viewCube.size, viewCube.size);
+  renderer.render(viewCube.scene, viewCube.camera);
+  renderer.setScissorTest(false);
+  renderer.setViewport(0, 0, width, height);
+  renderer.autoClear = true;
+}
+
+// View direction picked on the cube at canvas pixel (x, y): a face gives its
+// axis, an edge or corner the diagonal between its faces. null when the
+// pointer is not on the cube.
+export function viewCubeDirection(viewCube, x, y, width) {
+  const { left, top } = viewCubeRect(viewCube, width);
+  const u = (x - left) / viewCube.size;
+  const v = (y - top) / viewCube.size;
+  if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(
+    new THREE.Vector2(u * 2 - 1, -(v * 2 - 1)),
+    viewCube.camera
+  );
+  const hit = raycaster.intersectObject(viewCube.cube)[0];
+  if (!hit) return null;
+  const direction = new THREE.Vector3();
+  ['x', 'y', 'z'].forEach((axis) => {
+    const c = hit.point[axis];
+    if (Math.abs(c) > 0.3) direction[axis] = Math.sign(c);
+  });
+  if (Math.abs(direction.y) === 1 && direction.x === 0 && direction.z === 0) {
+    return direction.y > 0 ? STANDARD_VIEWS.top : STANDARD_VIEWS.bottom;
+  }
+  return direction.normalize();
+}
+
+// Whether canvas pixel (x, y) is inside the cube's corner
+export function isOverViewCube(viewCube, x, y, width) {
+  const { left, top } = viewCubeRect(viewCube, width);
+  return (
+    x >= left &&
+    x <= left + viewCube.size &&
+    y >= top &&
+    y <= top + viewCube.size
+  );
+}
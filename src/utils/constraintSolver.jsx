@@ -0,0 +1,561 @@
+// 2D geometric constraint solver for sketches.
+//
+// The unknowns are the coordinates of every segment of the sketch (a
+// rectangle solves as its four sides, a circle as one circle segment):
+//   line   → start.x, start.y, end.x, end.y
+//   arc    → start.x, start.y, end.x, end.y, center.x, center.y
+//   circle → center.x, center.y, radius
+// Each constraint contributes one or more residual equations that are zero
+// when it is satisfied. The system is solved with damped least squares
+// (Levenberg–Marquardt), and the rank of its Jacobian gives the remaining
+// degrees of freedom.
+//
+// Constraints reference sketch entities by segment index:
+//   point ref   → { seg, point: 'start' | 'end' | 'center' }
+//   segment ref → { seg }
+// and are stored as { type, refs: [...], value? }.
+
+import { segmentsFromSketch, sketchPointToWorld } from './sketchUtils';
+
+export const CONSTRAINT_TYPES = {
+  coincident: { label: 'Coincident', refs: ['point', 'point'] },
+  horizontal: { label: 'Horizontal', refs: ['line'] },
+  vertical: { label: 'Vertical', refs: ['line'] },
+  parallel: { label: 'Parallel', refs: ['line', 'line'] },
+  perpendicular: { label: 'Perpendicular', refs: ['line', 'line'] },
+  tangent: { label: 'Tangent', refs: ['segment', 'segment'] },
+  equal: { label: 'Equal', refs: ['segment', 'segment'] },
+  concentric: { label: 'Concentric', refs: ['round', 'round'] },
+  fixed: { label: 'Fixed', refs: ['point'] },
+  distance: { label: 'Distance', refs: ['point', 'point'], dimension: true },
+  radius: { label: 'Radius', refs: ['round'], dimension: true },
+  angle: { label: 'Angle', refs: ['line', 'line'], dimension: true },
+};
+
+const PARAM_COUNT = { line: 4, arc: 6, circle: 3 };
+// Largest residual still treated as a satisfied constraint
+const SOLVE_TOLERANCE = 1e-6;
+
+function buildLayout(segments) {
+  const offsets = [];
+  let size = 0;
+  segments.forEach((seg) => {
+    offsets.push(size);
+    size += PARAM_COUNT[seg.type] || 0;
+  });
+  return { offsets, size };
+}
+
+function readParams(segments, layout) {
+  const x = new Float64Array(layout.size);
+  segments.forEach((seg, i) => {
+    const o = layout.offsets[i];
+    if (seg.type === 'circle') {
+      x[o] = seg.center.x;
+      x[o + 1] = seg.center.y;
+      x[o + 2] = seg.radius;
+      return;
+    }
+    x[o] = seg.start.x;
+    x[o + 1] = seg.start.y;
+    x[o + 2] = seg.end.x;
+    x[o + 3] = seg.end.y;
+    if (seg.type === 'arc') {
+      x[o + 4] = seg.center.x;
+      x[o + 5] = seg.center.y;
+    }
+  });
+  return x;
+}
+
+function writeParams(segments, layout, x) {
+  return segments.map((seg, i) => {
+    const o = layout.offsets[i];
+    if (seg.type === 'circle') {
+      return {
+        ...seg,
+        center: { x: x[o], y: x[o + 1] },
+        radius: Math.abs(x[o + 2]),
+      };
+    }
+    const next = {
+      ...seg,
+      start: { x: x[o], y: x[o + 1] },
+      end: { x: x[o + 2], y: x[o + 3] },
+    };
+    if (seg.type === 'arc') {
+      next.center = { x: x[o + 4], y: x[o + 5] };
+      next.radius = Math.hypot(x[o] - x[o + 4], x[o + 1] - x[o + 5]);
+    }
+    return next;
+  });
+}
+
+// Index of a point's x coordinate in the parameter vector
+function pointIndex(segments, layout, ref) {
+  const seg = segments[ref.seg];
+  if (!seg) return null;
+  const o = layout.offsets[ref.seg];
+  if (seg.type === 'circle') return ref.point === 'center' ? o : null;
+  if (ref.point === 'start') return o;
+  if (ref.point === 'end') return o + 2;
+  if (ref.point === 'center' && seg.type === 'arc') return o + 4;
+  return null;
+}
+
+function makeAccessors(segments, layout) {
+  const point = (x, ref) => {
+    const i = pointIndex(segments, layout, ref);
+    return i == null ? null : { x: x[i], y: x[i + 1] };
+  };
+  const direction = (x, ref) => {
+    const seg = segments[ref.seg];
+    if (!seg || seg.type !== 'line') return null;
+    const o = layout.offsets[ref.seg];
+    return { x: x[o + 2] - x[o], y: x[o + 3] - x[o + 1] };
+  };
+  const center = (x, ref) => point(x, { seg: ref.seg, point: 'center' });
+  const radius = (x, ref) => {
+    const seg = segments[ref.seg];
+    if (!seg) return null;
+    const o = layout.offsets[ref.seg];
+    if (seg.type === 'circle') return x[o + 2];
+    if (seg.type === 'arc') {
+      return Math.hypot(x[o] - x[o + 4], x[o + 1] - x[o + 5]);
+    }
+    return null;
+  };
+  // Characteristic size used by "equal": length of lines, radius of arcs
+  const size = (x, ref) => {
+    const d = direction(x, ref);
+    return d ? Math.hypot(d.x, d.y) : radius(x, ref);
+  };
+  return { point, direction, center, radius, size };
+}
+
+function normalizedCross(a, b) {
+  const la = Math.hypot(a.x, a.y);
+  const lb = Math.hypot(b.x, b.y);
+  if (la < 1e-12 || lb < 1e-12) return 0;
+  return (a.x * b.y - a.y * b.x) / (la * lb);
+}
+
+function normalizedDot(a, b) {
+  const la = Math.hypot(a.x, a.y);
+  const lb = Math.hypot(b.x, b.y);
+  if (la < 1e-12 || lb < 1e-12) return 0;
+  return (a.x * b.x + a.y * b.y) / (la * lb);
+}
+
+function wrapAngle(a) {
+  let v = a;
+  while (v > Math.PI) v -= Math.PI * 2;
+  while (v < -Math.PI) v += Math.PI * 2;
+  return v;
+}
+
+// Residuals of a single constraint; an empty array means it does not apply
+function constraintResiduals(c, x, acc, segments) {
+  const [a, b] = c.refs || [];
+  switch (c.type) {
+    case 'coincident': {
+      const p = acc.point(x, a);
+      const q = acc.point(x, b);
+      return p && q ? [p.x - q.x, p.y - q.y] : [];
+    }
+    case 'horizontal': {
+      const d = acc.direction(x, a);
+      return d ? [d.y] : [];
+    }
+    case 'vertical': {
+      const d = acc.direction(x, a);
+      return d ? [d.x] : [];
+    }
+    case 'parallel': {
+      const d1 = acc.direction(x, a);
+      const d2 = acc.direction(x, b);
+      return d1 && d2 ? [normalizedCross(d1, d2)] : [];
+    }
+    case 'perpendicular': {
+      const d1 = acc.direction(x, a);
+      const d2 = acc.direction(x, b);
+      return d1 && d2 ? [normalizedDot(d1, d2)] : [];
+    }
+    case 'tangent': {
+      const lineRef = [a, b].find((r) => segments[r.seg]?.type === 'line');
+      const roundRefs = [a, b].filter((r) => acc.radius(x, r) != null);
+      if (lineRef && roundRefs.length === 1) {
+        const o = acc.point(x, { seg: lineRef.seg, point: 'start' });
+        const d = acc.direction(x, lineRef);
+        const c0 = acc.center(x, roundRefs[0]);
+        const len = Math.hypot(d.x, d.y);
+        if (len < 1e-12) return [];
+        const dist = Math.abs(d.x * (c0.y - o.y) - d.y * (c0.x - o.x)) / len;
+        return [dist - acc.radius(x, roundRefs[0])];
+      }
+      if (roundRefs.length === 2) {
+        const c1 = acc.center(x, a);
+        const c2 = acc.center(x, b);
+        const r1 = acc.radius(x, a);
+        const r2 = acc.radius(x, b);
+        const d = Math.hypot(c1.x - c2.x, c1.y - c2.y);
+        // External or internal tangency, whichever the sketch is closer to
+        const external = d - (r1 + r2);
+        const internal = d - Math.abs(r1 - r2);
+        return [Math.abs(external) < Math.abs(internal) ? external : internal];
+      }
+      const d1 = acc.direction(x, a);
+      const d2 = acc.direction(x, b);
+      return d1 && d2 ? [normalizedCross(d1, d2)] : [];
+    }
+    case 'equal': {
+      const s1 = acc.size(x, a);
+      const s2 = acc.size(x, b);
+      return s1 != null && s2 != null ? [s1 - s2] : [];
+    }
+    case 'concentric': {
+      const c1 = acc.center(x, a);
+      const c2 = acc.center(x, b);
+      return c1 && c2 ? [c1.x - c2.x, c1.y - c2.y] : [];
+    }
+    case 'fixed': {
+      const p = acc.point(x, a);
+      return p && c.at ? [p.x - c.at.x, p.y - c.at.y] : [];
+    }
+    case 'distance': {
+      const p = acc.point(x, a);
+      const q = acc.point(x, b);
+      return p && q ? [Math.hypot(p.x - q.x, p.y - q.y) - c.value] : [];
+    }
+    case 'radius': {
+      const r = acc.radius(x, a);
+      return r != null ? [r - c.value] : [];
+    }
+    case 'angle': {
+      const d1 = acc.direction(x, a);
+      const d2 = acc.direction(x, b);
+      if (!d1 || !d2) return [];
+      const angle = Math.atan2(
+        d1.x * d2.y - d1.y * d2.x,
+        d1.x * d2.x + d1.y * d2.y
+      );
+      return [wrapAngle(angle - (c.value * Math.PI) / 180)];
+    }
+    default:
+      return [];
+  }
+}
+
+// Arcs keep both end points on the same circle
+function internalResiduals(segments, layout, x) {
+  const res = [];
+  segments.forEach((seg, i) => {
+    if (seg.type !== 'arc') return;
+    const o = layout.offsets[i];
+    const rs = Math.hypot(x[o] - x[o + 4], x[o + 1] - x[o + 5]);
+    const re = Math.hypot(x[o + 2] - x[o + 4], x[o + 3] - x[o + 5]);
+    res.push(rs - re);
+  });
+  return res;
+}
+
+function residualVector(system, x) {
+  const { segments, layout, constraints, acc, drag } = system;
+  const res = internalResiduals(segments, layout, x);
+  constraints.forEach((c) => {
+    res.push(...constraintResiduals(c, x, acc, segments));
+  });
+  if (drag) {
+    const p = acc.point(x, drag.ref);
+    if (p) res.push(p.x - drag.target.x, p.y - drag.target.y);
+  }
+  return res;
+}
+
+function jacobian(system, x, f0) {
+  const n = x.length;
+  const m = f0.length;
+  const J = Array.from({ length: m }, () => new Float64Array(n));
+  for (let j = 0; j < n; j++) {
+    const h = 1e-7 * Math.max(1, Math.abs(x[j]));
+    const saved = x[j];
+    x[j] = saved + h;
+    const f1 = residualVector(system, x);
+    x[j] = saved;
+    for (let i = 0; i < m; i++) J[i][j] = (f1[i] - f0[i]) / h;
+  }
+  return J;
+}
+
+// Solve the square system A·x = b in place (Gaussian elimination)
+function solveLinear(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-14) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      if (f === 0) continue;
+      for (let k = col; k < n; k++) A[r][k] -= f * A[col][k];
+      b[r] -= f * b[col];
+    }
+  }
+  const out = new Float64Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = b[r];
+    for (let k = r + 1; k < n; k++) sum -= A[r][k] * out[k];
+    out[r] = sum / A[r][r];
+  }
+  return out;
+}
+
+function sumSquares(f) {
+  return f.reduce((acc, v) => acc + v * v, 0);
+}
+
+// Levenberg–Marquardt minimization of the residual vector, starting from x
+function leastSquares(system, x0, maxIterations = 100) {
+  const x = Float64Array.from(x0);
+  const n = x.length;
+  let f = residualVector(system, x);
+  let err = sumSquares(f);
+  let lambda = 1e-3;
+
+  for (let iter = 0; iter < maxIterations && err > 1e-20; iter++) {
+    const J = jacobian(system, x, f);
+    const A = Array.from({ length: n }, () => new Float64Array(n));
+    const g = new Float64Array(n);
+    for (let i = 0; i < f.length; i++) {
+      const row = J[i];
+      for (let p = 0; p < n; p++) {
+        if (row[p] === 0) continue;
+        g[p] += row[p] * f[i];
+        for (let q = 0; q < n; q++) A[p][q] += row[p] * row[q];
+      }
+    }
+
+    let improved = false;
+    while (lambda < 1e12) {
+      const M = A.map((row, p) => {
+        const copy = Float64Array.from(row);
+        copy[p] += lambda;
+        return copy;
+      });
+      const step = solveLinear(
+        M,
+        Array.from(g, (v) => -v)
+      );
+      if (!step) {
+        lambda *= 10;
+        continue;
+      }
+      const candidate = Float64Array.from(x, (v, i) => v + step[i]);
+      const fc = residualVector(system, candidate);
+      const errc = sumSquares(fc);
+      if (errc < err) {
+        x.set(candidate);
+        f = fc;
+        const stepSize = Math.sqrt(sumSquares(step));
+        err = errc;
+        lambda = Math.max(lambda / 3, 1e-12);
+        improved = stepSize > 1e-14;
+        break;
+      }
+      lambda *= 4;
+    }
+    if (!improved) break;
+  }
+  return { x, error: Math.sqrt(err), residuals: f };
+}
+
+// Numerical rank of a matrix (row echelon with partial pivoting)
+function matrixRank(rows, cols, tolerance = 1e-7) {
+  const M = rows.map((r) => Float64Array.from(r));
+  let rank = 0;
+  for (let col = 0; col < cols && rank < M.length; col++) {
+    let pivot = rank;
+    for (let r = rank + 1; r < M.length; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < tolerance) continue;
+    [M[rank], M[pivot]] = [M[pivot], M[rank]];
+    for (let r = rank + 1; r < M.length; r++) {
+      const f = M[r][col] / M[rank][col];
+      if (f === 0) continue;
+      for (let k = col; k < cols; k++) M[r][k] -= f * M[rank][k];
+    }
+    rank++;
+  }
+  return rank;
+}
+
+function createSystem(segments, constraints, drag) {
+  const layout = buildLayout(segments);
+  return {
+    segments,
+    layout,
+    constraints: constraints || [],
+    acc: makeAccessors(segments, layout),
+    drag,
+  };
+}
+
+// Degrees of freedom and constraint status for a parameter vector
+function analyze(system, x) {
+  const f = residualVector(system, x);
+  const satisfied = f.every((v) => Math.abs(v) < SOLVE_TOLERANCE);
+  if (x.length === 0) {
+    return { status: 'fully', dof: 0, satisfied: true, redundant: 0 };
+  }
+  const J = jacobian(system, Float64Array.from(x), f);
+  const rank = matrixRank(J, x.length);
+  const dof = x.length - rank;
+  const redundant = f.length - rank;
+
+  let status = 'under';
+  if (!satisfied || redundant > 0) {
+    status = 'over';
+  } else if (dof === 0) {
+    status = 'fully';
+  }
+  return { status, dof, satisfied, redundant };
+}
+
+// Constraints the sketch type implies on top of the user's: a rectangle's
+// sides (bottom, right, top, left) meet at the corners and stay horizontal
+// and vertical
+function shapeConstraints(sketch) {
+  if (sketch?.type !== 'rectangle') return [];
+  const constraints = [];
+  for (let seg = 0; seg < 4; seg++) {
+    constraints.push({
+      type: 'coincident',
+      refs: [
+        { seg, point: 'end' },
+        { seg: (seg + 1) % 4, point: 'start' },
+      ],
+    });
+    constraints.push({
+      type: seg % 2 ? 'vertical' : 'horizontal',
+      refs: [{ seg }],
+    });
+  }
+  return constraints;
+}
+
+function sketchSystem(sketch, segments, drag) {
+  const constraints = [
+    ...shapeConstraints(sketch),
+    ...(sketch?.constraints || []),
+  ];
+  return createSystem(segments, constraints, drag);
+}
+
+// Size a solved rectangle or circle from its segments. The sketch stays
+// centred on its origin, so the origin follows the solved shape and the
+// fixed anchors (stored relative to it) shift back by the same amount.
+function writeShape(sketch, segments) {
+  let mid;
+  if (sketch.type === 'circle') {
+    mid = segments[0].center;
+    sketch.radius = segments[0].radius;
+  } else {
+    // The bottom and top sides start at opposite corners
+    const a = segments[0].start;
+    const c = segments[2].start;
+    mid = { x: (a.x + c.x) / 2, y: (a.y + c.y) / 2 };
+    sketch.width = Math.abs(c.x - a.x);
+    sketch.height = Math.abs(c.y - a.y);
+  }
+  if (Math.hypot(mid.x, mid.y) < SOLVE_TOLERANCE) return;
+  sketch.center = sketchPointToWorld(sketch, mid);
+  (sketch.constraints || []).forEach((c) => {
+    if (c.at) c.at = { x: c.at.x - mid.x, y: c.at.y - mid.y };
+  });
+}
+
+// Solve a sketch in place. Options:
+//   drag: { ref, target: {x, y} } pulls a point towards the mouse position;
+//         the constraints win when the drag target cannot be reached.
+// Returns the analysis { status, dof, satisfied, redundant }.
+export function solveSketch(sketch, options = {}) {
+  if (!sketch) return analyzeSketch(sketch);
+
+  const segments = segmentsFromSketch(sketch);
+  const base = sketchSystem(sketch, segments);
+  let x = readParams(segments, base.layout);
+
+  if (options.drag) {
+    const dragged = sketchSystem(sketch, segments, options.drag);
+    x = leastSquares(dragged, x).x;
+  }
+  // Always finish on the hard constraints alone so a drag can never break them
+  x = leastSquares(base, x).x;
+
+  // Analyze first: writing a shape back moves the fixed anchors
+  const result = analyze(base, x);
+  const solved = writeParams(segments, base.layout, x);
+  if (sketch.type === 'profile') {
+    sketch.segments = solved;
+  } else {
+    writeShape(sketch, solved);
+  }
+  sketch.solveStatus = result;
+  return result;
+}
+
+// Status without moving any geometry
+export function analyzeSketch(sketch) {
+  const segments = segmentsFromSketch(sketch);
+  const system = sketchSystem(sketch, segments);
+  return analyze(system, readParams(segments, system.layout));
+}
+
+// Current value of a dimensional constraint's measured quantity, used to
+// pre-fill new dimensions (degrees for angles)
+export function measureConstraint(sketch, constraint) {
+  const segments = segmentsFromSketch(sketch);
+  const layout = buildLayout(segments);
+  const acc = makeAccessors(segments, layout);
+  const x = readParams(segments, layout);
+  const zeroed = { ...constraint, value: 0 };
+  const [res] = constraintResiduals(zeroed, x, acc, segments);
+  if (res == null) return null;
+  return constraint.type === 'angle' ? (res * 180) / Math.PI : res;
+}
+
+// Anchor for a new "fixed" constraint: the point's current position
+export function fixedAnchor(sketch, ref) {
+  const segments = segmentsFromSketch(sketch);
+  const layout = buildLayout(segments);
+  const i = pointIndex(segments, layout, ref);
+  if (i == null) return null;
+  const x = readParams(segments, layout);
+  return { x: x[i], y: x[i + 1] };
+}
+
+// Whether a reference can be used where a constraint expects the given kind
+export function refMatchesKind(segments, ref, kind) {
+  const seg = segments[ref?.seg];
+  if (!seg) return false;
+  switch (kind) {
+    case 'point':
+      return (
+        ref.point != null &&
+        pointIndex(segments, buildLayout(segments), ref) != null
+      );
+    case 'line':
+      return seg.type === 'line' && ref.point == null;
+    case 'round':
+      return (seg.type === 'arc' || seg.type === 'circle') && !ref.point;
+    case 'segment':
+      return ref.point == null;
+    default:
+      return false;
+  }
+}
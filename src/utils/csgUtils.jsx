@@ -0,0 +1,270 @@
+import * as THREE from 'three';
+
+// Constructive solid geometry on triangle meshes using BSP trees (after
+// Evan Wallace's csg.js). Solids are lists of convex polygons; each operation
+// clips the polygons of one solid against the BSP tree of the other.
+// Inputs must be closed meshes expressed in the same coordinate frame.
+
+const EPSILON = 1e-5;
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+class Plane {
+  constructor(normal, w) {
+    this.normal = normal;
+    this.w = w;
+  }
+
+  static fromPoints(a, b, c) {
+    const normal = new THREE.Vector3()
+      .subVectors(b, a)
+      .cross(new THREE.Vector3().subVectors(c, a));
+    if (normal.lengthSq() < 1e-18) return null;
+    normal.normalize();
+    return new Plane(normal, normal.dot(a));
+  }
+
+  clone() {
+    return new Plane(this.normal.clone(), this.w);
+  }
+
+  flip() {
+    this.normal.negate();
+    this.w = -this.w;
+  }
+
+  // Sort a polygon into the lists for this plane, splitting it when it
+  // straddles the plane
+  splitPolygon(polygon, coplanarFront, coplanarBack, front, back) {
+    let polygonType = 0;
+    const types = polygon.vertices.map((v) => {
+      const t = this.normal.dot(v) - this.w;
+      const type = t < -EPSILON ? BACK : t > EPSILON ? FRONT : COPLANAR;
+      polygonType |= type;
+      return type;
+    });
+
+    switch (polygonType) {
+      case COPLANAR:
+        (this.normal.dot(polygon.plane.normal) > 0
+          ? coplanarFront
+          : coplanarBack
+        ).push(polygon);
+        break;
+      case FRONT:
+        front.push(polygon);
+        break;
+      case BACK:
+        back.push(polygon);
+        break;
+      default: {
+        const f = [];
+        const b = [];
+        const count = polygon.vertices.length;
+        for (let i = 0; i < count; i++) {
+          const j = (i + 1) % count;
+          const ti = types[i];
+          const tj = types[j];
+          const vi = polygon.vertices[i];
+          const vj = polygon.vertices[j];
+          if (ti !== BACK) f.push(vi);
+          if (ti !== FRONT) b.push(ti !== BACK ? vi.clone() : vi);
+          if ((ti | tj) === SPANNING) {
+            const t =
+              (this.w - this.normal.dot(vi)) /
+              this.normal.dot(new THREE.Vector3().subVectors(vj, vi));
+            const v = vi.clone().lerp(vj, t);
+            f.push(v);
+            b.push(v.clone());
+          }
+        }
+        if (f.length >= 3) front.push(new Polygon(f, polygon.plane));
+        if (b.length >= 3) back.push(new Polygon(b, polygon.plane));
+      }
+    }
+  }
+}
+
+class Polygon {
+  constructor(vertices, plane) {
+    this.vertices = vertices;
+    this.plane = plane
+      ? plane.clone()
+      : Plane.fromPoints(vertices[0], vertices[1], vertices[2]);
+  }
+
+  clone() {
+    return new Polygon(
+      this.vertices.map((v) => v.clone()),
+      this.plane
+    );
+  }
+
+  flip() {
+    this.vertices.reverse();
+    this.plane.flip();
+  }
+}
+
+class Node {
+  constructor(polygons) {
+    this.plane = null;
+    this.front = null;
+    this.back = null;
+    this.polygons = [];
+    if (polygons) this.build(polygons);
+  }
+
+  // Convert solid space to empty space and empty space to solid space
+  invert() {
+    this.polygons.forEach((p) => p.flip());
+    if (this.plane) this.plane.flip();
+    if (this.front) this.front.invert();
+    if (this.back) this.back.invert();
+    const temp = this.front;
+    this.front = this.back;
+    this.back = temp;
+  }
+
+  // Remove all polygons in the list that are inside this BSP tree
+  clipPolygons(polygons) {
+    if (!this.plane) return polygons.slice();
+    let front = [];
+    let back = [];
+    polygons.forEach((p) =>
+      this.plane.splitPolygon(p, front, back, front, back)
+    );
+    if (this.front) front = this.front.clipPolygons(front);
+    back = this.back ? this.back.clipPolygons(back) : [];
+    return front.concat(back);
+  }
+
+  // Remove all polygons in this tree that are inside the other tree
+  clipTo(bsp) {
+    this.polygons = bsp.clipPolygons(this.polygons);
+    if (this.front) this.front.clipTo(bsp);
+    if (this.back) this.back.clipTo(bsp);
+  }
+
+  allPolygons() {
+    let polygons = this.polygons.slice();
+    if (this.front) polygons = polygons.concat(this.front.allPolygons());
+    if (this.back) polygons = polygons.concat(this.back.allPolygons());
+    return polygons;
+  }
+
+  build(polygons) {
+    if (polygons.length === 0) return;
+    if (!this.plane) this.plane = polygons[0].plane.clone();
+    const front = [];
+    const back = [];
+    polygons.forEach((p) =>
+      this.plane.splitPolygon(p, this.polygons, this.polygons, front, back)
+    );
+    if (front.length > 0) {
+      if (!this.front) this.front = new Node();
+      this.front.build(front);
+    }
+    if (back.length > 0) {
+      if (!this.back) this.back = new Node();
+      this.back.build(back);
+    }
+  }
+}
+
+function union(a, b) {
+  const nodeA = new Node(a);
+  const nodeB = new Node(b);
+  nodeA.clipTo(nodeB);
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeA.build(nodeB.allPolygons());
+  return nodeA.allPolygons();
+}
+
+function subtract(a, b) {
+  const nodeA = new Node(a);
+  const nodeB = new Node(b);
+  nodeA.invert();
+  nodeA.clipTo(nodeB);
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeA.build(nodeB.allPolygons());
+  nodeA.invert();
+  return nodeA.allPolygons();
+}
+
+function intersect(a, b) {
+  const nodeA = new Node(a);
+  const nodeB = new Node(b);
+  nodeA.invert();
+  nodeB.clipTo(nodeA);
+  nodeB.invert();
+  nodeA.clipTo(nodeB);
+  nodeB.clipTo(nodeA);
+  nodeA.build(nodeB.allPolygons());
+  nodeA.invert();
+  return nodeA.allPolygons();
+}
+
+const OPERATIONS = { union, subtract, intersect };
+
+// Triangles of a geometry as polygons (degenerate triangles are dropped)
+function geometryToPolygons(geometry) {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const positions = source.attributes.position;
+  const polygons = [];
+  for (let i = 0; i + 2 < positions.count; i += 3) {
+    const vertices = [0, 1, 2].map((k) =>
+      new THREE.Vector3().fromBufferAttribute(positions, i + k)
+    );
+    const plane = Plane.fromPoints(vertices[0], vertices[1], vertices[2]);
+    if (plane) polygons.push(new Polygon(vertices, plane));
+  }
+  if (source !== geometry) source.dispose();
+  return polygons;
+}
+
+// Fan-triangulate the (convex) polygons with flat per-polygon normals
+function polygonsToGeometry(polygons) {
+  const positions = [];
+  const normals = [];
+  polygons.forEach((polygon) => {
+    const { vertices, plane } = polygon;
+    for (let i = 1; i + 1 < vertices.length; i++) {
+      [vertices[0], vertices[i], vertices[i + 1]].forEach((v) => {
+        positions.push(v.x, v.y, v.z);
+        normals.push(plane.normal.x, plane.normal.y, plane.normal.z);
+      });
+    }
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    'position',
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  return geometry;
+}
+
+// Combine geometries (already in one frame) left to right:
+//   union     → A ∪ B ∪ C …
+//   subtract  → A − B − C …
+//   intersect → A ∩ B ∩ C …
+// Returns null when the result is empty.
+export function booleanGeometry(operation, geometries) {
+  const op = OPERATIONS[operation];
+  if (!op || geometries.length === 0) return null;
+  let polygons = geometryToPolygons(geometries[0]);
+  for (let i = 1; i < geometries.length; i++) {
+    polygons = op(polygons, geometryToPolygons(geometries[i]));
+  }
+  if (polygons.length === 0) return null;
+  return polygonsToGeometry(polygons);
+}
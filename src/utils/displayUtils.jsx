@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { edgePoints } from './topologyUtils';
+
+// Display modes: how a shape's surfaces and feature edges (userData.edges)
+// are drawn. The scene has one mode; a shape or group may override it with
+// userData.displayMode. Materials are adjusted in place, never replaced, so
+// colours and saved files are unaffected. Edges are drawn by a child line
+// overlay that raycasts ignore, so picking always lands on the shape.
+
+export const DISPLAY_MODES = {
+  shaded: 'Shaded',
+  shadedEdges: 'Shaded with Edges',
+  wireframe: 'Wireframe',
+  hiddenLine: 'Hidden Line',
+  xray: 'X-Ray',
+};
+export const DEFAULT_DISPLAY_MODE = 'shaded';
+
+const EDGE_COLOR = 0x1a1a1a;
+const XRAY_OPACITY = 0.25;
+
+// surface: how the faces draw ('shaded' | 'none' | 'occluding' |
+// 'translucent'); edges: whether the feature edges are drawn on top
+const MODE_STYLES = {
+  shaded: { surface: 'shaded', edges: false },
+  shadedEdges: { surface: 'shaded', edges: true },
+  wireframe: { surface: 'none', edges: true },
+  hiddenLine: { surface: 'occluding', edges: true },
+  xray: { surface: 'translucent', edges: true },
+};
+
+// What has been applied to each shape, so unchanged shapes cost nothing
+const applied = new WeakMap();
+
+export function isDisplayMode(mode) {
+  return Object.prototype.hasOwnProperty.call(DISPLAY_MODES, mode);
+}
+
+// Line overlay along the feature edges. Shapes without any (spheres) show
+// their tessellation instead when the faces are not drawn shaded, so they
+// do not vanish from wireframe and hidden-line views. null when there is
+// nothing to draw.
+function createEdgeOverlay(shape, style) {
+  const edges = shape.userData.edges || [];
+  if (edges.length === 0 && style.surface === 'shaded') return null;
+  const geometry =
+    edges.length > 0
+      ? new THREE.BufferGeometry().setFromPoints(
+          edges.flatMap((edge) =>
+            edgePoints(edge)
+              .slice(1)
+              .flatMap((p, i) => [edgePoints(edge)[i], p])
+          )
+        )
+      : new THREE.WireframeGeometry(shape.geometry);
+  const color =
+    style.surface === 'none' ? shape.material.color.getHex() : EDGE_COLOR;
+  const overlay = new THREE.LineSegments(
+    geometry,
+    new THREE.LineBasicMaterial({ color })
+  );
+  overlay.userData.isDisplayEdges = true;
+  overlay.renderOrder = 1; // after the faces that hide it
+  overlay.raycast = () => {};
+  return overlay;
+}
+
+function removeEdgeOverlay(overlay) {
+  if (!overlay) return;
+  if (overlay.parent) overlay.parent.remove(overlay);
+  overlay.geometry.dispose();
+  overlay.material.dispose();
+}
+
+// Set the material up for a mode's style, starting from the material's own
+// settings
+function styleSurface(material, { surface, edges }, original) {
+  material.visible = surface !== 'none';
+  material.colorWrite = surface !== 'occluding';
+  material.transparent = surface === 'translucent' || original.transparent;
+  material.opacity =
+    surface === 'translucent' ? XRAY_OPACITY : original.opacity;
+  material.depthWrite = surface !== 'translucent' && original.depthWrite;
+  // Push the faces back a little so edges lying on them are not hidden
+  material.polygonOffset = edges;
+  material.polygonOffsetFactor = edges ? 1 : 0;
+  material.polygonOffsetUnits = edges ? 1 : 0;
+  material.needsUpdate = true;
+}
+
+// Draw one shape (a mesh) in the given mode
+export function applyDisplayMode(shape, mode) {
+  if (!shape.isMesh || !shape.material) return;
+  const style = MODE_STYLES[mode] || MODE_STYLES[DEFAULT_DISPLAY_MODE];
+  const previous = applied.get(shape);
+  const color = shape.material.color.getHex();
+  if (
+    previous &&
+    previous.mode === mode &&
+    previous.material === shape.material &&
+    previous.geometry === shape.geometry &&
+    previous.edges === shape.userData.edges &&
+    previous.color === color
+  ) {
+    return;
+  }
+  const original =
+    previous && previous.material === shape.material
+      ? previous.original
+      : {
+          transparent: shape.material.transparent,
+          opacity: shape.material.opacity,
+          depthWrite: shape.material.depthWrite,
+        };
+  styleSurface(shape.material, style, original);
+  removeEdgeOverlay(previous?.overlay);
+  const overlay = style.edges ? createEdgeOverlay(shape, style) : null;
+  if (overlay) shape.add(overlay);
+  applied.set(shape, {
+    mode,
+    material: shape.material,
+    geometry: shape.geometry,
+    edges: shape.userData.edges,
+    color,
+    original,
+    overlay,
+  });
+}
+
+// Bring an object (a shape or a group of shapes) up to date with its display
+// mode: its own, else its group's, else the scene's. Cheap when nothing has
+// changed, so it can run every frame.
+export function updateDisplay(object, sceneMode, inherited = null) {
+  const own = isDisplayMode(object.userData.displayMode)
+    ? object.userData.displayMode
+    : null;
+  if (object.isMesh) {
+    applyDisplayMode(object, own || inherited || sceneMode);
+  } else if (object.isGroup) {
+    object.children.forEach((child) =>
+      updateDisplay(child, sceneMode, own || inherited)
+    );
+  }
+}
@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+import { booleanGeometry } from './csgUtils';
+
+// Fillets and chamfers on straight edges between two planar faces.
+//
+// A treatment is { kind: 'fillet', radius, edges } or
+// { kind: 'chamfer', distance, angle, edges } (angle in degrees from the
+// first face, null for equal distances on both faces). Edges are stored as
+// { start, end } relative to the bounding box of the untreated geometry
+// (0 = min, 1 = max on each axis) so they keep pointing at the same edge when
+// the body is resized.
+//
+// Each edge becomes a tool prism whose cross-section is the material between
+// the two faces and the rounded / bevelled surface. It is subtracted on convex
+// edges and added on concave ones.
+
+const ARC_SEGMENTS = 12;
+
+function bounds(geometry) {
+  geometry.computeBoundingBox();
+  const box = geometry.boundingBox;
+  const size = box.getSize(new THREE.Vector3());
+  // Keep flat axes usable
+  size.set(size.x || 1, size.y || 1, size.z || 1);
+  return { min: box.min.clone(), size };
+}
+
+function toPlain(v) {
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+// Edge { start, end } in geometry coordinates → bounding-box-relative form
+export function normalizeEdge(geometry, edge) {
+  const { min, size } = bounds(geometry);
+  const normalize = (p) =>
+    toPlain(new THREE.Vector3(p.x, p.y, p.z).sub(min).divide(size));
+  return { start: normalize(edge.start), end: normalize(edge.end) };
+}
+
+function resolveEdge(frame, edge) {
+  const { min, size } = frame;
+  const resolve = (p) =>
+    new THREE.Vector3(p.x, p.y, p.z).multiply(size).add(min);
+  return { start: resolve(edge.start), end: resolve(edge.end) };
+}
+
+function triangles(geometry) {
+  const positions = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count : positions.count;
+  const vertex = (i) =>
+    new THREE.Vector3().fromBufferAttribute(
+      positions,
+      index ? index.getX(i) : i
+    );
+  const result = [];
+  for (let i = 0; i + 2 < count; i += 3) {
+    result.push([vertex(i), vertex(i + 1), vertex(i + 2)]);
+  }
+  return result;
+}
+
+// The two faces meeting at a straight edge as { normal, inward } pairs, where
+// inward points from the edge into the face (both perpendicular to the edge).
+// Null unless exactly two distinct planes share the edge.
+function edgeFaces(geometry, start, end) {
+  const axis = end.clone().sub(start);
+  const length = axis.length();
+  if (length < 1e-9) return null;
+  axis.divideScalar(length);
+  const tolerance = Math.max(1e-5, length * 1e-5);
+  const offLine = (p) => {
+    const d = p.clone().sub(start);
+    return d.sub(axis.clone().multiplyScalar(d.dot(axis)));
+  };
+
+  const faces = [];
+  triangles(geometry).forEach((tri) => {
+    const normal = tri[1].clone().sub(tri[0]).cross(tri[2].clone().sub(tri[0]));
+    if (normal.lengthSq() < 1e-18) return;
+    normal.normalize();
+    const onLine = tri.map((p) => offLine(p).length() < tolerance);
+    if (onLine.filter(Boolean).length !== 2) return;
+    // The triangle side must overlap the edge, not just lie on its line
+    const [a, b] = tri
+      .filter((_, i) => onLine[i])
+      .map((p) => p.clone().sub(start).dot(axis));
+    const overlap =
+      Math.min(Math.max(a, b), length) - Math.max(Math.min(a, b), 0);
+    if (overlap < tolerance) return;
+    if (faces.some((f) => f.normal.dot(normal) > 1 - 1e-4)) return;
+    const inward = offLine(tri[onLine.indexOf(false)]).normalize();
+    faces.push({ normal, inward });
+  });
+  return faces.length === 2 ? faces : null;
+}
+
+// Cross-section of the material removed (or added) along one edge, as 2D
+// points in the frame x = first face's inward direction, y = axis × x
+function toolSection(treatment, faces, margin) {
+  const [f1, f2] = faces;
+  const u2 = new THREE.Vector2(f2.inwardX, f2.inwardY);
+  const theta = Math.acos(Math.max(-1, Math.min(1, u2.x)));
+  if (theta < 1e-3 || theta > Math.PI - 1e-3) return null;
+  const u1 = new THREE.Vector2(1, 0);
+  // Directions leaving the treated region across each face
+  const out1 = f1.normal2
+    .clone()
+    .multiplyScalar(u2.dot(f1.normal2) > 0 ? -1 : 1);
+  const out2 = f2.normal2
+    .clone()
+    .multiplyScalar(u1.dot(f2.normal2) > 0 ? -1 : 1);
+
+  let d1;
+  let d2;
+  const arc = [];
+  if (treatment.kind === 'fillet') {
+    const radius = treatment.radius;
+    if (!(radius > 0)) return null;
+    d1 = d2 = radius / Math.tan(theta / 2);
+    const bisector = u1.clone().add(u2).normalize();
+    const center = bisector.multiplyScalar(radius / Math.sin(theta / 2));
+    const from = Math.atan2(-center.y, d1 - center.x);
+    const to = Math.atan2(u2.y * d2 - center.y, u2.x * d2 - center.x);
+    let sweep = to - from;
+    while (sweep > Math.PI) sweep -= Math.PI * 2;
+    while (sweep < -Math.PI) sweep += Math.PI * 2;
+    for (let k = 1; k < ARC_SEGMENTS; k++) {
+      const angle = from + (sweep * k) / ARC_SEGMENTS;
+      arc.push(
+        new THREE.Vector2(
+          center.x + Math.cos(angle) * radius,
+          center.y + Math.sin(angle) * radius
+        )
+      );
+    }
+  } else {
+    d1 = treatment.distance;
+    if (!(d1 > 0)) return null;
+    if (treatment.angle == null) {
+      d2 = d1;
+    } else {
+      // Law of sines in the triangle edge / first / second chamfer point
+      const alpha = THREE.MathUtils.degToRad(treatment.angle);
+      const opposite = Math.PI - theta - alpha;
+      if (!(alpha > 0) || !(opposite > 1e-3)) return null;
+      d2 = (d1 * Math.sin(alpha)) / Math.sin(opposite);
+    }
+  }
+
+  const t1 = u1.clone().multiplyScalar(d1);
+  const t2 = u2.clone().multiplyScalar(d2);
+  return [
+    t1.clone().addScaledVector(out1, margin),
+    t1,
+    ...arc,
+    t2,
+    t2.clone().addScaledVector(out2, margin),
+    out1.clone().add(out2).multiplyScalar(margin),
+  ];
+}
+
+// Prism along an edge with the tool section; true when the edge is convex
+function edgeTool(geometry, frame, treatment, edge) {
+  const { start, end } = resolveEdge(frame, edge);
+  const faces = edgeFaces(geometry, start, end);
+  if (!faces) return null;
+
+  const axis = end.clone().sub(start);
+  const length = axis.length();
+  axis.divideScalar(length);
+  const xAxis = faces[0].inward.clone();
+  const yAxis = axis.clone().cross(xAxis);
+  faces.forEach((face) => {
+    face.inwardX = face.inward.dot(xAxis);
+    face.inwardY = face.inward.dot(yAxis);
+    face.normal2 = new THREE.Vector2(
+      face.normal.dot(xAxis),
+      face.normal.dot(yAxis)
+    );
+  });
+  const margin = Math.max(1e-3, length * 1e-3);
+  const section = toolSection(treatment, faces, margin);
+  if (!section) return null;
+
+  const tool = new THREE.ExtrudeGeometry(new THREE.Shape(section), {
+    depth: length + margin * 2,
+    bevelEnabled: false,
+  });
+  tool.applyMatrix4(
+    new THREE.Matrix4()
+      .makeBasis(xAxis, yAxis, axis)
+      .setPosition(start.clone().addScaledVector(axis, -margin))
+  );
+  // Convex when the second face runs behind the first face's plane
+  const convex = faces[1].inward.dot(faces[0].normal) < 0;
+  return { tool, convex };
+}
+
+// Apply one treatment; null when an edge can't be found or the result is
+// empty. frame is the bounding box the edges are relative to (by default the
+// geometry's own).
+export function edgeTreatmentGeometry(
+  geometry,
+  treatment,
+  frame = bounds(geometry)
+) {
+  const tools = (treatment.edges || []).map((edge) =>
+    edgeTool(geometry, frame, treatment, edge)
+  );
+  if (tools.length === 0 || tools.some((t) => !t)) {
+    tools.forEach((t) => t && t.tool.dispose());
+    return null;
+  }
+
+  const cuts = tools.filter((t) => t.convex).map((t) => t.tool);
+  const fills = tools.filter((t) => !t.convex).map((t) => t.tool);
+  let result = geometry;
+  if (cuts.length > 0) {
+    result = booleanGeometry('subtract', [result, ...cuts]);
+  }
+  if (result && fills.length > 0) {
+    const filled = booleanGeometry('union', [result, ...fills]);
+    if (result !== geometry) result.dispose();
+    result = filled;
+  }
+  tools.forEach((t) => t.tool.dispose());
+  return result;
+}
+
+// Apply treatments in order to a copy of geometry. Treatments that fail are
+// skipped; their indices are returned in failed.
+export function applyEdgeTreatments(geometry, treatments = []) {
+  const frame = bounds(geometry);
+  let current = geometry.clone();
+  const failed = [];
+  treatments.forEach((treatment, index) => {
+    const next = edgeTreatmentGeometry(current, treatment, frame);
+    if (!next) {
+      failed.push(index);
+      return;
+    }
+    current.dispose();
+    current = next;
+  });
+  return { geometry: current, failed };
+}
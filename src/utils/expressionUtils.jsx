@@ -0,0 +1,102 @@
+// Arithmetic typed into numeric fields: numbers, + - * / ^, parentheses and
+// unary minus, e.g. `12.5/2` or `-(3 + 4) * 2`. A number may carry a unit
+// suffix from `units`, a map of suffix to factor (e.g. { '°': 1, rad: 57.3 }),
+// so `90° - 0.5rad` works in a degree field. Nothing is passed to eval.
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern =
+    /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([+\-*/^()])|([a-zA-Z°"']+))/y;
+  let match;
+  pattern.lastIndex = 0;
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(text);
+    if (!match) {
+      // Only trailing whitespace may be left
+      if (text.slice(start).trim() === '') break;
+      return null;
+    }
+    if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: 'op', value: match[2] });
+    else tokens.push({ type: 'unit', value: match[3] });
+  }
+  return tokens;
+}
+
+// Value of the expression, or null when it is not valid arithmetic or uses an
+// unknown unit
+export function evaluateExpression(text, units = {}) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+  const tokens = tokenize(String(text ?? ''));
+  if (!tokens || tokens.length === 0) return null;
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+
+  // sum := product (('+' | '-') product)*
+  function sum() {
+    let value = product();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      const rhs = product();
+      value = op === '+' ? value + rhs : value - rhs;
+    }
+    return value;
+  }
+  // product := unary (('*' | '/') unary)*
+  function product() {
+    let value = unary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[pos++].value;
+      const rhs = unary();
+      value = op === '*' ? value * rhs : value / rhs;
+    }
+    return value;
+  }
+  // unary := ('-' | '+') unary | power
+  function unary() {
+    if (isOp('-')) {
+      pos++;
+      return -unary();
+    }
+    if (isOp('+')) {
+      pos++;
+      return unary();
+    }
+    return power();
+  }
+  // power := atom ('^' unary)?
+  function power() {
+    const base = atom();
+    if (!isOp('^')) return base;
+    pos++;
+    return Math.pow(base, unary());
+  }
+  // atom := number unit? | '(' sum ')'
+  function atom() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end');
+    if (token.type === 'number') {
+      if (peek()?.type !== 'unit') return token.value;
+      const factor = units[tokens[pos++].value];
+      if (factor === undefined) throw new Error('Unknown unit');
+      return token.value * factor;
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const value = sum();
+      if (!isOp(')')) throw new Error('Missing )');
+      pos++;
+      return value;
+    }
+    throw new Error('Unexpected token');
+  }
+
+  try {
+    const value = sum();
+    if (pos !== tokens.length) return null;
+    return Number.isFinite(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,487 @@
+import * as THREE from 'three';
+import {
+  createExtrudedShape,
+  createRevolvedShape,
+  createSweptShape,
+  createLoftedShape,
+  refreshEdgeTreatments,
+} from './shapeUtils';
+import {
+  getSketchPlane,
+  planeQuaternion,
+  segmentsFromSketch,
+  sketchToShape,
+  sketchToWorld,
+  worldToSketch,
+} from './sketchUtils';
+
+// Parametric feature history.
+//
+// The tree is { features: [...], rollbackIndex } where features are plain
+// JSON records built in order:
+//   { id, type: 'sketch', name, suppressed }           owns sketch.featureId === id
+//   { id, type: 'extrude', name, suppressed, sketchId, height, extent,
+//     reverse, depth2, upToPlane, operation }
+//   { id, type: 'revolve', name, suppressed, sketchId, axis, angle }
+//   { id, type: 'sweep', name, suppressed, profileId, pathId }
+//   { id, type: 'loft', name, suppressed, sketchIds }
+// Extrude extents are 'blind', 'symmetric', 'twoSided' (height forwards and
+// depth2 backwards), 'face' (up to the plane { point, normal } picked when the
+// feature was created) and 'next' (up to the first face in the way, looked up
+// again on every rebuild among the shapes that stand before the feature, so
+// it follows upstream changes; height is unused). Cut extrusions ('operation:
+// cut') build a tool body that is subtracted from the bodies it intersects
+// (see booleanUtils).
+// Revolve axes are resolved against the sketch on every rebuild (see
+// revolveAxisInSketch), so an axis on a profile line follows sketch edits.
+// Only features before rollbackIndex (null = all) are built. Bodies produced
+// by a feature carry userData.featureId and are regenerated whenever the tree
+// or one of its sketches changes; manual moves of a body are kept as an offset
+// from the placement the feature gives it.
+
+export const FEATURE_TYPES = {
+  sketch: { label: 'Sketch', inputs: () => [] },
+  extrude: {
+    label: 'Extrude',
+    inputs: (feature) => [feature.sketchId],
+    build: buildExtrude,
+  },
+  revolve: {
+    label: 'Revolve',
+    inputs: (feature) => [feature.sketchId],
+    build: buildRevolve,
+  },
+  sweep: {
+    label: 'Sweep',
+    inputs: (feature) => [feature.profileId, feature.pathId],
+    build: buildSweep,
+  },
+  loft: {
+    label: 'Loft',
+    inputs: (feature) => feature.sketchIds || [],
+    build: buildLoft,
+  },
+};
+
+export function createFeatureTree() {
+  return { features: [], rollbackIndex: null };
+}
+
+// Signed distance along direction from origin to the plane { point, normal }
+function depthToPlane(origin, direction, target) {
+  if (!target || !target.point || !target.normal) return null;
+  const normal = new THREE.Vector3(
+    target.normal.x,
+    target.normal.y,
+    target.normal.z
+  );
+  const denominator = direction.dot(normal);
+  if (Math.abs(denominator) < 1e-6) return null;
+  const depth =
+    new THREE.Vector3(target.point.x, target.point.y, target.point.z)
+      .sub(origin)
+      .dot(normal) / denominator;
+  return Math.abs(depth) > 1e-6 ? depth : null;
+}
+
+// Depth from a sketch to the first face of shapes hit along its extrusion
+// direction (null when nothing is in the way)
+function depthToNextFace(sketch, plane, reverse, shapes) {
+  const direction = plane.normal.clone().multiplyScalar(reverse ? -1 : 1);
+  const origin = worldToSketch(sketch.center, plane);
+  // Sample every triangle of the triangulated profile at its centroid and
+  // halfway from there to each corner: inside the profile whatever its
+  // shape, and away from its outline to avoid grazing hits
+  const shape2D = sketchToShape(sketch);
+  if (!shape2D) return null;
+  const outline = shape2D.extractPoints(8).shape;
+  const samples = THREE.ShapeUtils.triangulateShape(outline, []).flatMap(
+    (triangle) => {
+      const corners = triangle.map((i) => outline[i]);
+      const centroid = corners
+        .reduce((sum, p) => sum.add(p), new THREE.Vector2())
+        .divideScalar(3);
+      return [centroid, ...corners.map((p) => centroid.clone().lerp(p, 0.5))];
+    }
+  );
+  shapes.forEach((shape) => shape.updateWorldMatrix(true, true));
+  const caster = new THREE.Raycaster();
+  let best = null;
+  samples.forEach((p) => {
+    const start = sketchToWorld(
+      { x: origin.x + p.x, y: origin.y + p.y },
+      plane
+    );
+    caster.set(start, direction);
+    const hit = caster
+      .intersectObjects(shapes, true)
+      .find((h) => h.distance > 1e-3 && h.object.userData.faces);
+    if (hit && (best == null || hit.distance < best)) best = hit.distance;
+  });
+  return best;
+}
+
+function buildExtrude(feature, context) {
+  const sketch = context.sketchFor(feature.sketchId);
+  if (!sketch) return null;
+  const plane = getSketchPlane(sketch);
+  const options = {
+    extent: feature.extent || 'blind',
+    reverse: !!feature.reverse,
+    depth2: feature.depth2 || 0,
+  };
+  let height = feature.height || 2;
+  if (options.extent === 'face') {
+    const depth = depthToPlane(sketch.center, plane.normal, feature.upToPlane);
+    if (depth == null) return null;
+    height = Math.abs(depth);
+    options.reverse = depth < 0;
+  } else if (options.extent === 'next') {
+    const { shapes, dispose } = context.shapesBefore(feature);
+    const depth = depthToNextFace(sketch, plane, options.reverse, shapes);
+    dispose();
+    if (depth == null) return null;
+    height = depth;
+  }
+  const shape = createExtrudedShape(sketch, height, options);
+  if (!shape) return null;
+
+  // Profile lies on the sketch plane; extrusion grows along its normal
+  shape.quaternion.copy(planeQuaternion(plane));
+  shape.position.copy(sketch.center);
+  // Improve selection reliability on all faces
+  shape.material.side = THREE.DoubleSide;
+  return shape;
+}
+
+const WORLD_AXES = {
+  X: new THREE.Vector3(1, 0, 0),
+  Y: new THREE.Vector3(0, 1, 0),
+  Z: new THREE.Vector3(0, 0, 1),
+};
+
+// Axis of a revolve as a line { start, end } in the sketch's 2D coordinates,
+// or null when it is missing or does not lie in the sketch plane. Axes are
+//   { kind: 'sketchLine', seg }        a line segment of the profile
+//   { kind: 'world', name }            the world X, Y or Z axis
+//   { kind: 'line', start, end }       world points (e.g. a picked edge)
+export function revolveAxisInSketch(sketch, axis) {
+  if (!sketch || !axis) return null;
+  if (axis.kind === 'sketchLine') {
+    const segment = segmentsFromSketch(sketch)[axis.seg];
+    if (!segment || segment.type !== 'line') return null;
+    return { start: { ...segment.start }, end: { ...segment.end } };
+  }
+
+  let ends;
+  if (axis.kind === 'world' && WORLD_AXES[axis.name]) {
+    ends = [new THREE.Vector3(), WORLD_AXES[axis.name].clone()];
+  } else if (axis.kind === 'line' && axis.start && axis.end) {
+    ends = [axis.start, axis.end].map((p) => new THREE.Vector3(p.x, p.y, p.z));
+  } else {
+    return null;
+  }
+  const plane = getSketchPlane(sketch);
+  const local = ends.map((p) => p.clone().sub(sketch.center));
+  const scale = Math.max(1, ...local.map((p) => p.length()));
+  if (local.some((p) => Math.abs(p.dot(plane.normal)) > scale * 1e-4)) {
+    return null;
+  }
+  const [start, end] = local.map((p) => ({
+    x: p.dot(plane.xAxis),
+    y: p.dot(plane.yAxis),
+  }));
+  return { start, end };
+}
+
+function buildRevolve(feature, context) {
+  const sketch = context.sketchFor(feature.sketchId);
+  const axis = revolveAxisInSketch(sketch, feature.axis);
+  if (!axis) return null;
+  const shape = createRevolvedShape(sketch, axis, feature.angle ?? 360);
+  if (!shape) return null;
+
+  shape.quaternion.copy(planeQuaternion(getSketchPlane(sketch)));
+  shape.position.copy(sketch.center);
+  shape.material.side = THREE.DoubleSide;
+  return shape;
+}
+
+// Sweeps and lofts are built in world space around their first profile
+function buildSweep(feature, context) {
+  const profile = context.sketchFor(feature.profileId);
+  const path = context.sketchFor(feature.pathId);
+  if (!profile || !path) return null;
+  const shape = createSweptShape(profile, path);
+  if (shape) shape.material.side = THREE.DoubleSide;
+  return shape;
+}
+
+function buildLoft(feature, context) {
+  const sketches = (feature.sketchIds || []).map(context.sketchFor);
+  if (sketches.some((sketch) => !sketch)) return null;
+  const shape = createLoftedShape(sketches);
+  if (shape) shape.material.side = THREE.DoubleSide;
+  return shape;
+}
+
+function nextFeatureId(tree) {
+  const max = tree.features.reduce((m, f) => {
+    const n = parseInt(String(f.id).replace(/^f/, ''), 10);
+    return Number.isFinite(n) ? Math.max(m, n) : m;
+  }, 0);
+  return `f${max + 1}`;
+}
+
+function nextFeatureName(tree, type) {
+  const label = FEATURE_TYPES[type]?.label || type;
+  const count = tree.features.filter((f) => f.type === type).length;
+  return `${label} ${count + 1}`;
+}
+
+// Number of features that are currently rolled in
+export function activeFeatureCount(tree) {
+  const { features, rollbackIndex } = tree;
+  return rollbackIndex == null
+    ? features.length
+    : Math.min(rollbackIndex, features.length);
+}
+
+// Insert a new feature at the rollback marker (or the end) and return it
+export function addFeature(tree, type, params = {}) {
+  const feature = {
+    id: nextFeatureId(tree),
+    type,
+    name: nextFeatureName(tree, type),
+    suppressed: false,
+    ...params,
+  };
+  const at = activeFeatureCount(tree);
+  tree.features.splice(at, 0, feature);
+  if (tree.rollbackIndex != null) tree.rollbackIndex = at + 1;
+  return feature;
+}
+
+export function findFeature(tree, id) {
+  return tree.features.find((f) => f.id === id) || null;
+}
+
+function featureInputs(feature) {
+  const type = FEATURE_TYPES[feature.type];
+  return type ? type.inputs(feature).filter(Boolean) : [];
+}
+
+// Features that (directly or indirectly) consume the given feature
+export function dependentFeatures(tree, id) {
+  const result = new Set([id]);
+  tree.features.forEach((f) => {
+    if (featureInputs(f).some((input) => result.has(input))) {
+      result.add(f.id);
+    }
+  });
+  result.delete(id);
+  return tree.features.filter((f) => result.has(f.id));
+}
+
+// Remove a feature and everything built on it; returns the removed features
+export function removeFeature(tree, id) {
+  const feature = findFeature(tree, id);
+  if (!feature) return [];
+  const removed = [feature, ...dependentFeatures(tree, id)];
+  const active = activeFeatureCount(tree);
+  const removedActive = tree.features
+    .slice(0, active)
+    .filter((f) => removed.includes(f)).length;
+  tree.features = tree.features.filter((f) => !removed.includes(f));
+  if (tree.rollbackIndex != null) tree.rollbackIndex = active - removedActive;
+  return removed;
+}
+
+// Move a feature by offset positions; refused when it would place a feature
+// before one of its inputs
+export function moveFeature(tree, id, offset) {
+  const from = tree.features.findIndex((f) => f.id === id);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= tree.features.length) return false;
+
+  const order = [...tree.features];
+  const [feature] = order.splice(from, 1);
+  order.splice(to, 0, feature);
+
+  const seen = new Set();
+  for (const f of order) {
+    if (featureInputs(f).some((input) => !seen.has(input))) return false;
+    seen.add(f.id);
+  }
+  tree.features = order;
+  return true;
+}
+
+// Sketch features for sketches that predate the feature tree (older scenes)
+export function adoptSketches(tree, sketches) {
+  sketches.forEach((sketch) => {
+    if (sketch.featureId && findFeature(tree, sketch.featureId)) return;
+    sketch.featureId = addFeature(tree, 'sketch').id;
+  });
+}
+
+// Build status of every feature: 'ok', 'suppressed', 'rolledBack' or 'failed'
+function evaluateFeature(feature, index, tree, status, context) {
+  if (index >= activeFeatureCount(tree)) return { status: 'rolledBack' };
+  if (feature.suppressed) return { status: 'suppressed' };
+  if (featureInputs(feature).some((input) => status[input] !== 'ok')) {
+    return { status: 'failed' };
+  }
+  if (feature.type === 'sketch') {
+    return { status: context.sketchFor(feature.id) ? 'ok' : 'failed' };
+  }
+  const type = FEATURE_TYPES[feature.type];
+  const body = type && type.build ? type.build(feature, context) : null;
+  return body ? { status: 'ok', body } : { status: 'failed' };
+}
+
+// Placement of a regenerated body: the feature's placement combined with any
+// manual transform applied to the previous body since it was generated
+function carryPlacement(previous, body) {
+  body.updateMatrix();
+  const generated = body.matrix.clone();
+  if (previous) {
+    previous.updateMatrix();
+    const previousBase = previous.userData.generatedMatrix
+      ? new THREE.Matrix4().fromArray(previous.userData.generatedMatrix)
+      : generated;
+    const offset = previous.matrix
+      .clone()
+      .multiply(previousBase.clone().invert());
+    offset
+      .multiply(generated)
+      .decompose(body.position, body.quaternion, body.scale);
+  }
+  body.userData.generatedMatrix = generated.toArray();
+}
+
+// Rebuild every feature body. Existing bodies keep their identity (and so
+// their selection, group and material) and only receive new geometry.
+// Bodies listed in consumedBodies (e.g. boolean operands) are not added to the
+// scene but handed back so their consumer can update itself.
+// shapesWithout(objects, featureIds, bodies) gives the shapes as they stand
+// without some feature bodies ({ shapes, dispose }, see booleanUtils); it is
+// how up-to-next extrusions find what lies before them.
+// Returns { objects, status, consumedSketches, bodies } where objects is the
+// updated top-level object list and bodies maps consumed feature ids to their
+// freshly built (detached) body.
+export function regenerateFeatureTree(
+  tree,
+  {
+    scene,
+    objects,
+    sketches,
+    consumedBodies = new Set(),
+    shapesWithout = (shapes, featureIds) => ({
+      shapes: shapes.filter((o) => !featureIds.has(o.userData.featureId)),
+      dispose: () => {},
+    }),
+  }
+) {
+  const context = {
+    sketchFor: (featureId) =>
+      sketches.find((s) => s.featureId === featureId) || null,
+    // Shapes built before a feature: those of the feature itself and the
+    // ones after it are left out
+    shapesBefore: (feature) => {
+      const index = tree.features.indexOf(feature);
+      const later = new Set(tree.features.slice(index).map((f) => f.id));
+      return shapesWithout(nextObjects, later, bodies);
+    },
+  };
+
+  const existing = new Map();
+  scene.traverse((child) => {
+    if (child.userData && child.userData.featureId && !child.userData.sketch) {
+      existing.set(child.userData.featureId, child);
+    }
+  });
+
+  const status = {};
+  const consumedSketches = new Set();
+  const built = new Set();
+  const bodies = new Map();
+  let nextObjects = [...objects];
+
+  tree.features.forEach((feature, index) => {
+    const result = evaluateFeature(feature, index, tree, status, context);
+    status[feature.id] = result.status;
+    if (result.status === 'ok' && feature.type !== 'sketch') {
+      featureInputs(feature).forEach((input) => consumedSketches.add(input));
+    }
+    if (!result.body) return;
+
+    const body = result.body;
+    if (consumedBodies.has(feature.id)) {
+      carryPlacement(null, body);
+      body.userData.featureId = feature.id;
+      bodies.set(feature.id, body);
+      return;
+    }
+    const previous = existing.get(feature.id);
+    carryPlacement(previous, body);
+    built.add(feature.id);
+
+    if (previous) {
+      // Swap the new geometry into the existing mesh
+      previous.geometry.dispose();
+      previous.geometry = body.geometry;
+      body.material.dispose();
+      previous.position.copy(body.position);
+      previous.quaternion.copy(body.quaternion);
+      previous.scale.copy(body.scale);
+      previous.visible = true;
+      Object.assign(previous.userData, body.userData, {
+        featureId: feature.id,
+      });
+      // Fillets and chamfers made on the body are re-applied
+      if (previous.userData.edgeTreatments?.length) {
+        refreshEdgeTreatments(previous);
+      }
+    } else {
+      body.userData.featureId = feature.id;
+      scene.add(body);
+      nextObjects.push(body);
+    }
+  });
+
+  // Bodies whose feature no longer produces one. Suppressed, rolled-back or
+  // failed features only hide theirs, so it comes back with its placement,
+  // material, treatments and group; deleted features drop it.
+  const features = new Set(tree.features.map((f) => f.id));
+  existing.forEach((mesh, featureId) => {
+    if (built.has(featureId)) return;
+    if (features.has(featureId)) {
+      mesh.visible = false;
+      return;
+    }
+    if (mesh.parent) mesh.parent.remove(mesh);
+    if (mesh.geometry) mesh.geometry.dispose();
+    if (mesh.material) mesh.material.dispose();
+    nextObjects = nextObjects.filter((o) => o !== mesh);
+  });
+
+  return { objects: nextObjects, status, consumedSketches, bodies };
+}
+
+export function serializeFeatureTree(tree) {
+  return {
+    features: JSON.parse(JSON.stringify(tree.features)),
+    rollbackIndex: tree.rollbackIndex,
+  };
+}
+
+export function deserializeFeatureTree(data) {
+  const tree = createFeatureTree();
+  if (!data) return tree;
+  tree.features = JSON.parse(JSON.stringify(data.features || []));
+  tree.rollbackIndex = Number.isInteger(data.rollbackIndex)
+    ? data.rollbackIndex
+    : null;
+  return tree;
+}
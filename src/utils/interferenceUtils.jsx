@@ -0,0 +1,96 @@
+import { booleanGeometry } from './csgUtils';
+import { boxGap, closestPoints } from './measureUtils';
+import {
+  geometryVolume,
+  shapeMeshes,
+  worldGeometry,
+  worldTriangles,
+} from './meshUtils';
+
+// Interference and clearance between bodies. Every visible shape is a body,
+// including the members of groups, so parts of one assembly are checked
+// against each other. Pairs whose bounding boxes overlap are intersected
+// with CSG in world space; the result's volume tells real overlaps from
+// faces that merely touch. With a minimum clearance, pairs that do not
+// overlap but come closer than it are reported with their closest points.
+
+// Overlaps smaller than this fraction of the smaller body count as touching
+const TOUCHING_FRACTION = 1e-6;
+
+// Name of an object for reports: its type and place among its siblings,
+// e.g. `Group 2 › Box 1`
+export function bodyLabel(object, roots) {
+  const name = (obj, siblings) => {
+    const type = obj.userData.type || 'shape';
+    return `${type[0].toUpperCase()}${type.slice(1)} ${
+      siblings.indexOf(obj) + 1
+    }`;
+  };
+  const path = [];
+  let current = object;
+  while (current && !roots.includes(current)) {
+    path.unshift(name(current, current.parent?.children || [current]));
+    current = current.parent;
+  }
+  if (current) path.unshift(name(current, roots));
+  return path.join(' › ');
+}
+
+// Bodies of the objects with their world geometry, box and triangles
+function collectBodies(objects) {
+  return shapeMeshes(objects).map((object) => {
+    const geometry = worldGeometry(object);
+    geometry.computeBoundingBox();
+    return {
+      object,
+      geometry,
+      box: geometry.boundingBox,
+      volume: geometryVolume(geometry),
+      triangles: worldTriangles(object),
+    };
+  });
+}
+
+// Check every pair of bodies among objects. Returns { bodies (how many were
+// checked), interferences: [{ a, b, volume, geometry }], clearances: [{ a,
+// b, distance, from, to }] } where a and b are the shapes, geometry the
+// overlap in world space (the caller disposes it) and clearances lists the
+// pairs closer than clearance (0 turns the check off).
+export function checkInterference(objects, clearance = 0) {
+  const bodies = collectBodies(objects);
+  const interferences = [];
+  const clearances = [];
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      const a = bodies[i];
+      const b = bodies[j];
+      const gap = boxGap(a.box, b.box);
+      if (gap > 0 && gap >= clearance) continue;
+      if (gap === 0) {
+        const overlap = booleanGeometry('intersect', [a.geometry, b.geometry]);
+        const volume = overlap ? geometryVolume(overlap) : 0;
+        if (volume > TOUCHING_FRACTION * Math.min(a.volume, b.volume)) {
+          interferences.push({
+            a: a.object,
+            b: b.object,
+            volume,
+            geometry: overlap,
+          });
+          continue;
+        }
+        overlap?.dispose();
+      }
+      if (!(clearance > 0)) continue;
+      const near = closestPoints(
+        { kind: 'face', triangles: a.triangles },
+        { kind: 'face', triangles: b.triangles },
+        clearance
+      );
+      if (near) {
+        clearances.push({ a: a.object, b: b.object, ...near });
+      }
+    }
+  }
+  bodies.forEach((body) => body.geometry.dispose());
+  return { bodies: bodies.length, interferences, clearances };
+}
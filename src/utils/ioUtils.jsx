@@ -1,119 +1,204 @@
-import * as THREE from 'three';
 import {
   createBox,
   createSphere,
   createCylinder,
+  createCone,
+  createTorus,
+  createWedge,
+  createPyramid,
+  createTube,
+  createExtrudedShape,
+  createRevolvedShape,
+  createSweptShape,
+  createLoftedShape,
+  createBooleanShape,
+  createShellShape,
+  createPatternShape,
+  createMeshShape,
   updateShapeGeometry,
+  refreshEdgeTreatments,
 } from './shapeUtils';
+import {
+  serializeSketch,
+  deserializeSketch,
+  createSketchMesh,
+} from './sketchUtils';
+import { analyzeSketch } from './constraintSolver';
+import {
+  createFeatureTree,
+  serializeFeatureTree,
+  deserializeFeatureTree,
+} from './featureUtils';
+import { getDocumentUnits } from './unitUtils';
+import { isDisplayMode } from './displayUtils';
+import { normalizeMaterial } from './massUtils';
 
-export function saveSceneToJSON(objects, sketches) {
+// Lengths are always written in millimetres; `units` records the document
+// unit and display precision the file was saved with, `views` the named
+// camera views ({ name, projection, position, target }), `sectionViews`
+// the named sets of section planes ({ name, sections }) and `annotations`
+// the measurements kept on the canvas (see measureUtils)
+export function saveSceneToJSON(
+  objects,
+  sketches,
+  featureTree,
+  units = getDocumentUnits(),
+  views = [],
+  sectionViews = [],
+  annotations = []
+) {
   const sceneData = {
     version: '1.0',
+    units,
+    views,
+    sectionViews,
+    annotations,
     objects: [],
     sketches: [],
+    featureTree: serializeFeatureTree(featureTree || createFeatureTree()),
   };
 
   // Serialize objects
   objects.forEach((obj, index) => {
-    const objData = {
+    // The uuid keeps annotations attached to their shapes (see measureUtils)
+    sceneData.objects.push({
       id: index,
-      type: obj.userData.type || 'unknown',
-      position: {
-        x: obj.position.x,
-        y: obj.position.y,
-        z: obj.position.z,
-      },
-      rotation: {
-        x: obj.rotation.x,
-        y: obj.rotation.y,
-        z: obj.rotation.z,
-      },
-      scale: {
-        x: obj.scale.x,
-        y: obj.scale.y,
-        z: obj.scale.z,
-      },
-      material: {
-        color: obj.material.color.getHex(),
-      },
-    };
-
-    // Add type-specific data
-    if (obj.userData.type === 'box') {
-      objData.dimensions = obj.userData.dimensions || {
-        width: 1,
-        height: 1,
-        depth: 1,
-      };
-    } else if (obj.userData.type === 'sphere') {
-      objData.radius = obj.userData.radius || 0.7;
-    } else if (obj.userData.type === 'cylinder') {
-      objData.radius = obj.userData.radius || 0.5;
-      objData.height = obj.userData.height || 1;
-    } else if (obj.userData.type === 'extruded') {
-      objData.type = 'extruded';
-      objData.extrusionHeight = obj.userData.extrusionHeight || 2;
-      if (obj.userData.sketchData) {
-        objData.sketchData = {
-          type: obj.userData.sketchData.type,
-          ...(obj.userData.sketchData.width !== undefined && {
-            width: obj.userData.sketchData.width,
-          }),
-          ...(obj.userData.sketchData.height !== undefined && {
-            height: obj.userData.sketchData.height,
-          }),
-          ...(obj.userData.sketchData.radius !== undefined && {
-            radius: obj.userData.sketchData.radius,
-          }),
-          ...(obj.userData.sketchData.center && {
-            center: {
-              x: obj.userData.sketchData.center.x || 0,
-              y: obj.userData.sketchData.center.y || 0,
-              z: obj.userData.sketchData.center.z || 0,
-            },
-          }),
-        };
-      }
-    }
-
-    sceneData.objects.push(objData);
+      uuid: obj.uuid,
+      ...serializeObject(obj),
+    });
   });
 
   // Serialize sketches
   sketches.forEach((sketch, index) => {
-    const sketchData = {
-      id: index,
-      type: sketch.type,
-    };
-
-    if (sketch.type === 'rectangle') {
-      sketchData.width = sketch.width;
-      sketchData.height = sketch.height;
-      if (sketch.center) {
-        sketchData.center = {
-          x: sketch.center.x || 0,
-          y: sketch.center.y || 0,
-          z: sketch.center.z || 0,
-        };
-      }
-    } else if (sketch.type === 'circle') {
-      sketchData.radius = sketch.radius;
-      if (sketch.center) {
-        sketchData.center = {
-          x: sketch.center.x || 0,
-          y: sketch.center.y || 0,
-          z: sketch.center.z || 0,
-        };
-      }
-    }
-
-    sceneData.sketches.push(sketchData);
+    sceneData.sketches.push({ id: index, ...serializeSketch(sketch) });
   });
 
   return sceneData;
 }
 
-export function loadSceneFromJSON(data, scene, objectsRef, sketchesRef) {
+// Serialize one shape (transform, material and type-specific parameters)
+export function serializeObject(obj) {
+  const objData = {
+    type: obj.userData.type || 'unknown',
+    position: {
+      x: obj.position.x,
+      y: obj.position.y,
+      z: obj.position.z,
+    },
+    rotation: {
+      x: obj.rotation.x,
+      y: obj.rotation.y,
+      z: obj.rotation.z,
+    },
+    scale: {
+      x: obj.scale.x,
+      y: obj.scale.y,
+      z: obj.scale.z,
+    },
+    material: {
+      color: obj.material.color.getHex(),
+    },
+  };
+  // Material for mass properties (see massUtils)
+  if (obj.userData.material) {
+    objData.material.name = obj.userData.material;
+    objData.material.density = obj.userData.density;
+  }
+
+  // Add type-specific data
+  if (obj.userData.type === 'box') {
+    objData.dimensions = obj.userData.dimensions || {
+      width: 1,
+      height: 1,
+      depth: 1,
+    };
+  } else if (obj.userData.type === 'sphere') {
+    objData.radius = obj.userData.radius || 0.7;
+  } else if (obj.userData.type === 'cylinder') {
+    objData.radius = obj.userData.radius || 0.5;
+    objData.height = obj.userData.height || 1;
+  } else if (obj.userData.type === 'cone') {
+    objData.radiusBottom = obj.userData.radiusBottom ?? 0.5;
+    objData.radiusTop = obj.userData.radiusTop ?? 0;
+    objData.height = obj.userData.height || 1;
+  } else if (obj.userData.type === 'torus') {
+    objData.radius = obj.userData.radius || 0.6;
+    objData.tube = obj.userData.tube || 0.2;
+  } else if (obj.userData.type === 'wedge' || obj.userData.type === 'pyramid') {
+    objData.dimensions = obj.userData.dimensions || {
+      width: 1,
+      height: 1,
+      depth: 1,
+    };
+  } else if (obj.userData.type === 'tube') {
+    objData.outerRadius = obj.userData.outerRadius || 0.5;
+    objData.innerRadius = obj.userData.innerRadius || 0.3;
+    objData.height = obj.userData.height || 1;
+  } else if (obj.userData.type === 'extruded') {
+    objData.type = 'extruded';
+    objData.extrusionHeight = obj.userData.extrusionHeight || 2;
+    if (obj.userData.extrusion) {
+      objData.extrusion = { ...obj.userData.extrusion };
+    }
+    if (obj.userData.sketchData) {
+      objData.sketchData = serializeSketch(obj.userData.sketchData);
+    }
+  } else if (obj.userData.type === 'revolved') {
+    objData.revolveAxis = JSON.parse(JSON.stringify(obj.userData.revolveAxis));
+    objData.revolveAngle = obj.userData.revolveAngle ?? 360;
+    if (obj.userData.sketchData) {
+      objData.sketchData = serializeSketch(obj.userData.sketchData);
+    }
+  } else if (obj.userData.type === 'swept') {
+    objData.profileSketch = serializeSketch(obj.userData.sweepProfile);
+    objData.pathSketch = serializeSketch(obj.userData.sweepPath);
+  } else if (obj.userData.type === 'lofted') {
+    objData.sectionSketches = (obj.userData.loftSections || []).map(
+      serializeSketch
+    );
+  } else if (obj.userData.type === 'boolean') {
+    objData.operation = obj.userData.operation;
+    objData.operands = JSON.parse(JSON.stringify(obj.userData.operands || []));
+  } else if (obj.userData.type === 'shell') {
+    objData.thickness = obj.userData.thickness;
+    objData.openings = JSON.parse(JSON.stringify(obj.userData.openings || []));
+    objData.operands = JSON.parse(JSON.stringify(obj.userData.operands || []));
+  } else if (obj.userData.type === 'pattern') {
+    objData.pattern = JSON.parse(JSON.stringify(obj.userData.pattern));
+    objData.operands = JSON.parse(JSON.stringify(obj.userData.operands || []));
+  } else if (obj.userData.type === 'mesh') {
+    // Imported triangles have no parameters to rebuild them from; corners
+    // are rounded to a nanometre to keep files small
+    const positions = obj.geometry.index
+      ? obj.geometry.toNonIndexed().attributes.position.array
+      : obj.geometry.attributes.position.array;
+    objData.triangles = Array.from(positions, (v) => Math.round(v * 1e6) / 1e6);
+  }
+  if (obj.userData.edgeTreatments?.length) {
+    objData.edgeTreatments = JSON.parse(
+      JSON.stringify(obj.userData.edgeTreatments)
+    );
+  }
+  if (obj.userData.featureId) {
+    objData.featureId = obj.userData.featureId;
+  }
+  if (obj.userData.generatedMatrix) {
+    objData.generatedMatrix = [...obj.userData.generatedMatrix];
+  }
+  if (obj.userData.displayMode) {
+    objData.displayMode = obj.userData.displayMode;
+  }
+
+  return objData;
+}
+
+export function loadSceneFromJSON(
+  data,
+  scene,
+  objectsRef,
+  sketchesRef,
+  featureTreeRef
+) {
   // Clear existing objects
   objectsRef.current.forEach((obj) => {
     scene.remove(obj);
@@ -139,53 +224,9 @@ export function loadSceneFromJSON(data, scene, objectsRef, sketchesRef) {
   // Load objects
   if (data.objects) {
     data.objects.forEach((objData) => {
-      let shape;
-
-      switch (objData.type) {
-        case 'box': {
-          const dims = objData.dimensions || { width: 1, height: 1, depth: 1 };
-          shape = createBox(dims.width, dims.height, dims.depth);
-          break;
-        }
-        case 'sphere':
-          shape = createSphere(objData.radius || 0.7);
-          break;
-        case 'cylinder':
-          shape = createCylinder(objData.radius || 0.5, objData.height || 1);
-          break;
-        case 'extruded':
-          // Recreate extruded shape
-          shape = recreateExtrudedShape(objData);
-          break;
-        default:
-          console.warn('Unknown object type:', objData.type);
-          return;
-      }
-
-      // Apply transforms
-      if (objData.position) {
-        shape.position.set(
-          objData.position.x,
-          objData.position.y,
-          objData.position.z
-        );
-      }
-      if (objData.rotation) {
-        shape.rotation.set(
-          objData.rotation.x,
-          objData.rotation.y,
-          objData.rotation.z
-        );
-      }
-      if (objData.scale) {
-        shape.scale.set(objData.scale.x, objData.scale.y, objData.scale.z);
-      }
-      if (objData.material && objData.material.color) {
-        shape.material.color.setHex(objData.material.color);
-      }
-
-      // Update geometry after transforms
-      updateShapeGeometry(shape);
+      const shape = createObjectFromData(objData);
+      if (!shape) return;
+      if (objData.uuid) shape.uuid = objData.uuid;
 
       scene.add(shape);
       objectsRef.current.push(shape);
@@ -195,96 +236,213 @@ export function loadSceneFromJSON(data, scene, objectsRef, sketchesRef) {
   // Load sketches
   if (data.sketches) {
     data.sketches.forEach((sketchData) => {
-      const sketch = {
-        type: sketchData.type,
-      };
-
-      if (sketchData.type === 'rectangle') {
-        sketch.width = sketchData.width;
-        sketch.height = sketchData.height;
-        sketch.center = new THREE.Vector3(
-          sketchData.center.x,
-          sketchData.center.y,
-          sketchData.center.z
-        );
-      } else if (sketchData.type === 'circle') {
-        sketch.radius = sketchData.radius;
-        sketch.center = new THREE.Vector3(
-          sketchData.center.x,
-          sketchData.center.y,
-          sketchData.center.z
-        );
-      }
-
+      const sketch = deserializeSketch(sketchData);
+      sketch.solveStatus = analyzeSketch(sketch);
       sketchesRef.current.push(sketch);
 
       // Visualize sketch
-      let geometry, material, mesh;
-      if (sketch.type === 'rectangle') {
-        geometry = new THREE.PlaneGeometry(sketch.width, sketch.height);
-        material = new THREE.MeshBasicMaterial({
-          color: 0x00aa00,
-          opacity: 0.3,
-          transparent: true,
-          side: THREE.DoubleSide,
-        });
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.rotateX(-Math.PI / 2);
-        mesh.position.copy(sketch.center);
-      } else if (sketch.type === 'circle') {
-        geometry = new THREE.CircleGeometry(sketch.radius, 32);
-        material = new THREE.MeshBasicMaterial({
-          color: 0x00aa00,
-          opacity: 0.3,
-          transparent: true,
-          side: THREE.DoubleSide,
-        });
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.rotateX(-Math.PI / 2);
-        mesh.position.copy(sketch.center);
-      }
-
-      if (mesh) {
-        mesh.userData.sketch = sketch;
-        scene.add(mesh);
-      }
+      scene.add(createSketchMesh(sketch));
     });
   }
+
+  if (featureTreeRef) {
+    featureTreeRef.current = deserializeFeatureTree(data.featureTree);
+  }
 }
 
-function recreateExtrudedShape(objData) {
-  const sketchData = objData.sketchData;
-  const height = objData.extrusionHeight || 2;
+// Recreate a shape from serialized data (the inverse of serializeObject);
+// returns null for unknown or empty shapes
+export function createObjectFromData(objData) {
+  let shape;
 
-  let shape2D;
-  if (sketchData.type === 'rectangle') {
-    shape2D = new THREE.Shape();
-    shape2D.moveTo(-sketchData.width / 2, -sketchData.height / 2);
-    shape2D.lineTo(sketchData.width / 2, -sketchData.height / 2);
-    shape2D.lineTo(sketchData.width / 2, sketchData.height / 2);
-    shape2D.lineTo(-sketchData.width / 2, sketchData.height / 2);
-    shape2D.lineTo(-sketchData.width / 2, -sketchData.height / 2);
-  } else if (sketchData.type === 'circle') {
-    shape2D = new THREE.Shape();
-    shape2D.absarc(0, 0, sketchData.radius, 0, Math.PI * 2, false);
-  } else {
-    return null;
+  switch (objData.type) {
+    case 'box': {
+      const dims = objData.dimensions || { width: 1, height: 1, depth: 1 };
+      shape = createBox(dims.width, dims.height, dims.depth);
+      break;
+    }
+    case 'sphere':
+      shape = createSphere(objData.radius || 0.7);
+      break;
+    case 'cylinder':
+      shape = createCylinder(objData.radius || 0.5, objData.height || 1);
+      break;
+    case 'cone':
+      shape = createCone(
+        objData.radiusBottom ?? 0.5,
+        objData.radiusTop ?? 0,
+        objData.height || 1
+      );
+      break;
+    case 'torus':
+      shape = createTorus(objData.radius || 0.6, objData.tube || 0.2);
+      break;
+    case 'wedge': {
+      const dims = objData.dimensions || { width: 1, height: 1, depth: 1 };
+      shape = createWedge(dims.width, dims.height, dims.depth);
+      break;
+    }
+    case 'pyramid': {
+      const dims = objData.dimensions || { width: 1, height: 1, depth: 1 };
+      shape = createPyramid(dims.width, dims.height, dims.depth);
+      break;
+    }
+    case 'tube':
+      shape = createTube(
+        objData.outerRadius || 0.5,
+        objData.innerRadius || 0.3,
+        objData.height || 1
+      );
+      break;
+    case 'extruded':
+      // Recreate extruded shape
+      shape = recreateExtrudedShape(objData);
+      break;
+    case 'revolved':
+      shape = recreateRevolvedShape(objData);
+      break;
+    case 'swept':
+      shape = recreateSweptShape(objData);
+      break;
+    case 'lofted':
+      shape = recreateLoftedShape(objData);
+      break;
+    case 'boolean':
+      shape = recreateBooleanShape(objData);
+      break;
+    case 'shell':
+      shape = recreateShellShape(objData);
+      break;
+    case 'pattern':
+      shape = recreatePatternShape(objData);
+      break;
+    case 'mesh':
+      shape = createMeshShape(objData.triangles);
+      break;
+    default:
+      console.warn('Unknown object type:', objData.type);
+      return null;
+  }
+  if (!shape) return null;
+  if (objData.edgeTreatments?.length) {
+    shape.userData.edgeTreatments = JSON.parse(
+      JSON.stringify(objData.edgeTreatments)
+    );
+    refreshEdgeTreatments(shape);
+  }
+  // Feature bodies are regenerated from the feature tree after loading;
+  // the restored transform is kept as their placement
+  if (objData.featureId) {
+    shape.userData.featureId = objData.featureId;
+  }
+  if (objData.generatedMatrix) {
+    shape.userData.generatedMatrix = [...objData.generatedMatrix];
+  }
+  if (isDisplayMode(objData.displayMode)) {
+    shape.userData.displayMode = objData.displayMode;
   }
 
-  const extrudeSettings = {
-    depth: height,
-    bevelEnabled: false,
-  };
-  const geometry = new THREE.ExtrudeGeometry(shape2D, extrudeSettings);
-  const material = new THREE.MeshStandardMaterial({ color: 0x00aa00 });
-  const shape = new THREE.Mesh(geometry, material);
-
-  shape.userData.type = 'extruded';
-  shape.userData.extrusionHeight = height;
-  shape.userData.sketchData = sketchData;
+  // Apply transforms
+  if (objData.position) {
+    shape.position.set(
+      objData.position.x,
+      objData.position.y,
+      objData.position.z
+    );
+  }
+  if (objData.rotation) {
+    shape.rotation.set(
+      objData.rotation.x,
+      objData.rotation.y,
+      objData.rotation.z
+    );
+  }
+  if (objData.scale) {
+    shape.scale.set(objData.scale.x, objData.scale.y, objData.scale.z);
+  }
+  if (objData.material && objData.material.color) {
+    shape.material.color.setHex(objData.material.color);
+  }
+  const material = normalizeMaterial(objData.material);
+  if (material) {
+    shape.userData.material = material.name;
+    shape.userData.density = material.density;
+  }
 
-  // Create faces and edges
+  // Update geometry after transforms
   updateShapeGeometry(shape);
 
   return shape;
 }
+
+function recreateExtrudedShape(objData) {
+  if (!objData.sketchData) return null;
+  const sketch = deserializeSketch(objData.sketchData);
+  return createExtrudedShape(
+    sketch,
+    objData.extrusionHeight || 2,
+    objData.extrusion
+  );
+}
+
+function recreateRevolvedShape(objData) {
+  if (!objData.sketchData || !objData.revolveAxis) return null;
+  const sketch = deserializeSketch(objData.sketchData);
+  return createRevolvedShape(
+    sketch,
+    objData.revolveAxis,
+    objData.revolveAngle ?? 360
+  );
+}
+
+function recreateSweptShape(objData) {
+  if (!objData.profileSketch || !objData.pathSketch) return null;
+  return createSweptShape(
+    deserializeSketch(objData.profileSketch),
+    deserializeSketch(objData.pathSketch)
+  );
+}
+
+function recreateLoftedShape(objData) {
+  const sections = (objData.sectionSketches || []).map(deserializeSketch);
+  return createLoftedShape(sections);
+}
+
+function recreateBooleanShape(objData) {
+  const operandData = objData.operands || [];
+  const operands = operandData.map(createObjectFromData).filter(Boolean);
+  if (operands.length === 0) return null;
+  const shape = createBooleanShape(objData.operation, operands, operandData);
+  operands.forEach((operand) => {
+    operand.geometry.dispose();
+    operand.material.dispose();
+  });
+  return shape;
+}
+
+function recreateShellShape(objData) {
+  const [operandData] = objData.operands || [];
+  const operand = operandData && createObjectFromData(operandData);
+  if (!operand) return null;
+  const shape = createShellShape(
+    operand,
+    operandData,
+    objData.thickness,
+    objData.openings || []
+  );
+  operand.geometry.dispose();
+  operand.material.dispose();
+  return shape;
+}
+
+function recreatePatternShape(objData) {
+  const operandData = objData.operands || [];
+  const operands = operandData.map(createObjectFromData).filter(Boolean);
+  if (operands.length === 0 || !objData.pattern) return null;
+  const shape = createPatternShape(operands, operandData, objData.pattern);
+  operands.forEach((operand) => {
+    operand.geometry.dispose();
+    operand.material.dispose();
+  });
+  return shape;
+}
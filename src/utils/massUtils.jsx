@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { LENGTH_UNITS, formatLength } from './unitUtils';
+import { signedVolume, worldTriangles } from './meshUtils';
+
+// Mass properties of shapes from the triangles of their logical faces
+// (userData.faces), in world space so scale, rotation and group transforms
+// count. The surface is split into tetrahedra with the origin, whose signed
+// integrals add up to those of the enclosed solid. Lengths are millimetres,
+// densities g/cm³, masses grams and inertia g·mm².
+//
+// A shape's material is userData.material (a MATERIALS key or 'custom') with
+// its density in userData.density; shapes without one take their group's,
+// else DEFAULT_DENSITY.
+
+export const MATERIALS = {
+  steel: { label: 'Steel', density: 7.85 },
+  stainless: { label: 'Stainless steel', density: 8.0 },
+  aluminium: { label: 'Aluminium', density: 2.7 },
+  brass: { label: 'Brass', density: 8.5 },
+  copper: { label: 'Copper', density: 8.96 },
+  titanium: { label: 'Titanium', density: 4.43 },
+  abs: { label: 'ABS', density: 1.04 },
+  pla: { label: 'PLA', density: 1.24 },
+  nylon: { label: 'Nylon', density: 1.15 },
+  oak: { label: 'Oak', density: 0.75 },
+};
+export const DEFAULT_DENSITY = 1; // water
+
+// g/cm³ in g/mm³
+const PER_MM3 = 1e-3;
+
+// Density of an object's own material, or null when it has none
+export function ownDensity(object) {
+  const { material, density } = object.userData;
+  if (material === 'custom') {
+    return Number.isFinite(density) && density > 0 ? density : null;
+  }
+  return MATERIALS[material]?.density ?? null;
+}
+
+// Material settings from saved data ({ name, density }), or null
+export function normalizeMaterial(data) {
+  if (MATERIALS[data?.name]) {
+    return { name: data.name, density: MATERIALS[data.name].density };
+  }
+  if (data?.name === 'custom' && Number.isFinite(data.density)) {
+    return data.density > 0 ? { name: 'custom', density: data.density } : null;
+  }
+  return null;
+}
+
+// Running integrals over the solids seen so far; masses are included, so
+// shapes of different densities combine
+function emptyTotals() {
+  return {
+    volume: 0,
+    mass: 0,
+    area: 0,
+    moment: new THREE.Vector3(), // ∫ρ p dV
+    // ∫ρ xx, yy, zz, xy, yz, zx dV
+    second: { xx: 0, yy: 0, zz: 0, xy: 0, yz: 0, zx: 0 },
+    box: new THREE.Box3(),
+    open: false,
+  };
+}
+
+// Add one mesh's solid to the totals
+function addMesh(totals, mesh, density) {
+  const rho = density * PER_MM3;
+  const areaVector = new THREE.Vector3();
+  const cross = new THREE.Vector3();
+  let area = 0;
+  worldTriangles(mesh).forEach(([a, b, c]) => {
+    totals.box.expandByPoint(a).expandByPoint(b).expandByPoint(c);
+    cross.subVectors(b, a).cross(c.clone().sub(a));
+    area += cross.length() / 2;
+    areaVector.addScaledVector(cross, 0.5);
+
+    // Tetrahedron (origin, a, b, c)
+    const volume = signedVolume(a, b, c);
+    const det = volume * 6;
+    totals.volume += volume;
+    totals.mass += rho * volume;
+    totals.moment.addScaledVector(a.clone().add(b).add(c), (rho * volume) / 4);
+    const square = (i) =>
+      a.getComponent(i) ** 2 +
+      b.getComponent(i) ** 2 +
+      c.getComponent(i) ** 2 +
+      a.getComponent(i) * b.getComponent(i) +
+      a.getComponent(i) * c.getComponent(i) +
+      b.getComponent(i) * c.getComponent(i);
+    const product = (i, j) =>
+      2 * a.getComponent(i) * a.getComponent(j) +
+      2 * b.getComponent(i) * b.getComponent(j) +
+      2 * c.getComponent(i) * c.getComponent(j) +
+      a.getComponent(i) * b.getComponent(j) +
+      a.getComponent(j) * b.getComponent(i) +
+      a.getComponent(i) * c.getComponent(j) +
+      a.getComponent(j) * c.getComponent(i) +
+      b.getComponent(i) * c.getComponent(j) +
+      b.getComponent(j) * c.getComponent(i);
+    const s = totals.second;
+    s.xx += (rho * det * square(0)) / 60;
+    s.yy += (rho * det * square(1)) / 60;
+    s.zz += (rho * det * square(2)) / 60;
+    s.xy += (rho * det * product(0, 1)) / 120;
+    s.yz += (rho * det * product(1, 2)) / 120;
+    s.zx += (rho * det * product(2, 0)) / 120;
+  });
+  totals.area += area;
+  // A closed surface's area vectors cancel out
+  if (area > 0 && areaVector.length() > 1e-6 * area) totals.open = true;
+}
+
+function addObject(totals, object, inherited) {
+  if (!object.visible) return;
+  const density = ownDensity(object) ?? inherited;
+  if (object.isMesh && object.userData.faces) {
+    addMesh(totals, object, density);
+  } else if (object.isGroup) {
+    object.children.forEach((child) => addObject(totals, child, density));
+  }
+}
+
+// Mass properties of shapes and groups, or null when they enclose nothing:
+// { volume, area, mass, density (average), centroid, box, inertia, open }.
+// inertia is the tensor about the centroid along the world axes
+// ({ xx, yy, zz, xy, yz, zx }, products of inertia with their minus sign);
+// open means some surface is not closed, so the volume is not reliable.
+export function massProperties(objects) {
+  const totals = emptyTotals();
+  objects.forEach((object) => addObject(totals, object, DEFAULT_DENSITY));
+  if (Math.abs(totals.volume) < 1e-12 || Math.abs(totals.mass) < 1e-15) {
+    return null;
+  }
+  const { mass, second: s } = totals;
+  const centroid = totals.moment.clone().divideScalar(mass);
+  // Second moments about the centroid (parallel axis theorem)
+  const { x, y, z } = centroid;
+  const xx = s.xx - mass * x * x;
+  const yy = s.yy - mass * y * y;
+  const zz = s.zz - mass * z * z;
+  return {
+    volume: totals.volume,
+    area: totals.area,
+    mass,
+    density: mass / totals.volume / PER_MM3,
+    centroid,
+    box: totals.box,
+    inertia: {
+      xx: yy + zz,
+      yy: xx + zz,
+      zz: xx + yy,
+      xy: -(s.xy - mass * x * y),
+      yz: -(s.yz - mass * y * z),
+      zx: -(s.zx - mass * z * x),
+    },
+    open: totals.open,
+  };
+}
+
+// Grams as g below a kilogram, else kg
+export function formatMass(grams, units) {
+  return Math.abs(grams) < 1000
+    ? `${grams.toFixed(units.precision)} g`
+    : `${(grams / 1000).toFixed(units.precision)} kg`;
+}
+
+// Inertia in kg times the document unit squared
+export function formatInertia(gmm2, units) {
+  const factor = LENGTH_UNITS[units.unit];
+  const value = gmm2 / 1000 / (factor * factor);
+  return `${value.toPrecision(4)} kg·${units.unit}²`;
+}
+
+// Bounding box size as `W × H × D unit`
+export function formatBoxSize(box, units) {
+  const size = box.getSize(new THREE.Vector3());
+  return `${formatLength(size.x, units, false)} × ${formatLength(
+    size.y,
+    units,
+    false
+  )} × ${formatLength(size.z, units)}`;
+}
@@ -0,0 +1,520 @@
+import * as THREE from 'three';
+import { segmentClosestPoints } from './snapUtils';
+import { formatLength, formatNumber } from './unitUtils';
+import { edgeLength, edgePoints, transformEdge } from './topologyUtils';
+
+// Measurements between picked entities, all in world coordinates:
+//   { kind: 'point', point }
+//   { kind: 'edge', start, end, points, center?, normal?, radius?, angle? }
+//   { kind: 'face', type, center, normal, triangles, radius?, axis?, origin? }
+// (arcs and circles keep their center, radius and sweep along with the
+// points of their tessellation). One pick reports its own size (edge
+// length, arc radius); two picks report
+// the minimum distance between them, the offset of parallel planar faces and
+// the angle between edges and faces. Annotations keep a measurement on the
+// canvas: { kind: 'distance' | 'angle' | 'radius', value, from, to, picks,
+// stale } with millimetres or degrees and [x, y, z] points. picks refer to
+// what was measured, { object (shape uuid), kind: 'edge' | 'face', index }
+// or { point } for picked points (which stay where they were); annotations
+// are measured again from them when those shapes change, and marked stale
+// when an edge or face is gone.
+
+const PARALLEL = 1 - 1e-6;
+
+// World-space measure entity of a picked edge or face of a shape
+export function measureEntity(selected, type) {
+  const obj = selected.parentObject;
+  obj.updateMatrixWorld();
+  const matrix = obj.matrixWorld;
+  const toWorld = (p) => p.clone().applyMatrix4(matrix);
+  const ref = {
+    object: obj.uuid,
+    kind: type,
+    index: obj.userData[type === 'edge' ? 'edges' : 'faces'].indexOf(selected),
+  };
+  if (type === 'edge') {
+    const edge = transformEdge(selected, matrix);
+    const entity = {
+      kind: 'edge',
+      ref,
+      start: edge.start,
+      end: edge.end,
+      points: edgePoints(edge),
+    };
+    if (edge.radius) {
+      Object.assign(entity, {
+        center: edge.center,
+        normal: edge.normal,
+        radius: edge.radius,
+        angle: edge.angle,
+      });
+    }
+    return entity;
+  }
+  const scale = obj.getWorldScale(new THREE.Vector3());
+  const entity = {
+    kind: 'face',
+    ref,
+    type: selected.type,
+    center: toWorld(selected.center),
+    normal: selected.normal.clone().transformDirection(matrix),
+    triangles: selected.triangles.map((corners) => corners.map(toWorld)),
+  };
+  if (selected.radius) {
+    entity.radius = (selected.radius * (scale.x + scale.y + scale.z)) / 3;
+  }
+  if (selected.axis) {
+    entity.axis = {
+      origin: toWorld(selected.axis.origin),
+      direction: selected.axis.direction.clone().transformDirection(matrix),
+    };
+  }
+  if (selected.origin) entity.origin = toWorld(selected.origin);
+  return entity;
+}
+
+// Closest points of a point and a triangle set
+function pointToTriangles(point, triangles) {
+  const triangle = new THREE.Triangle();
+  const onTriangle = new THREE.Vector3();
+  let best = null;
+  triangles.forEach(([a, b, c]) => {
+    triangle.set(a, b, c).closestPointToPoint(point, onTriangle);
+    const distance = onTriangle.distanceTo(point);
+    if (!best || distance < best.distance) {
+      best = { distance, from: point.clone(), to: onTriangle.clone() };
+    }
+  });
+  return best;
+}
+
+// Where a segment passes through a triangle, or null
+function segmentThroughTriangle(start, end, [a, b, c]) {
+  const direction = end.clone().sub(start);
+  const length = direction.length();
+  if (length === 0) return null;
+  const ray = new THREE.Ray(start, direction.divideScalar(length));
+  const hit = ray.intersectTriangle(a, b, c, false, new THREE.Vector3());
+  return hit && hit.distanceTo(start) <= length ? hit : null;
+}
+
+// Sides of a primitive: a segment is its own single side
+function sides(primitive) {
+  return primitive.length === 2
+    ? [{ start: primitive[0], end: primitive[1] }]
+    : primitive.map((p, i) => ({ start: p, end: primitive[(i + 1) % 3] }));
+}
+
+// Closest points of two primitives, each a segment [start, end] or a
+// triangle [a, b, c]: { distance, from, to } with from on p
+function primitiveToPrimitive(p, q) {
+  // Touching: a side of one passes through the other triangle
+  for (const [s, t] of [
+    [p, q],
+    [q, p],
+  ]) {
+    if (t.length !== 3) continue;
+    for (const side of sides(s)) {
+      const hit = segmentThroughTriangle(side.start, side.end, t);
+      if (hit) return { distance: 0, from: hit, to: hit.clone() };
+    }
+  }
+  let best = null;
+  const consider = (from, to) => {
+    const distance = from.distanceTo(to);
+    if (!best || distance < best.distance) best = { distance, from, to };
+  };
+  if (q.length === 3) {
+    p.forEach((v) => {
+      const near = pointToTriangles(v, [q]);
+      consider(near.from, near.to);
+    });
+  }
+  if (p.length === 3) {
+    q.forEach((v) => {
+      const near = pointToTriangles(v, [p]);
+      consider(near.to, near.from);
+    });
+  }
+  sides(p).forEach((a) =>
+    sides(q).forEach((b) => {
+      const [from, to] = segmentClosestPoints(a, b);
+      consider(from, to);
+    })
+  );
+  return best;
+}
+
+// Distance between two boxes (0 when they overlap or touch)
+export function boxGap(a, b) {
+  return Math.hypot(
+    Math.max(0, b.min.x - a.max.x, a.min.x - b.max.x),
+    Math.max(0, b.min.y - a.max.y, a.min.y - b.max.y),
+    Math.max(0, b.min.z - a.max.z, a.min.z - b.max.z)
+  );
+}
+
+// Primitives in a bounding box tree: leaves hold a few primitive indices and
+// every node the box around its primitives. Nodes are split at the median
+// centre along their longest side.
+const LEAF_SIZE = 4;
+
+function boxTree(primitives) {
+  const boxes = primitives.map((corners) =>
+    new THREE.Box3().setFromPoints(corners)
+  );
+  const centres = boxes.map((box) => box.getCenter(new THREE.Vector3()));
+  const build = (items) => {
+    const box = new THREE.Box3();
+    items.forEach((i) => box.union(boxes[i]));
+    if (items.length <= LEAF_SIZE) return { box, items };
+    const size = box.getSize(new THREE.Vector3());
+    const axis =
+      size.x >= size.y && size.x >= size.z ? 0 : size.y >= size.z ? 1 : 2;
+    items.sort(
+      (i, j) => centres[i].getComponent(axis) - centres[j].getComponent(axis)
+    );
+    const half = items.length >> 1;
+    return {
+      box,
+      children: [build(items.slice(0, half)), build(items.slice(half))],
+    };
+  };
+  return { boxes, root: build(primitives.map((_, i) => i)) };
+}
+
+// Closest points of two primitive sets, or null when none are closer than
+// limit. Both sets are put in bounding box trees that are walked together,
+// nearest branches first; branches further apart than the best distance so
+// far are skipped, so only primitives close to each other are compared.
+function closestOfSets(a, b, limit = Infinity) {
+  const ta = boxTree(a);
+  const tb = boxTree(b);
+  let best = null;
+  let bound = limit;
+  const visit = (na, nb) => {
+    if (bound === 0 || boxGap(na.box, nb.box) >= bound) return;
+    if (na.items && nb.items) {
+      na.items.forEach((i) =>
+        nb.items.forEach((j) => {
+          if (bound === 0 || boxGap(ta.boxes[i], tb.boxes[j]) >= bound) return;
+          const near = primitiveToPrimitive(a[i], b[j]);
+          if (near.distance < bound) {
+            best = near;
+            bound = near.distance;
+          }
+        })
+      );
+      return;
+    }
+    // Split the larger node of the two
+    const splitA =
+      !na.items &&
+      (nb.items ||
+        na.box.getSize(new THREE.Vector3()).lengthSq() >=
+          nb.box.getSize(new THREE.Vector3()).lengthSq());
+    const pairs = splitA
+      ? na.children.map((child) => [child, nb])
+      : nb.children.map((child) => [na, child]);
+    pairs
+      .map(([x, y]) => ({ x, y, gap: boxGap(x.box, y.box) }))
+      .sort((p, q) => p.gap - q.gap)
+      .forEach(({ x, y }) => visit(x, y));
+  };
+  visit(ta.root, tb.root);
+  return best;
+}
+
+// Straight pieces [start, end] of an edge entity
+function edgePieces(edge) {
+  const points = edgePoints(edge);
+  return points.slice(1).map((p, i) => [points[i], p]);
+}
+
+// Closest points of two entities: { distance, from, to } with from on a.
+// With a limit, face and edge pairs further apart than it give null.
+export function closestPoints(a, b, limit = Infinity) {
+  if (a.kind !== 'point' && b.kind === 'point') {
+    const near = closestPoints(b, a);
+    return { distance: near.distance, from: near.to, to: near.from };
+  }
+  if (a.kind === 'point' && b.kind === 'point') {
+    return {
+      distance: a.point.distanceTo(b.point),
+      from: a.point.clone(),
+      to: b.point.clone(),
+    };
+  }
+  if (a.kind === 'point' && b.kind === 'edge') {
+    let best = null;
+    edgePieces(b).forEach(([start, end]) => {
+      const to = new THREE.Line3(start, end).closestPointToPoint(
+        a.point,
+        true,
+        new THREE.Vector3()
+      );
+      const distance = a.point.distanceTo(to);
+      if (!best || distance < best.distance) {
+        best = { distance, from: a.point.clone(), to };
+      }
+    });
+    return best;
+  }
+  if (a.kind === 'point') return pointToTriangles(a.point, b.triangles);
+  const primitives = (entity) =>
+    entity.kind === 'edge' ? edgePieces(entity) : entity.triangles;
+  return closestOfSets(primitives(a), primitives(b), limit);
+}
+
+// Direction of a straight edge, or the normal of a planar face (null for
+// others)
+function direction(entity) {
+  if (entity.kind === 'edge') {
+    if (entity.radius) return null;
+    return entity.end.clone().sub(entity.start).normalize();
+  }
+  if (entity.kind === 'face' && entity.type === 'planar') return entity.normal;
+  return null;
+}
+
+// Angle in degrees between two edges (0-90), two planar faces (between
+// their normals, 0-180) or an edge and a planar face (0-90); null otherwise
+function angleBetween(a, b) {
+  const da = direction(a);
+  const db = direction(b);
+  if (!da || !db) return null;
+  const cos = THREE.MathUtils.clamp(da.dot(db), -1, 1);
+  const degrees = THREE.MathUtils.radToDeg(Math.acos(cos));
+  if (a.kind === 'face' && b.kind === 'face') return degrees;
+  const unsigned = Math.min(degrees, 180 - degrees);
+  // Against a face it is the angle to the plane, not to its normal
+  return a.kind === b.kind ? unsigned : 90 - unsigned;
+}
+
+// A point on a curved face and the centre of its arc there
+function radiusLine(face) {
+  const point = face.triangles[0][0];
+  if (face.origin) return { from: face.origin.clone(), to: point.clone() };
+  const { origin, direction: axis } = face.axis;
+  const along = point.clone().sub(origin).dot(axis);
+  return {
+    from: origin.clone().addScaledVector(axis, along),
+    to: point.clone(),
+  };
+}
+
+// Measurement of one or two picks. Result fields are present when they
+// apply: distance { value, from, to, delta }, offset, angle, length
+// { value, from, to }, radius { value, from, to }.
+export function measure(a, b = null) {
+  if (!b) {
+    const result = {};
+    if (a.kind === 'edge') {
+      result.length = {
+        value: edgeLength(a),
+        from: a.start.clone(),
+        to: a.end.clone(),
+      };
+    }
+    if (a.kind === 'edge' && a.radius) {
+      result.radius = {
+        value: a.radius,
+        from: a.center.clone(),
+        to: a.start.clone(),
+      };
+    }
+    if (a.kind === 'face' && a.radius && (a.axis || a.origin)) {
+      result.radius = { value: a.radius, ...radiusLine(a) };
+    }
+    if (a.kind === 'point') result.position = a.point.clone();
+    return result;
+  }
+  const near = closestPoints(a, b);
+  const result = {
+    distance: {
+      value: near.distance,
+      from: near.from,
+      to: near.to,
+      delta: near.to.clone().sub(near.from),
+    },
+  };
+  if (
+    a.kind === 'face' &&
+    b.kind === 'face' &&
+    a.type === 'planar' &&
+    b.type === 'planar' &&
+    Math.abs(a.normal.dot(b.normal)) > PARALLEL
+  ) {
+    result.offset = Math.abs(b.center.clone().sub(a.center).dot(a.normal));
+  }
+  const angle = angleBetween(a, b);
+  if (angle !== null) result.angle = angle;
+  return result;
+}
+
+function formatAngle(degrees, units) {
+  return `${formatNumber(degrees, units)}°`;
+}
+
+// Readout of a measurement: [{ label, text }]
+export function describeMeasurement(result, units) {
+  const lines = [];
+  if (result.position) {
+    const { x, y, z } = result.position;
+    lines.push({
+      label: 'Point',
+      text: [x, y, z].map((v) => formatLength(v, units, false)).join(', '),
+    });
+  }
+  if (result.length) {
+    lines.push({
+      label: 'Length',
+      text: formatLength(result.length.value, units),
+    });
+  }
+  if (result.radius) {
+    lines.push({
+      label: 'Radius',
+      text: formatLength(result.radius.value, units),
+    });
+    lines.push({
+      label: 'Diameter',
+      text: formatLength(result.radius.value * 2, units),
+    });
+  }
+  if (result.distance) {
+    lines.push({
+      label: 'Distance',
+      text: formatLength(result.distance.value, units),
+    });
+    const { x, y, z } = result.distance.delta;
+    lines.push({
+      label: 'ΔX ΔY ΔZ',
+      text: [x, y, z].map((v) => formatLength(v, units, false)).join(', '),
+    });
+  }
+  if (result.offset !== undefined) {
+    lines.push({
+      label: 'Parallel offset',
+      text: formatLength(result.offset, units),
+    });
+  }
+  if (result.angle !== undefined) {
+    lines.push({ label: 'Angle', text: formatAngle(result.angle, units) });
+  }
+  return lines;
+}
+
+// Annotation keeping the main figure of a measurement of picks on the
+// canvas, or null when there is nothing to draw
+export function createAnnotation(result, picks = []) {
+  const line = (kind, { value, from, to }) => ({
+    kind,
+    value,
+    from: from.toArray(),
+    to: to.toArray(),
+    picks: picks.map((pick) =>
+      pick.kind === 'point' ? { point: pick.point.toArray() } : pick.ref
+    ),
+  });
+  if (result.distance) {
+    // Touching entities are more usefully annotated with their angle
+    if (result.distance.value < 1e-9 && result.angle !== undefined) {
+      return line('angle', { ...result.distance, value: result.angle });
+    }
+    return line('distance', result.distance);
+  }
+  if (result.radius) return line('radius', result.radius);
+  if (result.length) return line('distance', result.length);
+  return null;
+}
+
+// Measure entity a pick refers to, or null when its edge or face is gone
+// (or its shape hidden)
+function resolvePick(pick, objects) {
+  if (pick.point) {
+    return { kind: 'point', point: new THREE.Vector3().fromArray(pick.point) };
+  }
+  const obj = objects.find((o) => o.uuid === pick.object);
+  if (!obj || !obj.visible) return null;
+  const list = obj.userData[pick.kind === 'edge' ? 'edges' : 'faces'];
+  const selected = list?.[pick.index];
+  if (!selected) return null;
+  selected.parentObject = obj;
+  return measureEntity(selected, pick.kind);
+}
+
+// Fingerprint of the shapes annotations were measured on (geometry,
+// placement and visibility); annotations are measured again when it changes
+export function annotationSourceKey(annotations, objects) {
+  const uuids = new Set(
+    annotations.flatMap((a) => (a.picks || []).map((pick) => pick.object))
+  );
+  uuids.delete(undefined);
+  return [...uuids]
+    .map((uuid) => {
+      const obj = objects.find((o) => o.uuid === uuid);
+      if (!obj) return `${uuid}:-`;
+      obj.updateMatrixWorld();
+      return `${uuid}:${obj.visible}:${obj.geometry?.uuid}:${obj.matrixWorld
+        .toArray()
+        .join(',')}`;
+    })
+    .join('|');
+}
+
+// Annotation measured again on what it was picked on. It keeps its last
+// figure, marked stale, when an edge or face it refers to is gone.
+export function remeasureAnnotation(annotation, objects) {
+  if (!annotation.picks?.length) return annotation;
+  const entities = annotation.picks.map((pick) => resolvePick(pick, objects));
+  const fresh =
+    entities.every(Boolean) && createAnnotation(measure(...entities), entities);
+  return fresh || { ...annotation, stale: true };
+}
+
+// Label of an annotation in the document units
+export function annotationText(annotation, units) {
+  const text =
+    annotation.kind === 'angle'
+      ? formatAngle(annotation.value, units)
+      : annotation.kind === 'radius'
+      ? `R ${formatLength(annotation.value, units)}`
+      : formatLength(annotation.value, units);
+  return annotation.stale ? `${text} (stale)` : text;
+}
+
+// Annotations from saved data, dropping malformed entries
+export function normalizeAnnotations(data) {
+  const isPoint = (p) =>
+    Array.isArray(p) && p.length === 3 && p.every(Number.isFinite);
+  const isPick = (pick) =>
+    isPoint(pick?.point) ||
+    (typeof pick?.object === 'string' &&
+      ['edge', 'face'].includes(pick.kind) &&
+      Number.isInteger(pick.index) &&
+      pick.index >= 0);
+  return (Array.isArray(data) ? data : [])
+    .filter(
+      (a) =>
+        ['distance', 'angle', 'radius'].includes(a?.kind) &&
+        Number.isFinite(a.value) &&
+        isPoint(a.from) &&
+        isPoint(a.to)
+    )
+    .map((a) => ({
+      kind: a.kind,
+      value: a.value,
+      from: [...a.from],
+      to: [...a.to],
+      picks:
+        Array.isArray(a.picks) && a.picks.every(isPick)
+          ? a.picks.map((pick) =>
+              pick.point
+                ? { point: [...pick.point] }
+                : { object: pick.object, kind: pick.kind, index: pick.index }
+            )
+          : [],
+      stale: a.stale === true,
+    }));
+}
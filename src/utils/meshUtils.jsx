@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+
+// World-space views of shape meshes and the volumes they enclose, shared by
+// mass properties, STL export, interference checks and patterns. Transforms with a negative determinant
+// (mirroring) turn a surface inside out, so the winding of every triangle is
+// flipped back under them and normals keep pointing outwards.
+
+const mirrors = (matrix) => matrix.determinant() < 0;
+
+// Whether an object is drawn: it and every ancestor are visible (bodies of
+// inactive features are hidden along with their overlays)
+export function isShown(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+// Visible shape meshes among objects, group members included. Display
+// overlays, highlights and other helpers attached to shapes are not shapes
+// and are left out.
+export function shapeMeshes(objects) {
+  const meshes = [];
+  const visit = (object) => {
+    if (!object.visible) return;
+    if (object.isMesh && object.userData.faces) {
+      meshes.push(object);
+    } else if (object.isGroup) {
+      object.children.forEach(visit);
+    }
+  };
+  objects.forEach(visit);
+  return meshes;
+}
+
+// Triangles ([a, b, c], outward winding) of a shape's logical faces in world
+// space
+export function worldTriangles(mesh) {
+  mesh.updateWorldMatrix(true, false);
+  const matrix = mesh.matrixWorld;
+  const flip = mirrors(matrix);
+  return (mesh.userData.faces || []).flatMap((face) =>
+    face.triangles.map((corners) => {
+      const [a, b, c] = corners.map((p) => p.clone().applyMatrix4(matrix));
+      return flip ? [a, c, b] : [a, b, c];
+    })
+  );
+}
+
+// Copy of a geometry transformed by matrix, non-indexed when the winding had
+// to be flipped
+export function transformGeometry(geometry, matrix) {
+  const copy = geometry.clone().applyMatrix4(matrix);
+  if (!mirrors(matrix)) return copy;
+  const flipped = copy.index ? copy.toNonIndexed() : copy;
+  const positions = flipped.attributes.position;
+  for (let i = 0; i + 2 < positions.count; i += 3) {
+    const x = positions.getX(i + 1);
+    const y = positions.getY(i + 1);
+    const z = positions.getZ(i + 1);
+    positions.setXYZ(
+      i + 1,
+      positions.getX(i + 2),
+      positions.getY(i + 2),
+      positions.getZ(i + 2)
+    );
+    positions.setXYZ(i + 2, x, y, z);
+  }
+  if (flipped !== copy) copy.dispose();
+  return flipped;
+}
+
+// Signed volume of the tetrahedron (origin, a, b, c). Summed over the
+// triangles of a closed surface with outward winding it gives the volume
+// the surface encloses.
+export function signedVolume(a, b, c) {
+  return a.dot(new THREE.Vector3().crossVectors(b, c)) / 6;
+}
+
+// Enclosed volume of a closed triangle geometry
+export function geometryVolume(geometry) {
+  const triangles = geometry.index ? geometry.toNonIndexed() : geometry;
+  const positions = triangles.attributes.position;
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  let volume = 0;
+  for (let i = 0; i + 2 < positions.count; i += 3) {
+    a.fromBufferAttribute(positions, i);
+    b.fromBufferAttribute(positions, i + 1);
+    c.fromBufferAttribute(positions, i + 2);
+    volume += signedVolume(a, b, c);
+  }
+  if (triangles !== geometry) triangles.dispose();
+  return Math.abs(volume);
+}
+
+// World-space copy of a shape mesh's geometry with outward winding
+export function worldGeometry(mesh) {
+  mesh.updateWorldMatrix(true, false);
+  return transformGeometry(mesh.geometry, mesh.matrixWorld);
+}
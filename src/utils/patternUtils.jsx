@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { booleanGeometry } from './csgUtils';
+import { transformGeometry } from './meshUtils';
+
+// Linear, circular and mirror patterns. A pattern is one of
+//   { kind: 'linear', direction, count, spacing }
+//   { kind: 'circular', axis: { origin, direction }, count, angle }
+//   { kind: 'mirror', plane: { point, normal } }
+// with points and directions as plain { x, y, z }. count includes the
+// original; a circular pattern over 360° spreads its instances evenly, over
+// a smaller angle the last instance sits at that angle. A mirror keeps the
+// original and adds its reflection.
+
+function vector(v) {
+  return new THREE.Vector3(v.x, v.y, v.z);
+}
+
+function plain(v) {
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+// Placement of every instance, the original (identity) first
+export function patternTransforms(pattern) {
+  if (pattern.kind === 'mirror') {
+    const normal = vector(pattern.plane.normal).normalize();
+    const d = normal.dot(vector(pattern.plane.point));
+    // Reflection about the plane n · p = d: p − 2 (n · p − d) n
+    const reflect = (axis) =>
+      axis.addScaledVector(normal, -2 * normal.dot(axis));
+    const reflection = new THREE.Matrix4()
+      .makeBasis(
+        reflect(new THREE.Vector3(1, 0, 0)),
+        reflect(new THREE.Vector3(0, 1, 0)),
+        reflect(new THREE.Vector3(0, 0, 1))
+      )
+      .setPosition(normal.clone().multiplyScalar(2 * d));
+    return [new THREE.Matrix4(), reflection];
+  }
+
+  const count = Math.max(1, Math.floor(pattern.count || 1));
+  const transforms = [];
+  if (pattern.kind === 'circular') {
+    const origin = vector(pattern.axis.origin);
+    const axis = vector(pattern.axis.direction).normalize();
+    const total = THREE.MathUtils.degToRad(pattern.angle ?? 360);
+    const full = Math.abs(Math.abs(pattern.angle ?? 360) - 360) < 1e-6;
+    const step = count > 1 ? total / (full ? count : count - 1) : 0;
+    for (let i = 0; i < count; i++) {
+      transforms.push(
+        new THREE.Matrix4()
+          .makeTranslation(origin.x, origin.y, origin.z)
+          .multiply(new THREE.Matrix4().makeRotationAxis(axis, step * i))
+          .multiply(
+            new THREE.Matrix4().makeTranslation(-origin.x, -origin.y, -origin.z)
+          )
+      );
+    }
+  } else {
+    const direction = vector(pattern.direction).normalize();
+    for (let i = 0; i < count; i++) {
+      const offset = direction.clone().multiplyScalar(pattern.spacing * i);
+      transforms.push(
+        new THREE.Matrix4().makeTranslation(offset.x, offset.y, offset.z)
+      );
+    }
+  }
+  return transforms;
+}
+
+// Pattern expressed in another frame (matrix maps the pattern's current
+// frame into the new one)
+export function patternInFrame(pattern, matrix) {
+  const point = (p) => plain(vector(p).applyMatrix4(matrix));
+  const direction = (d) => plain(vector(d).transformDirection(matrix));
+  if (pattern.kind === 'mirror') {
+    // Normals transform with the inverse transpose
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+    return {
+      ...pattern,
+      plane: {
+        point: point(pattern.plane.point),
+        normal: plain(
+          vector(pattern.plane.normal).applyMatrix3(normalMatrix).normalize()
+        ),
+      },
+    };
+  }
+  if (pattern.kind === 'circular') {
+    return {
+      ...pattern,
+      axis: {
+        origin: point(pattern.axis.origin),
+        direction: direction(pattern.axis.direction),
+      },
+    };
+  }
+  return { ...pattern, direction: direction(pattern.direction) };
+}
+
+// Union of every instance of the geometries (already in the pattern's frame);
+// null when the result is empty
+export function patternGeometry(geometries, pattern) {
+  const instances = [];
+  patternTransforms(pattern).forEach((matrix) =>
+    geometries.forEach((geometry) =>
+      instances.push(transformGeometry(geometry, matrix))
+    )
+  );
+  const result = booleanGeometry('union', instances);
+  instances.forEach((g) => g.dispose());
+  return result;
+}
@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+
+// Section planes for looking inside solids. A section removes everything on
+// the side its normal points to, beyond offset along that normal:
+// { id, normal (unit Vector3), offset, enabled }. Shapes are clipped through
+// their materials (the grid, gizmo and sketches are not), and the cut of
+// each solid is filled with a hatched cap drawn with the stencil buffer, so
+// the renderer needs `stencil: true` and `localClippingEnabled`.
+
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+const CAP_COLOR = '#c9ced3';
+const HATCH_COLOR = '#5b6670';
+const HATCH_LINES = 40; // hatch lines across the cap
+
+let nextSectionId = 1;
+
+// Section through point facing normal (the side removed)
+export function createSection(normal, point = new THREE.Vector3()) {
+  const unit = normal.clone().normalize();
+  return {
+    id: nextSectionId++,
+    normal: unit,
+    offset: unit.dot(point),
+    enabled: true,
+  };
+}
+
+// Section across a world axis ('x' | 'y' | 'z') through point
+export function createAxisSection(axis, point) {
+  return AXES[axis] ? createSection(AXES[axis], point) : null;
+}
+
+// Short name: the axis it removes (`+X`, `-Z`), or `Face` for any other
+// direction
+export function sectionLabel(section) {
+  const found = Object.entries(AXES).find(
+    ([, dir]) => Math.abs(Math.abs(section.normal.dot(dir)) - 1) < 1e-6
+  );
+  if (!found) return 'Face';
+  const sign = section.normal.dot(found[1]) > 0 ? '+' : '-';
+  return `${sign}${found[0].toUpperCase()}`;
+}
+
+// The same plane removing the other side
+export function flipSection(section) {
+  section.normal.negate();
+  section.offset = -section.offset;
+}
+
+// Clipping planes (the kept side in three.js terms) of the enabled sections
+export function sectionPlanes(sections) {
+  return sections
+    .filter((s) => s.enabled)
+    .map((s) => new THREE.Plane(s.normal.clone().negate(), s.offset));
+}
+
+// Whether a world point lies in the removed part of any enabled section;
+// picking ignores hits there
+export function isSectionedAway(point, sections) {
+  return sections.some(
+    (s) => s.enabled && s.normal.dot(point) > s.offset + 1e-6
+  );
+}
+
+// Sections as stored in scene files
+export function serializeSections(sections) {
+  return sections.map((s) => ({
+    normal: s.normal.toArray(),
+    offset: s.offset,
+    enabled: s.enabled,
+  }));
+}
+
+// Sections from saved data, dropping malformed entries
+export function deserializeSections(data) {
+  return (Array.isArray(data) ? data : [])
+    .filter(
+      (s) =>
+        Array.isArray(s?.normal) &&
+        s.normal.length === 3 &&
+        s.normal.every(Number.isFinite) &&
+        Number.isFinite(s.offset) &&
+        new THREE.Vector3().fromArray(s.normal).lengthSq() > 0
+    )
+    .map((s) => {
+      const section = createSection(new THREE.Vector3().fromArray(s.normal));
+      section.offset = s.offset;
+      section.enabled = s.enabled !== false;
+      return section;
+    });
+}
+
+// Named section views ({ name, sections }) from saved data
+export function normalizeSectionViews(views) {
+  return (Array.isArray(views) ? views : [])
+    .filter((v) => v && v.name)
+    .map((v) => ({
+      name: String(v.name),
+      sections: serializeSections(deserializeSections(v.sections)),
+    }));
+}
+
+// Clip a shape (a mesh or group, with its edge overlays and outlines) to
+// planes. The array is shared and updated in place by the caller; materials
+// are only recompiled when the number of planes changes.
+export function clipObject(object, planes) {
+  object.traverse((child) => {
+    const material = child.material;
+    if (!material || Array.isArray(material)) return;
+    const count = material.clippingPlanes?.length || 0;
+    if (material.clippingPlanes !== planes) material.clippingPlanes = planes;
+    if (count !== planes.length) material.needsUpdate = true;
+  });
+}
+
+function hatchTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 32;
+  const context = canvas.getContext('2d');
+  context.fillStyle = CAP_COLOR;
+  context.fillRect(0, 0, 32, 32);
+  context.strokeStyle = HATCH_COLOR;
+  context.lineWidth = 3;
+  // The corner pieces keep the diagonals continuous across repeated tiles
+  context.beginPath();
+  context.moveTo(-8, 8);
+  context.lineTo(8, -8);
+  context.moveTo(0, 32);
+  context.lineTo(32, 0);
+  context.moveTo(24, 40);
+  context.lineTo(40, 24);
+  context.stroke();
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.repeat.set(HATCH_LINES, HATCH_LINES);
+  return texture;
+}
+
+// Stencil material counting how often a view ray passes through a solid's
+// back (+1) and front (-1) faces on the kept side of one plane: non-zero
+// where the plane lies inside the solid
+function stencilMaterial(side, plane) {
+  const operation =
+    side === THREE.BackSide
+      ? THREE.IncrementWrapStencilOp
+      : THREE.DecrementWrapStencilOp;
+  return new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: [plane],
+    colorWrite: false,
+    depthWrite: false,
+    depthTest: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: operation,
+    stencilZFail: operation,
+    stencilZPass: operation,
+  });
+}
+
+// Caps for the cut faces: per enabled section, stencil copies of every shape
+// and a hatched square on the plane drawn where the stencil count is
+// non-zero, clipped by the other sections. Add `group` to the scene and call
+// update every frame.
+export function createSectionCaps() {
+  const group = new THREE.Group();
+  group.userData.isSectionCaps = true;
+  const texture = hatchTexture();
+  let layers = []; // per section: { root, back, front, cap, plane }
+
+  function createLayer(index) {
+    const root = new THREE.Group();
+    const plane = new THREE.Plane();
+    const back = stencilMaterial(THREE.BackSide, plane);
+    const front = stencilMaterial(THREE.FrontSide, plane);
+    const cap = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({
+        map: texture,
+        side: THREE.DoubleSide,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp,
+      })
+    );
+    // Each section's stencil counts start from zero
+    cap.onAfterRender = (renderer) => renderer.clearStencil();
+    cap.renderOrder = index + 1.1;
+    root.add(cap);
+    group.add(root);
+    return { root, back, front, cap, plane, copies: [] };
+  }
+
+  function disposeLayer(layer) {
+    group.remove(layer.root);
+    layer.back.dispose();
+    layer.front.dispose();
+    layer.cap.geometry.dispose();
+    layer.cap.material.dispose();
+  }
+
+  // Stencil copies of the shapes, reusing the meshes of the last frame
+  function syncCopies(layer, index, meshes) {
+    const needed = meshes.length * 2;
+    while (layer.copies.length < needed) {
+      const copy = new THREE.Mesh();
+      copy.matrixAutoUpdate = false;
+      copy.renderOrder = index + 1;
+      layer.root.add(copy);
+      layer.copies.push(copy);
+    }
+    while (layer.copies.length > needed) {
+      layer.root.remove(layer.copies.pop());
+    }
+    meshes.forEach((mesh, i) => {
+      [layer.back, layer.front].forEach((material, k) => {
+        const copy = layer.copies[i * 2 + k];
+        copy.geometry = mesh.geometry;
+        copy.material = material;
+        copy.matrix.copy(mesh.matrixWorld);
+        copy.matrixWorldNeedsUpdate = true;
+      });
+    });
+  }
+
+  function update(objects, sections) {
+    const active = sections.filter((s) => s.enabled);
+    while (layers.length > active.length) disposeLayer(layers.pop());
+    while (layers.length < active.length) {
+      layers.push(createLayer(layers.length));
+    }
+    if (active.length === 0) return;
+
+    const meshes = [];
+    const bounds = new THREE.Box3();
+    objects.forEach((obj) => {
+      obj.updateMatrixWorld();
+      obj.traverseVisible((child) => {
+        if (!child.isMesh) return;
+        meshes.push(child);
+        bounds.expandByObject(child);
+      });
+    });
+    const sphere = bounds.isEmpty()
+      ? new THREE.Sphere(new THREE.Vector3(), 1)
+      : bounds.getBoundingSphere(new THREE.Sphere());
+    const size = Math.max(sphere.radius, 0.5) * 2.2;
+
+    const planes = sectionPlanes(active);
+    layers.forEach((layer, index) => {
+      layer.plane.copy(planes[index]);
+      syncCopies(layer, index, meshes);
+      const { cap } = layer;
+      cap.material.clippingPlanes = planes.filter((_, i) => i !== index);
+      cap.position.copy(
+        planes[index].projectPoint(sphere.center, cap.position)
+      );
+      cap.lookAt(cap.position.clone().add(planes[index].normal));
+      cap.scale.set(size, size, 1);
+    });
+  }
+
+  function dispose() {
+    layers.forEach(disposeLayer);
+    layers = [];
+    texture.dispose();
+  }
+
+  return { group, update, dispose };
+}
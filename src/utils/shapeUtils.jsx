@@ -1,149 +1,17 @@
 import * as THREE from 'three';
-
-// Helper: Create edges from geometry
-function createEdgesFromGeometry(geometry, transform) {
-  const edges = [];
-  const positions = geometry.attributes.position;
-  const index = geometry.index;
-
-  // Handle indexed and non-indexed geometries
-  if (!positions) return edges;
-
-  // Get all edges from faces
-  const edgeMap = new Map();
-
-  const pushTriangleEdges = (i0, i1, i2) => {
-    const v0 = new THREE.Vector3(
-      positions.getX(i0),
-      positions.getY(i0),
-      positions.getZ(i0)
-    );
-    const v1 = new THREE.Vector3(
-      positions.getX(i1),
-      positions.getY(i1),
-      positions.getZ(i1)
-    );
-    const v2 = new THREE.Vector3(
-      positions.getX(i2),
-      positions.getY(i2),
-      positions.getZ(i2)
-    );
-
-    // Create edges (avoid duplicates)
-    const addEdge = (start, end) => {
-      const key1 = `${start.x.toFixed(3)},${start.y.toFixed(
-        3
-      )},${start.z.toFixed(3)}-${end.x.toFixed(3)},${end.y.toFixed(
-        3
-      )},${end.z.toFixed(3)}`;
-      const key2 = `${end.x.toFixed(3)},${end.y.toFixed(3)},${end.z.toFixed(
-        3
-      )}-${start.x.toFixed(3)},${start.y.toFixed(3)},${start.z.toFixed(3)}`;
-
-      if (!edgeMap.has(key1) && !edgeMap.has(key2)) {
-        edgeMap.set(key1, { start: start.clone(), end: end.clone() });
-      }
-    };
-
-    addEdge(v0, v1);
-    addEdge(v1, v2);
-    addEdge(v2, v0);
-  };
-
-  if (index && index.count >= 3) {
-    for (let i = 0; i < index.count; i += 3) {
-      const i0 = index.getX(i);
-      const i1 = index.getX(i + 1);
-      const i2 = index.getX(i + 2);
-      pushTriangleEdges(i0, i1, i2);
-    }
-  } else {
-    // Non-indexed: positions are laid out sequentially per triangle
-    const triCount = Math.floor(positions.count / 3);
-    for (let t = 0; t < triCount; t++) {
-      const base = t * 3;
-      pushTriangleEdges(base, base + 1, base + 2);
-    }
-  }
-
-  return Array.from(edgeMap.values());
-}
-
-// Helper: Create faces from geometry
-function createFacesFromGeometry(geometry, transform) {
-  const faces = [];
-  const positions = geometry.attributes.position;
-  const normals = geometry.attributes.normal;
-  const index = geometry.index;
-
-  if (!positions) return faces;
-
-  const pushFace = (i0, i1, i2) => {
-    const v0 = new THREE.Vector3(
-      positions.getX(i0),
-      positions.getY(i0),
-      positions.getZ(i0)
-    );
-    const v1 = new THREE.Vector3(
-      positions.getX(i1),
-      positions.getY(i1),
-      positions.getZ(i1)
-    );
-    const v2 = new THREE.Vector3(
-      positions.getX(i2),
-      positions.getY(i2),
-      positions.getZ(i2)
-    );
-
-    let normal;
-    if (normals) {
-      normal = new THREE.Vector3(
-        normals.getX(i0),
-        normals.getY(i0),
-        normals.getZ(i0)
-      );
-    } else {
-      // Compute normal from geometry if not provided
-      normal = v1.clone().sub(v0).cross(v2.clone().sub(v0)).normalize();
-    }
-
-    // Calculate face center
-    const center = new THREE.Vector3()
-      .add(v0)
-      .add(v1)
-      .add(v2)
-      .multiplyScalar(1 / 3);
-
-    // Calculate area
-    const area = v0.clone().sub(v1).cross(v1.clone().sub(v2)).length() / 2;
-
-    faces.push({
-      center: center,
-      normal: normal.normalize(),
-      vertices: [v0, v1, v2],
-      area: area,
-      size: Math.max(v0.distanceTo(v1), v1.distanceTo(v2), v2.distanceTo(v0)),
-    });
-  };
-
-  if (index && index.count >= 3) {
-    for (let i = 0; i < index.count; i += 3) {
-      const i0 = index.getX(i);
-      const i1 = index.getX(i + 1);
-      const i2 = index.getX(i + 2);
-      pushFace(i0, i1, i2);
-    }
-  } else {
-    // Non-indexed: positions are laid out sequentially per triangle
-    const triCount = Math.floor(positions.count / 3);
-    for (let t = 0; t < triCount; t++) {
-      const base = t * 3;
-      pushFace(base, base + 1, base + 2);
-    }
-  }
-
-  return faces;
-}
+import {
+  sketchToShape,
+  sketchOutlinePoints,
+  sketchPointToWorld,
+  getSketchPlane,
+  pointsEqual,
+} from './sketchUtils';
+import { booleanGeometry } from './csgUtils';
+import { applyEdgeTreatments } from './edgeTreatmentUtils';
+import { shellGeometry } from './shellUtils';
+import { patternGeometry } from './patternUtils';
+import { analyzeTopology } from './topologyUtils';
+import { transformGeometry } from './meshUtils';
 
 export function createBox(width = 1, height = 1, depth = 1) {
   const geometry = new THREE.BoxGeometry(width, height, depth);
@@ -156,8 +24,7 @@ export function createBox(width = 1, height = 1, depth = 1) {
   box.receiveShadow = true;
 
   // Create faces and edges in local space
-  box.userData.faces = createFacesFromGeometry(geometry);
-  box.userData.edges = createEdgesFromGeometry(geometry);
+  updateShapeGeometry(box);
   box.userData.type = 'box';
   box.userData.dimensions = { width, height, depth };
 
@@ -175,8 +42,7 @@ export function createSphere(radius = 0.7, segments = 32) {
   sphere.receiveShadow = true;
 
   // Create faces and edges in local space
-  sphere.userData.faces = createFacesFromGeometry(geometry);
-  sphere.userData.edges = createEdgesFromGeometry(geometry);
+  updateShapeGeometry(sphere);
   sphere.userData.type = 'sphere';
   sphere.userData.radius = radius;
 
@@ -194,8 +60,7 @@ export function createCylinder(radius = 0.5, height = 1, segments = 32) {
   cylinder.receiveShadow = true;
 
   // Create faces and edges in local space
-  cylinder.userData.faces = createFacesFromGeometry(geometry);
-  cylinder.userData.edges = createEdgesFromGeometry(geometry);
+  updateShapeGeometry(cylinder);
   cylinder.userData.type = 'cylinder';
   cylinder.userData.radius = radius;
   cylinder.userData.height = height;
@@ -203,13 +68,734 @@ export function createCylinder(radius = 0.5, height = 1, segments = 32) {
   return cylinder;
 }
 
+// Closed solid from planar polygons, each listed counter-clockwise seen from
+// outside
+function polyhedronGeometry(polygons) {
+  const positions = [];
+  polygons.forEach((points) => {
+    for (let i = 1; i + 1 < points.length; i++) {
+      [points[0], points[i], points[i + 1]].forEach((p) =>
+        positions.push(p[0], p[1], p[2])
+      );
+    }
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    'position',
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Right-angled wedge: vertical back face at -x sloping down to the bottom
+// front edge at +x
+function wedgeGeometry(width, height, depth) {
+  const [x0, x1] = [-width / 2, width / 2];
+  const [y0, y1] = [-height / 2, height / 2];
+  const [z0, z1] = [-depth / 2, depth / 2];
+  return polyhedronGeometry([
+    [
+      [x0, y0, z1],
+      [x1, y0, z1],
+      [x0, y1, z1],
+    ],
+    [
+      [x0, y0, z0],
+      [x0, y1, z0],
+      [x1, y0, z0],
+    ],
+    [
+      [x0, y0, z0],
+      [x1, y0, z0],
+      [x1, y0, z1],
+      [x0, y0, z1],
+    ],
+    [
+      [x0, y0, z0],
+      [x0, y0, z1],
+      [x0, y1, z1],
+      [x0, y1, z0],
+    ],
+    [
+      [x1, y0, z0],
+      [x0, y1, z0],
+      [x0, y1, z1],
+      [x1, y0, z1],
+    ],
+  ]);
+}
+
+// Rectangular base with the apex above its center
+function pyramidGeometry(width, height, depth) {
+  const [x0, x1] = [-width / 2, width / 2];
+  const [y0, y1] = [-height / 2, height / 2];
+  const [z0, z1] = [-depth / 2, depth / 2];
+  const base = [
+    [x0, y0, z0],
+    [x1, y0, z0],
+    [x1, y0, z1],
+    [x0, y0, z1],
+  ];
+  const apex = [0, y1, 0];
+  return polyhedronGeometry([
+    base,
+    ...base.map((a, i) => [base[(i + 1) % 4], a, apex]),
+  ]);
+}
+
+// Hollow cylinder along Y, centered on the origin
+function tubeGeometry(outerRadius, innerRadius, height, segments) {
+  const [y0, y1] = [-height / 2, height / 2];
+  const profile = [
+    new THREE.Vector2(innerRadius, y1),
+    new THREE.Vector2(innerRadius, y0),
+    new THREE.Vector2(outerRadius, y0),
+    new THREE.Vector2(outerRadius, y1),
+    new THREE.Vector2(innerRadius, y1),
+  ];
+  return new THREE.LatheGeometry(profile, segments);
+}
+
+// Torus lying flat on the XZ plane
+function torusGeometry(radius, tube) {
+  return new THREE.TorusGeometry(radius, tube, 16, 48).rotateX(Math.PI / 2);
+}
+
+export function createCone(
+  radiusBottom = 0.5,
+  radiusTop = 0,
+  height = 1,
+  segments = 32
+) {
+  const geometry = new THREE.CylinderGeometry(
+    radiusTop,
+    radiusBottom,
+    height,
+    segments
+  );
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xe08a1e,
+    flatShading: true,
+  });
+  const cone = new THREE.Mesh(geometry, material);
+  cone.castShadow = true;
+  cone.receiveShadow = true;
+
+  // Create faces and edges in local space
+  updateShapeGeometry(cone);
+  cone.userData.type = 'cone';
+  cone.userData.radiusBottom = radiusBottom;
+  cone.userData.radiusTop = radiusTop;
+  cone.userData.height = height;
+
+  return cone;
+}
+
+export function createTorus(radius = 0.6, tube = 0.2) {
+  const geometry = torusGeometry(radius, tube);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x9b59b6,
+    flatShading: true,
+  });
+  const torus = new THREE.Mesh(geometry, material);
+  torus.castShadow = true;
+  torus.receiveShadow = true;
+
+  // Create faces and edges in local space
+  updateShapeGeometry(torus);
+  torus.userData.type = 'torus';
+  torus.userData.radius = radius;
+  torus.userData.tube = tube;
+
+  return torus;
+}
+
+export function createWedge(width = 1, height = 1, depth = 1) {
+  const geometry = wedgeGeometry(width, height, depth);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x8e9aa8,
+    flatShading: true,
+  });
+  const wedge = new THREE.Mesh(geometry, material);
+  wedge.castShadow = true;
+  wedge.receiveShadow = true;
+
+  // Create faces and edges in local space
+  updateShapeGeometry(wedge);
+  wedge.userData.type = 'wedge';
+  wedge.userData.dimensions = { width, height, depth };
+
+  return wedge;
+}
+
+export function createPyramid(width = 1, height = 1, depth = 1) {
+  const geometry = pyramidGeometry(width, height, depth);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0xd4b13f,
+    flatShading: true,
+  });
+  const pyramid = new THREE.Mesh(geometry, material);
+  pyramid.castShadow = true;
+  pyramid.receiveShadow = true;
+
+  // Create faces and edges in local space
+  updateShapeGeometry(pyramid);
+  pyramid.userData.type = 'pyramid';
+  pyramid.userData.dimensions = { width, height, depth };
+
+  return pyramid;
+}
+
+export function createTube(
+  outerRadius = 0.5,
+  innerRadius = 0.3,
+  height = 1,
+  segments = 32
+) {
+  const geometry = tubeGeometry(outerRadius, innerRadius, height, segments);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x1abc9c,
+    flatShading: true,
+  });
+  const tube = new THREE.Mesh(geometry, material);
+  tube.castShadow = true;
+  tube.receiveShadow = true;
+
+  // Create faces and edges in local space
+  updateShapeGeometry(tube);
+  tube.userData.type = 'tube';
+  tube.userData.outerRadius = outerRadius;
+  tube.userData.innerRadius = innerRadius;
+  tube.userData.height = height;
+
+  return tube;
+}
+
+// Range [start, end] along the sketch normal covered by an extrusion.
+// Options: extent 'blind' (default), 'symmetric' (mid-plane) or 'twoSided'
+// (height forwards, depth2 backwards); reverse flips the direction.
+export function extrusionRange(height, options = {}) {
+  const { extent = 'blind', reverse = false, depth2 = 0 } = options;
+  let start = 0;
+  let end = height;
+  if (extent === 'symmetric') {
+    start = -height / 2;
+    end = height / 2;
+  } else if (extent === 'twoSided') {
+    start = -Math.max(0, depth2);
+  }
+  return reverse ? [-end, -start] : [start, end];
+}
+
+// Extrude a closed sketch profile; returns null for open (construction) sketches
+export function createExtrudedShape(sketch, height = 2, options = {}) {
+  const shape2D = sketchToShape(sketch);
+  if (!shape2D) return null;
+  const [start, end] = extrusionRange(height, options);
+  if (!(end - start > 0)) return null;
+
+  const extrudeSettings = {
+    depth: end - start,
+    bevelEnabled: false,
+  };
+  const geometry = new THREE.ExtrudeGeometry(shape2D, extrudeSettings);
+  geometry.translate(0, 0, start);
+  const material = new THREE.MeshStandardMaterial({ color: 0x00aa00 });
+  const shape = new THREE.Mesh(geometry, material);
+
+  shape.userData.type = 'extruded';
+  shape.userData.extrusionHeight = height;
+  shape.userData.extrusion = {
+    extent: options.extent || 'blind',
+    reverse: !!options.reverse,
+    depth2: options.depth2 || 0,
+  };
+  shape.userData.sketchData = sketch;
+
+  // Create faces and edges
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
+// Outline of a closed sketch as counter-clockwise 2D points in the sketch's
+// own coordinates (null for open sketches)
+function profileContour(sketch) {
+  const shape2D = sketchToShape(sketch);
+  if (!shape2D) return null;
+  let contour = shape2D.extractPoints(12).shape;
+  if (contour.length > 1 && contour[0].equals(contour[contour.length - 1])) {
+    contour = contour.slice(0, -1);
+  }
+  if (contour.length < 3) return null;
+  return THREE.ShapeUtils.isClockWise(contour) ? contour.reverse() : contour;
+}
+
+// Cap triangles of a counter-clockwise contour as index triples
+function capTriangles(contour) {
+  return THREE.ShapeUtils.triangulateShape(contour, []).map(([i, j, l]) => {
+    const ccw =
+      (contour[j].x - contour[i].x) * (contour[l].y - contour[i].y) -
+        (contour[j].y - contour[i].y) * (contour[l].x - contour[i].x) >
+      0;
+    return ccw ? [i, j, l] : [i, l, j];
+  });
+}
+
+// Closed surface through sections (arrays of Vector3 with matching point
+// order): side quads between consecutive sections plus a cap on the first and
+// last section triangulated from caps = [startContour, endContour] (2D
+// counter-clockwise versions of those sections). Pass caps = null when the
+// sections form a closed loop. The result is oriented outwards.
+function solidFromSections(sections, caps) {
+  const triangles = [];
+  const pushTriangle = (a, b, c) => {
+    // Points on a revolve axis collapse side quads into slivers
+    const area = new THREE.Vector3()
+      .subVectors(b, a)
+      .cross(new THREE.Vector3().subVectors(c, a))
+      .lengthSq();
+    if (area > 1e-18) triangles.push([a, b, c]);
+  };
+  for (let k = 0; k + 1 < sections.length; k++) {
+    const [from, to] = [sections[k], sections[k + 1]];
+    from.forEach((_, i) => {
+      const j = (i + 1) % from.length;
+      pushTriangle(from[i], from[j], to[j]);
+      pushTriangle(from[i], to[j], to[i]);
+    });
+  }
+  if (caps) {
+    const first = sections[0];
+    const last = sections[sections.length - 1];
+    capTriangles(caps[0]).forEach(([a, b, c]) =>
+      pushTriangle(first[a], first[c], first[b])
+    );
+    capTriangles(caps[1]).forEach(([a, b, c]) =>
+      pushTriangle(last[a], last[b], last[c])
+    );
+  }
+
+  // Orient the surface outwards (positive enclosed volume)
+  const volume = triangles.reduce(
+    (sum, [a, b, c]) => sum + a.dot(new THREE.Vector3().crossVectors(b, c)),
+    0
+  );
+  const positions = [];
+  triangles.forEach(([a, b, c]) => {
+    (volume < 0 ? [a, c, b] : [a, b, c]).forEach((v) =>
+      positions.push(v.x, v.y, v.z)
+    );
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    'position',
+    new THREE.Float32BufferAttribute(positions, 3)
+  );
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Revolve a closed sketch profile about an axis line { start, end } given in
+// the sketch's 2D coordinates, by angle degrees (±360 = a full turn). The
+// profile may touch the axis but not cross it; returns null when it does or
+// for open (construction) sketches.
+export function createRevolvedShape(sketch, axis, angle = 360, segments = 48) {
+  if (!axis) return null;
+  const sweep = THREE.MathUtils.degToRad(Math.max(-360, Math.min(360, angle)));
+  if (Math.abs(sweep) < 1e-6) return null;
+
+  const origin = new THREE.Vector3(axis.start.x, axis.start.y, 0);
+  const direction = new THREE.Vector3(
+    axis.end.x - axis.start.x,
+    axis.end.y - axis.start.y,
+    0
+  );
+  if (direction.lengthSq() < 1e-12) return null;
+  direction.normalize();
+
+  const contour = profileContour(sketch);
+  if (!contour) return null;
+
+  // Signed distance of every profile point from the axis
+  const sides = contour.map(
+    (p) => direction.x * (p.y - origin.y) - direction.y * (p.x - origin.x)
+  );
+  const reach = Math.max(...sides.map(Math.abs));
+  if (!(reach > 1e-9)) return null;
+  const tolerance = reach * 1e-6;
+  if (sides.some((s) => s > tolerance) && sides.some((s) => s < -tolerance)) {
+    return null;
+  }
+
+  const full = Math.abs(sweep) >= Math.PI * 2 - 1e-6;
+  const steps = Math.max(
+    1,
+    Math.ceil((segments * Math.abs(sweep)) / (Math.PI * 2))
+  );
+  const rings = [];
+  for (let k = 0; k <= steps; k++) {
+    const rotation = new THREE.Quaternion().setFromAxisAngle(
+      direction,
+      (sweep * k) / steps
+    );
+    rings.push(
+      contour.map((p) =>
+        new THREE.Vector3(p.x, p.y, 0)
+          .sub(origin)
+          .applyQuaternion(rotation)
+          .add(origin)
+      )
+    );
+  }
+  if (full) rings[steps] = rings[0];
+
+  // A partial revolve is closed with the profile at both ends
+  const geometry = solidFromSections(rings, full ? null : [contour, contour]);
+  const material = new THREE.MeshStandardMaterial({ color: 0x00aa00 });
+  const shape = new THREE.Mesh(geometry, material);
+
+  shape.userData.type = 'revolved';
+  shape.userData.revolveAxis = {
+    start: { x: axis.start.x, y: axis.start.y },
+    end: { x: axis.end.x, y: axis.end.y },
+  };
+  shape.userData.revolveAngle = angle;
+  shape.userData.sketchData = sketch;
+
+  // Create faces and edges
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
+// Mesh for world-space geometry, placed at origin so it transforms about it
+function placedMesh(geometry, origin) {
+  geometry.translate(-origin.x, -origin.y, -origin.z);
+  const material = new THREE.MeshStandardMaterial({ color: 0x00aa00 });
+  const shape = new THREE.Mesh(geometry, material);
+  shape.position.copy(origin);
+  return shape;
+}
+
+// Sweep a closed profile sketch along a path sketch (lines and arcs, open or
+// closed). The profile moves along the path from where it was drawn; at
+// every path corner the section is mitred on the bisecting plane, so it keeps
+// its shape. Returns null for open profiles or a path that starts in the
+// profile plane or turns back on itself.
+export function createSweptShape(profile, path) {
+  const contour = profileContour(profile);
+  if (!contour || !path || path === profile) return null;
+
+  const points = [];
+  sketchOutlinePoints(path, 12).forEach((p) => {
+    if (points.length === 0 || !pointsEqual(points[points.length - 1], p)) {
+      points.push(p);
+    }
+  });
+  if (points.length < 2) return null;
+  const stations = points.map((p) => sketchPointToWorld(path, p));
+  const directions = stations
+    .slice(1)
+    .map((p, i) => p.clone().sub(stations[i]).normalize());
+
+  const normal = getSketchPlane(profile).normal;
+  if (Math.abs(normal.dot(directions[0])) < 1e-3) return null;
+
+  const sections = [contour.map((p) => sketchPointToWorld(profile, p))];
+  for (let i = 1; i < stations.length; i++) {
+    const incoming = directions[i - 1];
+    const mitre =
+      i < directions.length
+        ? incoming.clone().add(directions[i])
+        : incoming.clone();
+    if (mitre.lengthSq() < 1e-8) return null;
+    mitre.normalize();
+    const along = incoming.dot(mitre);
+    // Slide every point of the previous section along the path onto the
+    // mitre plane through this station
+    sections.push(
+      sections[i - 1].map((s) =>
+        s
+          .clone()
+          .addScaledVector(
+            incoming,
+            stations[i].clone().sub(s).dot(mitre) / along
+          )
+      )
+    );
+  }
+
+  const geometry = solidFromSections(sections, [contour, contour]);
+  const shape = placedMesh(geometry, profile.center || new THREE.Vector3());
+  shape.userData.type = 'swept';
+  shape.userData.sweepProfile = profile;
+  shape.userData.sweepPath = path;
+
+  // Create faces and edges
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
+// Closed polygon resampled to count points evenly spaced along its length
+function resampleContour(contour, count) {
+  const lengths = [0];
+  contour.forEach((p, i) => {
+    const next = contour[(i + 1) % contour.length];
+    lengths.push(lengths[i] + p.distanceTo(next));
+  });
+  const total = lengths[lengths.length - 1];
+  const samples = [];
+  let edge = 0;
+  for (let k = 0; k < count; k++) {
+    const at = (total * k) / count;
+    while (lengths[edge + 1] < at) edge++;
+    const span = lengths[edge + 1] - lengths[edge];
+    const t = span > 0 ? (at - lengths[edge]) / span : 0;
+    samples.push(
+      contour[edge].clone().lerp(contour[(edge + 1) % contour.length], t)
+    );
+  }
+  return samples;
+}
+
+// Loft (straight blend) through two or more closed profile sketches on
+// parallel planes, in the given order. Every profile is resampled to the
+// same number of points, starting at the point closest to the first
+// profile's +X direction so the blend does not twist. Returns null when a
+// profile is open, the planes are not parallel or two profiles share a plane.
+export function createLoftedShape(sketches, samples = 64) {
+  if (!sketches || sketches.length < 2) return null;
+  const frame = getSketchPlane(sketches[0]);
+  const depths = [];
+  const contours = [];
+  for (const sketch of sketches) {
+    const contour = profileContour(sketch);
+    if (!contour) return null;
+    if (
+      getSketchPlane(sketch).normal.clone().cross(frame.normal).length() > 1e-3
+    ) {
+      return null;
+    }
+    // Express the profile in the first profile's plane frame
+    const world = contour.map((p) => sketchPointToWorld(sketch, p));
+    depths.push(world[0].clone().sub(frame.origin).dot(frame.normal));
+    let flat = world.map(
+      (p) =>
+        new THREE.Vector2(
+          p.clone().sub(frame.origin).dot(frame.xAxis),
+          p.clone().sub(frame.origin).dot(frame.yAxis)
+        )
+    );
+    if (THREE.ShapeUtils.isClockWise(flat)) flat = flat.reverse();
+    flat = resampleContour(flat, samples);
+    const centroid = flat
+      .reduce((sum, p) => sum.add(p), new THREE.Vector2())
+      .divideScalar(flat.length);
+    let start = 0;
+    flat.forEach((p, i) => {
+      const angle = Math.abs(Math.atan2(p.y - centroid.y, p.x - centroid.x));
+      const best = flat[start];
+      if (
+        angle < Math.abs(Math.atan2(best.y - centroid.y, best.x - centroid.x))
+      ) {
+        start = i;
+      }
+    });
+    contours.push([...flat.slice(start), ...flat.slice(0, start)]);
+  }
+  for (let i = 1; i < depths.length; i++) {
+    if (Math.abs(depths[i] - depths[i - 1]) < 1e-6) return null;
+  }
+
+  const sections = contours.map((contour, i) =>
+    contour.map((p) =>
+      frame.origin
+        .clone()
+        .addScaledVector(frame.xAxis, p.x)
+        .addScaledVector(frame.yAxis, p.y)
+        .addScaledVector(frame.normal, depths[i])
+    )
+  );
+  const geometry = solidFromSections(sections, [
+    contours[0],
+    contours[contours.length - 1],
+  ]);
+  const shape = placedMesh(geometry, sketches[0].center || new THREE.Vector3());
+  shape.userData.type = 'lofted';
+  shape.userData.loftSections = sketches;
+
+  // Create faces and edges
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
+// Geometry of an operand mesh in its parent's frame (mirrored operands keep
+// their outward winding)
+function operandGeometry(mesh) {
+  mesh.updateMatrix();
+  return transformGeometry(mesh.geometry, mesh.matrix);
+}
+
+// Mesh for a solid built from operands (boolean, shell or pattern), in the
+// colour of the operand it starts from
+function operandResultMesh(geometry, operand) {
+  const color = operand?.material?.color?.getHex() ?? 0x2194ce;
+  const material = new THREE.MeshStandardMaterial({
+    color,
+    flatShading: true,
+    side: THREE.DoubleSide,
+  });
+  const shape = new THREE.Mesh(geometry, material);
+  shape.castShadow = true;
+  shape.receiveShadow = true;
+  return shape;
+}
+
+// Boolean (CSG) combination of operand meshes. Operand transforms are taken
+// relative to the result, which keeps the operand data in userData.operands
+// so it can be rebuilt, serialized or split back into its operands.
+// Returns null when the result is empty.
+export function createBooleanShape(operation, operands, operandData = []) {
+  const geometries = operands.map(operandGeometry);
+  const geometry = booleanGeometry(operation, geometries);
+  geometries.forEach((g) => g.dispose());
+  if (!geometry) return null;
+
+  const shape = operandResultMesh(geometry, operands[0]);
+  shape.userData.type = 'boolean';
+  shape.userData.operation = operation;
+  shape.userData.operands = operandData;
+
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
+// Hollow solid made from one operand mesh (placed relative to the result like
+// a boolean operand, data kept in userData.operands). openings are the planes
+// of faces to remove, in the result's frame. Returns null when the wall is too
+// thick or the result is empty.
+export function createShellShape(
+  operand,
+  operandData,
+  thickness,
+  openings = []
+) {
+  const source = operandGeometry(operand);
+  const geometry = shellGeometry(source, thickness, openings);
+  source.dispose();
+  if (!geometry) return null;
+
+  const shape = operandResultMesh(geometry, operand);
+  shape.userData.type = 'shell';
+  shape.userData.thickness = thickness;
+  shape.userData.openings = openings;
+  shape.userData.operands = operandData ? [operandData] : [];
+
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
+// Linear, circular or mirror pattern of operand meshes (placed relative to
+// the result like boolean operands, data kept in userData.operands); the
+// instances are united into one solid. Returns null when the result is empty.
+export function createPatternShape(operands, operandData, pattern) {
+  const geometries = operands.map(operandGeometry);
+  const geometry = patternGeometry(geometries, pattern);
+  geometries.forEach((g) => g.dispose());
+  if (!geometry) return null;
+
+  const shape = operandResultMesh(geometry, operands[0]);
+  shape.userData.type = 'pattern';
+  shape.userData.pattern = pattern;
+  shape.userData.operands = operandData;
+
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
+// Shape made of bare triangles (e.g. an imported STL): positions is a flat
+// [x, y, z, ...] list of triangle corners, three per triangle. Returns null
+// when there is no triangle.
+export function createMeshShape(positions) {
+  if (!positions || positions.length < 9) return null;
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    'position',
+    new THREE.Float32BufferAttribute(
+      positions.slice(0, positions.length - (positions.length % 9)),
+      3
+    )
+  );
+  geometry.computeVertexNormals();
+  // Both sides, as triangles from other tools are not always outward facing
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x8c8c99,
+    flatShading: true,
+    side: THREE.DoubleSide,
+  });
+  const shape = new THREE.Mesh(geometry, material);
+  shape.castShadow = true;
+  shape.receiveShadow = true;
+
+  shape.userData.type = 'mesh';
+  updateShapeGeometry(shape);
+
+  return shape;
+}
+
 // Helper to update faces and edges after transformation
 export function updateShapeGeometry(shape) {
   if (!shape.geometry) return;
 
   // Recompute faces/edges in local space; world transform applied at usage time
-  shape.userData.faces = createFacesFromGeometry(shape.geometry);
-  shape.userData.edges = createEdgesFromGeometry(shape.geometry);
+  const { faces, edges } = analyzeTopology(shape.geometry);
+  shape.userData.faces = faces;
+  shape.userData.edges = edges;
+}
+
+// Untreated geometry of a shape that supports fillets and chamfers (boxes and
+// extruded solids), rebuilt from its parameters; null for other shapes
+export function shapeBaseGeometry(shape) {
+  const data = shape.userData;
+  if (data.type === 'box') {
+    const dims = data.dimensions || { width: 1, height: 1, depth: 1 };
+    return new THREE.BoxGeometry(dims.width, dims.height, dims.depth);
+  }
+  if (data.type === 'extruded' && data.sketchData) {
+    const base = createExtrudedShape(
+      data.sketchData,
+      data.extrusionHeight || 2,
+      data.extrusion
+    );
+    if (!base) return null;
+    base.material.dispose();
+    return base.geometry;
+  }
+  return null;
+}
+
+// Rebuild a shape's geometry from its parameters with the fillets and
+// chamfers in userData.edgeTreatments applied. Returns the indices of the
+// treatments that could not be applied (also kept in
+// userData.failedEdgeTreatments).
+export function refreshEdgeTreatments(shape) {
+  const treatments = shape.userData.edgeTreatments || [];
+  const base = shapeBaseGeometry(shape);
+  if (!base) return treatments.map((_, i) => i);
+  const { geometry, failed } = applyEdgeTreatments(base, treatments);
+  base.dispose();
+  shape.geometry.dispose();
+  shape.geometry = geometry;
+  shape.userData.failedEdgeTreatments = failed;
+  updateShapeGeometry(shape);
+  return failed;
 }
 
 // Geometry rebuild helpers for interactive resizing
@@ -222,6 +808,10 @@ export function rebuildBoxGeometry(mesh, width, height, depth) {
   mesh.geometry = new THREE.BoxGeometry(w, h, d);
   if (oldGeo) oldGeo.dispose();
   mesh.userData.dimensions = { width: w, height: h, depth: d };
+  if (mesh.userData.edgeTreatments?.length) {
+    refreshEdgeTreatments(mesh);
+    return;
+  }
   updateShapeGeometry(mesh);
 }
 
@@ -246,3 +836,82 @@ export function rebuildCylinderGeometry(mesh, radius, height, segments = 32) {
   mesh.userData.height = h;
   updateShapeGeometry(mesh);
 }
+
+export function rebuildConeGeometry(
+  mesh,
+  radiusBottom,
+  radiusTop,
+  height,
+  segments = 32
+) {
+  if (!mesh || mesh.userData.type !== 'cone') return;
+  const rb = Math.max(0, radiusBottom);
+  // One of the two radii can be zero (a pointed cone), not both
+  const rt = Math.max(rb > 0 ? 0 : 0.001, radiusTop);
+  const h = Math.max(0.001, height);
+  const oldGeo = mesh.geometry;
+  mesh.geometry = new THREE.CylinderGeometry(rt, rb, h, segments);
+  if (oldGeo) oldGeo.dispose();
+  mesh.userData.radiusBottom = rb;
+  mesh.userData.radiusTop = rt;
+  mesh.userData.height = h;
+  updateShapeGeometry(mesh);
+}
+
+export function rebuildTorusGeometry(mesh, radius, tube) {
+  if (!mesh || mesh.userData.type !== 'torus') return;
+  const r = Math.max(0.002, radius);
+  // The tube must not reach the axis
+  const t = Math.min(Math.max(0.001, tube), r * 0.99);
+  const oldGeo = mesh.geometry;
+  mesh.geometry = torusGeometry(r, t);
+  if (oldGeo) oldGeo.dispose();
+  mesh.userData.radius = r;
+  mesh.userData.tube = t;
+  updateShapeGeometry(mesh);
+}
+
+export function rebuildWedgeGeometry(mesh, width, height, depth) {
+  if (!mesh || mesh.userData.type !== 'wedge') return;
+  const w = Math.max(0.001, width);
+  const h = Math.max(0.001, height);
+  const d = Math.max(0.001, depth);
+  const oldGeo = mesh.geometry;
+  mesh.geometry = wedgeGeometry(w, h, d);
+  if (oldGeo) oldGeo.dispose();
+  mesh.userData.dimensions = { width: w, height: h, depth: d };
+  updateShapeGeometry(mesh);
+}
+
+export function rebuildPyramidGeometry(mesh, width, height, depth) {
+  if (!mesh || mesh.userData.type !== 'pyramid') return;
+  const w = Math.max(0.001, width);
+  const h = Math.max(0.001, height);
+  const d = Math.max(0.001, depth);
+  const oldGeo = mesh.geometry;
+  mesh.geometry = pyramidGeometry(w, h, d);
+  if (oldGeo) oldGeo.dispose();
+  mesh.userData.dimensions = { width: w, height: h, depth: d };
+  updateShapeGeometry(mesh);
+}
+
+export function rebuildTubeGeometry(
+  mesh,
+  outerRadius,
+  innerRadius,
+  height,
+  segments = 32
+) {
+  if (!mesh || mesh.userData.type !== 'tube') return;
+  const ro = Math.max(0.002, outerRadius);
+  // The wall keeps some thickness
+  const ri = Math.min(Math.max(0.001, innerRadius), ro * 0.99);
+  const h = Math.max(0.001, height);
+  const oldGeo = mesh.geometry;
+  mesh.geometry = tubeGeometry(ro, ri, h, segments);
+  if (oldGeo) oldGeo.dispose();
+  mesh.userData.outerRadius = ro;
+  mesh.userData.innerRadius = ri;
+  mesh.userData.height = h;
+  updateShapeGeometry(mesh);
+}
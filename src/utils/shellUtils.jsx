@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import { booleanGeometry } from './csgUtils';
+import { vertexKey } from './topologyUtils';
+
+// Hollowing of closed meshes. The cavity is a copy of the mesh whose every
+// vertex is moved so it sits `thickness` inside each plane around it; faces on
+// an opening plane are moved outwards instead, so the cavity breaks through
+// them. The shell is the mesh minus the cavity.
+//
+// Meshes coming out of booleans have T-junctions, so a vertex takes the planes
+// of every triangle it lies on, not only of the triangles it is a corner of.
+
+const SAME_PLANE = 1 - 1e-4;
+
+function onTriangle(point, triangle, tolerance) {
+  const { corners, normal, box } = triangle;
+  if (box.distanceToPoint(point) > tolerance) return false;
+  if (Math.abs(normal.dot(point.clone().sub(corners[0]))) > tolerance) {
+    return false;
+  }
+  // Inside (or on) every side
+  return corners.every((a, i) => {
+    const b = corners[(i + 1) % 3];
+    const side = b.clone().sub(a);
+    const inward = normal.clone().cross(side).normalize();
+    return inward.dot(point.clone().sub(a)) > -tolerance;
+  });
+}
+
+// Offset that best satisfies normal · offset = shift for every plane
+// (least squares, slightly damped for nearly parallel planes)
+function solveOffset(planes) {
+  const a = new THREE.Matrix3().set(1e-9, 0, 0, 0, 1e-9, 0, 0, 0, 1e-9);
+  const b = new THREE.Vector3();
+  planes.forEach(({ normal: n, shift }) => {
+    const e = a.elements;
+    e[0] += n.x * n.x;
+    e[1] += n.y * n.x;
+    e[2] += n.z * n.x;
+    e[3] += n.x * n.y;
+    e[4] += n.y * n.y;
+    e[5] += n.z * n.y;
+    e[6] += n.x * n.z;
+    e[7] += n.y * n.z;
+    e[8] += n.z * n.z;
+    b.addScaledVector(n, shift);
+  });
+  return b.applyMatrix3(a.invert());
+}
+
+// Hollow geometry to a wall thickness. openings are planes { point, normal }
+// (in geometry coordinates) whose faces are removed. Returns null when the
+// wall is too thick for the shape or the result is empty.
+export function shellGeometry(geometry, thickness, openings = []) {
+  if (!(thickness > 0)) return null;
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const positions = source.attributes.position;
+  geometry.computeBoundingBox();
+  const tolerance = Math.max(
+    1e-5,
+    geometry.boundingBox.getSize(new THREE.Vector3()).length() * 1e-5
+  );
+  const openingPlanes = openings.map((o) => {
+    const normal = new THREE.Vector3(o.normal.x, o.normal.y, o.normal.z);
+    normal.normalize();
+    const point = new THREE.Vector3(o.point.x, o.point.y, o.point.z);
+    return { normal, offset: normal.dot(point) };
+  });
+
+  const triangles = [];
+  const vertices = new Map();
+  for (let i = 0; i + 2 < positions.count; i += 3) {
+    const corners = [0, 1, 2].map((k) =>
+      new THREE.Vector3().fromBufferAttribute(positions, i + k)
+    );
+    const normal = corners[1]
+      .clone()
+      .sub(corners[0])
+      .cross(corners[2].clone().sub(corners[0]));
+    if (normal.lengthSq() < 1e-18) continue;
+    normal.normalize();
+    const opening = openingPlanes.some(
+      (p) =>
+        p.normal.dot(normal) > SAME_PLANE &&
+        Math.abs(normal.dot(corners[0]) - p.offset) < tolerance
+    );
+    const keys = corners.map((v) => {
+      const key = vertexKey(v);
+      if (!vertices.has(key)) vertices.set(key, { point: v, planes: [] });
+      return key;
+    });
+    const box = new THREE.Box3().setFromPoints(corners);
+    triangles.push({ corners, keys, normal, box, opening });
+  }
+  if (source !== geometry) source.dispose();
+  if (triangles.length === 0) return null;
+
+  vertices.forEach(({ point, planes }) =>
+    triangles.forEach((triangle) => {
+      if (!onTriangle(point, triangle, tolerance)) return;
+      const { normal, opening } = triangle;
+      const shift = opening ? thickness : -thickness;
+      const same = planes.find((p) => p.normal.dot(normal) > SAME_PLANE);
+      if (!same) planes.push({ normal, shift });
+      else if (opening) same.shift = shift;
+    })
+  );
+
+  const moved = new Map();
+  vertices.forEach(({ point, planes }, key) =>
+    moved.set(key, point.clone().add(solveOffset(planes)))
+  );
+
+  // The cavity must keep the orientation of every face and enclose a positive
+  // volume; otherwise the wall is thicker than the shape allows
+  const cavity = [];
+  let volume = 0;
+  for (const { keys, normal } of triangles) {
+    const [a, b, c] = keys.map((key) => moved.get(key));
+    const cavityNormal = b.clone().sub(a).cross(c.clone().sub(a));
+    if (cavityNormal.dot(normal) <= 0) return null;
+    volume += a.dot(b.clone().cross(c)) / 6;
+    cavity.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+  }
+  if (volume <= 0) return null;
+  const cavityGeometry = new THREE.BufferGeometry();
+  cavityGeometry.setAttribute(
+    'position',
+    new THREE.Float32BufferAttribute(cavity, 3)
+  );
+
+  const result = booleanGeometry('subtract', [geometry, cavityGeometry]);
+  cavityGeometry.dispose();
+  return result;
+}
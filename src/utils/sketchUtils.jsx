@@ -0,0 +1,558 @@
+import * as THREE from 'three';
+
+// Sketch profiles are stored as an ordered list of 2D segments in the sketch's
+// local coordinates (relative to sketch.center). Supported segment types:
+//   { type: 'line', start: {x, y}, end: {x, y} }
+//   { type: 'arc', start, end, center, radius, clockwise }
+//   { type: 'circle', center, radius }
+// Rectangle and circle sketches are expanded into segments on demand.
+//
+// Every sketch lives on a plane frame { origin, xAxis, yAxis, normal } (world
+// space). Sketch 2D x/y map onto xAxis/yAxis and extrusion grows along normal.
+// Sketches without a plane (older scenes) lie on the ground (XZ) plane.
+
+const CLOSE_EPSILON = 1e-4;
+
+function pt(x, y) {
+  return { x, y };
+}
+
+export function pointsEqual(a, b, tolerance = CLOSE_EPSILON) {
+  if (!a || !b) return false;
+  return Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+}
+
+// Build a right-handed sketch frame on the plane through origin with normal.
+// The in-plane x axis follows world X for horizontal planes, otherwise it is
+// the horizontal direction perpendicular to the normal.
+export function createSketchPlane(origin, normal) {
+  const n = normal.clone().normalize();
+  const xAxis =
+    Math.abs(n.y) > 0.99
+      ? new THREE.Vector3(1, 0, 0)
+      : new THREE.Vector3(0, 1, 0).cross(n).normalize();
+  const yAxis = n.clone().cross(xAxis).normalize();
+  return { origin: origin.clone(), xAxis, yAxis, normal: n };
+}
+
+// Standard planes: 'XZ' (ground/top), 'XY' (front), 'YZ' (right), optionally
+// offset along their normal
+export function standardSketchPlane(name = 'XZ', offset = 0) {
+  let normal;
+  if (name === 'XY') {
+    normal = new THREE.Vector3(0, 0, 1);
+  } else if (name === 'YZ') {
+    normal = new THREE.Vector3(1, 0, 0);
+  } else {
+    normal = new THREE.Vector3(0, 1, 0);
+  }
+  const plane = createSketchPlane(
+    normal.clone().multiplyScalar(offset),
+    normal
+  );
+  plane.name = name;
+  plane.offset = offset;
+  return plane;
+}
+
+export function getSketchPlane(sketch) {
+  return (sketch && sketch.plane) || standardSketchPlane('XZ');
+}
+
+// Orientation that maps local X/Y/Z onto the plane's xAxis/yAxis/normal
+export function planeQuaternion(plane) {
+  const basis = new THREE.Matrix4().makeBasis(
+    plane.xAxis,
+    plane.yAxis,
+    plane.normal
+  );
+  return new THREE.Quaternion().setFromRotationMatrix(basis);
+}
+
+// Helper: Convert a world point on the sketch plane to sketch 2D coords
+export function worldToSketch(point, plane = standardSketchPlane('XZ')) {
+  const d = point.clone().sub(plane.origin);
+  return pt(d.dot(plane.xAxis), d.dot(plane.yAxis));
+}
+
+// Helper: Convert sketch 2D coords back to a world point, optionally lifted
+// off the plane along its normal
+export function sketchToWorld(
+  point,
+  plane = standardSketchPlane('XZ'),
+  lift = 0
+) {
+  return plane.origin
+    .clone()
+    .addScaledVector(plane.xAxis, point.x)
+    .addScaledVector(plane.yAxis, point.y)
+    .addScaledVector(plane.normal, lift);
+}
+
+// Helper: World position of a point given in a sketch's own coordinates
+// (relative to its center, like its segments)
+export function sketchPointToWorld(sketch, point) {
+  const plane = getSketchPlane(sketch);
+  return (sketch.center ? sketch.center.clone() : new THREE.Vector3())
+    .addScaledVector(plane.xAxis, point.x)
+    .addScaledVector(plane.yAxis, point.y);
+}
+
+export function segmentsFromSketch(sketch) {
+  if (!sketch) return [];
+  if (sketch.type === 'rectangle') {
+    const hw = (sketch.width || 0) / 2;
+    const hh = (sketch.height || 0) / 2;
+    const corners = [pt(-hw, -hh), pt(hw, -hh), pt(hw, hh), pt(-hw, hh)];
+    return corners.map((start, i) => ({
+      type: 'line',
+      start,
+      end: corners[(i + 1) % corners.length],
+    }));
+  }
+  if (sketch.type === 'circle') {
+    return [{ type: 'circle', center: pt(0, 0), radius: sketch.radius || 0 }];
+  }
+  return sketch.segments || [];
+}
+
+// Start/end points of a segment (circles are closed on themselves)
+export function segmentStart(seg) {
+  if (seg.type === 'circle') return pt(seg.center.x + seg.radius, seg.center.y);
+  return seg.start;
+}
+
+export function segmentEnd(seg) {
+  if (seg.type === 'circle') return pt(seg.center.x + seg.radius, seg.center.y);
+  return seg.end;
+}
+
+export function isClosedProfile(segments) {
+  if (!segments || segments.length === 0) return false;
+  if (segments.length === 1 && segments[0].type === 'circle') return true;
+  if (segments.some((s) => s.type === 'circle')) return false;
+  for (let i = 1; i < segments.length; i++) {
+    if (!pointsEqual(segments[i - 1].end, segments[i].start)) return false;
+  }
+  // A single straight line can never enclose an area
+  if (segments.length === 1 && segments[0].type === 'line') return false;
+  return pointsEqual(segments[segments.length - 1].end, segments[0].start);
+}
+
+export function isSketchClosed(sketch) {
+  if (!sketch) return false;
+  if (sketch.type === 'rectangle' || sketch.type === 'circle') return true;
+  return isClosedProfile(sketch.segments);
+}
+
+// Angles of an arc's start and end points about its center
+export function arcAngles(seg) {
+  return {
+    startAngle: Math.atan2(
+      seg.start.y - seg.center.y,
+      seg.start.x - seg.center.x
+    ),
+    endAngle: Math.atan2(seg.end.y - seg.center.y, seg.end.x - seg.center.x),
+  };
+}
+
+// Signed sweep of an arc (positive = counterclockwise)
+export function arcSweep(seg) {
+  const { startAngle, endAngle } = arcAngles(seg);
+  let sweep = endAngle - startAngle;
+  if (seg.clockwise) {
+    while (sweep >= 0) sweep -= Math.PI * 2;
+  } else {
+    while (sweep <= 0) sweep += Math.PI * 2;
+  }
+  return sweep;
+}
+
+// Arc through three points, running from start via mid to end
+export function arcFromThreePoints(start, mid, end) {
+  const ax = start.x;
+  const ay = start.y;
+  const bx = mid.x;
+  const by = mid.y;
+  const cx = end.x;
+  const cy = end.y;
+  const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+  if (Math.abs(d) < 1e-9) return null; // collinear
+
+  const a2 = ax * ax + ay * ay;
+  const b2 = bx * bx + by * by;
+  const c2 = cx * cx + cy * cy;
+  const center = pt(
+    (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d,
+    (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d
+  );
+  const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+
+  return {
+    type: 'arc',
+    start: pt(ax, ay),
+    end: pt(cx, cy),
+    center,
+    radius: Math.hypot(ax - center.x, ay - center.y),
+    clockwise: cross < 0,
+  };
+}
+
+// Arc from start to end that leaves start along the given tangent direction
+export function tangentArc(start, tangent, end) {
+  const len = Math.hypot(tangent.x, tangent.y);
+  if (len < 1e-9) return null;
+  const t = pt(tangent.x / len, tangent.y / len);
+  const n = pt(-t.y, t.x); // left normal
+  const d = pt(end.x - start.x, end.y - start.y);
+  const dn = d.x * n.x + d.y * n.y;
+  if (Math.abs(dn) < 1e-9) return null; // end lies on the tangent line
+
+  const signedRadius = (d.x * d.x + d.y * d.y) / (2 * dn);
+  const center = pt(start.x + n.x * signedRadius, start.y + n.y * signedRadius);
+
+  return {
+    type: 'arc',
+    start: pt(start.x, start.y),
+    end: pt(end.x, end.y),
+    center,
+    radius: Math.abs(signedRadius),
+    clockwise: signedRadius < 0,
+  };
+}
+
+// Unit direction of travel at the end of a segment
+export function segmentEndTangent(seg) {
+  if (!seg) return null;
+  if (seg.type === 'line') {
+    const dx = seg.end.x - seg.start.x;
+    const dy = seg.end.y - seg.start.y;
+    const len = Math.hypot(dx, dy);
+    return len > 1e-9 ? pt(dx / len, dy / len) : null;
+  }
+  if (seg.type === 'arc') {
+    const rx = seg.end.x - seg.center.x;
+    const ry = seg.end.y - seg.center.y;
+    const len = Math.hypot(rx, ry);
+    if (len < 1e-9) return null;
+    return seg.clockwise ? pt(ry / len, -rx / len) : pt(-ry / len, rx / len);
+  }
+  return null;
+}
+
+export function sampleSegment(seg, divisions = 24) {
+  if (seg.type === 'line') {
+    return [pt(seg.start.x, seg.start.y), pt(seg.end.x, seg.end.y)];
+  }
+  if (seg.type === 'circle') {
+    const points = [];
+    for (let i = 0; i <= divisions * 2; i++) {
+      const a = (i / (divisions * 2)) * Math.PI * 2;
+      points.push(
+        pt(
+          seg.center.x + Math.cos(a) * seg.radius,
+          seg.center.y + Math.sin(a) * seg.radius
+        )
+      );
+    }
+    return points;
+  }
+  if (seg.type === 'arc') {
+    const { startAngle } = arcAngles(seg);
+    const sweep = arcSweep(seg);
+    const steps = Math.max(
+      2,
+      Math.ceil((Math.abs(sweep) / (Math.PI * 2)) * divisions * 2)
+    );
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const a = startAngle + (sweep * i) / steps;
+      points.push(
+        pt(
+          seg.center.x + Math.cos(a) * seg.radius,
+          seg.center.y + Math.sin(a) * seg.radius
+        )
+      );
+    }
+    return points;
+  }
+  return [];
+}
+
+// Flattened polyline through all segments of a sketch
+export function sketchOutlinePoints(sketch, divisions = 24) {
+  const points = [];
+  segmentsFromSketch(sketch).forEach((seg) => {
+    const sampled = sampleSegment(seg, divisions);
+    sampled.forEach((p, i) => {
+      if (i === 0 && points.length > 0) {
+        if (pointsEqual(points[points.length - 1], p)) return;
+      }
+      points.push(p);
+    });
+  });
+  return points;
+}
+
+// Build a THREE.Shape from a closed sketch profile; returns null for open ones
+export function sketchToShape(sketch) {
+  const segments = segmentsFromSketch(sketch);
+  if (!isClosedProfile(segments)) return null;
+
+  const shape2D = new THREE.Shape();
+  if (segments.length === 1 && segments[0].type === 'circle') {
+    const c = segments[0];
+    shape2D.absarc(c.center.x, c.center.y, c.radius, 0, Math.PI * 2, false);
+    return shape2D;
+  }
+
+  shape2D.moveTo(segments[0].start.x, segments[0].start.y);
+  segments.forEach((seg) => {
+    if (seg.type === 'line') {
+      shape2D.lineTo(seg.end.x, seg.end.y);
+    } else if (seg.type === 'arc') {
+      const { startAngle } = arcAngles(seg);
+      const sweep = arcSweep(seg);
+      shape2D.absarc(
+        seg.center.x,
+        seg.center.y,
+        seg.radius,
+        startAngle,
+        startAngle + sweep,
+        seg.clockwise
+      );
+    }
+  });
+  return shape2D;
+}
+
+export function profileBounds(segments) {
+  const box = new THREE.Box2();
+  segments.forEach((seg) => {
+    sampleSegment(seg).forEach((p) =>
+      box.expandByPoint(new THREE.Vector2(p.x, p.y))
+    );
+  });
+  return box;
+}
+
+export function translateSegment(seg, dx, dy) {
+  const move = (p) => pt(p.x + dx, p.y + dy);
+  if (seg.type === 'circle') {
+    return { ...seg, center: move(seg.center) };
+  }
+  const next = { ...seg, start: move(seg.start), end: move(seg.end) };
+  if (seg.type === 'arc') next.center = move(seg.center);
+  return next;
+}
+
+// Coincident constraints joining consecutive segments of a chain (and the
+// last segment back to the first when the chain is closed)
+export function chainConstraints(segments) {
+  const constraints = [];
+  const join = (a, b) =>
+    constraints.push({
+      type: 'coincident',
+      refs: [
+        { seg: a, point: 'end' },
+        { seg: b, point: 'start' },
+      ],
+    });
+  for (let i = 1; i < segments.length; i++) {
+    if (pointsEqual(segments[i - 1].end, segments[i].start)) join(i - 1, i);
+  }
+  if (segments.length > 1 && isClosedProfile(segments)) {
+    join(segments.length - 1, 0);
+  }
+  return constraints;
+}
+
+// Build a profile sketch from segments given in absolute sketch coordinates.
+// The profile is re-centered on its bounding box so it behaves like the
+// rectangle/circle sketches, whose geometry is relative to sketch.center.
+export function createProfileSketch(
+  absoluteSegments,
+  plane,
+  extraConstraints = []
+) {
+  const bounds = profileBounds(absoluteSegments);
+  const mid = bounds.getCenter(new THREE.Vector2());
+  const segments = absoluteSegments.map((s) =>
+    translateSegment(s, -mid.x, -mid.y)
+  );
+  return {
+    type: 'profile',
+    center: sketchToWorld(mid, plane),
+    plane,
+    segments,
+    constraints: [...chainConstraints(segments), ...extraConstraints],
+    closed: isClosedProfile(segments),
+  };
+}
+
+// Draggable points of a profile sketch, in sketch-local coordinates
+export function profileHandles(sketch) {
+  if (!sketch || sketch.type !== 'profile') return [];
+  const handles = [];
+  (sketch.segments || []).forEach((seg, i) => {
+    if (seg.type !== 'circle') {
+      handles.push({ ref: { seg: i, point: 'start' }, position: seg.start });
+      handles.push({ ref: { seg: i, point: 'end' }, position: seg.end });
+    }
+    if (seg.type === 'arc' || seg.type === 'circle') {
+      handles.push({ ref: { seg: i, point: 'center' }, position: seg.center });
+    }
+  });
+  return handles;
+}
+
+// Visualization object for a sketch: filled for closed profiles, dashed
+// outline for open (construction) profiles.
+export function createSketchMesh(sketch, options = {}) {
+  const { color = 0x00aa00, opacity = 0.3, lift = 0.002 } = options;
+  let object;
+
+  if (isSketchClosed(sketch)) {
+    const shape2D = sketchToShape(sketch);
+    const geometry = new THREE.ShapeGeometry(shape2D, 32);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      opacity,
+      transparent: true,
+      side: THREE.DoubleSide,
+    });
+    object = new THREE.Mesh(geometry, material);
+  } else {
+    const points = sketchOutlinePoints(sketch).map(
+      (p) => new THREE.Vector3(p.x, p.y, 0)
+    );
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineDashedMaterial({
+      color: 0x666666,
+      dashSize: 0.2,
+      gapSize: 0.1,
+    });
+    object = new THREE.Line(geometry, material);
+    object.computeLineDistances();
+  }
+
+  // Vertex markers for the points that can be dragged / constrained
+  const handles = profileHandles(sketch);
+  if (handles.length > 0) {
+    const markerGeometry = new THREE.BufferGeometry().setFromPoints(
+      handles.map((h) => new THREE.Vector3(h.position.x, h.position.y, 0))
+    );
+    const markerMaterial = new THREE.PointsMaterial({
+      color: 0x115511,
+      size: 6,
+      sizeAttenuation: false,
+    });
+    object.add(new THREE.Points(markerGeometry, markerMaterial));
+  }
+
+  const plane = getSketchPlane(sketch);
+  object.quaternion.copy(planeQuaternion(plane));
+  if (sketch.center) object.position.copy(sketch.center);
+  // Lift slightly off the plane so sketches on faces don't z-fight
+  object.position.addScaledVector(plane.normal, lift);
+  object.userData.sketch = sketch;
+  return object;
+}
+
+function serializeVector(v) {
+  return { x: v.x || 0, y: v.y || 0, z: v.z || 0 };
+}
+
+export function serializePlane(plane) {
+  const data = {
+    origin: serializeVector(plane.origin),
+    xAxis: serializeVector(plane.xAxis),
+    yAxis: serializeVector(plane.yAxis),
+    normal: serializeVector(plane.normal),
+  };
+  if (plane.name) data.name = plane.name;
+  if (plane.offset) data.offset = plane.offset;
+  return data;
+}
+
+export function deserializePlane(data) {
+  const vec = (v) => new THREE.Vector3(v.x || 0, v.y || 0, v.z || 0);
+  const plane = {
+    origin: vec(data.origin),
+    xAxis: vec(data.xAxis),
+    yAxis: vec(data.yAxis),
+    normal: vec(data.normal),
+  };
+  if (data.name) plane.name = data.name;
+  if (data.offset) plane.offset = data.offset;
+  return plane;
+}
+
+function serializePoint(p) {
+  return { x: p.x || 0, y: p.y || 0 };
+}
+
+function serializeSegment(seg) {
+  if (seg.type === 'circle') {
+    return {
+      type: 'circle',
+      center: serializePoint(seg.center),
+      radius: seg.radius,
+    };
+  }
+  const data = {
+    type: seg.type,
+    start: serializePoint(seg.start),
+    end: serializePoint(seg.end),
+  };
+  if (seg.type === 'arc') {
+    data.center = serializePoint(seg.center);
+    data.radius = seg.radius;
+    data.clockwise = !!seg.clockwise;
+  }
+  return data;
+}
+
+// Plain JSON form of a sketch (rectangle, circle or profile)
+export function serializeSketch(sketch) {
+  const data = { type: sketch.type };
+
+  if (sketch.type === 'rectangle') {
+    data.width = sketch.width;
+    data.height = sketch.height;
+  } else if (sketch.type === 'circle') {
+    data.radius = sketch.radius;
+  } else if (sketch.type === 'profile') {
+    data.segments = (sketch.segments || []).map(serializeSegment);
+    data.closed = isClosedProfile(sketch.segments);
+  }
+  data.constraints = JSON.parse(JSON.stringify(sketch.constraints || []));
+  if (sketch.center) {
+    data.center = serializeVector(sketch.center);
+  }
+  if (sketch.plane) {
+    data.plane = serializePlane(sketch.plane);
+  }
+  if (sketch.featureId) data.featureId = sketch.featureId;
+  return data;
+}
+
+export function deserializeSketch(data) {
+  const sketch = { type: data.type };
+  const c = data.center || { x: 0, y: 0, z: 0 };
+  sketch.center = new THREE.Vector3(c.x || 0, c.y || 0, c.z || 0);
+  if (data.plane) sketch.plane = deserializePlane(data.plane);
+  if (data.featureId) sketch.featureId = data.featureId;
+
+  if (data.type === 'rectangle') {
+    sketch.width = data.width;
+    sketch.height = data.height;
+  } else if (data.type === 'circle') {
+    sketch.radius = data.radius;
+  } else if (data.type === 'profile') {
+    sketch.segments = (data.segments || []).map((s) => serializeSegment(s));
+    sketch.closed = isClosedProfile(sketch.segments);
+  }
+  sketch.constraints = JSON.parse(JSON.stringify(data.constraints || []));
+  return sketch;
+}
@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+import {
+  getSketchPlane,
+  segmentsFromSketch,
+  sampleSegment,
+  sketchPointToWorld,
+  arcAngles,
+  arcSweep,
+} from './sketchUtils';
+import { edgePoints, transformEdge } from './topologyUtils';
+
+// Object snaps: points of bodies and sketches that the pointer (or a shape
+// being moved) locks onto when it comes within SNAP_PIXELS of them on screen.
+// Bodies contribute the ends and midpoints of their feature edges (along the
+// arc for arcs; circles have neither), face centers and the centers of arcs
+// and circles; sketches their segment ends,
+// midpoints and arc/circle centers. Everything is gathered in world space.
+
+export const SNAP_TYPES = {
+  endpoint: { label: 'Endpoint', glyph: '□' },
+  midpoint: { label: 'Midpoint', glyph: '△' },
+  center: { label: 'Center', glyph: '○' },
+  intersection: { label: 'Intersection', glyph: '✕' },
+  perpendicular: { label: 'Perpendicular', glyph: '⊥' },
+  tangent: { label: 'Tangent', glyph: '◡' },
+  edge: { label: 'On edge', glyph: '⧄' },
+  face: { label: 'On face', glyph: '◇' },
+};
+
+export const DEFAULT_SNAPS = {
+  endpoint: true,
+  midpoint: true,
+  center: true,
+  intersection: true,
+  perpendicular: true,
+  tangent: true,
+  edge: true,
+  face: false,
+};
+
+export const SNAP_PIXELS = 10;
+
+// Point snaps win over snaps derived from a reference point, which win over
+// the nearest point on an edge or a face
+const SNAP_TIERS = {
+  endpoint: 0,
+  midpoint: 0,
+  center: 0,
+  intersection: 0,
+  perpendicular: 1,
+  tangent: 1,
+  edge: 2,
+  face: 3,
+};
+
+function pointKey(type, p) {
+  return `${type}:${p.x.toFixed(5)},${p.y.toFixed(5)},${p.z.toFixed(5)}`;
+}
+
+function addPoint(geometry, point, type) {
+  const key = pointKey(type, point);
+  if (geometry.keys.has(key)) return;
+  geometry.keys.add(key);
+  geometry.points.push({ point, type });
+}
+
+// Point of an arc or circle edge at an angle from its start
+function alongArc(edge, angle) {
+  return edge.start
+    .clone()
+    .sub(edge.center)
+    .applyAxisAngle(edge.normal, angle)
+    .add(edge.center);
+}
+
+// Whether an arc edge covers the direction of p from its center
+function edgeCovers(edge, p) {
+  const d = p.clone().sub(edge.center);
+  const u = edge.start.clone().sub(edge.center).normalize();
+  const v = edge.normal.clone().cross(u);
+  const turn = Math.PI * 2;
+  const angle = (Math.atan2(d.dot(v), d.dot(u)) + turn) % turn;
+  return angle <= edge.angle + 1e-9;
+}
+
+function addBodySnaps(geometry, mesh) {
+  const matrix = mesh.matrixWorld;
+  const toWorld = (p) => p.clone().applyMatrix4(matrix);
+
+  (mesh.userData.edges || []).forEach((local) => {
+    const edge = transformEdge(local, matrix);
+    if (edge.type !== 'circle') {
+      addPoint(geometry, edge.start, 'endpoint');
+      addPoint(geometry, edge.end, 'endpoint');
+    }
+    if (edge.type === 'arc') {
+      addPoint(geometry, alongArc(edge, edge.angle / 2), 'midpoint');
+    } else if (edge.type !== 'circle') {
+      addPoint(geometry, edge.start.clone().lerp(edge.end, 0.5), 'midpoint');
+    }
+    if (edge.radius) {
+      addPoint(geometry, edge.center, 'center');
+      geometry.circles.push({
+        center: edge.center,
+        normal: edge.normal,
+        radius: edge.radius,
+        covers: edge.type === 'arc' ? (p) => edgeCovers(edge, p) : undefined,
+      });
+    }
+    const points = edgePoints(edge);
+    for (let i = 1; i < points.length; i++) {
+      geometry.segments.push({
+        start: points[i - 1],
+        end: points[i],
+        curve: edge,
+      });
+    }
+  });
+
+  (mesh.userData.faces || []).forEach((face) => {
+    if (face.type === 'spherical') {
+      addPoint(geometry, toWorld(face.origin), 'center');
+    } else if (face.type === 'planar') {
+      addPoint(geometry, toWorld(face.center), 'center');
+    }
+  });
+  geometry.meshes.push(mesh);
+}
+
+// Whether an arc (sketch coordinates) covers the direction of p from its center
+function arcCovers(seg, p) {
+  const { startAngle } = arcAngles(seg);
+  const sweep = arcSweep(seg);
+  const angle = Math.atan2(p.y - seg.center.y, p.x - seg.center.x);
+  const turn = Math.PI * 2;
+  const offset = (((sweep >= 0 ? 1 : -1) * (angle - startAngle)) % turn) + turn;
+  return offset % turn <= Math.abs(sweep) + 1e-9;
+}
+
+function addSketchSnaps(geometry, sketch) {
+  const plane = getSketchPlane(sketch);
+  const origin = sketch.center || plane.origin;
+  const toWorld = (p) => sketchPointToWorld(sketch, p);
+  const toSketch = (p) => {
+    const d = p.clone().sub(origin);
+    return { x: d.dot(plane.xAxis), y: d.dot(plane.yAxis) };
+  };
+
+  segmentsFromSketch(sketch).forEach((seg) => {
+    if (seg.type !== 'circle') {
+      addPoint(geometry, toWorld(seg.start), 'endpoint');
+      addPoint(geometry, toWorld(seg.end), 'endpoint');
+    }
+    if (seg.type === 'line') {
+      addPoint(
+        geometry,
+        toWorld({
+          x: (seg.start.x + seg.end.x) / 2,
+          y: (seg.start.y + seg.end.y) / 2,
+        }),
+        'midpoint'
+      );
+    }
+    if (seg.type === 'arc' || seg.type === 'circle') {
+      const center = toWorld(seg.center);
+      addPoint(geometry, center, 'center');
+      geometry.circles.push({
+        center,
+        normal: plane.normal,
+        radius: seg.radius,
+        covers:
+          seg.type === 'arc' ? (p) => arcCovers(seg, toSketch(p)) : undefined,
+      });
+    }
+    if (seg.type === 'arc') {
+      const { startAngle } = arcAngles(seg);
+      const middle = startAngle + arcSweep(seg) / 2;
+      addPoint(
+        geometry,
+        toWorld({
+          x: seg.center.x + Math.cos(middle) * seg.radius,
+          y: seg.center.y + Math.sin(middle) * seg.radius,
+        }),
+        'midpoint'
+      );
+    }
+    const sampled = sampleSegment(seg).map(toWorld);
+    for (let i = 1; i < sampled.length; i++) {
+      geometry.segments.push({
+        start: sampled[i - 1],
+        end: sampled[i],
+        curve: seg.type === 'line' ? undefined : seg,
+      });
+    }
+  });
+}
+
+// Snap geometry of the given shapes (and their children) and sketches,
+// leaving out anything in exclude
+export function collectSnapGeometry(objects, sketches = [], exclude = []) {
+  const geometry = {
+    points: [],
+    segments: [],
+    circles: [],
+    meshes: [],
+    keys: new Set(),
+  };
+  objects.forEach((object) => {
+    if (exclude.includes(object)) return;
+    object.updateMatrixWorld(true);
+    object.traverse((child) => {
+      if (child.isMesh && child.userData.faces) addBodySnaps(geometry, child);
+    });
+  });
+  sketches.forEach((sketch) => {
+    if (!exclude.includes(sketch)) addSketchSnaps(geometry, sketch);
+  });
+  return geometry;
+}
+
+// Pixel position of a world point, or null behind the camera
+function toScreen(point, view) {
+  const ndc = point.clone().project(view.camera);
+  if (ndc.z < -1 || ndc.z > 1) return null;
+  return new THREE.Vector2(
+    ((ndc.x + 1) / 2) * view.width,
+    ((1 - ndc.y) / 2) * view.height
+  );
+}
+
+// Closest points of two segments (the pair of points on each)
+export function segmentClosestPoints(a, b) {
+  const d1 = a.end.clone().sub(a.start);
+  const d2 = b.end.clone().sub(b.start);
+  const r = a.start.clone().sub(b.start);
+  const aa = d1.dot(d1);
+  const ee = d2.dot(d2);
+  const f = d2.dot(r);
+  const c = d1.dot(r);
+  const bb = d1.dot(d2);
+  const denominator = aa * ee - bb * bb;
+  let s = denominator > 1e-12 ? (bb * f - c * ee) / denominator : 0;
+  s = Math.max(0, Math.min(1, s));
+  let t = (bb * s + f) / ee;
+  if (t < 0 || t > 1) {
+    t = Math.max(0, Math.min(1, t));
+    s = Math.max(0, Math.min(1, (bb * t - c) / aa));
+  }
+  return [
+    a.start.clone().addScaledVector(d1, s),
+    b.start.clone().addScaledVector(d2, t),
+  ];
+}
+
+// Points where lines from `from` touch a circle, in the circle's plane
+function tangentPoints(circle, from) {
+  const { center, normal, radius } = circle;
+  const d = from.clone().sub(center);
+  d.addScaledVector(normal, -d.dot(normal));
+  const distance = d.length();
+  if (distance <= radius * (1 + 1e-6)) return [];
+  const u = d.divideScalar(distance);
+  const w = normal.clone().cross(u);
+  const alpha = Math.acos(radius / distance);
+  return [1, -1].map((sign) =>
+    center
+      .clone()
+      .addScaledVector(u, radius * Math.cos(alpha))
+      .addScaledVector(w, sign * radius * Math.sin(alpha))
+  );
+}
+
+// Snap for the pointer. view is { camera, ray, width, height, pointer } with
+// the pointer in pixels of the canvas. from is the reference point for
+// perpendicular and tangent snaps (the previous point of what is being drawn);
+// when a plane (THREE.Plane) is given the snapped point is projected onto it.
+// Returns { point, type } or null.
+export function findSnap(geometry, view, options = {}) {
+  const { enabled = DEFAULT_SNAPS, from = null, plane = null } = options;
+  let best = null;
+  const consider = (point, type, distance) => {
+    if (!enabled[type] || distance > SNAP_PIXELS) return;
+    const tier = SNAP_TIERS[type];
+    if (
+      best &&
+      (best.tier < tier || (best.tier === tier && best.distance <= distance))
+    ) {
+      return;
+    }
+    best = { point, type, tier, distance };
+  };
+  const screenDistance = (point) => {
+    const screen = toScreen(point, view);
+    return screen ? screen.distanceTo(view.pointer) : Infinity;
+  };
+
+  geometry.points.forEach(({ point, type }) =>
+    consider(point, type, screenDistance(point))
+  );
+
+  // Segments passing under the pointer, with their point nearest the ray
+  const near = [];
+  geometry.segments.forEach((segment) => {
+    const onSegment = new THREE.Vector3();
+    view.ray.distanceSqToSegment(
+      segment.start,
+      segment.end,
+      undefined,
+      onSegment
+    );
+    const distance = screenDistance(onSegment);
+    if (distance <= SNAP_PIXELS) near.push({ segment, onSegment, distance });
+  });
+  near.forEach(({ onSegment, distance }) =>
+    consider(onSegment, 'edge', distance)
+  );
+
+  if (enabled.intersection) {
+    for (let i = 0; i < near.length; i++) {
+      for (let j = i + 1; j < near.length; j++) {
+        const a = near[i].segment;
+        const b = near[j].segment;
+        // Neighbouring pieces of one arc or circle meet at its tessellation
+        if (a.curve && a.curve === b.curve) continue;
+        const [p, q] = segmentClosestPoints(a, b);
+        const size = Math.max(
+          a.start.distanceTo(a.end),
+          b.start.distanceTo(b.end)
+        );
+        if (p.distanceTo(q) > size * 1e-4) continue;
+        const point = p.lerp(q, 0.5);
+        consider(point, 'intersection', screenDistance(point));
+      }
+    }
+  }
+
+  if (from && enabled.perpendicular) {
+    near.forEach(({ segment }) => {
+      const line = new THREE.Line3(segment.start, segment.end);
+      const t = line.closestPointToPointParameter(from, false);
+      if (t <= 0 || t >= 1) return;
+      const foot = line.at(t, new THREE.Vector3());
+      if (foot.distanceTo(from) < 1e-9) return;
+      consider(foot, 'perpendicular', screenDistance(foot));
+    });
+  }
+
+  if (from && enabled.tangent) {
+    geometry.circles.forEach((circle) =>
+      tangentPoints(circle, from).forEach((point) => {
+        if (circle.covers && !circle.covers(point)) return;
+        consider(point, 'tangent', screenDistance(point));
+      })
+    );
+  }
+
+  if (enabled.face && geometry.meshes.length > 0) {
+    const raycaster = new THREE.Raycaster(view.ray.origin, view.ray.direction);
+    const hit = raycaster.intersectObjects(geometry.meshes, false)[0];
+    if (hit) consider(hit.point.clone(), 'face', 0);
+  }
+
+  if (!best) return null;
+  const point = plane
+    ? plane.projectPoint(best.point, new THREE.Vector3())
+    : best.point;
+  return { point, type: best.type };
+}
+
+// Snap for a shape being moved: the pair of one of its own snap points
+// (`own`, collected from the shape) and a target in `targets` that are
+// closest on screen. Point targets win over edges. Returns { from, to, type }
+// or null; moving the shape by to - from makes them meet.
+export function findMoveSnap(own, targets, view, enabled = DEFAULT_SNAPS) {
+  const sources = own.points
+    .map(({ point }) => ({ point, screen: toScreen(point, view) }))
+    .filter((source) => source.screen);
+  let best = null;
+  const consider = (from, to, type, distance) => {
+    if (!enabled[type] || distance > SNAP_PIXELS) return;
+    const tier = SNAP_TIERS[type];
+    if (
+      best &&
+      (best.tier < tier || (best.tier === tier && best.distance <= distance))
+    ) {
+      return;
+    }
+    best = { from, to, type, tier, distance };
+  };
+
+  targets.points.forEach(({ point, type }) => {
+    const screen = toScreen(point, view);
+    if (!screen) return;
+    sources.forEach((source) =>
+      consider(source.point, point, type, source.screen.distanceTo(screen))
+    );
+  });
+
+  if (enabled.edge) {
+    targets.segments.forEach((segment) => {
+      const line = new THREE.Line3(segment.start, segment.end);
+      sources.forEach((source) => {
+        const to = line.closestPointToPoint(
+          source.point,
+          true,
+          new THREE.Vector3()
+        );
+        const screen = toScreen(to, view);
+        if (!screen) return;
+        consider(source.point, to, 'edge', source.screen.distanceTo(screen));
+      });
+    });
+  }
+
+  return best && { from: best.from, to: best.to, type: best.type };
+}
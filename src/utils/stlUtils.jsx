@@ -0,0 +1,124 @@
+import * as THREE from 'three';
+import { createMeshShape } from './shapeUtils';
+import { shapeMeshes, worldTriangles } from './meshUtils';
+
+// STL export and import. STL files have no units; they are read and written
+// in millimetres, like the model. The scene is Y-up while printers and most
+// CAD tools take STL as Z-up, so coordinates are turned between the two: a
+// part standing on the grid stands on the build plate.
+
+const HEADER_BYTES = 80;
+const TRIANGLE_BYTES = 50;
+
+// Scene (Y-up) to STL (Z-up) and back
+const toFile = (v) => new THREE.Vector3(v.x, -v.z, v.y);
+const fromFile = (x, y, z) => [x, z, -y];
+
+function facetNormal([a, b, c]) {
+  return new THREE.Vector3()
+    .subVectors(b, a)
+    .cross(new THREE.Vector3().subVectors(c, a))
+    .normalize();
+}
+
+// STL of the shapes among objects with their world transforms: an
+// ArrayBuffer when binary, else ASCII text. Returns null when there are no
+// triangles.
+export function exportSTL(objects, { binary = true, name = 'cad-scene' } = {}) {
+  const triangles = shapeMeshes(objects)
+    .flatMap(worldTriangles)
+    .map((corners) => corners.map(toFile));
+  if (triangles.length === 0) return null;
+
+  if (!binary) {
+    const number = (v) => v.toExponential(6);
+    const vector = (v) => `${number(v.x)} ${number(v.y)} ${number(v.z)}`;
+    const lines = [`solid ${name}`];
+    triangles.forEach((corners) => {
+      lines.push(`  facet normal ${vector(facetNormal(corners))}`);
+      lines.push('    outer loop');
+      corners.forEach((v) => lines.push(`      vertex ${vector(v)}`));
+      lines.push('    endloop');
+      lines.push('  endfacet');
+    });
+    lines.push(`endsolid ${name}`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  const buffer = new ArrayBuffer(
+    HEADER_BYTES + 4 + TRIANGLE_BYTES * triangles.length
+  );
+  const view = new DataView(buffer);
+  const header = `${name} binary STL`.slice(0, HEADER_BYTES);
+  for (let i = 0; i < header.length; i++) {
+    view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  }
+  view.setUint32(HEADER_BYTES, triangles.length, true);
+  let offset = HEADER_BYTES + 4;
+  const write = (v) => {
+    view.setFloat32(offset, v.x, true);
+    view.setFloat32(offset + 4, v.y, true);
+    view.setFloat32(offset + 8, v.z, true);
+    offset += 12;
+  };
+  triangles.forEach((corners) => {
+    write(facetNormal(corners));
+    corners.forEach(write);
+    offset += 2; // attribute byte count
+  });
+  return buffer;
+}
+
+// Triangle corners of an STL file (an ArrayBuffer, binary or ASCII) as a
+// flat [x, y, z, ...] list in scene coordinates, or null when it is not STL
+export function parseSTL(data) {
+  const bytes = data.byteLength;
+  if (bytes >= HEADER_BYTES + 4) {
+    const view = new DataView(data);
+    const count = view.getUint32(HEADER_BYTES, true);
+    // Binary files are exactly this long; ASCII ones may also start with
+    // `solid`, so the size decides
+    if (bytes === HEADER_BYTES + 4 + count * TRIANGLE_BYTES) {
+      const positions = [];
+      for (let t = 0; t < count; t++) {
+        const start = HEADER_BYTES + 4 + t * TRIANGLE_BYTES + 12;
+        for (let k = 0; k < 3; k++) {
+          const at = start + k * 12;
+          positions.push(
+            ...fromFile(
+              view.getFloat32(at, true),
+              view.getFloat32(at + 4, true),
+              view.getFloat32(at + 8, true)
+            )
+          );
+        }
+      }
+      return positions;
+    }
+  }
+
+  const text = new TextDecoder().decode(data);
+  if (!/^\s*solid/.test(text)) return null;
+  const positions = [];
+  const vertex = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let match;
+  while ((match = vertex.exec(text))) {
+    const [x, y, z] = match.slice(1, 4).map(Number);
+    if (![x, y, z].every(Number.isFinite)) return null;
+    positions.push(...fromFile(x, y, z));
+  }
+  return positions.length >= 9 && positions.length % 9 === 0 ? positions : null;
+}
+
+// New mesh shape from an STL file, placed where the file puts it with its
+// origin at the centre of its bounding box; null when the file is not STL
+export function createShapeFromSTL(data) {
+  const positions = parseSTL(data);
+  if (!positions) return null;
+  const box = new THREE.Box3().setFromArray(positions);
+  const center = box.getCenter(new THREE.Vector3());
+  const local = positions.map((v, i) => v - center.getComponent(i % 3));
+  const shape = createMeshShape(local);
+  if (shape) shape.position.copy(center);
+  return shape;
+}
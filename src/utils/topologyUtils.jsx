@@ -0,0 +1,1044 @@
+import * as THREE from 'three';
+
+// Logical faces and feature edges of a triangle mesh.
+//
+// Triangles are first merged into planar regions (coplanar and sharing a
+// vertex), then neighbouring regions that meet at a shallow angle are merged
+// into cylindrical, conical or spherical faces when their vertices fit one
+// surface; what is left of a smooth run becomes a freeform face. Edges are the
+// boundaries between faces, with collinear pieces joined and the pieces of a
+// tessellated circle chained into one arc or circle, so a box has 6 faces and
+// 12 edges, a cylinder 3 faces and 2 circular edges and a sphere 1 face and
+// none.
+//
+// A face is { type, area, center, normal, size, triangles, triangleIndices,
+// loops } in geometry coordinates, plus { axis: { origin, direction },
+// radius } for cylindrical, { axis, halfAngle } for conical (the axis starts
+// at the apex and points into the cone; halfAngle in radians) and { origin,
+// radius } for spherical faces. An edge is { type: 'line', start, end } or
+// { type: 'arc' | 'circle', start, end, center, normal, radius, angle,
+// points } where points follow the curve from start to end (a circle starts
+// and ends at the same point), normal turns it by the right-hand rule and
+// angle is its sweep in radians.
+
+const SAME_NORMAL = 1 - 1e-4;
+// Largest angle between neighbouring facets of one curved face
+const SMOOTH_ANGLE = Math.cos(THREE.MathUtils.degToRad(40));
+const FREEFORM_ANGLE = Math.cos(THREE.MathUtils.degToRad(25));
+// Largest turn between neighbouring pieces of a tessellated arc, and between
+// the ends of one piece as seen from the arc's center
+const ARC_TURN = THREE.MathUtils.degToRad(25);
+// Allowed distance of tessellation vertices from their circle, relative to
+// its radius. The ends of an arc may be cut into a chord by a boolean and
+// lie inside by up to the chord's sagitta.
+const ARC_TOLERANCE = 1e-3;
+// Tessellations are even: inner pieces of an arc differ in length by at most
+// this factor, and its ends (maybe cut short) are no longer
+const ARC_EVENNESS = 1.5;
+// Fewest pieces of an arc; three could be a line between two tangent arcs
+const ARC_PIECES = 4;
+// Largest area of a facet relative to its neighbour on one curved face, so a
+// flat face running into a fillet is not taken for a facet of it
+const FACET_RATIO = 10;
+// Allowed distance of facet vertices from a fitted surface, relative to its
+// radius (chords cut by booleans sit slightly inside the surface)
+const FIT_TOLERANCE = 0.035;
+
+// Rounded coordinates, with -0 and 0 alike
+export function vertexKey(v) {
+  return [v.x, v.y, v.z]
+    .map((c) => (c.toFixed(5) === '-0.00000' ? '0.00000' : c.toFixed(5)))
+    .join(',');
+}
+
+function trianglesOf(geometry) {
+  const positions = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count : positions.count;
+  const vertex = (i) =>
+    new THREE.Vector3().fromBufferAttribute(
+      positions,
+      index ? index.getX(i) : i
+    );
+  const triangles = [];
+  for (let i = 0; i + 2 < count; i += 3) {
+    const corners = [vertex(i), vertex(i + 1), vertex(i + 2)];
+    const cross = corners[1]
+      .clone()
+      .sub(corners[0])
+      .cross(corners[2].clone().sub(corners[0]));
+    const area = cross.length() / 2;
+    if (area < 1e-12) continue;
+    triangles.push({
+      index: i / 3,
+      corners,
+      keys: corners.map(vertexKey),
+      normal: cross.normalize(),
+      area,
+    });
+  }
+  return triangles;
+}
+
+// Union-find over indices
+function disjointSets(count) {
+  const parent = Array.from({ length: count }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    find,
+    union: (a, b) => {
+      parent[find(a)] = find(b);
+    },
+  };
+}
+
+// Solve the square system a x = b (Gaussian elimination); null if singular
+function solve(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const f = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= f * m[col][k];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+// Least-squares fit of |p|² + d · p + g = 0 to 3D points: the center of the
+// sphere through them as an array, or null
+function sphereCenter(points) {
+  const a = Array.from({ length: 4 }, () => new Array(4).fill(0));
+  const b = new Array(4).fill(0);
+  points.forEach((p) => {
+    const row = [p.x, p.y, p.z, 1];
+    const rhs = -p.lengthSq();
+    for (let i = 0; i < 4; i++) {
+      b[i] += row[i] * rhs;
+      for (let j = 0; j < 4; j++) a[i][j] += row[i] * row[j];
+    }
+  });
+  const x = solve(a, b);
+  return x && x.slice(0, 3).map((d) => -d / 2);
+}
+
+// Point closest (least squares) to the lines through each region's center
+// along its normal (2D arrays): the axis of a cylinder seen end-on
+function normalsMeet(lines) {
+  const dims = lines[0].point.length;
+  const a = Array.from({ length: dims }, () => new Array(dims).fill(0));
+  const b = new Array(dims).fill(0);
+  lines.forEach(({ point, normal, weight }) => {
+    const length = Math.hypot(...normal);
+    if (length < 1e-9) return;
+    const n = normal.map((c) => c / length);
+    for (let i = 0; i < dims; i++) {
+      for (let j = 0; j < dims; j++) {
+        const m = weight * ((i === j ? 1 : 0) - n[i] * n[j]);
+        a[i][j] += m;
+        b[i] += m * point[j];
+      }
+    }
+  });
+  return solve(a, b);
+}
+
+function regionPoints(regions) {
+  const points = new Map();
+  regions.forEach((region) =>
+    region.triangles.forEach((t) =>
+      t.corners.forEach((c, i) => points.set(t.keys[i], c))
+    )
+  );
+  return [...points.values()];
+}
+
+// Allowed distance of facet vertices from a surface whose neighbouring facets
+// meet at most at angle (cosine): the sagitta of one facet's chord. Chords cut
+// by booleans lie within it too.
+function fitLimit(radius, angle, tolerance) {
+  const half = Math.acos(Math.min(1, angle)) / 2;
+  return radius * (1 - Math.cos(half)) * 3 + tolerance;
+}
+
+function cylinderFrame(direction) {
+  const u = new THREE.Vector3()
+    .crossVectors(
+      direction,
+      Math.abs(direction.x) < 0.9
+        ? new THREE.Vector3(1, 0, 0)
+        : new THREE.Vector3(0, 1, 0)
+    )
+    .normalize();
+  return [u, direction.clone().cross(u)];
+}
+
+// Cylinder through the regions (axis perpendicular to their normals). The
+// radius is the farthest vertex: points cut into facet chords lie inside.
+function fitCylinder(regions, direction) {
+  const [u, v] = cylinderFrame(direction);
+  const center = normalsMeet(
+    regions.map((r) => ({
+      point: [r.center.dot(u), r.center.dot(v)],
+      normal: [r.normal.dot(u), r.normal.dot(v)],
+      weight: r.area,
+    }))
+  );
+  if (!center) return null;
+  const origin = u
+    .clone()
+    .multiplyScalar(center[0])
+    .addScaledVector(v, center[1]);
+  const radius = Math.max(
+    ...regionPoints(regions).map((p) => {
+      const d = p.clone().sub(origin);
+      return d.addScaledVector(direction, -d.dot(direction)).length();
+    })
+  );
+  return { type: 'cylindrical', axis: { origin, direction }, radius };
+}
+
+function onCylinder(surface, region) {
+  const { origin, direction } = surface.axis;
+  if (Math.abs(region.normal.dot(direction)) > 5e-3) return false;
+  return regionPoints([region]).every((p) => {
+    const d = p.clone().sub(origin);
+    d.addScaledVector(direction, -d.dot(direction));
+    return Math.abs(d.length() - surface.radius) < surface.limit;
+  });
+}
+
+function fitSphere(regions) {
+  const points = regionPoints(regions);
+  if (points.length < 5) return null;
+  const center = sphereCenter(points);
+  if (!center) return null;
+  let origin = new THREE.Vector3(...center);
+  let radius = Math.max(...points.map((p) => p.distanceTo(origin)));
+  // Points cut into facets sit inside the sphere and pull its center; fit
+  // again through the outermost ones
+  const outer = points.filter((p) => p.distanceTo(origin) > radius * 0.995);
+  const refined = outer.length >= 5 && sphereCenter(outer);
+  if (refined) {
+    origin = new THREE.Vector3(...refined);
+    radius = Math.max(...points.map((p) => p.distanceTo(origin)));
+  }
+  return { type: 'spherical', origin, radius };
+}
+
+function onSphere(surface, region) {
+  const radial = region.center.clone().sub(surface.origin).normalize();
+  if (Math.abs(radial.dot(region.normal)) < SMOOTH_ANGLE) return false;
+  return regionPoints([region]).every(
+    (p) =>
+      Math.abs(p.distanceTo(surface.origin) - surface.radius) < surface.limit
+  );
+}
+
+// Cone through the regions. Facet normals all make the same angle with the
+// axis, so the axis is normal to the plane through their tips (taken from the
+// three farthest apart); the facet planes meet at the apex.
+function fitCone(regions) {
+  const normals = regions.map((r) => r.normal);
+  const [a] = normals;
+  const farthest = (measure) =>
+    normals.reduce((best, n) => (measure(n) > measure(best) ? n : best));
+  const b = farthest((n) => n.distanceToSquared(a));
+  const ab = b.clone().sub(a);
+  const c = farthest((n) => ab.clone().cross(n.clone().sub(a)).lengthSq());
+  const direction = ab.cross(c.clone().sub(a));
+  if (direction.lengthSq() < 1e-12) return null;
+  direction.normalize();
+
+  const m = Array.from({ length: 3 }, () => new Array(3).fill(0));
+  const rhs = new Array(3).fill(0);
+  let area = 0;
+  const centroid = new THREE.Vector3();
+  regions.forEach((r) => {
+    const n = r.normal.toArray();
+    const d = r.normal.dot(r.center);
+    for (let i = 0; i < 3; i++) {
+      rhs[i] += r.area * n[i] * d;
+      for (let j = 0; j < 3; j++) m[i][j] += r.area * n[i] * n[j];
+    }
+    area += r.area;
+    centroid.addScaledVector(r.center, r.area);
+  });
+  const apex = solve(m, rhs);
+  if (!apex) return null;
+  const origin = new THREE.Vector3(...apex);
+  if (centroid.divideScalar(area).sub(origin).dot(direction) < 0) {
+    direction.negate();
+  }
+  const sine =
+    regions.reduce(
+      (sum, r) => sum + Math.abs(r.normal.dot(direction)) * r.area,
+      0
+    ) / area;
+  // Parallel facets make a cylinder, not a cone
+  if (sine < 1e-3 || sine > 1 - 1e-3) return null;
+  const radius = Math.max(
+    ...regionPoints(regions).map((p) => {
+      const d = p.clone().sub(origin);
+      return d.addScaledVector(direction, -d.dot(direction)).length();
+    })
+  );
+  return {
+    type: 'conical',
+    axis: { origin, direction },
+    halfAngle: Math.asin(sine),
+    radius,
+  };
+}
+
+function onCone(surface, region) {
+  const { origin, direction } = surface.axis;
+  const sine = Math.sin(surface.halfAngle);
+  if (Math.abs(Math.abs(region.normal.dot(direction)) - sine) > 5e-3) {
+    return false;
+  }
+  const cosine = Math.cos(surface.halfAngle);
+  return regionPoints([region]).every((p) => {
+    const d = p.clone().sub(origin);
+    const along = d.dot(direction);
+    const across = d.addScaledVector(direction, -along).length();
+    return Math.abs(across * cosine - along * sine) < surface.limit;
+  });
+}
+
+const ON_SURFACE = {
+  cylindrical: onCylinder,
+  conical: onCone,
+  spherical: onSphere,
+};
+const FIT_SURFACE = {
+  cylindrical: (regions, surface) =>
+    fitCylinder(regions, surface.axis.direction),
+  conical: fitCone,
+  spherical: fitSphere,
+};
+
+// Curved surface through a facet and its smooth neighbours, or null. A
+// cylinder needs its neighbours at equal angles, as on a regular
+// tessellation; a flat face running tangent into a fillet has not. The
+// facets of a pointed cone all meet at the apex, so a cone is tried on any
+// neighbours.
+function seedSurface(seed, candidates, tolerance) {
+  if (seed.area > FACET_RATIO * Math.max(...candidates.map((c) => c.area))) {
+    return null;
+  }
+  const angles = candidates.map((c) => seed.normal.dot(c.normal));
+  const widest = Math.min(...angles);
+  const regions = [seed, ...candidates];
+  const fits = [];
+  const first = candidates[angles.indexOf(widest)];
+  const even = angles.every((a) => Math.abs(a - widest) < 1e-3);
+  const direction = seed.normal.clone().cross(first.normal).normalize();
+  if (even) fits.push(fitCylinder(regions, direction));
+  fits.push(fitCone(regions));
+  // A sphere needs normals turning in more than one direction (a single row
+  // of cone facets also lies on a sphere)
+  const turn = 0.3 * Math.sqrt(1 - widest * widest);
+  if (candidates.some((c) => Math.abs(c.normal.dot(direction)) > turn)) {
+    fits.push(fitSphere(regions));
+  }
+  return (
+    fits.find((surface) => {
+      if (!surface) return false;
+      // Around an apex the nearest neighbours give the facet size
+      const angle = surface.type === 'conical' ? Math.max(...angles) : widest;
+      surface.limit = fitLimit(surface.radius, angle, tolerance);
+      return regions.every((r) => ON_SURFACE[surface.type](surface, r));
+    }) || null
+  );
+}
+
+// One surface through two groups of the same kind, or null
+function mergedSurface(a, b) {
+  if (a.surface.type !== b.surface.type) return null;
+  const regions = [...a.regions, ...b.regions];
+  if (a.surface.axis) {
+    const [da, db] = [a.surface.axis.direction, b.surface.axis.direction];
+    if (Math.abs(da.dot(db)) < SAME_NORMAL) return null;
+  }
+  const surface = refit(a.surface, regions);
+  surface.limit = Math.max(a.surface.limit, b.surface.limit);
+  return regions.every((r) => ON_SURFACE[surface.type](surface, r))
+    ? surface
+    : null;
+}
+
+// Final surface parameters from all the points of a group
+function refit(surface, regions) {
+  const fresh = FIT_SURFACE[surface.type](regions, surface);
+  return fresh ? { ...fresh, limit: surface.limit } : surface;
+}
+
+// Coplanar triangles sharing a vertex
+function planarRegions(triangles, tolerance) {
+  const sets = disjointSets(triangles.length);
+  const byVertex = new Map();
+  triangles.forEach((t, i) =>
+    t.keys.forEach((key) => {
+      if (!byVertex.has(key)) byVertex.set(key, []);
+      byVertex.get(key).push(i);
+    })
+  );
+  byVertex.forEach((list) => {
+    for (let a = 0; a < list.length; a++) {
+      for (let b = a + 1; b < list.length; b++) {
+        const ta = triangles[list[a]];
+        const tb = triangles[list[b]];
+        const onPlane = (p) =>
+          Math.abs(ta.normal.dot(p.clone().sub(ta.corners[0]))) < tolerance;
+        if (
+          ta.normal.dot(tb.normal) > SAME_NORMAL &&
+          tb.corners.every(onPlane)
+        ) {
+          sets.union(list[a], list[b]);
+        }
+      }
+    }
+  });
+
+  const regions = new Map();
+  triangles.forEach((t, i) => {
+    const root = sets.find(i);
+    if (!regions.has(root)) regions.set(root, { triangles: [] });
+    regions.get(root).triangles.push(t);
+  });
+  // Nearly coplanar triangles can chain around a finely tessellated cap;
+  // such a region is not flat, so its triangles stay separate
+  const list = [...regions.values()].flatMap((region) => {
+    const [first] = region.triangles;
+    const flat = region.triangles.every((t) =>
+      t.corners.every(
+        (p) =>
+          Math.abs(first.normal.dot(p.clone().sub(first.corners[0]))) <
+          tolerance
+      )
+    );
+    return flat ? [region] : region.triangles.map((t) => ({ triangles: [t] }));
+  });
+  list.forEach((region, i) => {
+    region.id = i;
+    region.area = region.triangles.reduce((sum, t) => sum + t.area, 0);
+    region.center = region.triangles
+      .reduce(
+        (sum, t) =>
+          sum.addScaledVector(
+            t.corners[0].clone().add(t.corners[1]).add(t.corners[2]),
+            t.area / 3
+          ),
+        new THREE.Vector3()
+      )
+      .divideScalar(region.area);
+    region.normal = region.triangles[0].normal;
+  });
+
+  // Regions touching through a shared vertex
+  const neighbours = list.map(() => new Set());
+  const regionOf = new Map();
+  list.forEach((region) =>
+    region.triangles.forEach((t) => regionOf.set(t, region.id))
+  );
+  byVertex.forEach((indices) => {
+    const ids = [...new Set(indices.map((i) => regionOf.get(triangles[i])))];
+    ids.forEach((a) => ids.forEach((b) => a !== b && neighbours[a].add(b)));
+  });
+  list.forEach((region) => {
+    region.neighbours = [...neighbours[region.id]].map((id) => list[id]);
+  });
+  return list;
+}
+
+// Group planar regions into curved faces where they fit a surface
+function groupRegions(regions, tolerance) {
+  const owner = new Map();
+  const groups = [];
+  const smooth = (a, b, limit) => a.normal.dot(b.normal) > limit;
+  const near = (region, limit) =>
+    region.neighbours.filter(
+      (n) =>
+        !owner.has(n) &&
+        n.area <= region.area * FACET_RATIO &&
+        smooth(region, n, limit)
+    );
+
+  regions.forEach((seed) => {
+    if (owner.has(seed)) return;
+    const candidates = near(seed, SMOOTH_ANGLE);
+    if (candidates.length < 2) return;
+    const surface = seedSurface(seed, candidates, tolerance);
+    if (!surface) return;
+    const id = groups.length;
+    const members = [];
+    const queue = [seed, ...candidates];
+    queue.forEach((r) => owner.set(r, id));
+    while (queue.length > 0) {
+      const region = queue.shift();
+      members.push(region);
+      near(region, SMOOTH_ANGLE).forEach((n) => {
+        if (ON_SURFACE[surface.type](surface, n)) {
+          owner.set(n, id);
+          queue.push(n);
+        }
+      });
+    }
+    groups.push({ surface, regions: members });
+  });
+
+  // Pieces of one surface grown from different seeds
+  const adjacent = (a, b) =>
+    a.regions.some((r) => r.neighbours.some((n) => b.regions.includes(n)));
+  for (let i = 0; i < groups.length; i++) {
+    for (let j = i + 1; j < groups.length; j++) {
+      const surface =
+        adjacent(groups[i], groups[j]) && mergedSurface(groups[i], groups[j]);
+      if (!surface) continue;
+      groups[i] = {
+        surface,
+        regions: [...groups[i].regions, ...groups[j].regions],
+      };
+      groups.splice(j, 1);
+      j = i;
+    }
+  }
+  groups.forEach((group, id) => group.regions.forEach((r) => owner.set(r, id)));
+
+  // Remaining smooth runs of three or more facets
+  regions.forEach((seed) => {
+    if (owner.has(seed) || near(seed, FREEFORM_ANGLE).length === 0) return;
+    const members = [];
+    const queue = [seed];
+    const id = groups.length;
+    owner.set(seed, id);
+    while (queue.length > 0) {
+      const region = queue.shift();
+      members.push(region);
+      near(region, FREEFORM_ANGLE).forEach((n) => {
+        owner.set(n, id);
+        queue.push(n);
+      });
+    }
+    if (members.length < 3) {
+      // Too short a run to be a surface: keep them as planar faces
+      members.forEach((r) => owner.set(r, -1));
+      return;
+    }
+    groups.push({ surface: { type: 'freeform' }, regions: members });
+  });
+
+  regions.forEach((region) => {
+    if (owner.has(region) && owner.get(region) !== -1) return;
+    groups.push({
+      surface: { type: 'planar' },
+      regions: [region],
+    });
+  });
+  return groups;
+}
+
+// Directed triangle sides of a face that are not shared with another of its
+// triangles (also across T-junctions, where the other side is split). A side
+// that is only partly covered gives the stretches left uncovered.
+function boundarySides(triangles, tolerance) {
+  const sides = [];
+  triangles.forEach((t) =>
+    [0, 1, 2].forEach((i) => {
+      const j = (i + 1) % 3;
+      sides.push({
+        start: t.corners[i],
+        end: t.corners[j],
+        startKey: t.keys[i],
+        endKey: t.keys[j],
+      });
+    })
+  );
+  const keys = new Set(sides.map((s) => `${s.startKey}|${s.endKey}`));
+  const open = sides.filter((s) => !keys.has(`${s.endKey}|${s.startKey}`));
+
+  return open.flatMap((s) => {
+    const axis = s.end.clone().sub(s.start);
+    const length = axis.length();
+    axis.divideScalar(length);
+    const along = (p) => p.clone().sub(s.start).dot(axis);
+    const offLine = (p) =>
+      p.clone().sub(s.start).addScaledVector(axis, -along(p)).length();
+    // Opposite collinear sides covering this one
+    const intervals = open
+      .filter(
+        (o) =>
+          o !== s &&
+          o.end.clone().sub(o.start).dot(axis) < 0 &&
+          offLine(o.start) < tolerance &&
+          offLine(o.end) < tolerance
+      )
+      .map((o) => ({ from: along(o.end), to: along(o.start), o }))
+      .sort((a, b) => a.from - b.from);
+    const gaps = [];
+    let covered = 0;
+    let coveredAt = s.start;
+    for (const { from, to, o } of intervals) {
+      if (from >= length - tolerance) break;
+      if (from > covered + tolerance) gaps.push([coveredAt, o.end]);
+      if (to > covered) {
+        covered = to;
+        coveredAt = o.start;
+      }
+    }
+    if (covered < length - tolerance) gaps.push([coveredAt, s.end]);
+    if (gaps.length === 1 && gaps[0][0] === s.start && gaps[0][1] === s.end) {
+      return [s];
+    }
+    return gaps.map(([start, end]) => ({
+      start,
+      end,
+      startKey: vertexKey(start),
+      endKey: vertexKey(end),
+    }));
+  });
+}
+
+// Boundary sides chained end to start into loops (lists of sides)
+function sideLoops(sides) {
+  const byStart = new Map();
+  sides.forEach((s) => {
+    if (!byStart.has(s.startKey)) byStart.set(s.startKey, []);
+    byStart.get(s.startKey).push(s);
+  });
+  const used = new Set();
+  const loops = [];
+  sides.forEach((first) => {
+    if (used.has(first)) return;
+    const loop = [];
+    let side = first;
+    while (side && !used.has(side)) {
+      used.add(side);
+      loop.push(side);
+      side = (byStart.get(side.endKey) || []).find((s) => !used.has(s));
+    }
+    loops.push(loop);
+  });
+  return loops;
+}
+
+// Chain boundary sides into closed loops, dropping collinear points
+function boundaryLoops(sides) {
+  const loops = [];
+  sideLoops(sides).forEach((sideLoop) => {
+    const loop = sideLoop.map((side) => side.start);
+    const points = loop.filter((p, i) => {
+      const prev = loop[(i + loop.length - 1) % loop.length];
+      const next = loop[(i + 1) % loop.length];
+      const a = p.clone().sub(prev);
+      const b = next.clone().sub(p);
+      return a.cross(b).lengthSq() > 1e-12 * a.lengthSq() * b.lengthSq();
+    });
+    if (points.length >= 3) loops.push(points.map((p) => p.clone()));
+  });
+  return loops;
+}
+
+// Circle through three points ({ center, normal, radius }), or null when
+// they are in line
+function circleThrough(a, b, c) {
+  const ab = b.clone().sub(a);
+  const ac = c.clone().sub(a);
+  const normal = ab.clone().cross(ac);
+  const n2 = normal.lengthSq();
+  if (n2 < 1e-12 * ab.lengthSq() * ac.lengthSq()) return null;
+  const center = normal
+    .clone()
+    .cross(ab)
+    .multiplyScalar(ac.lengthSq())
+    .add(ac.clone().cross(normal).multiplyScalar(ab.lengthSq()))
+    .divideScalar(2 * n2)
+    .add(a);
+  return { center, normal: normal.normalize(), radius: center.distanceTo(a) };
+}
+
+// Sides of a loop joined into straight pieces { start, end, sides }
+function loopPieces(loop) {
+  const pieces = [];
+  const direction = (p) => p.end.clone().sub(p.start).normalize();
+  loop.forEach((side) => {
+    const last = pieces[pieces.length - 1];
+    if (last && direction(last).dot(direction(side)) > SAME_NORMAL) {
+      last.end = side.end;
+      last.sides.push(side);
+    } else {
+      pieces.push({ start: side.start, end: side.end, sides: [side] });
+    }
+  });
+  const closed =
+    loop.length > 2 && loop[loop.length - 1].endKey === loop[0].startKey;
+  const [first] = pieces;
+  const last = pieces[pieces.length - 1];
+  if (
+    closed &&
+    pieces.length > 1 &&
+    direction(last).dot(direction(first)) > SAME_NORMAL
+  ) {
+    first.start = last.start;
+    first.sides.unshift(...last.sides);
+    pieces.pop();
+  }
+  return { pieces, closed };
+}
+
+// Angle between the directions of two pieces
+function turn(a, b) {
+  const da = a.end.clone().sub(a.start).normalize();
+  const db = b.end.clone().sub(b.start).normalize();
+  return Math.acos(THREE.MathUtils.clamp(da.dot(db), -1, 1));
+}
+
+// Arc or circle edge along points that lie on circle
+function curvedEdge(points, circle, closed) {
+  const { center } = circle;
+  const radial = points.map((p) => p.clone().sub(center));
+  // Orientation and sweep follow the points
+  const normal = new THREE.Vector3();
+  for (let i = 1; i < radial.length; i++) {
+    normal.add(radial[i - 1].clone().cross(radial[i]));
+  }
+  normal.normalize();
+  let angle = 0;
+  for (let i = 1; i < radial.length; i++) {
+    angle += radial[i - 1].angleTo(radial[i]);
+  }
+  const radius = radial.reduce((sum, d) => sum + d.length(), 0) / radial.length;
+  return {
+    type: closed ? 'circle' : 'arc',
+    start: points[0].clone(),
+    end: points[points.length - 1].clone(),
+    center: center.clone(),
+    normal,
+    radius,
+    angle: closed ? Math.PI * 2 : angle,
+    points: points.map((p) => p.clone()),
+  };
+}
+
+// Arcs and circles along a loop of boundary sides: runs of ARC_PIECES or more
+// even straight pieces that turn gently and whose corners lie on one circle.
+// Returns [{ edge, sides }].
+function loopArcs(loop, tolerance) {
+  const { pieces, closed } = loopPieces(loop);
+  const n = pieces.length;
+  if (n < ARC_PIECES) return [];
+  // Start at a corner, else at the longest piece, so no arc is split
+  let first = 0;
+  if (closed) {
+    const corner = pieces.findIndex(
+      (p, i) => turn(pieces[(i + n - 1) % n], p) > ARC_TURN
+    );
+    const length = (p) => p.start.distanceToSquared(p.end);
+    first =
+      corner >= 0
+        ? corner
+        : pieces.reduce(
+            (best, p, i) => (length(p) > length(pieces[best]) ? i : best),
+            0
+          );
+  }
+  const order = [...pieces.slice(first), ...pieces.slice(0, first)];
+
+  const fits = (run, points, circle) => {
+    const { center, normal, radius } = circle;
+    const chord = 2 * radius * Math.sin(ARC_TURN / 2) + tolerance;
+    const vertexLimit = radius * ARC_TOLERANCE + tolerance;
+    const endLimit = radius * (1 - Math.cos(ARC_TURN / 2)) + vertexLimit;
+    const lengths = run.map((p) => p.start.distanceTo(p.end));
+    const inner = lengths.slice(1, -1);
+    const longest = Math.max(0, ...inner);
+    const even =
+      inner.length === 0 ||
+      (longest <= ARC_EVENNESS * Math.min(...inner) + tolerance &&
+        lengths.every((l) => l <= ARC_EVENNESS * longest + tolerance));
+    return (
+      even &&
+      lengths.every((length) => length <= chord) &&
+      points.every((q, k) => {
+        const limit =
+          k === 0 || k === points.length - 1 ? endLimit : vertexLimit;
+        const d = q.clone().sub(center);
+        return (
+          Math.abs(d.length() - radius) < limit &&
+          Math.abs(d.dot(normal)) < limit
+        );
+      })
+    );
+  };
+
+  const arcs = [];
+  let i = 0;
+  while (i < n) {
+    let circle = null;
+    let j = i + 1;
+    while (j < n && turn(order[j - 1], order[j]) <= ARC_TURN) {
+      const run = order.slice(i, j + 1);
+      const points = [run[0].start, ...run.map((p) => p.end)];
+      // Through tessellation vertices rather than the (maybe cut) ends
+      const last = points.length - 1;
+      const inner = last >= 4 ? 1 : 0;
+      const candidate = circleThrough(
+        points[inner],
+        points[last >> 1],
+        points[last - inner]
+      );
+      if (!candidate || !fits(run, points, candidate)) break;
+      circle = candidate;
+      j++;
+    }
+    if (circle && j - i >= ARC_PIECES) {
+      const run = order.slice(i, j);
+      const whole =
+        closed && j - i === n && turn(order[n - 1], order[0]) <= ARC_TURN;
+      arcs.push({
+        edge: curvedEdge(
+          [run[0].start, ...run.map((p) => p.end)],
+          circle,
+          whole
+        ),
+        sides: run.flatMap((p) => p.sides),
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+  return arcs;
+}
+
+// Undirected key of a side
+const sideKey = (s) =>
+  s.startKey < s.endKey
+    ? `${s.startKey}|${s.endKey}`
+    : `${s.endKey}|${s.startKey}`;
+
+// Whether two arcs or circles lie on one circle between the same ends
+function sameCurve(a, b, tolerance) {
+  if (a.type !== b.type) return false;
+  if (a.center.distanceTo(b.center) > tolerance) return false;
+  if (Math.abs(a.radius - b.radius) > tolerance) return false;
+  if (Math.abs(a.normal.dot(b.normal)) < SAME_NORMAL) return false;
+  if (a.type === 'circle') return true;
+  const near = (p, q) => p.distanceTo(q) < tolerance;
+  return (
+    (near(a.start, b.start) && near(a.end, b.end)) ||
+    (near(a.start, b.end) && near(a.end, b.start))
+  );
+}
+
+// Edges between faces. Pieces of a tessellated circle become one arc or
+// circle, other collinear pieces are joined into single straight edges, and
+// edges reported by both faces along them are kept once.
+function featureEdges(sidesByFace, tolerance) {
+  const curved = [];
+  const onArc = new Set();
+  sidesByFace.forEach((sides) =>
+    sideLoops(sides).forEach((loop) =>
+      loopArcs(loop, tolerance).forEach(({ edge, sides: arcSides }) => {
+        arcSides.forEach((s) => onArc.add(sideKey(s)));
+        if (!curved.some((c) => sameCurve(c, edge, tolerance))) {
+          curved.push(edge);
+        }
+      })
+    )
+  );
+
+  const lines = new Map();
+  sidesByFace.forEach((sides, face) =>
+    sides.forEach((s) => {
+      if (onArc.has(sideKey(s))) return;
+      const direction = s.end.clone().sub(s.start).normalize();
+      const sign =
+        Math.abs(direction.x) > 1e-6
+          ? Math.sign(direction.x)
+          : Math.abs(direction.y) > 1e-6
+          ? Math.sign(direction.y)
+          : Math.sign(direction.z);
+      direction.multiplyScalar(sign);
+      const foot = s.start
+        .clone()
+        .addScaledVector(direction, -s.start.dot(direction));
+      const key = `${face}|${vertexKey(direction)}|${vertexKey(foot)}`;
+      if (!lines.has(key)) lines.set(key, { direction, foot, intervals: [] });
+      const a = s.start.dot(direction);
+      const b = s.end.dot(direction);
+      lines.get(key).intervals.push([Math.min(a, b), Math.max(a, b)]);
+    })
+  );
+
+  const edges = [];
+  lines.forEach(({ direction, foot, intervals }) => {
+    intervals.sort((a, b) => a[0] - b[0]);
+    let [from, to] = intervals[0];
+    const flush = () =>
+      edges.push({
+        start: foot.clone().addScaledVector(direction, from),
+        end: foot.clone().addScaledVector(direction, to),
+      });
+    intervals.slice(1).forEach(([a, b]) => {
+      if (a > to + tolerance) {
+        flush();
+        [from, to] = [a, b];
+      } else {
+        to = Math.max(to, b);
+      }
+    });
+    flush();
+  });
+  edges.forEach((edge) => {
+    edge.type = 'line';
+  });
+
+  // Longest first, so an edge split on one side only is kept whole
+  edges.sort(
+    (a, b) =>
+      b.start.distanceToSquared(b.end) - a.start.distanceToSquared(a.end)
+  );
+  const kept = [];
+  edges.forEach((edge) => {
+    const covered = kept.some((k) => {
+      const axis = k.end.clone().sub(k.start);
+      const length = axis.length();
+      axis.divideScalar(length);
+      return [edge.start, edge.end].every((p) => {
+        const d = p.clone().sub(k.start);
+        const t = d.dot(axis);
+        return (
+          t > -tolerance &&
+          t < length + tolerance &&
+          d.addScaledVector(axis, -t).length() < tolerance
+        );
+      });
+    });
+    if (!covered) kept.push(edge);
+  });
+  return [...kept, ...curved];
+}
+
+// Points along an edge from start to end
+export function edgePoints(edge) {
+  return edge.points || [edge.start, edge.end];
+}
+
+// Copy of an edge moved by a matrix (e.g. into world space). Mirroring
+// reverses the way the points turn, so the normal of an arc follows them.
+export function transformEdge(edge, matrix) {
+  const move = (p) => p.clone().applyMatrix4(matrix);
+  const moved = { ...edge, start: move(edge.start), end: move(edge.end) };
+  if (!edge.radius) return moved;
+  const center = move(edge.center);
+  const points = edge.points.map(move);
+  const sign = matrix.determinant() < 0 ? -1 : 1;
+  return {
+    ...moved,
+    center,
+    points,
+    normal: edge.normal.clone().transformDirection(matrix).multiplyScalar(sign),
+    radius:
+      points.reduce((sum, p) => sum + p.distanceTo(center), 0) / points.length,
+  };
+}
+
+// Length of an edge (the true length of arcs and circles, not of their
+// tessellation)
+export function edgeLength(edge) {
+  return edge.radius
+    ? edge.radius * edge.angle
+    : edge.start.distanceTo(edge.end);
+}
+
+function buildFace(group, tolerance) {
+  const triangles = group.regions
+    .flatMap((r) => r.triangles)
+    .sort((a, b) => a.index - b.index);
+  const area = triangles.reduce((sum, t) => sum + t.area, 0);
+  const center = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const box = new THREE.Box3();
+  triangles.forEach((t) => {
+    center.addScaledVector(
+      t.corners[0].clone().add(t.corners[1]).add(t.corners[2]),
+      t.area / 3
+    );
+    normal.addScaledVector(t.normal, t.area);
+    t.corners.forEach((c) => box.expandByPoint(c));
+  });
+  center.divideScalar(area);
+  // Closed surfaces average out; fall back to the largest facet
+  if (normal.lengthSq() < 1e-6 * area * area) {
+    normal.copy(triangles.reduce((a, b) => (b.area > a.area ? b : a)).normal);
+  }
+  normal.normalize();
+
+  const sides = boundarySides(triangles, tolerance);
+  const face = {
+    type: group.surface.type,
+    area,
+    center,
+    normal,
+    size: box.getSize(new THREE.Vector3()).length(),
+    triangles: triangles.map((t) => t.corners),
+    triangleIndices: triangles.map((t) => t.index),
+    loops: boundaryLoops(sides),
+  };
+  if (group.surface.type === 'cylindrical') {
+    face.axis = group.surface.axis;
+    face.radius = group.surface.radius;
+  } else if (group.surface.type === 'conical') {
+    face.axis = group.surface.axis;
+    face.halfAngle = group.surface.halfAngle;
+  } else if (group.surface.type === 'spherical') {
+    face.origin = group.surface.origin;
+    face.radius = group.surface.radius;
+  }
+  return { face, sides };
+}
+
+// Faces and edges of a geometry
+export function analyzeTopology(geometry) {
+  if (!geometry?.attributes?.position) return { faces: [], edges: [] };
+  const triangles = trianglesOf(geometry);
+  if (triangles.length === 0) return { faces: [], edges: [] };
+  geometry.computeBoundingBox();
+  const tolerance = Math.max(
+    1e-6,
+    geometry.boundingBox.getSize(new THREE.Vector3()).length() * 1e-5
+  );
+
+  const groups = groupRegions(planarRegions(triangles, tolerance), tolerance);
+  const built = groups
+    .map((group) => buildFace(group, tolerance))
+    .sort((a, b) => a.face.triangleIndices[0] - b.face.triangleIndices[0]);
+  const faces = built.map((b) => b.face);
+  const edges = featureEdges(
+    built.map((b) => b.sides),
+    tolerance
+  );
+  return { faces, edges };
+}
+
+// Face containing a triangle (e.g. a raycast hit's faceIndex)
+export function faceAtTriangle(faces, triangleIndex) {
+  return (faces || []).find((face) =>
+    face.triangleIndices?.includes(triangleIndex)
+  );
+}
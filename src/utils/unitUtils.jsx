@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { evaluateExpression } from './expressionUtils';
+
+// Document units. Model geometry is always kept in millimetres; the document
+// unit only decides how lengths are shown and how bare numbers typed into a
+// field are read (`1in` or `2.5cm` work in any document). Scene files store
+// millimetres plus the document settings, so a file opens at its true size
+// whatever unit it was saved with.
+
+// Millimetres per unit
+export const LENGTH_UNITS = { mm: 1, cm: 10, m: 1000, in: 25.4 };
+export const DEFAULT_UNITS = { unit: 'mm', precision: 2 };
+// Degrees per angle unit
+export const ANGLE_UNITS = { '°': 1, deg: 1, rad: 180 / Math.PI };
+
+let documentUnits = DEFAULT_UNITS;
+
+// Settings from saved data; files without any are millimetres
+export function normalizeUnits(data) {
+  const unit = LENGTH_UNITS[data?.unit] ? data.unit : DEFAULT_UNITS.unit;
+  const precision = Number.isInteger(data?.precision)
+    ? Math.max(0, Math.min(6, data.precision))
+    : DEFAULT_UNITS.precision;
+  return { unit, precision };
+}
+
+export function getDocumentUnits() {
+  return documentUnits;
+}
+
+// Change the document settings and tell every panel showing lengths
+export function setDocumentUnits(units) {
+  documentUnits = normalizeUnits(units);
+  window.dispatchEvent(
+    new CustomEvent('documentUnitsChanged', { detail: documentUnits })
+  );
+}
+
+// Current document settings, re-rendering the component when they change
+export function useDocumentUnits() {
+  const [units, setUnits] = useState(getDocumentUnits);
+  useEffect(() => {
+    const handleChange = (e) => setUnits(e.detail);
+    window.addEventListener('documentUnitsChanged', handleChange);
+    return () =>
+      window.removeEventListener('documentUnitsChanged', handleChange);
+  }, []);
+  return units;
+}
+
+// Length in millimetres expressed in the document unit
+export function toDocumentLength(mm, units = documentUnits) {
+  return mm / LENGTH_UNITS[units.unit];
+}
+
+// Length in millimetres as text, e.g. `25.40 mm` (or `25.40` without unit)
+export function formatLength(mm, units = documentUnits, withUnit = true) {
+  const text = toDocumentLength(mm, units).toFixed(units.precision);
+  return withUnit ? `${text} ${units.unit}` : text;
+}
+
+export function formatArea(mm2, units = documentUnits) {
+  const factor = LENGTH_UNITS[units.unit];
+  return `${(mm2 / (factor * factor)).toFixed(units.precision)} ${units.unit}²`;
+}
+
+export function formatVolume(mm3, units = documentUnits) {
+  const factor = LENGTH_UNITS[units.unit];
+  return `${(mm3 / factor ** 3).toFixed(units.precision)} ${units.unit}³`;
+}
+
+// Unitless value (normals, scale factors) at the document precision
+export function formatNumber(value, units = documentUnits) {
+  return value.toFixed(units.precision);
+}
+
+// Typed length in millimetres, or null. Bare numbers are in the document
+// unit; any number may carry its own unit.
+export function parseLength(text, units = documentUnits) {
+  const factor = LENGTH_UNITS[units.unit];
+  const suffixes = { '"': LENGTH_UNITS.in / factor };
+  Object.entries(LENGTH_UNITS).forEach(([name, mm]) => {
+    suffixes[name] = mm / factor;
+  });
+  const value = evaluateExpression(text, suffixes);
+  return value === null ? null : value * factor;
+}
+
+// Typed angle in degrees, or null
+export function parseAngle(text) {
+  return evaluateExpression(text, ANGLE_UNITS);
+}